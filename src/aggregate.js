@@ -0,0 +1,418 @@
+import { bloomFilterMayMatch, canSkipRowGroup, columnStats, filterFields, matchQuery, pageMatches, rowGroupAllMatch, validateFilter } from './filter.js'
+import { formatDecimal } from './convert.js'
+import { parquetMetadataAsync, parquetSchema } from './metadata.js'
+import { compare } from './query.js'
+import { parquetReadAsync } from './read.js'
+import { assembleAsync, flattenRows } from './rowgroup.js'
+import { selectColumns } from './schema.js'
+import { flatten } from './utils.js'
+
+const operators = ['$count', '$sum', '$min', '$max', '$avg']
+
+/**
+ * Compute count, sum, min, max and avg aggregates of a parquet file, with
+ * optional filter and groupBy columns.
+ * Columns are read and reduced one row group at a time, so only the filter,
+ * groupBy and aggregated columns are held in memory.
+ * Without a filter or groupBy, `$count: '*'` is answered from the row count,
+ * and `$min` and `$max` from column statistics when every row group has them.
+ * DECIMAL columns are reduced as exact unscaled integers, then formatted
+ * with `decimalFormat`.
+ *
+ * @param {ParquetAggregateOptions} options
+ * @returns {Promise<Record<string, any>[]>} one row per group in order of first appearance
+ * @example parquetAggregate({ file, groupBy: ['region'], aggregates: { total: { $sum: 'amount' } } })
+ */
+export async function parquetAggregate(options) {
+  if (!options.file || !(options.file.byteLength >= 0)) {
+    throw new Error('parquet expected AsyncBuffer')
+  }
+  options.metadata ??= await parquetMetadataAsync(options.file)
+  const { metadata, filter, groupBy = [], aggregates } = options
+  const specs = Object.entries(aggregates).map(([name, aggregate]) => aggregateSpec(name, aggregate))
+  if (filter) validateFilter(filter)
+
+  const elements = parquetSchema(metadata).children.map(child => child.element)
+  const names = elements.map(element => element.name)
+  const missing = [...groupBy, ...specs.map(({ column }) => column)]
+    .filter(column => column !== '*' && !names.includes(column))
+  if (missing.length) throw new Error(`parquet columns not found: ${missing.join(', ')}`)
+  for (const { name, operator, column } of specs) {
+    if ((operator === '$sum' || operator === '$avg') && !isNumeric(elements[names.indexOf(column)])) {
+      throw new Error(`parquet aggregate ${name} cannot use ${operator} on non-numeric column ${column}`)
+    }
+  }
+  // scale of decimal columns
+  /** @type {Map<string, number>} */
+  const decimals = new Map()
+  for (const element of elements) {
+    if (element.converted_type === 'DECIMAL') decimals.set(element.name, element.scale || 0)
+  }
+
+  // answer from metadata where possible
+  /** @type {Map<string, any>} */
+  const answered = new Map()
+  if (!filter && !groupBy.length) {
+    for (const spec of specs) {
+      const value = statisticsAggregate(options, spec)
+      if (value !== undefined) answered.set(spec.name, value)
+    }
+  }
+  const pending = specs.filter(({ name }) => !answered.has(name))
+
+  /** @type {Map<string, AggregateGroup>} */
+  const groups = new Map()
+  if (pending.length || groupBy.length) {
+    // filters on columns missing from the file match undefined values
+    const filterColumns = filter ? [...filterFields(filter)].filter(name => names.includes(name)) : []
+    const valueColumns = [...new Set(pending.map(({ column }) => column).filter(column => column !== '*'))]
+    const decimalColumns = valueColumns.filter(column => decimals.has(column))
+    const columns = [...new Set([...groupBy, ...valueColumns.filter(column => !decimals.has(column)), ...filterColumns])]
+    const groupOptions = { ...options, columns: [...new Set([...columns, ...decimalColumns])] }
+    // aggregated decimals are read as exact unscaled integers
+    const decimalFormat = decimalColumns.length ? 'bigint-scaled' : options.decimalFormat
+
+    let groupStart = 0
+    for (const rowGroup of metadata.row_groups) {
+      const rowStart = groupStart
+      const rowEnd = groupStart + Number(rowGroup.num_rows)
+      groupStart = rowEnd
+      if (filter && canSkipRowGroup(groupOptions, rowGroup, filter)) continue
+      if (filter && !await bloomFilterMayMatch(groupOptions, rowGroup, filter)) continue
+
+      // read all columns of the row group in one pass
+      const values = await readColumns({ ...groupOptions, rowStart, rowEnd, decimalFormat })
+      /** @type {Record<string, DecodedArray>} */
+      const data = {}
+      for (const column of columns) {
+        const scale = decimals.get(column)
+        // decimals to group and filter by are formatted as requested
+        data[column] = scale === undefined || decimalFormat === options.decimalFormat
+          ? values[column]
+          : values[column].map(value => formatUnscaled(value, scale, options))
+      }
+      const selected = selectRows(data, filterColumns, rowEnd - rowStart, filter)
+      const rowGroups = groupRows(data, groupBy, selected, groups, pending.length)
+
+      // reduce one column at a time
+      for (let j = 0; j < pending.length; j++) {
+        const { column, operator } = pending[j]
+        const columnValues = column === '*' ? undefined : values[column]
+        for (let k = 0; k < selected.length; k++) {
+          accumulate(rowGroups[k].states[j], operator, columnValues ? columnValues[selected[k]] : true)
+        }
+      }
+    }
+  }
+
+  if (!groupBy.length && !groups.size) {
+    groups.set('', { keys: [], states: pending.map(() => ({ count: 0, value: undefined })) })
+  }
+  return Array.from(groups.values(), ({ keys, states }) => {
+    /** @type {Record<string, any>} */
+    const row = {}
+    for (let i = 0; i < groupBy.length; i++) row[groupBy[i]] = keys[i]
+    for (const { name } of specs) {
+      const index = pending.findIndex(spec => spec.name === name)
+      if (index < 0) {
+        row[name] = answered.get(name)
+      } else {
+        const { operator, column } = pending[index]
+        const result = aggregateResult(operator, states[index])
+        const scale = decimals.get(column)
+        row[name] = scale === undefined || operator === '$count' ? result : formatAggregate(result, operator, scale, options)
+      }
+    }
+    return row
+  })
+}
+
+/**
+ * Count the rows of a parquet file that match a filter.
+ * Row groups and pages are counted from their row counts where statistics
+ * prove that no row or every row matches, and only the filter columns of the
+ * remaining rows are decoded. Set `decode: false` to answer from metadata
+ * only, in which case undecided rows are counted as matches.
+ * Page indexes are used unless `pageIndex` is false.
+ *
+ * @param {ParquetReadOptions & { filter?: ParquetQueryFilter, decode?: boolean }} options
+ * @returns {Promise<{ count: number, exact: boolean }>} count is an upper bound when not exact
+ */
+export async function parquetCount(options) {
+  if (!options.file || !(options.file.byteLength >= 0)) {
+    throw new Error('parquet expected AsyncBuffer')
+  }
+  options.metadata ??= await parquetMetadataAsync(options.file)
+  const { metadata, filter, decode = true } = options
+  if (!filter) return { count: Number(metadata.num_rows), exact: true }
+  validateFilter(filter)
+
+  // filters on columns missing from the file match undefined values
+  const names = parquetSchema(metadata).children.map(child => child.element.name)
+  const columns = [...filterFields(filter)].filter(name => names.includes(name))
+  const countOptions = { ...options, columns }
+
+  let count = 0
+  let exact = true
+  let groupStart = 0
+  for (const rowGroup of metadata.row_groups) {
+    const groupRows = Number(rowGroup.num_rows)
+    const rowStart = groupStart
+    groupStart += groupRows
+    if (canSkipRowGroup(countOptions, rowGroup, filter)) continue
+    if (rowGroupAllMatch(countOptions, rowGroup, filter)) {
+      count += groupRows
+      continue
+    }
+    if (!await bloomFilterMayMatch(countOptions, rowGroup, filter)) continue
+
+    // page indexes are metadata too, so they are read unless disabled
+    /** @type {PageMatch[]} */
+    const pages = options.pageIndex === false
+      ? [{ rowStart: 0, rowEnd: groupRows, match: 'some' }]
+      : await pageMatches(countOptions, rowGroup, filter)
+    const undecided = pages.filter(({ match }) => match === 'some')
+    if (!undecided.length || !decode) {
+      if (undecided.length) exact = false
+      for (const page of pages) {
+        if (page.match !== 'none') count += page.rowEnd - page.rowStart
+      }
+      continue
+    }
+
+    // decode a single span of undecided pages to avoid many small fetches
+    const spanStart = undecided[0].rowStart
+    const spanEnd = undecided[undecided.length - 1].rowEnd
+    for (const page of pages) {
+      if (page.match === 'all' && (page.rowEnd <= spanStart || page.rowStart >= spanEnd)) {
+        count += page.rowEnd - page.rowStart
+      }
+    }
+    const data = await readColumns({ ...countOptions, rowStart: rowStart + spanStart, rowEnd: rowStart + spanEnd })
+    count += selectRows(data, columns, spanEnd - spanStart, filter).length
+  }
+  return { count, exact }
+}
+
+/**
+ * Validate an aggregate and find its operator and column.
+ *
+ * @param {string} name
+ * @param {ParquetAggregate} aggregate
+ * @returns {AggregateSpec}
+ */
+function aggregateSpec(name, aggregate) {
+  const entries = Object.entries(aggregate ?? {})
+  if (entries.length !== 1) throw new Error(`parquet aggregate ${name} expected one operator`)
+  const [[operator, column]] = entries
+  if (!operators.includes(operator)) throw new Error(`parquet unsupported aggregate operator: ${operator}`)
+  if (typeof column !== 'string') throw new Error(`parquet aggregate ${name} expected a column name`)
+  if (column === '*' && operator !== '$count') throw new Error(`parquet aggregate ${name} cannot use * with ${operator}`)
+  return { name, operator, column }
+}
+
+/**
+ * Answer an aggregate from the row count or column statistics.
+ *
+ * @param {ParquetReadOptions} options
+ * @param {AggregateSpec} spec
+ * @returns {any} undefined if the metadata cannot answer it
+ */
+function statisticsAggregate(options, { operator, column }) {
+  const { metadata } = options
+  if (!metadata) return
+  if (operator === '$count' && column === '*') return Number(metadata.num_rows)
+  if (operator !== '$min' && operator !== '$max') return
+
+  let result = null
+  for (const rowGroup of metadata.row_groups) {
+    const chunk = rowGroup.columns.find(({ meta_data }) => {
+      return meta_data?.path_in_schema.length === 1 && meta_data.path_in_schema[0] === column
+    })?.meta_data
+    if (!chunk) return
+    const { statistics, num_values } = chunk
+    const stats = columnStats({ ...options, columns: undefined }, column, statistics, num_values)
+    if (!stats) return
+    // all null row groups do not change the result
+    if (stats.nullCount === stats.valueCount) continue
+    const value = operator === '$min' ? stats.min : stats.max
+    const exact = operator === '$min' ? statistics?.is_min_value_exact : statistics?.is_max_value_exact
+    if (value === undefined || exact === false) return
+    if (result === null) result = value
+    else if (operator === '$min' ? compare(value, result) < 0 : compare(value, result) > 0) result = value
+  }
+  return result
+}
+
+/**
+ * Check if a column holds numbers that can be summed and averaged.
+ * Dates, times and timestamps are stored as integers but are not numeric.
+ *
+ * @param {SchemaElement} element
+ * @returns {boolean}
+ */
+function isNumeric({ type, converted_type, logical_type }) {
+  if (converted_type === 'DECIMAL' || logical_type?.type === 'FLOAT16') return true
+  if (type !== 'INT32' && type !== 'INT64' && type !== 'FLOAT' && type !== 'DOUBLE') return false
+  if (logical_type && logical_type.type !== 'INTEGER') return false
+  return !converted_type || converted_type.startsWith('INT_') || converted_type.startsWith('UINT_')
+}
+
+/**
+ * Read the decoded arrays of the selected columns of a row range, with one
+ * pass over each row group and without building rows.
+ *
+ * @param {ParquetReadOptions & { columns: string[] }} options
+ * @returns {Promise<Record<string, DecodedArray>>} values of each column
+ */
+async function readColumns(options) {
+  const { metadata, columns, rowStart = 0, rowEnd = Infinity } = options
+  /** @type {Record<string, DecodedArray[]>} */
+  const chunks = Object.fromEntries(columns.map(column => [column, []]))
+  if (metadata && columns.length) {
+    const schemaTree = selectColumns(parquetSchema(metadata), columns)
+    for (const asyncGroup of parquetReadAsync(options)) {
+      const { groupStart, groupRows, asyncColumns } = assembleAsync(asyncGroup, schemaTree, options)
+      const selectStart = Math.max(rowStart - groupStart, 0)
+      const selectEnd = Math.min(rowEnd - groupStart, groupRows)
+      for (const { pathInSchema, data } of asyncColumns) {
+        chunks[pathInSchema[0]].push(flattenRows(await data, selectStart, selectEnd))
+      }
+    }
+  }
+  return Object.fromEntries(columns.map(column => [column, flatten(chunks[column])]))
+}
+
+/**
+ * Find the rows of a row group that match the filter.
+ *
+ * @param {Record<string, DecodedArray>} data column data of the row group
+ * @param {string[]} filterColumns
+ * @param {number} numRows
+ * @param {ParquetQueryFilter} [filter]
+ * @returns {number[]} indexes of matching rows
+ */
+function selectRows(data, filterColumns, numRows, filter) {
+  const selected = []
+  /** @type {Record<string, any>} */
+  const record = {}
+  for (let i = 0; i < numRows; i++) {
+    if (filter) {
+      for (const column of filterColumns) record[column] = data[column][i]
+      if (!matchQuery(record, filter)) continue
+    }
+    selected.push(i)
+  }
+  return selected
+}
+
+/**
+ * Find or create the group of each selected row.
+ *
+ * @param {Record<string, DecodedArray>} data column data of the row group
+ * @param {string[]} groupBy
+ * @param {number[]} selected indexes of matching rows
+ * @param {Map<string, AggregateGroup>} groups
+ * @param {number} numStates number of aggregates to accumulate
+ * @returns {AggregateGroup[]} group of each selected row
+ */
+function groupRows(data, groupBy, selected, groups, numStates) {
+  return selected.map(index => {
+    const keys = groupBy.map(column => data[column][index])
+    const key = JSON.stringify(keys.map(groupKey))
+    let group = groups.get(key)
+    if (!group) {
+      group = { keys, states: Array.from({ length: numStates }, () => ({ count: 0, value: undefined })) }
+      groups.set(key, group)
+    }
+    return group
+  })
+}
+
+/**
+ * Make a group key value that is equal for equal values of any type.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function groupKey(value) {
+  if (value === undefined || value === null) return null
+  if (typeof value === 'bigint') return `${value}n`
+  if (value instanceof Date) return { date: value.getTime() }
+  if (value instanceof Uint8Array) return { bytes: Array.from(value) }
+  if (Array.isArray(value)) return value.map(groupKey)
+  if (typeof value === 'object') return Object.entries(value).map(([k, v]) => [k, groupKey(v)])
+  return value
+}
+
+/**
+ * Add a value to an aggregate state. Null, undefined and NaN values are ignored.
+ *
+ * @param {AggregateState} state
+ * @param {string} operator
+ * @param {any} value
+ */
+function accumulate(state, operator, value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return
+  state.count++
+  if (operator === '$sum' || operator === '$avg') {
+    state.value = state.value === undefined ? value : state.value + value
+  } else if (operator === '$min') {
+    if (state.value === undefined || compare(value, state.value) < 0) state.value = value
+  } else if (operator === '$max') {
+    if (state.value === undefined || compare(value, state.value) > 0) state.value = value
+  }
+}
+
+/**
+ * @param {string} operator
+ * @param {AggregateState} state
+ * @returns {any} null for aggregates other than $count with no values
+ */
+function aggregateResult(operator, { count, value }) {
+  if (operator === '$count') return count
+  if (!count) return null
+  if (operator === '$avg') return Number(value) / count
+  return value
+}
+
+/**
+ * Format the result of an aggregate over unscaled decimals.
+ *
+ * @param {any} result
+ * @param {string} operator
+ * @param {number} scale
+ * @param {ParquetReadOptions} options
+ * @returns {any}
+ */
+function formatAggregate(result, operator, scale, options) {
+  if (result === null) return null
+  // averages are not exact decimals
+  if (operator === '$avg') return result * 10 ** -scale
+  return formatUnscaled(result, scale, options)
+}
+
+/**
+ * Format an unscaled decimal like the reader does for decimalFormat.
+ *
+ * @param {bigint | null | undefined} unscaled
+ * @param {number} scale
+ * @param {ParquetReadOptions} options
+ * @returns {any}
+ */
+function formatUnscaled(unscaled, scale, { decimalFormat = 'number' }) {
+  if (unscaled === null || unscaled === undefined) return unscaled
+  if (decimalFormat === 'string') return formatDecimal(unscaled, scale)
+  if (decimalFormat === 'bigint-scaled') return unscaled
+  return Number(unscaled) * 10 ** -scale
+}
+
+/**
+ * @typedef {{ name: string, operator: string, column: string }} AggregateSpec
+ * @typedef {{ count: number, value: any }} AggregateState
+ * @typedef {{ keys: any[], states: AggregateState[] }} AggregateGroup
+ */
+
+/**
+ * @import {DecodedArray, ParquetAggregate, ParquetAggregateOptions, PageMatch, ParquetQueryFilter, ParquetReadOptions, SchemaElement} from '../src/types.d.ts'
+ */
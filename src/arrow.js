@@ -0,0 +1,812 @@
+import { byteWriter } from './bytewriter.js'
+import { readColumnLevels } from './column.js'
+import { isGeoParquetColumn, parquetGeoMetadata } from './geo.js'
+import { parquetMetadataAsync, parquetSchema } from './metadata.js'
+import { columnChunkFile, getColumnRange } from './plan.js'
+import { parquetReadAsync } from './read.js'
+import { assembleAsync, flattenRows } from './rowgroup.js'
+import { getMaxDefinitionLevel, getSchemaPath, isListLike, isMapLike, selectColumns, topLevelColumns } from './schema.js'
+import { toJson } from './utils.js'
+
+const dayMillis = 86400000 // 1 day in milliseconds
+
+// arrow flatbuffer enums
+const MetadataVersionV5 = 4
+const MessageHeader = { Schema: 1, RecordBatch: 3 }
+const TypeId = { Int: 2, FloatingPoint: 3, Binary: 4, Utf8: 5, Bool: 6, Decimal: 7, Date: 8, Time: 9, Timestamp: 10, Interval: 11, List: 12, Struct: 13, FixedSizeBinary: 15, Map: 17 }
+const Precision = { SINGLE: 1, DOUBLE: 2 }
+const DateUnitDay = 0
+const IntervalUnitMonthDayNano = 2
+/** @type {Record<TimeUnit, number>} */
+const ArrowTimeUnit = { MILLIS: 1, MICROS: 2, NANOS: 3 }
+/** @type {Record<TimeUnit, bigint>} */
+const unitNanos = { MILLIS: 1000000n, MICROS: 1000n, NANOS: 1n }
+
+/**
+ * Value formats that map directly to arrow buffers.
+ * @type {Partial<ParquetReadOptions>}
+ */
+const arrowFormats = {
+  decimalFormat: 'bigint-scaled', // encoded as decimal128 or decimal256
+  timestampFormat: 'bigint', // encoded in the stored unit
+  timeFormat: 'object', // encoded in the stored unit
+  uuidFormat: 'bytes', // encoded as fixed size binary
+  geometryFormat: 'wkb', // encoded as binary
+}
+
+/**
+ * Read parquet data as an Apache Arrow IPC stream, with one record batch per
+ * row group. Decoded column chunks are encoded directly into arrow buffers
+ * without building row objects. Nested columns are encoded from their
+ * definition and repetition levels into validity bitmaps and list offsets.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk' | 'rowFormat'>} options read options
+ * @returns {Promise<Uint8Array>} arrow IPC stream
+ */
+export async function parquetReadArrow(options) {
+  const metadata = options.metadata ?? await parquetMetadataAsync(options.file)
+  const { rowStart = 0, rowEnd = Infinity, columns, utf8 = true } = options
+  const fullSchema = parquetSchema(metadata)
+  const schemaTree = selectColumns(fullSchema, columns)
+  const selected = columns
+    ? [...new Set(topLevelColumns(fullSchema, columns))].flatMap(name => schemaTree.children.filter(child => child.element.name === name))
+    : schemaTree.children
+  // geoparquet wkb columns are binary
+  const geo = parquetGeoMetadata(metadata)
+  const fields = selected.map(node => arrowField(node, utf8 && !isGeoParquetColumn(geo, node.path)))
+
+  // lists, maps and structs are encoded from levels, other columns from their values
+  const nested = fields.map(({ kind }) => kind === 'list' || kind === 'map' || kind === 'struct')
+  const variant = selected.map(node => node.element.logical_type?.type === 'VARIANT')
+  const flatColumns = selected.filter((_, i) => !nested[i] && !variant[i]).map(node => node.element.name)
+  // variants are encoded as json with the default formats
+  const variantColumns = selected.filter((_, i) => variant[i]).map(node => node.element.name)
+
+  /** @type {Uint8Array[]} */
+  const messages = [encodeMessage(MessageHeader.Schema, schemaTable(fields), [], 0)]
+
+  let groupStart = 0
+  for (const rowGroup of metadata.row_groups) {
+    const groupEnd = groupStart + Number(rowGroup.num_rows)
+    if (groupEnd > rowStart && groupStart < rowEnd) {
+      const selectStart = Math.max(rowStart - groupStart, 0)
+      const selectEnd = Math.min(rowEnd - groupStart, groupEnd - groupStart)
+      const leafLevels = await Promise.all(selected.map((node, i) => nested[i]
+        ? readLeafLevels(options, metadata, rowGroup, node, selectStart, selectEnd)
+        : undefined
+      ))
+      const readOptions = { ...options, metadata, rowStart: Math.max(rowStart, groupStart), rowEnd: Math.min(rowEnd, groupEnd) }
+      const asyncColumns = [
+        ...readAssembled({ ...readOptions, ...arrowFormats, columns: flatColumns }),
+        ...readAssembled({ ...readOptions, columns: variantColumns }),
+      ]
+
+      /** @type {ArrowBatch} */
+      const batch = { nodes: [], buffers: [], body: [], bodyLength: 0 }
+      for (let i = 0; i < fields.length; i++) {
+        const field = fields[i]
+        const leaves = leafLevels[i]
+        if (leaves) {
+          const node = selected[i]
+          const definitionLevel = node.element.repetition_type === 'REQUIRED' ? 0 : 1
+          encodeNested(field, node, leaves, { depth: 0, threshold: 0, definitionLevel }, batch)
+          continue
+        }
+        const asyncColumn = asyncColumns.find(column => column.pathInSchema[0] === field.name)
+        if (!asyncColumn) throw new Error(`parquet column not found: ${field.name}`)
+        const values = flattenRows(await asyncColumn.data, selectStart, selectEnd)
+        encodeColumn(field, values, batch)
+      }
+      const recordBatch = recordBatchTable(selectEnd - selectStart, batch)
+      messages.push(encodeMessage(MessageHeader.RecordBatch, recordBatch, batch.body, batch.bodyLength))
+    }
+    groupStart = groupEnd
+  }
+
+  // end of stream marker
+  messages.push(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0, 0, 0, 0]))
+  return concatBytes(messages)
+}
+
+/**
+ * Start reading top-level columns from one row group, assembled by column.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk' | 'rowFormat'> & { metadata: FileMetaData, columns: string[] }} options
+ * @returns {AsyncColumn[]}
+ */
+function readAssembled(options) {
+  if (!options.columns.length) return []
+  const [asyncGroup] = parquetReadAsync(options)
+  return assembleAsync(asyncGroup, selectColumns(parquetSchema(options.metadata), options.columns), options).asyncColumns
+}
+
+/**
+ * Read the levels and values of every leaf column under a nested column,
+ * limited to the selected rows of a row group.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk' | 'rowFormat'>} options
+ * @param {FileMetaData} metadata
+ * @param {RowGroup} rowGroup
+ * @param {SchemaTree} node pruned schema node
+ * @param {number} selectStart first row in the row group
+ * @param {number} selectEnd last row in the row group (exclusive)
+ * @returns {Promise<Map<SchemaTree, ColumnLevels>>} levels by leaf node
+ */
+async function readLeafLevels(options, metadata, rowGroup, node, selectStart, selectEnd) {
+  const { compressors, utf8 = true } = options
+  const leaves = leafNodes(node)
+  const levels = await Promise.all(leaves.map(async leaf => {
+    const column = rowGroup.columns.find(({ meta_data }) => meta_data?.path_in_schema.join('.') === leaf.path.join('.'))
+    const meta_data = column?.meta_data
+    if (!column || !meta_data) throw new Error(`parquet column not found: ${leaf.path.join('.')}`)
+    const schemaPath = getSchemaPath(metadata.schema, meta_data.path_in_schema)
+    /** @type {ColumnDecoder} */
+    const columnDecoder = {
+      ...arrowFormats,
+      columnName: meta_data.path_in_schema.join('.'),
+      type: meta_data.type,
+      element: leaf.element,
+      schemaPath,
+      codec: meta_data.codec,
+      compressors,
+      utf8,
+    }
+    const { startByte, endByte } = getColumnRange(meta_data)
+    const file = await columnChunkFile(options, column)
+    const buffer = await file.slice(startByte, endByte)
+    const levels = readColumnLevels({ view: new DataView(buffer), offset: 0 }, columnDecoder)
+    return selectLevels(levels, getMaxDefinitionLevel(schemaPath), selectStart, selectEnd)
+  }))
+  return new Map(leaves.map((leaf, i) => [leaf, levels[i]]))
+}
+
+/**
+ * @param {SchemaTree} node
+ * @returns {SchemaTree[]} leaf nodes under node, in schema order
+ */
+function leafNodes(node) {
+  return node.children.length ? node.children.flatMap(leafNodes) : [node]
+}
+
+/**
+ * Slice column levels and values to the selected rows.
+ * Rows start at entries with repetition level 0.
+ *
+ * @param {ColumnLevels} levels
+ * @param {number} maxDefinitionLevel
+ * @param {number} selectStart
+ * @param {number} selectEnd
+ * @returns {ColumnLevels}
+ */
+function selectLevels({ definitionLevels, repetitionLevels, values }, maxDefinitionLevel, selectStart, selectEnd) {
+  let row = -1
+  let valueCount = 0
+  let start = 0
+  let valueStart = 0
+  let end = repetitionLevels.length
+  for (let i = 0; i < repetitionLevels.length; i++) {
+    if (repetitionLevels[i] === 0) {
+      row++
+      if (row === selectEnd) {
+        end = i
+        break
+      }
+      if (row === selectStart) {
+        start = i
+        valueStart = valueCount
+      }
+    }
+    if (definitionLevels[i] === maxDefinitionLevel) valueCount++
+  }
+  return {
+    definitionLevels: definitionLevels.slice(start, end),
+    repetitionLevels: repetitionLevels.slice(start, end),
+    values: values.slice(valueStart, valueCount),
+  }
+}
+
+/**
+ * Map a parquet schema node to an arrow field.
+ *
+ * @param {SchemaTree} node
+ * @param {boolean} utf8 decode unannotated byte arrays as strings
+ * @returns {ArrowField}
+ */
+function arrowField(node, utf8) {
+  const { element } = node
+  const { name } = element
+  const nullable = element.repetition_type !== 'REQUIRED'
+
+  if (isListLike(node)) {
+    const repeated = node.children[0]
+    // two-level lists repeat the item itself
+    const item = repeated.children.length
+      ? arrowField(repeated.children[0], utf8)
+      : arrowField({ ...repeated, element: { ...repeated.element, repetition_type: 'REQUIRED' } }, utf8)
+    return { name, nullable, typeId: TypeId.List, type: [], kind: 'list', children: [item] }
+  }
+  if (isMapLike(node)) {
+    // list of key and value entries
+    const keyValue = node.children[0]
+    const entries = { name: 'entries', nullable: false, typeId: TypeId.Struct, type: [], kind: 'struct', children: keyValue.children.map(child => arrowField(child, utf8)) }
+    return { name, nullable, typeId: TypeId.Map, type: [{ bool: false }], kind: 'map', children: [entries] }
+  }
+  if (element.repetition_type === 'REPEATED') {
+    // repeated field without list annotation
+    const item = arrowField({ ...node, element: { ...element, repetition_type: 'REQUIRED' } }, utf8)
+    return { name, nullable: false, typeId: TypeId.List, type: [], kind: 'list', children: [item] }
+  }
+  if (element.logical_type?.type === 'VARIANT') {
+    // variants are encoded as json like bson
+    return { name, nullable, typeId: TypeId.Utf8, type: [], kind: 'utf8', children: [] }
+  }
+  if (node.children.length) {
+    const children = node.children.map(child => arrowField(child, utf8))
+    return { name, nullable, typeId: TypeId.Struct, type: [], kind: 'struct', children }
+  }
+
+  const { type, converted_type: ctype, logical_type: ltype } = element
+  const field = { name, nullable, children: [] }
+  if (ctype === 'DECIMAL') {
+    const precision = element.precision ?? 38
+    const bitWidth = precision > 38 ? 256 : 128
+    const type = [{ i32: precision }, { i32: element.scale ?? 0 }, { i32: bitWidth }]
+    return { ...field, typeId: TypeId.Decimal, type, kind: 'decimal', byteWidth: bitWidth / 8 }
+  }
+  if (ltype?.type === 'FLOAT16') {
+    return { ...field, typeId: TypeId.FloatingPoint, type: [{ i16: Precision.DOUBLE }], kind: 'float64' }
+  }
+  if (ctype === 'INTERVAL') {
+    return { ...field, typeId: TypeId.Interval, type: [{ i16: IntervalUnitMonthDayNano }], kind: 'interval' }
+  }
+  if (ctype === 'DATE') {
+    return { ...field, typeId: TypeId.Date, type: [{ i16: DateUnitDay }], kind: 'date32' }
+  }
+  if (type === 'INT96' || ctype === 'TIMESTAMP_MILLIS' || ctype === 'TIMESTAMP_MICROS' || ltype?.type === 'TIMESTAMP') {
+    // timestamps in the stored unit, int96 as nanoseconds
+    const timeUnit = ctype === 'TIMESTAMP_MILLIS' ? 'MILLIS'
+      : ctype === 'TIMESTAMP_MICROS' ? 'MICROS'
+        : ltype?.type === 'TIMESTAMP' ? ltype.unit : 'NANOS'
+    const utc = ltype?.type !== 'TIMESTAMP' || ltype.isAdjustedToUTC
+    const type = [{ i16: ArrowTimeUnit[timeUnit] }, utc ? 'UTC' : undefined]
+    return { ...field, typeId: TypeId.Timestamp, type, kind: 'timestamp' }
+  }
+  if (ctype === 'TIME_MILLIS' || ctype === 'TIME_MICROS' || ltype?.type === 'TIME') {
+    // time of day in the stored unit
+    const timeUnit = ltype?.type === 'TIME' ? ltype.unit : ctype === 'TIME_MILLIS' ? 'MILLIS' : 'MICROS'
+    const bitWidth = timeUnit === 'MILLIS' ? 32 : 64
+    return { ...field, typeId: TypeId.Time, type: [{ i16: ArrowTimeUnit[timeUnit] }, { i32: bitWidth }], kind: `time${bitWidth}`, timeUnit }
+  }
+  if (ltype?.type === 'GEOMETRY' || ltype?.type === 'GEOGRAPHY') {
+    return { ...field, typeId: TypeId.Binary, type: [], kind: 'binary' }
+  }
+  if (ctype === 'JSON' || ctype === 'BSON' || ctype === 'UTF8' || ltype?.type === 'STRING' || utf8 && type === 'BYTE_ARRAY') {
+    return { ...field, typeId: TypeId.Utf8, type: [], kind: 'utf8' }
+  }
+  if (type === 'BOOLEAN') {
+    return { ...field, typeId: TypeId.Bool, type: [], kind: 'bool' }
+  }
+  if (type === 'INT32' || type === 'INT64') {
+    let bitWidth = type === 'INT32' ? 32 : 64
+    let signed = true
+    if (ltype?.type === 'INTEGER') {
+      ({ bitWidth } = ltype)
+      signed = ltype.isSigned
+    } else if (ctype?.startsWith('INT_') || ctype?.startsWith('UINT_')) {
+      bitWidth = Number(ctype.slice(ctype.indexOf('_') + 1))
+      signed = ctype.startsWith('INT_')
+    }
+    return { ...field, typeId: TypeId.Int, type: [{ i32: bitWidth }, { bool: signed }], kind: `${signed ? 'int' : 'uint'}${bitWidth}` }
+  }
+  if (type === 'FLOAT') {
+    return { ...field, typeId: TypeId.FloatingPoint, type: [{ i16: Precision.SINGLE }], kind: 'float32' }
+  }
+  if (type === 'DOUBLE') {
+    return { ...field, typeId: TypeId.FloatingPoint, type: [{ i16: Precision.DOUBLE }], kind: 'float64' }
+  }
+  if (type === 'BYTE_ARRAY') {
+    return { ...field, typeId: TypeId.Binary, type: [], kind: 'binary' }
+  }
+  if (type === 'FIXED_LEN_BYTE_ARRAY') {
+    const byteWidth = element.type_length ?? 0
+    return { ...field, typeId: TypeId.FixedSizeBinary, type: [{ i32: byteWidth }], kind: 'fixed', byteWidth }
+  }
+  throw new Error(`parquet arrow output does not support column ${name} of type ${type}`)
+}
+
+/**
+ * Typed array constructors for fixed width arrow types.
+ * @type {Record<string, new (length: number) => Record<number, any> & ArrayBufferView>}
+ */
+const typedArrays = {
+  int8: Int8Array,
+  int16: Int16Array,
+  int32: Int32Array,
+  int64: BigInt64Array,
+  uint8: Uint8Array,
+  uint16: Uint16Array,
+  uint32: Uint32Array,
+  uint64: BigUint64Array,
+  float32: Float32Array,
+  float64: Float64Array,
+  date32: Int32Array,
+  time32: Int32Array,
+  time64: BigInt64Array,
+  timestamp: BigInt64Array,
+}
+
+/**
+ * Encode the values of a primitive column into an arrow field node and buffers.
+ *
+ * @param {ArrowField} field
+ * @param {ArrayLike<any>} values
+ * @param {ArrowBatch} batch
+ */
+function encodeColumn(field, values, batch) {
+  const { length } = values
+  let nullCount = 0
+  for (let i = 0; i < length; i++) {
+    if (isNull(values[i])) nullCount++
+  }
+  batch.nodes.push([length, nullCount])
+
+  // validity bitmap, omitted if there are no nulls
+  if (nullCount) {
+    const validity = new Uint8Array(length + 7 >> 3)
+    for (let i = 0; i < length; i++) {
+      if (!isNull(values[i])) validity[i >> 3] |= 1 << (i & 7)
+    }
+    addBuffer(batch, validity)
+  } else {
+    addBuffer(batch, new Uint8Array(0))
+  }
+
+  const { kind } = field
+  if (kind === 'bool') {
+    const bits = new Uint8Array(length + 7 >> 3)
+    for (let i = 0; i < length; i++) {
+      if (values[i]) bits[i >> 3] |= 1 << (i & 7)
+    }
+    addBuffer(batch, bits)
+  } else if (kind === 'utf8' || kind === 'binary') {
+    const encoder = new TextEncoder()
+    const offsets = new Int32Array(length + 1)
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for (let i = 0; i < length; i++) {
+      let value = values[i]
+      if (kind === 'utf8' && !isNull(value) && typeof value !== 'string') {
+        // json and bson columns
+        value = JSON.stringify(toJson(value))
+      }
+      const bytes = isNull(value) ? new Uint8Array(0) : typeof value === 'string' ? encoder.encode(value) : value
+      chunks.push(bytes)
+      offsets[i + 1] = offsets[i] + bytes.length
+    }
+    addBuffer(batch, offsets)
+    addBuffer(batch, concatBytes(chunks))
+  } else if (kind === 'fixed') {
+    const byteWidth = field.byteWidth ?? 0
+    const data = new Uint8Array(length * byteWidth)
+    for (let i = 0; i < length; i++) {
+      if (values[i]) data.set(values[i], i * byteWidth)
+    }
+    addBuffer(batch, data)
+  } else if (kind === 'decimal') {
+    // two's complement unscaled integers, as little endian 64-bit words
+    const byteWidth = field.byteWidth ?? 16
+    const data = new Uint8Array(length * byteWidth)
+    const view = new DataView(data.buffer)
+    for (let i = 0; i < length; i++) {
+      if (isNull(values[i])) continue
+      let value = BigInt.asUintN(byteWidth * 8, BigInt(values[i]))
+      for (let offset = i * byteWidth; offset < (i + 1) * byteWidth; offset += 8) {
+        view.setBigUint64(offset, BigInt.asUintN(64, value), true)
+        value >>= 64n
+      }
+    }
+    addBuffer(batch, data)
+  } else if (kind === 'interval') {
+    const data = new Uint8Array(length * 16)
+    const view = new DataView(data.buffer)
+    for (let i = 0; i < length; i++) {
+      if (isNull(values[i])) continue
+      const { months, days, milliseconds } = values[i]
+      view.setInt32(i * 16, months, true)
+      view.setInt32(i * 16 + 4, days, true)
+      view.setBigInt64(i * 16 + 8, BigInt(milliseconds) * 1000000n, true)
+    }
+    addBuffer(batch, data)
+  } else if (kind in typedArrays) {
+    const ArrayType = typedArrays[kind]
+    if (ArrayBuffer.isView(values) && values instanceof ArrayType) {
+      // decoded typed arrays are used as is
+      addBuffer(batch, values)
+    } else {
+      const data = new ArrayType(length)
+      const bigint = data instanceof BigInt64Array || data instanceof BigUint64Array
+      for (let i = 0; i < length; i++) {
+        let value = values[i]
+        if (isNull(value)) continue
+        if (kind === 'date32') value = Math.floor(value.getTime() / dayMillis)
+        if (kind === 'time32' || kind === 'time64') value = timeValue(value, field.timeUnit ?? 'MILLIS')
+        data[i] = bigint ? BigInt(value) : Number(value)
+      }
+      addBuffer(batch, data)
+    }
+  } else {
+    throw new Error(`parquet arrow output unsupported kind ${kind}`)
+  }
+}
+
+/**
+ * Encode a list, map or struct column from the levels of its leaf columns.
+ * The values of a field start at level entries repeated at most at depth and
+ * defined at least to threshold, and the field is valid where entries are
+ * defined to its own definition level.
+ *
+ * @param {ArrowField} field
+ * @param {SchemaTree} node
+ * @param {Map<SchemaTree, ColumnLevels>} leaves levels by leaf node
+ * @param {{ depth: number, threshold: number, definitionLevel: number }} levels
+ * @param {ArrowBatch} batch
+ */
+function encodeNested(field, node, leaves, { depth, threshold, definitionLevel }, batch) {
+  let leaf = node
+  while (leaf.children.length) leaf = leaf.children[0]
+  const leafLevels = leaves.get(leaf)
+  if (!leafLevels) throw new Error(`parquet column not found: ${leaf.path.join('.')}`)
+  const { definitionLevels, repetitionLevels, values } = leafLevels
+  const { kind } = field
+
+  if (kind !== 'list' && kind !== 'map' && kind !== 'struct') {
+    if (node.children.length) {
+      throw new Error(`parquet arrow output does not support nested variant column ${node.path.join('.')}`)
+    }
+    // dense values are defined at the leaf definition level
+    /** @type {any[]} */
+    const column = []
+    let valueIndex = 0
+    for (let i = 0; i < repetitionLevels.length; i++) {
+      const defined = definitionLevels[i] === definitionLevel
+      if (repetitionLevels[i] <= depth && definitionLevels[i] >= threshold) {
+        column.push(defined ? values[valueIndex] : null)
+      }
+      if (defined) valueIndex++
+    }
+    encodeColumn(field, column, batch)
+    return
+  }
+
+  /** @type {number[]} */
+  const slots = []
+  for (let i = 0; i < repetitionLevels.length; i++) {
+    if (repetitionLevels[i] <= depth && definitionLevels[i] >= threshold) slots.push(i)
+  }
+  // a repeated field without list annotation is a list that is never null
+  const listLike = isListLike(node)
+  const validLevel = kind === 'list' && !listLike ? threshold : definitionLevel
+  const validity = new Uint8Array(slots.length + 7 >> 3)
+  let nullCount = 0
+  slots.forEach((entry, i) => {
+    if (definitionLevels[entry] >= validLevel) validity[i >> 3] |= 1 << (i & 7)
+    else nullCount++
+  })
+  batch.nodes.push([slots.length, nullCount])
+  addBuffer(batch, nullCount ? validity : new Uint8Array(0))
+
+  if (kind === 'list' || kind === 'map') {
+    // annotated lists and maps wrap a repeated group
+    const wrapped = listLike || kind === 'map'
+    const repeated = wrapped ? node.children[0] : node
+    const repeatedLevel = wrapped ? definitionLevel + 1 : definitionLevel
+    // map entries, two-level lists and unannotated repeated fields repeat the item itself
+    const item = listLike && repeated.children.length ? repeated.children[0] : repeated
+    const itemLevel = repeatedLevel + (item !== repeated && item.element.repetition_type !== 'REQUIRED' ? 1 : 0)
+
+    // count the items that start within each list or map
+    const offsets = new Int32Array(slots.length + 1)
+    let slot = 0
+    let count = 0
+    for (let i = 0; i < repetitionLevels.length; i++) {
+      if (repetitionLevels[i] <= depth && definitionLevels[i] >= threshold) offsets[slot++] = count
+      if (repetitionLevels[i] <= depth + 1 && definitionLevels[i] >= repeatedLevel) count++
+    }
+    offsets[slot] = count
+    addBuffer(batch, offsets)
+    encodeNested(field.children[0], item, leaves, { depth: depth + 1, threshold: repeatedLevel, definitionLevel: itemLevel }, batch)
+  } else {
+    field.children.forEach((child, i) => {
+      const childNode = node.children[i]
+      const childLevel = definitionLevel + (childNode.element.repetition_type === 'REQUIRED' ? 0 : 1)
+      encodeNested(child, childNode, leaves, { depth, threshold, definitionLevel: childLevel }, batch)
+    })
+  }
+}
+
+/**
+ * @param {TimeOfDay} time
+ * @param {TimeUnit} unit
+ * @returns {bigint} time since midnight in unit
+ */
+function timeValue({ hours, minutes, seconds, nanos }, unit) {
+  const nanosOfDay = BigInt((hours * 60 + minutes) * 60 + seconds) * 1000000000n + BigInt(nanos)
+  return nanosOfDay / unitNanos[unit]
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} true if null or undefined
+ */
+function isNull(value) {
+  return value === null || value === undefined
+}
+
+/**
+ * Add a buffer to the record batch body, padded to 8 bytes.
+ *
+ * @param {ArrowBatch} batch
+ * @param {ArrayBufferView} data
+ */
+function addBuffer(batch, data) {
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  batch.buffers.push([batch.bodyLength, bytes.byteLength])
+  batch.body.push(bytes)
+  const padding = -bytes.byteLength & 7
+  if (padding) batch.body.push(new Uint8Array(padding))
+  batch.bodyLength += bytes.byteLength + padding
+}
+
+/**
+ * @param {ArrowField[]} fields
+ * @returns {FlatTable}
+ */
+function schemaTable(fields) {
+  return [
+    { i16: 0 }, // little endian
+    { tables: fields.map(fieldTable) },
+  ]
+}
+
+/**
+ * @param {ArrowField} field
+ * @returns {FlatTable}
+ */
+function fieldTable({ name, nullable, typeId, type, children }) {
+  return [
+    name,
+    { bool: nullable },
+    { u8: typeId },
+    type,
+    undefined, // dictionary
+    { tables: children.map(fieldTable) },
+  ]
+}
+
+/**
+ * @param {number} length number of rows
+ * @param {ArrowBatch} batch
+ * @returns {FlatTable}
+ */
+function recordBatchTable(length, { nodes, buffers }) {
+  return [
+    { i64: length },
+    structVector(nodes),
+    structVector(buffers),
+  ]
+}
+
+/**
+ * Encode a vector of structs of two 64-bit integers (FieldNode and Buffer).
+ *
+ * @param {[number, number][]} pairs
+ * @returns {Uint8Array}
+ */
+function structVector(pairs) {
+  const data = new BigInt64Array(pairs.length * 2)
+  pairs.forEach(([a, b], i) => {
+    data[i * 2] = BigInt(a)
+    data[i * 2 + 1] = BigInt(b)
+  })
+  return new Uint8Array(data.buffer)
+}
+
+/**
+ * Encode an encapsulated arrow IPC message: continuation marker, metadata
+ * length, flatbuffer message padded to 8 bytes, then the body.
+ *
+ * @param {number} headerType
+ * @param {FlatTable} header
+ * @param {Uint8Array[]} body
+ * @param {number} bodyLength
+ * @returns {Uint8Array}
+ */
+function encodeMessage(headerType, header, body, bodyLength) {
+  const message = encodeFlatbuffer([
+    { i16: MetadataVersionV5 },
+    { u8: headerType },
+    header,
+    { i64: bodyLength },
+  ])
+  const metadataLength = message.byteLength + (-message.byteLength & 7)
+  const prefix = new Uint8Array(8)
+  const view = new DataView(prefix.buffer)
+  view.setUint32(0, 0xffffffff, true)
+  view.setInt32(4, metadataLength, true)
+  return concatBytes([prefix, message, new Uint8Array(metadataLength - message.byteLength), ...body])
+}
+
+/**
+ * Encode a flatbuffer from a root table.
+ *
+ * Objects are written front to back: each table, string, or vector is written
+ * after the object that refers to it, so all offsets point forward.
+ * Tables are arrays of fields by field id: scalars like { i16: 1 }, strings,
+ * Uint8Array for vectors of 16-byte structs, { tables } for vectors of tables,
+ * nested arrays for tables, or undefined if absent.
+ *
+ * @param {FlatTable} root
+ * @returns {Uint8Array}
+ */
+function encodeFlatbuffer(root) {
+  const writer = byteWriter()
+  writer.appendUint32(0) // offset to root table
+  /** @type {{ object: FlatObject, fixup: number }[]} */
+  const queue = [{ object: { table: root }, fixup: 0 }]
+  while (queue.length) {
+    const next = queue.shift()
+    if (!next) break
+    const position = writeFlatObject(writer, next.object, queue)
+    writer.view.setUint32(next.fixup, position - next.fixup, true)
+  }
+  return new Uint8Array(writer.getBuffer())
+}
+
+/**
+ * Write a flatbuffer object, queueing the objects it refers to.
+ *
+ * @param {Writer} writer
+ * @param {FlatObject} object
+ * @param {{ object: FlatObject, fixup: number }[]} queue
+ * @returns {number} position of the object
+ */
+function writeFlatObject(writer, object, queue) {
+  if ('string' in object) {
+    align(writer, 4)
+    const position = writer.offset
+    const bytes = new TextEncoder().encode(object.string)
+    writer.appendUint32(bytes.length)
+    writer.appendBytes(bytes)
+    writer.appendUint8(0) // null terminated
+    return position
+  }
+  if ('structs' in object) {
+    // struct elements are 8-byte aligned, after the 4-byte length
+    align(writer, 8, 4)
+    const position = writer.offset
+    writer.appendUint32(object.structs.byteLength / 16)
+    writer.appendBytes(object.structs)
+    return position
+  }
+  if ('tables' in object) {
+    align(writer, 4)
+    const position = writer.offset
+    writer.appendUint32(object.tables.length)
+    for (const table of object.tables) {
+      queue.push({ object: { table }, fixup: writer.offset })
+      writer.appendUint32(0)
+    }
+    return position
+  }
+
+  // table layout: soffset to vtable, then fields sorted by size for alignment
+  const { table } = object
+  /** @type {{ id: number, size: number, field: NonNullable<FlatField> }[]} */
+  const slots = []
+  table.forEach((field, id) => {
+    if (field !== undefined) slots.push({ id, size: fieldSize(field), field })
+  })
+  slots.sort((a, b) => b.size - a.size)
+  const fieldOffsets = new Array(table.length).fill(0)
+  let tableSize = 4
+  for (const slot of slots) {
+    tableSize += -tableSize & slot.size - 1
+    fieldOffsets[slot.id] = tableSize
+    tableSize += slot.size
+  }
+
+  // vtable comes first, so the table is at a positive soffset after it
+  align(writer, 2)
+  const vtablePosition = writer.offset
+  const vtableSize = 4 + 2 * table.length
+  appendUint16(writer, vtableSize)
+  appendUint16(writer, tableSize)
+  for (const offset of fieldOffsets) appendUint16(writer, offset)
+  align(writer, 8)
+  const position = writer.offset
+  writer.appendInt32(position - vtablePosition)
+  writer.ensure(tableSize)
+  for (const { id, field } of slots) {
+    const fieldPosition = position + fieldOffsets[id]
+    writer.offset = fieldPosition
+    if (typeof field === 'string') {
+      queue.push({ object: { string: field }, fixup: fieldPosition })
+      writer.appendUint32(0)
+    } else if (field instanceof Uint8Array) {
+      queue.push({ object: { structs: field }, fixup: fieldPosition })
+      writer.appendUint32(0)
+    } else if (Array.isArray(field)) {
+      queue.push({ object: { table: field }, fixup: fieldPosition })
+      writer.appendUint32(0)
+    } else if ('tables' in field) {
+      queue.push({ object: field, fixup: fieldPosition })
+      writer.appendUint32(0)
+    } else if ('i64' in field) {
+      writer.appendInt64(BigInt(field.i64))
+    } else if ('i32' in field) {
+      writer.appendInt32(field.i32)
+    } else if ('i16' in field) {
+      appendUint16(writer, field.i16)
+    } else if ('u8' in field) {
+      writer.appendUint8(field.u8)
+    } else {
+      writer.appendUint8(field.bool ? 1 : 0)
+    }
+  }
+  writer.offset = position + tableSize
+  return position
+}
+
+/**
+ * @param {FlatField} field
+ * @returns {number} inline size in bytes
+ */
+function fieldSize(field) {
+  if (typeof field !== 'object' || field instanceof Uint8Array || Array.isArray(field) || 'tables' in field) {
+    return 4 // offset
+  }
+  if ('i64' in field) return 8
+  if ('i32' in field) return 4
+  if ('i16' in field) return 2
+  return 1
+}
+
+/**
+ * Pad the writer so that (offset + shift) is a multiple of alignment.
+ *
+ * @param {Writer} writer
+ * @param {number} alignment
+ * @param {number} [shift]
+ */
+function align(writer, alignment, shift = 0) {
+  while ((writer.offset + shift) % alignment) writer.appendUint8(0)
+}
+
+/**
+ * @param {Writer} writer
+ * @param {number} value
+ */
+function appendUint16(writer, value) {
+  writer.appendUint8(value & 0xff)
+  writer.appendUint8(value >> 8 & 0xff)
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concatBytes(chunks) {
+  let length = 0
+  for (const chunk of chunks) length += chunk.byteLength
+  const output = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    output.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return output
+}
+
+/**
+ * @import {ArrowBatch, ArrowField, AsyncColumn, ColumnDecoder, ColumnLevels, FileMetaData, FlatField, FlatObject, FlatTable, ParquetReadOptions, RowGroup, SchemaTree, TimeOfDay, TimeUnit, Writer} from '../src/types.d.ts'
+ */
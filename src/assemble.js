@@ -1,4 +1,5 @@
 import { getMaxDefinitionLevel, isListLike, isMapLike } from './schema.js'
+import { shreddedVariant } from './variant.js'
 
 /**
  * Reconstructs a complex nested structure from flat arrays of values and
@@ -105,8 +106,9 @@ export function assembleLists(output, definitionLevels, repetitionLevels, values
  * @param {Map<string, DecodedArray>} subcolumnData
  * @param {SchemaTree} schema top-level schema element
  * @param {number} [depth] depth of nested structure
+ * @param {VariantFormats} [formats] read formats for variant primitives
  */
-export function assembleNested(subcolumnData, schema, depth = 0) {
+export function assembleNested(subcolumnData, schema, depth = 0, formats = {}) {
   const path = schema.path.join('.')
   const optional = schema.element.repetition_type === 'OPTIONAL'
   const nextDepth = optional ? depth + 1 : depth
@@ -118,7 +120,7 @@ export function assembleNested(subcolumnData, schema, depth = 0) {
       sublist = sublist.children[0]
       subDepth++
     }
-    assembleNested(subcolumnData, sublist, subDepth)
+    assembleNested(subcolumnData, sublist, subDepth, formats)
 
     const subcolumn = sublist.path.join('.')
     const values = subcolumnData.get(subcolumn)
@@ -133,8 +135,8 @@ export function assembleNested(subcolumnData, schema, depth = 0) {
     const mapName = schema.children[0].element.name
 
     // Assemble keys and values
-    assembleNested(subcolumnData, schema.children[0].children[0], nextDepth + 1)
-    assembleNested(subcolumnData, schema.children[0].children[1], nextDepth + 1)
+    assembleNested(subcolumnData, schema.children[0].children[0], nextDepth + 1, formats)
+    assembleNested(subcolumnData, schema.children[0].children[1], nextDepth + 1, formats)
 
     const keys = subcolumnData.get(`${path}.${mapName}.key`)
     const values = subcolumnData.get(`${path}.${mapName}.value`)
@@ -161,7 +163,7 @@ export function assembleNested(subcolumnData, schema, depth = 0) {
     /** @type {Record<string, any>} */
     const struct = {}
     for (const child of schema.children) {
-      assembleNested(subcolumnData, child, invertDepth)
+      assembleNested(subcolumnData, child, invertDepth, formats)
       const childData = subcolumnData.get(child.path.join('.'))
       if (!childData) throw new Error('parquet struct missing child data')
       struct[child.element.name] = childData
@@ -173,12 +175,13 @@ export function assembleNested(subcolumnData, schema, depth = 0) {
     // invert struct by depth
     const inverted = invertStruct(struct, invertDepth)
     if (optional) flattenAtDepth(inverted, depth)
+    if (schema.element.logical_type?.type === 'VARIANT') decodeVariants(inverted, schema, depth, formats)
     subcolumnData.set(path, inverted)
   }
 }
 
 /**
- * @import {DecodedArray, SchemaTree} from '../src/types.d.ts'
+ * @import {DecodedArray, SchemaTree, VariantFormats} from '../src/types.d.ts'
  * @param {DecodedArray} arr
  * @param {number} depth
  */
@@ -192,6 +195,25 @@ function flattenAtDepth(arr, depth) {
   }
 }
 
+/**
+ * Replace assembled variant groups with their decoded values, in place.
+ *
+ * @param {any[]} arr
+ * @param {SchemaTree} schema variant group
+ * @param {number} depth
+ * @param {VariantFormats} formats
+ */
+function decodeVariants(arr, schema, depth, formats) {
+  for (let i = 0; i < arr.length; i++) {
+    if (!arr[i]) continue
+    if (depth) {
+      decodeVariants(arr[i], schema, depth - 1, formats)
+    } else {
+      arr[i] = shreddedVariant(schema, arr[i], formats)
+    }
+  }
+}
+
 /**
  * @param {DecodedArray} keys
  * @param {DecodedArray} values
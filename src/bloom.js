@@ -0,0 +1,154 @@
+import { columnChunkFile } from './plan.js'
+import { getSchemaPath } from './schema.js'
+import { deserializeTCompactProtocol } from './thrift.js'
+import { xxhash64 } from './xxhash.js'
+
+// salt values from the split block bloom filter spec
+const SALT = new Uint32Array([
+  0x47b6137b, 0x44974d91, 0x8824ad5b, 0xa2b7289d,
+  0x705495c7, 0x2df1424b, 0x9efc4947, 0x5c6bfb31,
+])
+
+// initial guess for the size of a bloom filter header
+const headerFetchSize = 64
+
+// canonical uuid strings, as returned by convert
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ * Read the bloom filter of a column chunk.
+ * Resolves to undefined if the column chunk has no bloom filter.
+ *
+ * @param {AsyncBuffer} file
+ * @param {FileMetaData} metadata
+ * @param {string} column column path, joined with dots for nested columns
+ * @param {number} rowGroup row group index
+ * @param {ParquetReadOptions['resolveFile']} [resolveFile] resolve column chunks stored in other files
+ * @returns {Promise<BloomFilter | undefined>}
+ */
+export async function parquetBloomFilter(file, metadata, column, rowGroup, resolveFile) {
+  const group = metadata.row_groups[rowGroup]
+  if (!group) throw new Error(`parquet row group ${rowGroup} not found`)
+  const chunk = group.columns.find(({ meta_data }) => meta_data?.path_in_schema.join('.') === column)
+  if (!chunk?.meta_data) throw new Error(`parquet column not found: ${column}`)
+  if (chunk.meta_data.bloom_filter_offset === undefined) return
+  const schemaPath = getSchemaPath(metadata.schema, chunk.meta_data.path_in_schema)
+  const chunkFile = await columnChunkFile({ file, resolveFile }, chunk)
+  return await readBloomFilter(chunkFile, chunk.meta_data, schemaPath[schemaPath.length - 1].element)
+}
+
+/**
+ * Read a split block bloom filter from a file.
+ *
+ * @param {AsyncBuffer} file
+ * @param {ColumnMetaData} columnMetadata
+ * @param {SchemaElement} element schema element of the column
+ * @returns {Promise<BloomFilter | undefined>}
+ */
+export async function readBloomFilter(file, { bloom_filter_offset, bloom_filter_length }, element) {
+  if (bloom_filter_offset === undefined) return
+  const start = Number(bloom_filter_offset)
+  // length includes header and bitset, if not known fetch the header first
+  const end = bloom_filter_length ? start + bloom_filter_length : Math.min(start + headerFetchSize, file.byteLength)
+  let buffer = await file.slice(start, end)
+  const reader = { view: new DataView(buffer), offset: 0 }
+  const header = deserializeTCompactProtocol(reader)
+  const numBytes = header.field_1
+  if (!header.field_2?.field_1 || !header.field_3?.field_1 || !header.field_4?.field_1) {
+    throw new Error('parquet unsupported bloom filter algorithm, hash, or compression')
+  }
+  if (!numBytes || numBytes % 32) throw new Error(`parquet invalid bloom filter size ${numBytes}`)
+  if (reader.offset + numBytes > buffer.byteLength) {
+    buffer = await file.slice(start + reader.offset, start + reader.offset + numBytes)
+    reader.offset = 0
+  }
+  const bitset = new Uint32Array(buffer.slice(reader.offset, reader.offset + numBytes))
+
+  return {
+    bitset,
+    mightContain(value) {
+      const bytes = bloomBytes(value, element)
+      if (!bytes) return true
+      return blockCheck(bitset, xxhash64(bytes))
+    },
+  }
+}
+
+/**
+ * Check if a hash is set in a split block bloom filter.
+ *
+ * @param {Uint32Array} bitset blocks of 8 words
+ * @param {bigint} hash
+ * @returns {boolean}
+ */
+export function blockCheck(bitset, hash) {
+  const numBlocks = BigInt(bitset.length >> 3)
+  const blockIndex = Number((hash >> 32n) * numBlocks >> 32n)
+  const key = Number(hash & 0xffffffffn)
+  for (let i = 0; i < 8; i++) {
+    const bit = Math.imul(key, SALT[i]) >>> 27
+    if (!(bitset[blockIndex * 8 + i] & 1 << bit)) return false
+  }
+  return true
+}
+
+/**
+ * Plain encode a value the way it was hashed when the bloom filter was written.
+ * Returns undefined if the value cannot be mapped to the physical type.
+ *
+ * @param {any} value
+ * @param {SchemaElement} element
+ * @returns {Uint8Array | undefined}
+ */
+function bloomBytes(value, { type, converted_type, logical_type }) {
+  // only integer annotations keep the physical value
+  const integer = logical_type?.type === 'INTEGER' || converted_type?.startsWith('INT_') || converted_type?.startsWith('UINT_')
+  const annotated = converted_type !== undefined || logical_type !== undefined
+
+  if (type === 'INT32' && (!annotated || integer)) {
+    if (typeof value !== 'number' && typeof value !== 'bigint') return
+    if (typeof value === 'number' && !Number.isInteger(value)) return
+    const view = new DataView(new ArrayBuffer(4))
+    view.setInt32(0, Number(value), true)
+    return new Uint8Array(view.buffer)
+  }
+  if (type === 'INT64' && (!annotated || integer)) {
+    if (typeof value !== 'number' && typeof value !== 'bigint') return
+    if (typeof value === 'number' && !Number.isInteger(value)) return
+    const view = new DataView(new ArrayBuffer(8))
+    view.setBigInt64(0, BigInt.asIntN(64, BigInt(value)), true)
+    return new Uint8Array(view.buffer)
+  }
+  // 0 and -0 are equal but hash differently
+  if ((type === 'FLOAT' || type === 'DOUBLE') && value === 0) return
+  if (type === 'FLOAT' && typeof value === 'number') {
+    const view = new DataView(new ArrayBuffer(4))
+    view.setFloat32(0, value, true)
+    return new Uint8Array(view.buffer)
+  }
+  if (type === 'DOUBLE' && typeof value === 'number') {
+    const view = new DataView(new ArrayBuffer(8))
+    view.setFloat64(0, value, true)
+    return new Uint8Array(view.buffer)
+  }
+  if (type === 'BYTE_ARRAY') {
+    const text = !annotated || converted_type === 'UTF8' || converted_type === 'ENUM' ||
+      logical_type?.type === 'STRING' || logical_type?.type === 'ENUM'
+    if (typeof value === 'string' && text) return new TextEncoder().encode(value)
+    if (value instanceof Uint8Array && (!annotated || text)) return value
+  }
+  if (type === 'FIXED_LEN_BYTE_ARRAY' && !annotated && value instanceof Uint8Array) {
+    return value
+  }
+  if (type === 'FIXED_LEN_BYTE_ARRAY' && logical_type?.type === 'UUID') {
+    if (value instanceof Uint8Array) return value
+    if (typeof value === 'string' && uuidPattern.test(value)) {
+      const hex = value.replaceAll('-', '')
+      return Uint8Array.from({ length: 16 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16))
+    }
+  }
+}
+
+/**
+ * @import {AsyncBuffer, BloomFilter, ColumnMetaData, FileMetaData, ParquetReadOptions, SchemaElement} from '../src/types.d.ts'
+ */
@@ -0,0 +1,188 @@
+const decoder = new TextDecoder()
+
+/**
+ * Decode a BSON document into a JS object.
+ * https://bsonspec.org/spec.html
+ *
+ * Doubles and int32 are numbers, int64 and timestamps are bigints, datetimes
+ * are Dates, binary is Uint8Array, ObjectIds are hex strings, and decimal128
+ * is an exact decimal string. Deprecated and special types use the MongoDB
+ * extended JSON shape, such as { $minKey: 1 }.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Record<string, any>}
+ */
+export function parseBson(bytes) {
+  const reader = { view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 }
+  const document = readDocument(reader)
+  if (reader.offset !== bytes.length) throw new Error(`bson document length ${reader.offset}, expected ${bytes.length}`)
+  return document
+}
+
+/**
+ * @param {DataReader} reader
+ * @returns {Record<string, any>}
+ */
+function readDocument(reader) {
+  const start = reader.offset
+  const length = reader.view.getInt32(start, true)
+  const end = start + length
+  if (length < 5 || end > reader.view.byteLength) throw new Error(`bson invalid document length ${length}`)
+  reader.offset += 4
+  /** @type {Record<string, any>} */
+  const document = {}
+  while (reader.offset < end - 1) {
+    const type = reader.view.getUint8(reader.offset++)
+    const name = readCString(reader)
+    document[name] = readValue(reader, type)
+  }
+  if (reader.offset !== end - 1 || reader.view.getUint8(reader.offset) !== 0) {
+    throw new Error('bson document missing terminator')
+  }
+  reader.offset = end
+  return document
+}
+
+/**
+ * @param {DataReader} reader
+ * @param {number} type element type byte
+ * @returns {any}
+ */
+function readValue(reader, type) {
+  const { view } = reader
+  const { offset } = reader
+  switch (type) {
+  case 0x01: // double
+    reader.offset += 8
+    return view.getFloat64(offset, true)
+  case 0x02: // string
+  case 0x0d: // javascript code
+  case 0x0e: // symbol
+    return readString(reader)
+  case 0x03: // embedded document
+    return readDocument(reader)
+  case 0x04: // array, a document with keys '0', '1', ...
+    return Object.values(readDocument(reader))
+  case 0x05: { // binary
+    const length = view.getInt32(offset, true)
+    reader.offset += 5 + length
+    return new Uint8Array(view.buffer, view.byteOffset + offset + 5, length)
+  }
+  case 0x06: // undefined
+    return undefined
+  case 0x07: // ObjectId
+    return readObjectId(reader)
+  case 0x08: // boolean
+    reader.offset += 1
+    return view.getUint8(offset) === 1
+  case 0x09: // UTC datetime
+    reader.offset += 8
+    return new Date(Number(view.getBigInt64(offset, true)))
+  case 0x0a: // null
+    return null
+  case 0x0b: { // regular expression
+    const pattern = readCString(reader)
+    const options = readCString(reader)
+    // extended (x) and locale (l) options have no JS equivalent
+    return new RegExp(pattern, options.replace(/[^imsu]/g, ''))
+  }
+  case 0x0c: { // DBPointer
+    const $ref = readString(reader)
+    return { $ref, $id: readObjectId(reader) }
+  }
+  case 0x0f: { // javascript code with scope
+    reader.offset += 4
+    const $code = readString(reader)
+    return { $code, $scope: readDocument(reader) }
+  }
+  case 0x10: // int32
+    reader.offset += 4
+    return view.getInt32(offset, true)
+  case 0x11: // timestamp
+    reader.offset += 8
+    return view.getBigUint64(offset, true)
+  case 0x12: // int64
+    reader.offset += 8
+    return view.getBigInt64(offset, true)
+  case 0x13: // decimal128
+    reader.offset += 16
+    return parseDecimal128(view.getBigUint64(offset, true), view.getBigUint64(offset + 8, true))
+  case 0xff:
+    return { $minKey: 1 }
+  case 0x7f:
+    return { $maxKey: 1 }
+  default:
+    throw new Error(`bson unsupported element type ${type}`)
+  }
+}
+
+/**
+ * @param {DataReader} reader
+ * @returns {string}
+ */
+function readCString(reader) {
+  const { view } = reader
+  const start = reader.offset
+  let end = start
+  while (view.getUint8(end)) end++
+  reader.offset = end + 1
+  return decoder.decode(new Uint8Array(view.buffer, view.byteOffset + start, end - start))
+}
+
+/**
+ * @param {DataReader} reader
+ * @returns {string}
+ */
+function readString(reader) {
+  const { view } = reader
+  const length = view.getInt32(reader.offset, true) // including terminator
+  const start = reader.offset + 4
+  reader.offset = start + length
+  return decoder.decode(new Uint8Array(view.buffer, view.byteOffset + start, length - 1))
+}
+
+/**
+ * @param {DataReader} reader
+ * @returns {string} 24 hex digits
+ */
+function readObjectId(reader) {
+  let hex = ''
+  for (let i = 0; i < 12; i++) {
+    hex += reader.view.getUint8(reader.offset + i).toString(16).padStart(2, '0')
+  }
+  reader.offset += 12
+  return hex
+}
+
+/**
+ * Format an IEEE 754 decimal128 with binary integer significand.
+ *
+ * @param {bigint} low least significant 64 bits
+ * @param {bigint} high most significant 64 bits
+ * @returns {string}
+ */
+function parseDecimal128(low, high) {
+  const sign = high >> 63n ? '-' : ''
+  const combination = Number(high >> 58n & 0x1fn)
+  if (combination === 0x1f) return 'NaN'
+  if (combination === 0x1e) return `${sign}Infinity`
+  let exponent
+  let coefficient
+  if ((combination & 0x18) === 0x18) {
+    // coefficients with the implicit 100 prefix exceed 10^34, so they are zero
+    exponent = Number(high >> 47n & 0x3fffn) - 6176
+    coefficient = 0n
+  } else {
+    exponent = Number(high >> 49n & 0x3fffn) - 6176
+    coefficient = (high & 0x1ffffffffffffn) << 64n | low
+    if (coefficient >= 10n ** 34n) coefficient = 0n
+  }
+  if (exponent > 0) return `${sign}${coefficient}E+${exponent}`
+  if (!exponent) return `${sign}${coefficient}`
+  const digits = coefficient.toString().padStart(1 - exponent, '0')
+  return `${sign}${digits.slice(0, exponent)}.${digits.slice(exponent)}`
+}
+
+/**
+ * @import {DataReader} from '../src/types.d.ts'
+ */
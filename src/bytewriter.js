@@ -0,0 +1,62 @@
+/**
+ * Create a growable byte buffer for serializing parquet data.
+ * The underlying buffer doubles in size as needed.
+ *
+ * @import {Writer} from '../src/types.d.ts'
+ * @param {number} [initialSize] initial buffer size in bytes
+ * @returns {Writer}
+ */
+export function byteWriter(initialSize = 1024) {
+  const buffer = new ArrayBuffer(initialSize)
+  return {
+    buffer,
+    view: new DataView(buffer),
+    offset: 0,
+    ensure(size) {
+      if (this.offset + size <= this.buffer.byteLength) return
+      const newSize = Math.max(this.buffer.byteLength * 2, this.offset + size)
+      const newBuffer = new ArrayBuffer(newSize)
+      new Uint8Array(newBuffer).set(new Uint8Array(this.buffer, 0, this.offset))
+      this.buffer = newBuffer
+      this.view = new DataView(newBuffer)
+    },
+    appendUint8(value) {
+      this.ensure(1)
+      this.view.setUint8(this.offset, value)
+      this.offset++
+    },
+    appendUint32(value) {
+      this.ensure(4)
+      this.view.setUint32(this.offset, value, true)
+      this.offset += 4
+    },
+    appendInt32(value) {
+      this.ensure(4)
+      this.view.setInt32(this.offset, value, true)
+      this.offset += 4
+    },
+    appendInt64(value) {
+      this.ensure(8)
+      this.view.setBigInt64(this.offset, BigInt(value), true)
+      this.offset += 8
+    },
+    appendFloat32(value) {
+      this.ensure(4)
+      this.view.setFloat32(this.offset, value, true)
+      this.offset += 4
+    },
+    appendFloat64(value) {
+      this.ensure(8)
+      this.view.setFloat64(this.offset, value, true)
+      this.offset += 8
+    },
+    appendBytes(bytes) {
+      this.ensure(bytes.length)
+      new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes)
+      this.offset += bytes.length
+    },
+    getBuffer() {
+      return this.buffer.slice(0, this.offset)
+    },
+  }
+}
@@ -0,0 +1,564 @@
+import { brotliDictionary } from './brotlidictionary.js'
+import { alignToByte, huffmanTable, readBits, readSymbol } from './huffman.js'
+
+// Brotli decompression
+// https://www.rfc-editor.org/rfc/rfc7932
+
+// base and extra bits of block length, insert length, and copy length codes
+const blockLengthBase = [1, 5, 9, 13, 17, 25, 33, 41, 49, 65, 81, 97, 113, 145, 177, 209, 241, 305, 369, 497, 753, 1265, 2289, 4337, 8433, 16625]
+const blockLengthExtra = [2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 6, 6, 7, 8, 9, 10, 11, 12, 13, 24]
+const insertLengthBase = [0, 1, 2, 3, 4, 5, 6, 8, 10, 14, 18, 26, 34, 50, 66, 98, 130, 194, 322, 578, 1090, 2114, 6210, 22594]
+const insertLengthExtra = [0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 12, 14, 24]
+const copyLengthBase = [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 18, 22, 30, 38, 54, 70, 102, 134, 198, 326, 582, 1094, 2118]
+const copyLengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 24]
+// insert and copy code ranges of each group of 64 command symbols
+const insertRange = [0, 0, 8, 8, 0, 16, 8, 16, 16]
+const copyRange = [0, 8, 0, 8, 16, 0, 16, 8, 16]
+
+// distance codes 0-15 refer to recent distances
+const recentIndex = [3, 2, 1, 0, 3, 3, 3, 3, 3, 3, 2, 2, 2, 2, 2, 2]
+const recentOffset = [0, 0, 0, 0, -1, 1, -2, 2, -3, 3, -1, 1, -2, 2, -3, 3]
+
+// code lengths of the code length code, in this order
+const codeLengthOrder = [1, 2, 3, 4, 0, 5, 17, 6, 16, 7, 8, 9, 10, 11, 12, 13, 14, 15]
+
+// literal context ids from the previous two bytes, for utf8 text
+const utf8Context1 = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 4, 0, 0, 4, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  8, 12, 16, 12, 12, 20, 12, 16, 24, 28, 12, 12, 32, 12, 36, 12,
+  44, 44, 44, 44, 44, 44, 44, 44, 44, 44, 32, 32, 24, 40, 28, 12,
+  12, 48, 52, 52, 52, 48, 52, 52, 52, 48, 52, 52, 52, 52, 52, 48,
+  52, 52, 52, 52, 52, 48, 52, 52, 52, 52, 52, 24, 12, 28, 12, 12,
+  12, 56, 60, 60, 60, 56, 60, 60, 60, 56, 60, 60, 60, 60, 60, 56,
+  60, 60, 60, 60, 60, 56, 60, 60, 60, 60, 60, 24, 12, 28, 12, 0,
+  0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1,
+  0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1,
+  0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1,
+  0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1,
+  2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3,
+  2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3,
+  2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3,
+  2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3,
+]
+const utf8Context2 = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1,
+  1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1,
+  1, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
+  3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 1, 1, 1, 1, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2,
+]
+// literal context ids for signed integers
+const signedContext = new Uint8Array(256)
+signedContext.fill(1, 1, 16)
+signedContext.fill(2, 16, 64)
+signedContext.fill(3, 64, 128)
+signedContext.fill(4, 128, 192)
+signedContext.fill(5, 192, 240)
+signedContext.fill(6, 240, 255)
+signedContext[255] = 7
+
+// dictionary words of each length 4-24: number of words as a power of 2, and offset
+const dictionarySizeBits = [0, 0, 0, 0, 10, 10, 11, 11, 10, 10, 10, 10, 10, 9, 9, 8, 7, 7, 8, 7, 7, 6, 6, 5, 5]
+const dictionaryOffsets = [0, 0, 0, 0, 0]
+for (let length = 4; length < 24; length++) {
+  dictionaryOffsets.push(dictionaryOffsets[length] + (length << dictionarySizeBits[length]))
+}
+
+// dictionary word transforms [prefix, transform, suffix] where transform is
+// 0 identity, 1-9 omit last n, 10 uppercase first, 11 uppercase all, 12-20 omit first n - 11
+/** @type {[string, number, string][]} */
+const transforms = [
+  ['', 0, ''], ['', 0, ' '], [' ', 0, ' '], ['', 12, ''], ['', 10, ' '], ['', 0, ' the '], [' ', 0, ''],
+  ['s ', 0, ' '], ['', 0, ' of '], ['', 10, ''], ['', 0, ' and '], ['', 13, ''], ['', 1, ''], [', ', 0, ' '],
+  ['', 0, ', '], [' ', 10, ' '], ['', 0, ' in '], ['', 0, ' to '], ['e ', 0, ' '], ['', 0, '"'], ['', 0, '.'],
+  ['', 0, '">'], ['', 0, '\n'], ['', 3, ''], ['', 0, ']'], ['', 0, ' for '], ['', 14, ''], ['', 2, ''],
+  ['', 0, ' a '], ['', 0, ' that '], [' ', 10, ''], ['', 0, '. '], ['.', 0, ''], [' ', 0, ', '], ['', 15, ''],
+  ['', 0, ' with '], ['', 0, '\''], ['', 0, ' from '], ['', 0, ' by '], ['', 16, ''], ['', 17, ''],
+  [' the ', 0, ''], ['', 4, ''], ['', 0, '. The '], ['', 11, ''], ['', 0, ' on '], ['', 0, ' as '],
+  ['', 0, ' is '], ['', 7, ''], ['', 1, 'ing '], ['', 0, '\n\t'], ['', 0, ':'], [' ', 0, '. '],
+  ['', 0, 'ed '], ['', 20, ''], ['', 18, ''], ['', 6, ''], ['', 0, '('], ['', 10, ', '], ['', 8, ''],
+  ['', 0, ' at '], ['', 0, 'ly '], [' the ', 0, ' of '], ['', 5, ''], ['', 9, ''], [' ', 10, ', '],
+  ['', 10, '"'], ['.', 0, '('], ['', 11, ' '], ['', 10, '">'], ['', 0, '="'], [' ', 0, '.'], ['.com/', 0, ''],
+  [' the ', 0, ' of the '], ['', 10, '\''], ['', 0, '. This '], ['', 0, ','], ['.', 0, ' '], ['', 10, '('],
+  ['', 10, '.'], ['', 0, ' not '], [' ', 0, '="'], ['', 0, 'er '], [' ', 11, ' '], ['', 0, 'al '],
+  [' ', 11, ''], ['', 0, '=\''], ['', 11, '"'], ['', 10, '. '], [' ', 0, '('], ['', 0, 'ful '],
+  [' ', 10, '. '], ['', 0, 'ive '], ['', 0, 'less '], ['', 11, '\''], ['', 0, 'est '], [' ', 10, '.'],
+  ['', 11, '">'], [' ', 0, '=\''], ['', 10, ','], ['', 0, 'ize '], ['', 11, '.'], ['\xc2\xa0', 0, ''],
+  [' ', 0, ','], ['', 10, '="'], ['', 11, '="'], ['', 0, 'ous '], ['', 11, ', '], ['', 10, '=\''],
+  [' ', 10, ','], [' ', 11, '="'], [' ', 11, ', '], ['', 11, ','], ['', 11, '('], ['', 11, '. '],
+  [' ', 11, '.'], ['', 11, '=\''], [' ', 11, '. '], [' ', 10, '="'], [' ', 11, '=\''], [' ', 10, '=\''],
+]
+
+/** @type {HuffmanTable | undefined} */
+let codeLengthCode
+
+/**
+ * Decompress brotli data.
+ * Accepts an output buffer to avoid allocating a new buffer for each call.
+ *
+ * @param {Uint8Array} input compressed data
+ * @param {Uint8Array} output output buffer
+ */
+export function brotliUncompress(input, output) {
+  const reader = { input, pos: 0, bits: 0, bitCount: 0 }
+  const windowBits = readWindowBits(reader)
+  // longer distances refer to the static dictionary
+  const maxDistance = (1 << windowBits) - 16
+  // recent distances, most recent last
+  const distances = [16, 15, 11, 4]
+  let outPos = 0
+  let last = 0
+  while (!last) {
+    last = readBits(reader, 1)
+    if (last && readBits(reader, 1)) break // empty last meta-block
+    const nibbles = readBits(reader, 2)
+    if (nibbles === 3) {
+      // metadata meta-block
+      if (readBits(reader, 1)) throw new Error('brotli invalid reserved bit')
+      const skipBytes = readBits(reader, 2)
+      let skipLength = 0
+      for (let i = 0; i < skipBytes; i++) {
+        skipLength |= readBits(reader, 8) << 8 * i
+      }
+      alignToByte(reader)
+      reader.pos += skipBytes ? skipLength + 1 : 0
+      continue
+    }
+    let length = 0
+    for (let i = 0; i < nibbles + 4; i++) {
+      length |= readBits(reader, 4) << 4 * i
+    }
+    length++
+    if (outPos + length > output.length) throw new Error('brotli output overflow')
+    if (!last && readBits(reader, 1)) {
+      // uncompressed meta-block
+      alignToByte(reader)
+      if (reader.pos + length > input.length) throw new Error('brotli unexpected end of input')
+      output.set(input.subarray(reader.pos, reader.pos + length), outPos)
+      reader.pos += length
+      outPos += length
+    } else {
+      outPos = decodeMetaBlock(reader, output, outPos, outPos + length, maxDistance, distances)
+    }
+  }
+  if (outPos !== output.length) throw new Error(`brotli decompressed ${outPos} bytes, expected ${output.length}`)
+}
+
+/**
+ * @param {BitReader} reader
+ * @returns {number} log2 of the sliding window size
+ */
+function readWindowBits(reader) {
+  if (!readBits(reader, 1)) return 16
+  const n = readBits(reader, 3)
+  if (n) return 17 + n
+  const m = readBits(reader, 3)
+  if (m === 1) throw new Error('brotli large window is not supported')
+  return m ? 8 + m : 17
+}
+
+/**
+ * Decode a compressed meta-block into output[outPos, end).
+ *
+ * @param {BitReader} reader
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @param {number} end
+ * @param {number} maxDistance
+ * @param {number[]} distances recent distances
+ * @returns {number} new output position
+ */
+function decodeMetaBlock(reader, output, outPos, end, maxDistance, distances) {
+  const literalBlocks = readBlockSwitch(reader)
+  const commandBlocks = readBlockSwitch(reader)
+  const distanceBlocks = readBlockSwitch(reader)
+  const postfixBits = readBits(reader, 2)
+  const directDistances = readBits(reader, 4) << postfixBits
+  const contextModes = []
+  for (let i = 0; i < literalBlocks.count; i++) {
+    contextModes.push(readBits(reader, 2))
+  }
+  const [literalTrees, literalMap] = readContextMap(reader, literalBlocks.count << 6)
+  const [distanceTrees, distanceMap] = readContextMap(reader, distanceBlocks.count << 2)
+  const literalCodes = []
+  for (let i = 0; i < literalTrees; i++) {
+    literalCodes.push(readPrefixCode(reader, 256))
+  }
+  const commandCodes = []
+  for (let i = 0; i < commandBlocks.count; i++) {
+    commandCodes.push(readPrefixCode(reader, 704))
+  }
+  const distanceCodes = []
+  for (let i = 0; i < distanceTrees; i++) {
+    distanceCodes.push(readPrefixCode(reader, 16 + directDistances + (48 << postfixBits)))
+  }
+
+  // previous two bytes select the literal context
+  let p1 = outPos > 0 ? output[outPos - 1] : 0
+  let p2 = outPos > 1 ? output[outPos - 2] : 0
+  while (outPos < end) {
+    if (!commandBlocks.remaining) switchBlock(reader, commandBlocks)
+    commandBlocks.remaining--
+    const command = readSymbol(reader, commandCodes[commandBlocks.type])
+    // the first two groups of commands reuse the last distance
+    const group = command >> 6
+    const implicitDistance = group < 2
+    const range = implicitDistance ? group : group - 2
+    const insertCode = insertRange[range] + (command >> 3 & 7)
+    const copyCode = copyRange[range] + (command & 7)
+    const insertLength = insertLengthBase[insertCode] + readBits(reader, insertLengthExtra[insertCode])
+    const copyLength = copyLengthBase[copyCode] + readBits(reader, copyLengthExtra[copyCode])
+
+    // literals
+    if (outPos + insertLength > end) throw new Error('brotli insert exceeds meta-block')
+    for (let i = 0; i < insertLength; i++) {
+      if (!literalBlocks.remaining) switchBlock(reader, literalBlocks)
+      literalBlocks.remaining--
+      const mode = contextModes[literalBlocks.type]
+      const context = mode === 0 ? p1 & 0x3f
+        : mode === 1 ? p1 >> 2
+          : mode === 2 ? utf8Context1[p1] | utf8Context2[p2]
+            : signedContext[p1] << 3 | signedContext[p2]
+      const literal = readSymbol(reader, literalCodes[literalMap[literalBlocks.type << 6 | context]])
+      output[outPos++] = literal
+      p2 = p1
+      p1 = literal
+    }
+    // the last command of a meta-block may have no copy
+    if (outPos === end) break
+
+    // distance
+    let distanceCode = 0
+    let distance = distances[3]
+    if (!implicitDistance) {
+      if (!distanceBlocks.remaining) switchBlock(reader, distanceBlocks)
+      distanceBlocks.remaining--
+      const context = copyLength > 4 ? 3 : copyLength - 2
+      distanceCode = readSymbol(reader, distanceCodes[distanceMap[distanceBlocks.type << 2 | context]])
+      distance = readDistance(reader, distanceCode, distances, postfixBits, directDistances)
+    }
+
+    const maxBackward = Math.min(outPos, maxDistance)
+    if (distance > maxBackward) {
+      outPos = copyDictionaryWord(output, outPos, end, copyLength, distance - maxBackward - 1)
+    } else {
+      if (distanceCode) {
+        distances.shift()
+        distances.push(distance)
+      }
+      if (outPos + copyLength > end) throw new Error('brotli copy exceeds meta-block')
+      if (distance >= copyLength) {
+        output.copyWithin(outPos, outPos - distance, outPos - distance + copyLength)
+        outPos += copyLength
+      } else {
+        // byte by byte, because the copy overlaps itself
+        for (let i = 0; i < copyLength; i++) {
+          output[outPos] = output[outPos - distance]
+          outPos++
+        }
+      }
+    }
+    p1 = output[outPos - 1]
+    p2 = output[outPos - 2]
+  }
+  return outPos
+}
+
+/**
+ * Decode a distance code, relative to the recent distances or explicit.
+ *
+ * @param {BitReader} reader
+ * @param {number} code
+ * @param {number[]} distances recent distances
+ * @param {number} postfixBits
+ * @param {number} directDistances
+ * @returns {number}
+ */
+function readDistance(reader, code, distances, postfixBits, directDistances) {
+  if (code < 16) {
+    const distance = distances[recentIndex[code]] + recentOffset[code]
+    if (distance <= 0) throw new Error('brotli invalid distance')
+    return distance
+  }
+  if (code < 16 + directDistances) return code - 15
+  code -= 16 + directDistances
+  const postfix = code & (1 << postfixBits) - 1
+  const high = code >> postfixBits
+  const extraBits = 1 + (high >> 1)
+  const offset = (2 + (high & 1) << extraBits) - 4
+  return (offset + readBits(reader, extraBits) << postfixBits) + postfix + directDistances + 1
+}
+
+/**
+ * Write a transformed word of the static dictionary.
+ *
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @param {number} end
+ * @param {number} length word length
+ * @param {number} wordId word index and transform
+ * @returns {number} new output position
+ */
+function copyDictionaryWord(output, outPos, end, length, wordId) {
+  if (length < 4 || length > 24) throw new Error('brotli invalid dictionary word length')
+  const sizeBits = dictionarySizeBits[length]
+  const transformIndex = wordId >> sizeBits
+  if (transformIndex >= transforms.length) throw new Error('brotli invalid dictionary transform')
+  const [prefix, transform, suffix] = transforms[transformIndex]
+  let start = dictionaryOffsets[length] + (wordId & (1 << sizeBits) - 1) * length
+  let wordLength = length
+  if (transform >= 12) {
+    const skip = Math.min(transform - 11, wordLength)
+    start += skip
+    wordLength -= skip
+  } else if (transform && transform <= 9) {
+    wordLength = Math.max(wordLength - transform, 0)
+  }
+  const word = brotliDictionary().slice(start, start + wordLength)
+  if (transform === 10) {
+    toUpperCase(word, 0)
+  } else if (transform === 11) {
+    for (let i = 0; i < word.length;) i += toUpperCase(word, i)
+  }
+
+  if (outPos + prefix.length + word.length + suffix.length > end) throw new Error('brotli dictionary word exceeds meta-block')
+  for (let i = 0; i < prefix.length; i++) output[outPos++] = prefix.charCodeAt(i)
+  output.set(word, outPos)
+  outPos += word.length
+  for (let i = 0; i < suffix.length; i++) output[outPos++] = suffix.charCodeAt(i)
+  return outPos
+}
+
+/**
+ * Uppercase one utf8 character in place, the way brotli defines it.
+ *
+ * @param {Uint8Array} word
+ * @param {number} i
+ * @returns {number} character length in bytes
+ */
+function toUpperCase(word, i) {
+  if (word[i] < 0xc0) {
+    if (word[i] >= 97 && word[i] <= 122) word[i] ^= 32
+    return 1
+  }
+  if (word[i] < 0xe0) {
+    word[i + 1] ^= 32
+    return 2
+  }
+  word[i + 2] ^= 5
+  return 3
+}
+
+/**
+ * Read the number of block types of a category, and the codes to switch between them.
+ *
+ * @param {BitReader} reader
+ * @returns {BlockSwitch}
+ */
+function readBlockSwitch(reader) {
+  const count = readVarLength(reader) + 1
+  if (count < 2) return { count, type: 0, previous: 1, remaining: Infinity }
+  const typeCode = readPrefixCode(reader, count + 2)
+  const lengthCode = readPrefixCode(reader, 26)
+  const remaining = readBlockLength(reader, lengthCode)
+  return { count, type: 0, previous: 1, remaining, typeCode, lengthCode }
+}
+
+/**
+ * @param {BitReader} reader
+ * @param {BlockSwitch} block
+ */
+function switchBlock(reader, block) {
+  if (!block.typeCode || !block.lengthCode) throw new Error('brotli invalid block switch')
+  const code = readSymbol(reader, block.typeCode)
+  let type = code === 0 ? block.previous : code === 1 ? block.type + 1 : code - 2
+  if (type >= block.count) type -= block.count
+  block.previous = block.type
+  block.type = type
+  block.remaining = readBlockLength(reader, block.lengthCode)
+}
+
+/**
+ * @param {BitReader} reader
+ * @param {HuffmanTable} lengthCode
+ * @returns {number}
+ */
+function readBlockLength(reader, lengthCode) {
+  const code = readSymbol(reader, lengthCode)
+  return blockLengthBase[code] + readBits(reader, blockLengthExtra[code])
+}
+
+/**
+ * Read a context map, which maps block types and contexts to prefix codes.
+ *
+ * @param {BitReader} reader
+ * @param {number} size
+ * @returns {[number, Uint8Array]} number of prefix codes, and the map
+ */
+function readContextMap(reader, size) {
+  const numTrees = readVarLength(reader) + 1
+  const map = new Uint8Array(size)
+  if (numTrees < 2) return [numTrees, map]
+
+  // symbols 1 to maxRunLength are runs of zeros
+  const maxRunLength = readBits(reader, 1) ? readBits(reader, 4) + 1 : 0
+  const code = readPrefixCode(reader, numTrees + maxRunLength)
+  let i = 0
+  while (i < size) {
+    const symbol = readSymbol(reader, code)
+    if (symbol === 0) {
+      map[i++] = 0
+    } else if (symbol <= maxRunLength) {
+      const run = (1 << symbol) + readBits(reader, symbol)
+      if (i + run > size) throw new Error('brotli invalid context map')
+      i += run
+    } else {
+      map[i++] = symbol - maxRunLength
+    }
+  }
+
+  // inverse move-to-front transform
+  if (readBits(reader, 1)) {
+    const recent = Array.from({ length: 256 }, (_, j) => j)
+    for (let j = 0; j < size; j++) {
+      const index = map[j]
+      const value = recent[index]
+      map[j] = value
+      if (index) {
+        recent.splice(index, 1)
+        recent.unshift(value)
+      }
+    }
+  }
+  for (let j = 0; j < size; j++) {
+    if (map[j] >= numTrees) throw new Error('brotli invalid context map')
+  }
+  return [numTrees, map]
+}
+
+/**
+ * Read a prefix code, either simple with up to 4 symbols, or complex with
+ * run-length encoded code lengths.
+ *
+ * @param {BitReader} reader
+ * @param {number} alphabetSize
+ * @returns {HuffmanTable}
+ */
+function readPrefixCode(reader, alphabetSize) {
+  const codeLengths = new Uint8Array(alphabetSize)
+  const skip = readBits(reader, 2)
+  if (skip === 1) {
+    // simple prefix code
+    const alphabetBits = 32 - Math.clz32(alphabetSize - 1)
+    const numSymbols = readBits(reader, 2) + 1
+    /** @type {number[]} */
+    const symbols = []
+    for (let i = 0; i < numSymbols; i++) {
+      const symbol = readBits(reader, alphabetBits)
+      if (symbol >= alphabetSize || symbols.includes(symbol)) throw new Error('brotli invalid simple prefix code')
+      symbols.push(symbol)
+    }
+    if (numSymbols === 1) return singleSymbol(symbols[0])
+    let lengths = [[1, 1], [1, 2, 2], [2, 2, 2, 2]][numSymbols - 2]
+    if (numSymbols === 4 && readBits(reader, 1)) lengths = [1, 2, 3, 3]
+    symbols.forEach((symbol, i) => { codeLengths[symbol] = lengths[i] })
+    return huffmanTable(codeLengths)
+  }
+
+  // code lengths of the code length code
+  codeLengthCode ??= huffmanTable([2, 4, 3, 2, 2, 4])
+  const lengthLengths = new Uint8Array(18)
+  let space = 32
+  let numCodes = 0
+  let lastCode = 0
+  for (let i = skip; i < 18 && space > 0; i++) {
+    const length = readSymbol(reader, codeLengthCode)
+    lengthLengths[codeLengthOrder[i]] = length
+    if (length) {
+      space -= 32 >> length
+      numCodes++
+      lastCode = codeLengthOrder[i]
+    }
+  }
+  if (numCodes !== 1 && space !== 0) throw new Error('brotli invalid code length code')
+  const lengthCode = numCodes === 1 ? singleSymbol(lastCode) : huffmanTable(lengthLengths)
+
+  // code lengths, where 16 repeats the previous nonzero length and 17 repeats zero
+  let symbol = 0
+  let previous = 8
+  let repeat = 0
+  let repeatLength = 0
+  space = 1 << 15
+  while (symbol < alphabetSize && space > 0) {
+    const code = readSymbol(reader, lengthCode)
+    if (code < 16) {
+      repeat = 0
+      codeLengths[symbol++] = code
+      if (code) {
+        previous = code
+        space -= 32768 >> code
+      }
+    } else {
+      const extraBits = code === 16 ? 2 : 3
+      const length = code === 16 ? previous : 0
+      if (repeatLength !== length) {
+        repeat = 0
+        repeatLength = length
+      }
+      // consecutive repeat codes multiply
+      const oldRepeat = repeat
+      if (repeat > 0) repeat = repeat - 2 << extraBits
+      repeat += readBits(reader, extraBits) + 3
+      const delta = repeat - oldRepeat
+      if (symbol + delta > alphabetSize) throw new Error('brotli invalid code lengths')
+      codeLengths.fill(length, symbol, symbol + delta)
+      symbol += delta
+      if (length) space -= delta << 15 - length
+    }
+  }
+  if (space !== 0) throw new Error('brotli invalid code lengths')
+  return huffmanTable(codeLengths)
+}
+
+/**
+ * @param {BitReader} reader
+ * @returns {number} variable length integer 0-255
+ */
+function readVarLength(reader) {
+  if (!readBits(reader, 1)) return 0
+  const n = readBits(reader, 3)
+  if (!n) return 1
+  return (1 << n) + readBits(reader, n)
+}
+
+/**
+ * @param {number} symbol
+ * @returns {HuffmanTable} prefix code of one symbol, which uses no bits
+ */
+function singleSymbol(symbol) {
+  return { symbols: new Uint16Array([symbol]), lengths: new Uint8Array(1), maxBits: 0 }
+}
+
+/**
+ * @import {BitReader, HuffmanTable} from './huffman.js'
+ * @typedef {{
+ *   count: number
+ *   type: number
+ *   previous: number
+ *   remaining: number
+ *   typeCode?: HuffmanTable
+ *   lengthCode?: HuffmanTable
+ * }} BlockSwitch
+ */
@@ -0,0 +1,806 @@
+import { gzipUncompress } from './gzip.js'
+
+// static dictionary of the brotli format, gzip compressed and base64 encoded
+// https://www.rfc-editor.org/rfc/rfc7932#appendix-A
+const dictionaryGzip = `
+H4sIAAAAAAAC/zy8eVMbSbo++vcQ0d9Bw5wz3ZzTYAm3F4zNRK8zc+4sfdqec+6ZiYmOVFVKlZBVWZ2ZhZCnO4LF7GZxGxtjwBgb
+DF7YDNggsURcfwH5P/Ffx++qqqSI+yFuPKmeE9PBYCGVcnnX533eVzOX2iLncZahnGZ0mlhdlrCpTTRRjsgJj+cV09RiOi986nUG
+SnPWRTOS0pyQXZr26DwlUnRTmRZ2notumhHSTQvR5XOS56ybcuZRh3LfES5VzKaukPiszYWX1Q51uxnNZZhn+yRLbZJXmYBzhxJb
+U+lSYjlEUpKRwtUyoC6RXSTNaeALz2FZxyaacuLZHs0p2k09j/ZoiyiaFtrxhdKBorZLbOoQz3aopDmHaI+49A/M60pzkVXsJk0T
+hfXZLumiLmFeoKj8sCnx747gNvVslWPa+RPNKUmJnaOSKpb1NOmiDummWeJSRalnEc59op0c5dzngXKpF2QYd30idadgnnaY4kzp
+rBC2R6mdI3mVo0p3irRymWcTrgQXWSGZ5QSKKk6U1pS4RLr5jBB2F/OyOcY5JUrniLTTVOkMk/RrkqVdnsiRHMm3+F7WFd1UO8Tj
+gthZ1k0V5RlPaOoGlpOhOAsvL4XVxSzhCc+iXIguh9nUZtT+nXCpDDh1hNKkk/QwLyMsHqQ5ySlOlXIIzyjcYWA5N4VHU8nkvwqP
+KotIeoO5VBKLpnlAMyKQOUq7MsSijvBplnRTh+C+lc451POJ7OqivvaJUsphvhTC/d2NP/7B58S7kfepjYeSbtpFqZ/hJMuZ16UE
+tzOsm2ohuiTRVIuc1xm4vnYCZRPZZRFpZxinGUqk0iTfxTjXDtEZwjkJtKDdVLZYwtWEdylH+N1CU5tS3xU2blTrQHppIb008ewM
+5VwKRQPJP1JdzJOCU0tAFLUiWapcSnVWcLul088yTd1uIvMZyrV2qKeoZ9tS+P/FaM4Sfj7Vkmy8eo50KC18yhXljCotAukTq6sl
+yzI+UdpS6jdZSfIuJd6vs7pdMpsqR2hONFWE2VIQu5vIRIZS3ikcTzKryxdSZ4jSH/7l02abEvvquXSHL4RMY995n/6l5XpLTgjb
+DZRu9Xvaf+9lhCReV47ZNEc8nSMcwmT/Lfn3dp8EPEe6qQok/ZePPvxVjjDtEqWIdFVWUJUlzOPEy/qE2b9sbk5wYXUFHtNSCDyn
+K8Okm2MZ2uPyRgWdpkq3Jv2eLubZUuSUFoJnhKddwrgiGao0kS7xlSUklYR5GS5yaZLOK594iuTVJ35P+0W/p51IrTJCaEkJz7Eu
+5lCilaa+lswXMnuOky6ao6RLC25/JaRrEaUzxFNp4nV1U5mXgac6A57XRHWl/J72rCA8K2lOcZGjdpYy+1qjolpd8HvaWzrVbz5J
++j0sk/hICeEpSrQnPKqDNL1JIQ2elpTaGWJp5mmRZRntEOmmLvs9FnGpwzhPC27fFMLtFsymROUl87IZxrlPSRfzmLaE0uf9nvZO
+YnVpklVpppUUnFOb6S6P5jxK5NVfNjdnpcj9x/U//8kOdP5PsC+E07wIElxo5RPmdZKbNy3YpjxVGaacXC7XIpnq0iStfEm7U0m/
+RzJFWy/4PZ/xgNrMy55PJj9OE84zQtqUSC/HuJ0WPS0ZwiQnFs4Lz5adgUc1tRyW+eiXPrO6aDfj//JR469yRLpcSNsWVPkB5x8n
+k0ns0pYk5wRZqnyhM4FnpwPpOZJmLMp5F80rzawuRwSSC6UyAeWpVr9HBUzblPBvrl9vhMnPSpr/7Zc3GilRlDBXZbEkZqvLfk+7
+R7rzWclszXz1q7a2thyRihM7bxGpmtoTP/iO/xuHcq4J5zlHuDedK+G/nfugIZFKJh3CeUtDw6eX/J52P1CO5RCd9HvaLUlz/3bu
+6jmHKOfSBb8nw4mWRNLEr3+d0JRzi7i+8LTAIlymlOpivqaezjCPuoTTLNXK50J/kkx+/EHDBw0W5JtS3eI7/tW07KCSWa5QOhsw
+O005t6myHMKkS2CRhHuOudlf/+pyKw+sLot6OplMtmvm5bPCo452YSW4LYPsV998+aUnbOoxq+s3zL7GIYUB593wAcyzv7l+PZGj
+RErK82lKPUVcagdd1COKWMSnOaacbMAzN1rPX3GYVooLnSWadjGrK80DqR2aT13wez78sKm9qb2xw1WM5pin0kzaSkidppooSrtu
+pC5fEdJWUACXcH4x6fdkiHT/T++cSou8+lvy7y0fNrU3fv3n6zfSlMguZqum9h9+cInMa+rZH/3l/2r6LiD2TedK1KzYzebm5mZf
+Cv/DpvYPOMvoG6m2K93MosSz8zZN645vrl/3heAexTpF7kbq4hVbCEm7Cb+RunSFU60yhHEhCfcF557oJpbgKks9mvg/vTNKZLQU
+LtXM2HF11Tnf4YtAZohNfeZ1XdWyw2Uea/r+lx+5zKM3nSvVNJHKoUQmk03tLuNdiebmDiaFl5HUtpnqylFPK8G4H2h1rlOdcwTP
+32htvfL765/96UZr8gqxiasoVVed1o5OJbwPP058aAlP32hNXUl8c/06F8InihFXCO/qOb9DiYD/4fd/+jIjpLaI1DdSn1y56qQ6
+Lif9nl82N19t83vabyQ/ueKyLnrlk4t/9ZhFmWc5/yNkl2QW1lz5sKmp3Q8kdUmW+kQSLTyaFp595fylv34rMt9++Pem9mQy+fFN
+50qsideVR9wgcjwdKOfKhYt//Q/STc4n/Z6G739o+NfPz//rlfOf/LWTZjJf/t9f/94iyulmimQFzyhP5G46V2rfBfChSilmdbmU
+aJd5LWnm2Tbl3GGS+sxSknr6yvmLf/3djRtfN7cmUxmhRU7wzJd/+iLRkxY9Vy588tfP/vzF/9jM6mpv+KGB9jB95fyFv3YTqdKU
+6A9/aGq3GdVtbW3txPPoDz9cPfc39veWPxAv2+X+P69zTFIt8orYtlKUcMJpT3vDL36gliM85tEWIbPJ5IUmLbx8J80pRTyb06yS
+QmSSyWRTojWZzDGPZimRtsiqtIBOyLwVaKXznGrq+poJr6XH5ZawurLEy/7LRx+2XEj6PV87LV+4TFmEm/jKs6nqchmnMk+8wGM9
+NlNWU/sPDXagtMWZ39TS0HAp6fc0tyaTX/zXF+rS3zuuauJTRMDs3/+9KUeylAZS+A7jwtfKEZx+9el/KqKY19x68QaHPada/eWb
+PyTSAe+yhOhq/+GDht99+ekXf0v+vYmk07IzIN5HqbbLnCoHRuHqOdahhJfPBoijrS6f+fT75oZfJpOtTZ4tcn9L/b39b39vb/iD
+yCYU4fqDhl/8Ik28rJbMTRPtNP3jg4YkZOKHpvYuceX/y1CqiN3xgbpy7lzib39v18LEt9mPmv7R8I8PGhItnerD1mTStwPC04Lo
+lv/4+rdN7Q0/fBcI3dTe0PBhU3vDBw0/fNCaTH3SmkxdaE2mLrYmU5dak6nLrclUW2vS/C/VmmxtbU22nm9Ntn7Smmy90Jpsvdia
+bL3Ummy93JpsbWtNnk+2Js+nWpPnW1uT58+3Js9/0po8f6E1ef5ia/I8nne+NZlqbU2mUq3JVLI1mWxrTSYvtyaTl1qTyYutyeSF
+1mTyk9Zk8nxrMtnamkymWpPJZKqtrS3V1nY51dZ2KdXWdjHV1nYh1db2Saqt7Xyqra011daWSrW1JVNtl9tSbZcvp9ouX0q1Xb6Y
+art8IdV2+ZNU2+XzqbbLram2y6lU2+Vkqu1SW6rt0uVU26VLqbZLF1Ntly6k2i59kmq7dD7Vdqk11XYplWq7lEy1XWxLtV28nGq7
+eCnVdvFiqu3ihVTbxU9SbRfPp9outqbaLqZSbReTqbYLbam2C5dTbRcupdouXEy1XbiQarvwSartwvlU24XWVNuFVKrtQjKFvSRb
+P0mdb/skmUwm29ra2izhCvfdsqJKUwRdPpVCC1s4xKIWsQl5tyPSjHr2uw1C1LuNbmYTiyhEXCIjpEBGIrQkVkC4zTqFYrbISuJp
+5iOjIDZNU8Kz4rvg3XNEtR6xiZYIBSxhEUXSpBPfB3EWJBsQP6Aq8IQinqY2sygPGFwdcUle3BQeIa6QPlNCpCWxON7Ahc2EcoTE
+uljpbWm7dFzaLp2Ujt73lrbf974feN9vXtsvnZZOSifv+0sHpbel49JJac/866T0prRfOikdlw7eD5YWS9ul/dJ+aef9eOno/Xjp
+x/fj7/tKJ6XX78dLr0snpUU8o7RTWiqdlIqlA3yq9Li0Ulos7ZcW3o+/738/XnpkXj0q7ZW2S7Ol7dJMabu0+H6g9Ki0876/tF96
+UHpb2i8dlo7fD5SOSkelJ+/H3w+U3pz1nY2Vn54NnQ2W184Gy4dnA2e3yk/PRso75a2zsfLaWd/Z6Nnw2cjZrbPBs1tnA+U18/tw
+eb28W147u1VePRs6GzbPGDvrL2+dDZ/dKr88Gyyv4zfz3rHy+tmt8pr5/4HynnnqYPnp2eDZUPlFef1s7OzW2VB5w3xi8GywvHc2
+Ut7LMKl0N7Op4Czr6JyQ3HapzUjOQdaPkCON+FDirwreH5m98jmxqBsoZmUY5TaCSukjze0mPKCcdlOukaanBZG2IwJFs1IEPhAD
+BbhAKW2SOJvkc0RTpGyyboBtSpC556j0HeFRD99LpRSSeX6gSVoEGriA0kxzZIPcpP2aC4twzVxkzjJr4AVlcnNID8Jmi2aEFSiL
+UyKR9PE00hiEaFQSI2UEqIRLPYJ8xxUezTN4VqAFKi8CD3koHq+ptAQXMisp9TJSePrXxPXbc0RbTkZIi/pw0EikVZpmmUcymspu
+pphmSgUUaIZKUy4QwtEeLTThiJAVJ2nKfck87UuqVDpgXJvUV/mU2koHdl5LYiO99myFVDPwbCqB0iC5c5UkXpYS28abGeeAAmzg
+FB5JA5XhRDkZ1kNtkdHUE9rBqmhOWQ61ujjNEi5ZN5XIaNV3AbO6lEN86gQu8WiPgS6YwRcY1Q6TdpooZvmUWDAtWZpjtna4yDLP
+JD85KTQFoKOApigbj1ZaSJqWlHQpEWinWzCLAltSrvC0kwM8g03bOYdZiMU0jjNwtSMpjIrUAFPyn3NmdSGDk8CWlMWJUpzkKSIP
+mcd35AOTpuOYLBFInReBTKSZhFz5gY/0WBHf5/nf437TlHnZwPepBE4CaZJ5nKlCOq5oj5bExdXCEHYBakGahoA7SzwV+FT6xHxW
+agey5QF18SA0wI6ofQPCioWr30ID0pJ4dqCA5giXeBnCFQWulCeBzQRuS+UcximwinPYoA00S9mE8bzlMI5kiejOwM5S7QCj8JhW
+HhadBkxgCeAJAOOwQQpERFl5Cz+pRwGwKFjWrhyu+buAUs9n1EJYz3hGEpcirYTmacGZy7RFIB2sm3GEPZR6miJtcCmkh2oRWE4a
+5yxFnnCiuqidQxSjmAexEFZXAieRIUw75kYRXeVFJkOlsoRPcZi2CxUnPI2brqNywiYSeAjpFFJLRFPEEwixhGeJwBgZZsPh0Osw
+GX+A1DnE9/PCsgIJGPNKRlLlfBcwjTNwVRaKA9xNBTJNvAy+EgKsHHNWgRbtUgSatiD/cqEkGeYR/j+QHMWZTbXwmZWWIucRLjyK
+tNdTPmcAJyznGzwPUKRyibQcBD8USJ8CzKhsEaQ1UXnP0k7gIgsXOcthNJOHGniim3Kk7O2Kym4aeJpxoJXqc+jldVguBN75ToM0
+fhcQrnPMoklk4NdhNn3iUQ7cRUlcBTWW2mEZGPM6CKqA9ChAcooAnNAOVRSRK+y4ZxatCfcdgn9qQKwKGBv+moeCMRcQhALWC8Mt
+od1e9uo553wHriyLoPucG3ANiEbaX0M5lSaerUUX9ZTgzP4IAGgaiAgQPzwlk9GSQbw5N4hvPvMzvubpGw5TiXPnmps7iI0ELZv3
+9Zew8shW27+EsAILbrSQ3SmfetpAuWnR09gBJbY5Jd0AMTwCfFdlA6r01XPOJx1SABimpDuPB3xsfAdCGtuS8B0s6ymSI5LaxLOo
+7xBFO4DIUO/bv1z/9a/Ot7Uj1u35FkLNiWYe9TpFHlhpC0HWoFymHUBvCWDHCN6pZJ7NiEe6GzsAAngG9QKaqGzYU18yIa/D9yDK
+VBJGATix6iS+MQ9cackIh6ZIApdz9ZzT2kHSAbIfKgErStLYfO7cfwMCVcChFIBj9TWUWMtAO/B5HsCJ3yjCPO1SgCUiYMbCacCv
+mbRkNCNFrrEjSz1JtQxgY0WX+i/4869gGVo8qnElDVe1zCf+0QBEEoi5AqwFUWEesQOuv8Nha2kww7SQAP6VRQKFNBW4iIZUUiZb
+kVIZPBuYnvocim2JgNtZWHTUCRQAJQChlONSbBfqAq8Ge8qUgbftAKaZ9hCVkQHTgEc+/v57k6j4jR0NuDzAEo0C8MLVtDzXkeFC
+SAVMzqa+dhL1CoDXpSxYeVQbDHjZTjjLeoCpVA6rwmrbA8mvNQK+Vi5imj8KpRMtLS1XzxFXeNk0No0iSALIYTvKCrZFpMzbkmS0
+pBn4iiz9FnWQFheyYVNO8rakxPVRQTGFgqvntOwA/KOw+ATxJYMBQqrLqUd7iKUBGjio0ig4XAtYc0JR6qo0J56BhlXio9ZkEiC6
+/S1iCECfysTuEKEuU4kxygg9twECtOfgTnwiFf2oqb0x8RnCI868oKcTcLzPeigHyNPR1M4yHzXDyNqkm9mOkIp+hdBKEoa6Sw9V
+N+AqqUuxGep2pIls7GhR0rqmYRkI19caLUSHDvVkvvUTY/p04DNNeB5xmO8y+FOitMGqFWxHi6SKonxAOfBBdc5S6hwqEO0oUSil
+g0wmzdKcAtlXgP+SXUJS8kNT+wcNQPXVdwEN6LXEP35ov2xQQJRU/oH8l6DYZGG/TDLloLyVkNBnBKkKyHJjnjhCNAEs/xQRKKpV
+6uo5J9Vh03SQBcBssvRryFnUD00fNbUD6Gz3YVUAKSrUF1Sy52IyiapBo8Fx03AdmvRQ5TJLCkRvvLm54+o5gMtKadpNm3F5EKmW
+H5raG37hQkkSH6Xa2r769D+vnpMiS2UGsP7n0JlWAKYo8iggSVeVJbQGFq9asRZbMq+rKfH99wkOZBDVHP6r5Pm29kRGyATqdnYO
+Jw4D195Jrvy//Yq5wrsK5F5Sn+dR9lABIgBEZ76Gn/kMtrMp8ctrCRsxK1APQC2uEl4XzbsizTgqai2AsRM+YudM4Hl5IIkKEU5j
+CseRQ0AOBMu9fuPTb25AthLMtqn3caI1mQKc0IAAt6WbyaAOpWpJPJUTUmkUwBBaC8+H/kJnGkSzRSxUJUypRcFTJgC+eUBd/kFs
+kaYf4jKZfS2VhENoR7ku0dLa4jIU0RoBe3uWIJbzOWKutAws2oqV/uWbPzT9O375HiA2VchSHah4qjXZmICL1Vp2fNAAB3HNZjQr
+oPEJhQOH7Wz4VSaTaW/s+IPIIsJrRPiglUOpbgL6nDK6wCn1vTrgzKmNqxhAqcLCITZi06Y6pJrToqfZRqLV8Guu24G8qiufXP7r
+VdRum2UgCUflKQEHaadJl0kVfHUt0djY7jt+Y4eFU0uhIpGWjHiA0QWs4TVx7V9bv0rAGrkkn6ZXmZtNMDfb2PFxItOp8FuiEef3
+xxvC/wwVu0aP5nj+C+KpLusmNbEy44iVoSQXOjLku8aOm06z5aWSTe0NzanGpnZE4ddQLVRaBjwPW6IAJrV3fNBw9ZdALHgCRQ+n
+teMDc/uJTuQS0PgEbqvlg4ZffNCQQ1yC2ocKYG5slDrSzZx1aehWlmUaE6jRKhtLAwjClPMd81UgXKZEWlKbKpua2g6QEeUHSEDf
+7QiAJu+WNaMedYjSBJiICeNRnbSpF9Bug6NILI24TLnCpZ1CuoFnC/Jd8G4DqIpS73a5IPnAJhmK8gPQEE08jTxTKJtooYCwKCPB
+qNEKArSDB1mUyPICpck6AKI0RQTgaaqAqWJ9RPnk3YbCWogiPLANaIPsXXwXMOohXlQ+CpzIHKii8t1yN7WwY4vJTqEMbEMkIiuS
+lYEvHMCoRgw09bKCuCwrLKGI8lDGR2hGsVVCmKQorTGDAymHWIxkSLdA+YgJztKS+oGnRTqgnkB0LUlaMo5/EkSRwiXyplAkjSRO
+acQYWWG923UFNik68U+fyncFB2/BGeS9wLOIG3RS2U24kJkAjoSlpcgGShOWDQjvxrkAwFLZ4N0G4CZbKOEKBdkSgdLUBmTlecJy
+aDpQFskQrgkgWKUoglFmOcIKpBIWRwBJFFGcvtv1fE5uCgALBptS3Vgz8UVedGKXWhKNr9DCkpRIUz5yqCuUBSNi4WOAtRRQEg9C
+471bRs7HTA5kS2FRaZnlEuSSHLIh3xU04xYnUnQKmaUIk6kvPCo1wWOIzcCFACyWDShQNKVYlgN5w1droVxiS4rsuH6AHnu3I76r
+f4ciSIIs4QDU62akk/okzcW75/A5EHlJGQpPnURmhGcLi3iEwyNTTpEGk0ARc4cu8YTiAcr1gcajOM7NswUybAmc0AgSaAwWCp3d
+xMeqAo/Zopu4QgH2U8RNCxRtbbyPEcS2RheICtJMSiY6STfrZhJJnLAcZhHC+buNToGvYpZDqNEpmAJFOJMqoBwrECpjEBsgjLhu
+s0GcY5Z4wKNwq8QJgDqSLIHsavgGThnoF2nBAWG+2xEOSXPCsaB3febeLPBgsgSAAVHdeCIWtIybJjagIQN9woI8h3RC2aEnkgk4
+JYKAWWSwcHhE4ogskbAsiqOiS74LKHcDRQUCSAOmIq0gtsUoN9sXLqO2yBKPSGCpgmocK03XEzZijJpiKOPiypBvEDuwibKpooBv
+OhE5UgJIVv0auWq7LeClLeG6wkPQE9RBNeXC7EiVV1i+cRdpFGWkpCYMt1C9Dnwkvlku0oTD9gRuhnFNpRe4aVgehDWSqoBrP0hz
+ZikLuJnlCFQzYTy5lgQkIYBjSolAWlQDw9MKYFjWFXbAqQklKKg4lmPgCZU2oKOkWSaAgVBwUyxGONbZTS3BA9dDpiXtjEDGbQDD
+DsqAXHAK5lGGuIznMxIQOCdIxkmgHSGhxZpKatCxwHWpNJm5xOlS26+DTT0+8WxfcGbljQvQyPKhoszTdWuifCqV8DjrZl7WNsml
+AbqUAQlV4LHvApoz6bpPhQ90hcps3iM6QKwLICHDsoEEz4h5WctIkshkFAXyqakEgChyKki7gCGABRqQVQU+2D8OJVw7QGqEbQBe
+pXDoPBOY5zvEFjmbpommBrNVf053UksbWFDV0V5OSTagliMNb8v1OVBDYHaOkTEPzlZRooQnKZIO7NWj6ruAAMjTsDkA2BQASNwg
+dmE4LShUaSq/kibLppIJFJeFl5XUp0T/ATbHs6kGKCWkC7PtIoKnViApWEPU1iKb5dTA0MqmqB5DbpllMc2oQqmauHl4shzRmlhd
+pnitMwbkdkxsCXZTYwc4bdQOFM0E3Ghy3uSqBjHBvVuSakUt4dmwTtk6DqlojwUaChCALO6V2gYHUTSToZY2kHgd4VYik2EW7WYq
+IIbnIWQ3JJN+Y04Mah64BlNFcAE/bFlUKbAHeN41l9GYQPAHUIbqrEF4oFMQINlN82mw7ajKu2nBXWNogBZbjiugrcwzfDsCafnc
+gHfC3LLBc5XLbJvTL1GBhDnMAcDMEivvGh2nngiyDrhd1ATbFBh8lnlYN+EWZ/guyqmFWNwWrqkV2AYnQ2gP7gvB+oWppxr5yZsU
+EXQI4iPSULADgbQcm8JSSyNLlpCIAQLtB9oFVzDPDDJpdI0a6F79ydgWO4B9qKOJpnagwPqiNkKKOrBEbcV4N5UukVmg7ajvpo3u
+AMoDG8tlWv3W2C5gssiMgKxa5qzSBmX1RE4S35K4vToWRr0s5JxkqM5bjkGxfSaZbq4vwoe9dUH5yQJxpLYMlGLEB9ZBaQ8C++uW
+ZL5OS8BjBg5EViOz1GbQVABhEHvssdmgCNqhQuYtAeCSGBlAJYXaAFeo/bk5Q+b6ANAcgBWEg18IPmFjIi20Fi7OpLGj6R9AbXxJ
+M6xHmHLB74yct4Ae85ElAh8SgPgiLXEQnASe5XxjLKE2O0IdA3quNQdHlHnZz4ympykJdN5Aw7BvWaGvGwtGYOkl4UaiBbGx2rpH
+MBmxxg1Kir/80Vh444WoCgDPXze+wJh5hRVQ+9deWvntAPUVNYl4Aq7as68Ctk2gPs5MveZaI3HJTeEZdp9H7G7DnkA2dCVxw6EJ
+G4ha1tSl1Gdf/vb3f0r8kfYw+GUA9ZbJBxxjmYlJKX5vvgWGR6svXZ9Jet3YUpoBFGMzSS1dLwu4xAsIv270oqWh4c+eAXWojZSl
+seNrh3HmGzBLOYaZwFzo05+NlZDm7I0QK8/gideNtbEpQBvAtzyf+Ii2ZFvS1AHvQkBOuMhmqY06ADUswKvnTNXJQLtaISw0u2Kq
+Xn6yzyPB/x4hnU2Atlp5VIBcKg339TNJboKlB2tv5KcjTfPCs5sN/g/r5GvjDW3EMx79SggAAgTsTwOINHwLk91oEFhjh5VqTJzr
++KChxWRjwjBTjSTIP/eAjYb1UQlrxrqN5noZw7L6og7HIh9tJL4Pb0Z7dGOHKS4qcFy7FBjAJgWzgNgyF8yMvPDopxmJKBHHhiCY
+evpr42GvpmXiXEcOzkWaKp3BZaj9/feAhbD/xg5W92KBh9qkJH5jB7hG1LaopwJwdQPYEGIJz8D8KgVk8HvjfnCGQterKY1Abqht
+PGk7dkKMLyM8ZWoMeCXwEeBYNMMF0VcM8JAwFa+WT40XMIUlperlPtgN+3d1cB94oPzLja+aLzea0mPiM+MFWhL/zbSDQiETBi9W
+LvHADZIiw3TnfwaGqQL5NFiLSsPA6wwBlpkVIosbh2oCJUn8gylJKFckb6IXi9kUqGFjh2MsBg4DxTzotykhKVNPbTfHYBvw9aok
+ltFu3GFzM5itPgGPXNEesEUCSUlg0LBEylQzRFoDn0acpoiBuj5O/N6zAJRQO280KMHzklnKFI5bYNGpbSpC+W8hrC1fmYgOwDW1
+/2g8Jlc0wTJfm5hNB7KL5pvaDZfWpNZZE5uZ8rL6wsTAP4Ck+w/mKSr1Z1xkr57LGAk3lc2WjImHTY1CXTVILwo3iaQvSdYlGcls
+kjcpsLQF50Sa+MQ29TgF1gzzLhgwCqBQY0caeYDXgoDoI9JNtMkBNLW/NVsykqCMbhJTKf44Y7ybib4MFx0ZMJX6I6Md8rqJAyG7
+eLKdb+xo+DcYuxsOrllRlDk7EdLkwWW/eg6l3kye9vhUauZ1BjJvSrjXPjdW1ABxCWIqLN+aMA5lWGLDLnVTX1hdVJt6S8N1kx0k
+vgAYbCEwkabyrwyibX8K+DoBBi/P2/9bX27sQA8A1gmDZ6rpCmlzoAwfASDl3/7ebngILdmAaSIzzAPTFSu8guostf+M4CKBskZj
+gijgP+aSVY6hGGZqzUqCb51ROUSrn9czMaIYzydMSfi68T4NDf/tMK5Jngtp2AFXJAX7MSMRnWhzeo1NiX9PNJob70gH0AhTx1V/
+ND4aHgeRpG9CQNhklKkaO7oN7cDkwNLUMhMWghVkghrQmjaxve9T7+o5j3R3dIH+rGA3GjtMaVpdM/VhUxBOOOZpybrCNzT83ksk
+DE3ia8FVF2s2h9gppE28z4zHN7XBRLORpVZjc9Aj0diRNJDrn42VazbmyYVcSUUht+AzJpJGHROGHKFMdtBETfaH6JtJcOMaE4l6
+kmCe3GyUX9Lslz3+FVNSRc8E85C0M88QOZSpa3xgSt+Jhl9ABztADvvF1XPa7mgwf21IEwe8IYlLyoJpK1ySzRPpmz0q6asuZhgz
+I5WDjej+cLzZWzm+Gx/21V7OVE6Xo76tysFGOH8cjdypFF9VDnorBy/CwVfh1EG8uRxPD1U3C+HifDi1VSmuRgsT4dhyNPumNrtX
+OXhRKRQqhbXwbl91+EX4dqdy1Fc5eBgtrcYL4+Hb1crxQrVvJt4tRq+Xo4XR+PhO/HIuGu2NFkarW7eqmwV87+kAlvTycTyzHo28
+rT27X1vexwd7B6Ox3mhhqza7WXvyIJ4/CAd3Kwfj1ePjaHoh3ntSOT6NZ9arx1uV4ptwYT0unFYOirUnD6r7t6L7c9W1odqTO+H8
+o3BlItpdD4du49uLC9HMm+rsVDg0GG4eRpPr1Ynp8KA/XChEb0aivq34eaE2uxdO3QkPBirF3srhSLh6HE6NxzNL0V4xnD+JR4fx
+15174bP+6NFCNDoeLRSi+9u12WK00Bvd347uH4ZHU+Ht2UrhVTQ1XTmZx7ILk9H8XrjysHo6Vzl4Ee8W4+JSvLRa67sbHRxEI1Ph
+4Wl4ZywcfFMp3g+n7lSX18PN0XBwPX5lruPoYXjnQfV0vrp8O+4/DIeL8ehItDgQz+yHG9OVg/vxvdvVzZPq5nI4OFHdO4zuzVX7
+X4djj8PBVSx7bL1SvF8pvgrvDYV3+8KJh+Hmk3hyO1xYrxyMRftvw2f9leN74dvXcXEqvjdXXe+tbj2Li0Pxykl4uxDPFcPje9HC
+q/jlXG2ht/qsr1J8Gz0+ima2ott94fxxbW6wdvckmlwN54/DzTdhsVDdPIkWxsOp8dqDwepWMdq9F56MV44n4uPNuDgV7U/Wekej
+8efV07no8dvw+G44OhGODMU7xWjyx+ry7XD+ceWgUCmsRA/uRgu94fRkbWm3cjhdOZioDhzXeh9WT4ery7crBw/jtTvRWG84tVUd
+OK5unoQrw+H0SOV4IVxZCzffxCsnlaOH8eOZ+PmbysHdysHDcHC9NrBeWz6M5zerp3O14dvV0wfRg63wqDdcG48GBsOh/Xhmv3rr
+TnR/GHJ1ty8evR0ebIZjz6P7w+Ht+5CuwjSev/Es3HhWOXwcLmyHi73R/lR1bSQau1fdvxW+XY3Xx6vP+qKd/qh3snI4Es2+CXvn
+wrGl6sBx5aBYfdYXz2+GoxPV/VvVza1waTI86I/uH0a793CnxzvR+Hy170H4dDt6MFkpFnE7fath4W10bzua2IxPJqGtO8fV42eV
+4nhcnKgcD0UPtnBi+33xzFKlsBaN9laKq9jL1mL04CReKUCQCvPhxL3K8USlUAjvPAhHhqJH01j//Ek0OxgdHIRvV8PBt+HGs3hm
+Kd4thiOz8fGdcGo8PLgfbkyHW0Px477akzuQ28m1cOQNPnu7EC4VooVX4eB6OH8cH9+pHIzVhiewx1evKoXb4f2F6NWT6ul8OLga
+TuGQoQWF+WrvQHXrXjh1B6K4dFjd3KgUVyGQM6dhYSEama4cFOLJrfDJQO3ZXHSwFU7fxjGu71QOp8OpO7XevspBb7j5EHc3dQeX
+frcvejwcDg+Zr5usrj0Nh3bDBaiksWnjleJqODVW3XtaKRajkfvV3sFw80k08rZSfFpdXo/XtsKRoXB1t1IoRPe2sdOZ3nBmMxwu
+xJPb8bNiXDgNCzPxzHo4MltdXq8cTITTt+Oj+9WTO3Fxqbq5HC2tVreeQEqf9UULo+HgLozDo1vhyUi48jD6cSOaOYmLt+LicDRz
+Gm/cj+f3osnV6sBxODYfLa5Ghelorr92/y6M58h2PLBRm10PB3drM5uVg7vh7UJt8VF4cFAd36lubcRzJ2HhWXhwO1qYhzys7kZb
+M9WTgRhrGKqu3cLJQBM3IfCz69GtqepaX/z6JDx+Hs2uRguwTrWXD2Bt1nuj+4e1xSfhUqE2fCdcuRVPD0WLA7W56fB4Jx4drt19
+U102mrIwGo4MVQov49HnUI3iVHV6NXpbDMceY4Wbb6qnc/HaRHVr0djht9HiKpRubBne5M5YdXM7PL4H71Mcr+6t14an4pm3EMXj
+nfDuRHh0Dy5gbDW8M1YbWMddnL6s9S6FP65Xt57g6rcfRrvYSDyzW92ClEaPl8PCTHVrNZwcCqdeh1Mvogdb1dOZcP5RdW+jcrgd
+Tk/Ea9vGmAxFI9NQwK096NTJfFiYCTeeG/t5F/5lfTwsTFUOeqsjr6KFgfDuMp6GS3wTbg5UThejsZVq7+3KwUylOBauPI9fzIZT
+T8Ox9ai3Lx57g5+jh+HIy+rmSuWgEJ4O1paL0fxedH873J7Cl47cCXshpfjrix8rx3fD24PR+Kta/9PK4UjloBeWcP44HBqEOZp+
+Fj0+hKbP7FfXhsKNZ7W5J+HgW/jN0+F4fTye2akUJiGooxPhcMGc80T1dDjaeBourEcPJqMHS9G9wUphPBzchf99PFx78gD2f2y5
+enI3HFytHPTG83vhUiFe7o3uzcGUFYagMsVCvHEnLt6NHi3AAU0P1HofQqg2l8ORH8Otw0phsjpaiBa24JGHbkN/Z5bihaX44S18
+9uV4vDEaF9binWL4aDwuTtVe3A43H0HHR95UjheixdXq8Ivo8XC8cWL0fTycXApH5qPZx3ATg28QEvSOI6446A1HhqPbw+HELLRg
+dqM2PxTOPzE+0SjX7no4/zjaWIkH1+LR4ejtTriwG94bgsgdnoZvHxk5X6q9fBAX1qKF3urpnbh4FE6PQNlhD+9WT+4YPwJfA7ey
+datSfFtdGw1PZqEpE5NwZ4WNcPN2NDId3VrCnzZHq08Hw5PZcGS71r8JHzHyJiw8qz1dQhQ0dxzfelM9foUoZWwVT9vcRiRz/zBa
+Hqku345mTnFr23dgRu72VQ4Wqqun0dR0OFyoDf4YFmbjW2/C6clK8UH06iQe2Ij7D2G1RifCzdswsIhM7lc3T+LjzdqToXDrCFHW
+wcPwdrE29yReGMd/xalw8ACnOv84PNwNp7bD6Vvx2kT45FE49jhanI7uz0EsnzyqHI6H05PVPnjS6N5I9GgBsn24V90sRPeHIbHz
+x1DbrdF4dKRyUKycbkYzh+FUf+VgMhq9G05sh6cvK4fTsHJPtqtr/QhONh4gGHt9Eq8+qk6+NQf1PJ5Zj4trcXGjcvy4UnwF+384
+Eq0vh0dT1a0NxBsDx+HKUm1+sDo3Gd2dqBwv1J5ORo+PoI/7b+O1O5DP47vV/tfx0gZC1sXlSvFN9LoY35+tnk4jwimsVQ4eVo4e
+Vjc3w62j6siLcHAknllC/Dm/FE5tQa3uTdWWbxvZvlU5XkD0uD0Ao707jIhx+EU4tl7dW6ruPQ2HFioHD6ubp7XZzXDzUXT/GOHN
+1Gx1c726WYDOHrwIpyZqz0YQZR0VYH5716q3B8L5PUTI43OVozu12deV4lg0uwovszBRXeuFYZ/qD8cexw9vVbcWoYP9h5XTxepW
+Xzh/Ujl8Fi2M4iL2x6tb9+I1RG7RKGIeOLLNh9X+5XgVfie6v1Fb6I12+uGDTmbDsUfR7r3K4Xhtdq82PIx9Ta/WZnoRjWyNxvOb
+ULeRnWhgMLpzC9HFwij878pw9ekxopqNZ9FCoXL0MLq3HW7MVp8OVk43q3sbMPJDC9HiHURNi0+gEXf7jD18VCnAj0fbe+HhbjQ1
+bbRpLDzor24/qW4/ieY2a70PYVUORioHY5Wjx7AGIy+jjdvR/OtofNX4kXmEzYMT0KCpF/CYs2/giHeHq+tj1ZOTcGS7UijgBjef
+IIzs7QsPRsKde/FKITwdQFaytxduTMdvXscv5xD5L9+uDr+Ib72JC2vhyMt4szecuBfNHNYWn+O+CvCwsMOjd8Oj3krxafy4Lxx5
+XJtbweGPHFTH+uP5zdrwRNx/GL1aju4dhCsPw+078KQjP1b3b9WG70SjZlXF1XB6EhHg4Lr53v1oobdyvBvOP4o3ZsKV54g0Thdr
+Dxfiye1K8Wn0tDdaWo3G7sWr6+H2VDT7Jnr9Iy5642l4cBDPPKwO72I900OICY/vwVce9YYrE+HIm9rwneqjifDwIH42hZh/4VV4
+/ASObHgoXEEMjJB1/lE4sh31LkYDu1HvJPzIxFR1c7O6ia0hfl49rhTWkMLcHo0H1yCKTwfDw9PKwQIE7OhlbXi4ureB5GV0PC7e
+CudPaotPosXTcKq/2jsQzZxGr4tIlx7cDVeeI+QbexGOzcNEF1+FE8NxYQ1uuvAM9zX6HDp1by/a76su3671PoblhIzN1paeh/PH
+1b0DPOeoF1c5f1CbXYA1ntwOj3fg6Z71w56fTIabhzjh7alozGRJi8vRqxOkigOD1U1cTbR7zwQ5b8Kdwcrhs7AwWz19FE2uxi/H
+w4ndysFJNLaK1ODtWri6Wj2dRhYzuIoEdnG1ntJWCuOV4hvIzMwOnM7EZDj2CIf/bCR8NhIvLEUbTysHE7WZuXBwHVuYHgmnb1eK
+b8Peo3DkJTY7fydefBoOvq0c30UWVngRzj+pPYA7g0UdPY3GB8Mnj2r3To3GFRBF3O6DF958Exf3Kqeb4dR2dHgSvn0WTu1W+5cr
+xeN4YyZaHgk3H9XmBuOZ/crpMpKy6aF4Zim8cxxuPq0cPa4Ui8jBN56GR1Px6GF19HXlYDxaXA0nppAqTr2AxTi+G996UxuegKkf
+XMP13R6GYTydhtjMroans9Xdp4jZ3gxWT4fDhSWEyvtz0c5SNLMFBzS5jtD35RzWv7gBfzq6huxs5E2t93HlcBxBy+R6eHhqcslC
+NDVVPd0Opx6Et+9D5YtL0PdRowtzz6tbJwixbsNiI248HcaXThbhg0Ynopk3yA4O98LCs2ixPzydjU8mKwfH0UIv3PdcsTY3FC28
+wB7HHpskZaK69zS6N4dYaHQkXJytFl5Wju/WhifCwlA4XAhnNiF4Rl+Qjy8sVXfM6wOHlYMFhLv9m/HmTjhh8vSd/mrf7XDqfngy
+C294PBHPH1ROl2vL+4iKR4ZqPy7Fx3dqy/vx8ibi6vmTysk4MqPF3nhtK3rUV5uZq25txfObiII2F6t7i9FCAUHL08na3PNo0mTr
+s4PR1o/h5uN49HltbgXh1vN71Zf34/sn8exgODUGy7DTD8P7cg6e9NZp/HI12poyJmUjXKlr9FC0NQXvs/I82lsNN2YRSU5tx31P
+4+JeNLYSLbwCfnLwIupdCzcfAI44OEDkP38ANz3yIL63itD3+G54Mh4ejCA5OjlFID2/Ue1fRh46chrujEePp2CO7jzAaW8dVYf3
+4hd9kKi+uyYQfWXglLvh9Ei0/BQSO7Ybjq2HU8/ClfvQ38GB8OgeUgAEDA/iV6/C+XnjnZerL15EDyZrD6fjtb5wcxHHtXarensg
+ejNS3TsMB3fC6dvh6YPq5jZAqt1iePAM9z49EW7MxnNHwEaOeqOZE7hRePZZ4ykgaeHKWm14CpmjyeBqw1Ph4E6l8NKkqEvh6i4C
+fkSbwKAQpRTvRotLtd6HldPl6ptB2LFBYBTh8V04o6MH8Vpv1LsW3VqKRk4rhbVa31g08hpSNPUU2E5hJdzeQdRxuhj2rZoM4lk4
+1R/d24ZtQUwFiCzc2YHIDQxGt5bi0cNocwwStfwoml4It8fDnUeVwiQStJG31b0nyJWebteWdsMpwEHVvScI5xYfwm4cvq4NrEcj
+0zBxI8/j+TFk0HN3opHp2sBxeHuw+nTQYGhvkAnuzyOEezAZjc8bg3M7urcHm/ZgK144ihfnK0dzlaO9cL0vWphHJLm0FE68BHRw
+9CAaeFx9eT98OgxjOLhTHd0CCDY4CIjm1bNweqQ2d6tSfBOPHiJ6OZgA/DK+E90fru7fAvLw+BDZJXKQEyAGT47CwVeVo9lo+040
+OwUcbOwxLmVqFhe98Syc3grH1mu9/TCwk0vR4mptdhNmcOEVgMGTydrTpbh4Wh19Ha8jCoqLI5XCJJKO0eeVk3lgLNML8fh0ODZf
+G56qHKzC6G0fVE8XwqE5bHlhtDY3Hb98VCmMhluH1Z3l6t5hPGPy99XjuLgYbh2GE31IbE8Hqqfzcf9hdQthEkCnowfh2CneuX0n
+evW0uj8VHr6pHMwAzOw/hHJN3zHeYRuGemYdwNf94/D4Cb5l/1b0+Aha83iv9nAqXuyFdVpZAxj4YCvaugcJmSvAVt++Dy3bvA3F
+uTcULk3GxSWkP8MFOP3Ru7Xex/HME+Abz/oNQrWO7O90Mb43F84/jvcewz4sjCP27l9HXDR/AjTy1rxxPUvh1NNK8a0JmZDjw4Nv
+jkaTP0Ybz6Kd0drwbWPl5sNiAYnt80Lt2f1wcAQZx/1btec7iK4PxmuLQDbCoYnqFvQlujVVORytPdgNB0er4zvAo476K4XNcGi+
+UhiPJ5/Dx52sVI5mEUNu3wkndsOpLeTj6zvw2oNvw7H1eKYYDewietlF0hpuTyEW7V0Dmtc7AOBu+RV89Fp/vDAeHQxGqw+j6Ufx
+qztAiR/31YqIymq9/RD7naXq+FS8sITo9KAYby7XHryJNver68VwaCw+LVa37kSLA+HI87DvISKio6PK4SSSvs0tXNnb1Xi8Nxoc
+rxwuVTcP4sktKPXSYThYxJmf7iMaeQSwN15dx0muPQ1vn4bTE1YAGgf1uhl4fbZktqFISuYxiwnNqOsLX8jvAmoFIKqg4mkLQ5j1
+DGFTYd6BJIY463nCTUtq+LOeTyWasAj4q4ZSqiwW2MQ2dXZBAu+7gJrnKNu8Yljz0pfUYkLR7LuCZ3ikqluAy2GIpQrtJB5xSBq9
+y1lTSAMlVxlqIZYNNsp3AfPrxEdluLWK8GzgEUtISUW9uROUXiaJlCwN9uG7DeKYlVMUwFHIwDqJm2Y/MxLBOwXVXIHo927DowS8
+HYvWSbiGO2qouWkCCq40XFihcLZaGG6PcEHY5N1gA+J1LYU5JWUIuMqQdD0zFYAYJq9CHQpsZlTZbYp+bpFBjc0wPZXhwwh0TjBi
+yJnY47sCWBR+vXObKsP2wa1JXyhm6Jmo39aZkNLwP5UN/o1wA2kx4gtbvltGt7YWNsNC/YCmuSEVgyXgBehTFT4TlmSKKYuhD0nR
+bIAnUAmSP9ZsUSmJNO1VlIIYJQyB2jCUbWKeQEQGp6cZ3kqbUTjHyRBlauXKcNUEOEv154MNSlVWGN6gMqxr9a7gMbBs0TNiaNRK
+kpvvdj2bphl2GoDjJji1habeuw1s9l1BGXYe2LLMI+A1UQ+3YBMLtCZhvVu22U3D+wT3790GMd1eBLd/ExLOuMgGZs0QefnueQ/T
+gr/b9elNSJVNut9t2FTQbtQufYIuYJeCQg4qK9qA0C6RebdsMW6RNL1JDCPY0FdtQr3udxuik/jvdj1DhlVpIyGGOa0MjVYatrCX
+MadtCRc3DqqvMu262CmzwadJEwGNILbRSgUOEzH8RluU9krF91Pvh02XfKG0XSqUDtD1/n7CvPL6fZ/pld8tnZRO3/eWDkynfaG0
+/360tI+O9tJ+6aF5Zae0X3preuqL9U770o/ms6emC38DTzNPPHo/XNovHaFb/31/qYif6OIvvTWf2i7tlvb++ffSDNZWWsL34m/v
+++od/KbD/qhUMM/bNc9/jaebtR2VlkvrpenSUWn7/VRprb4L89nX5q/7paP3A6UnZs175jV865HZr9n1+4HSj+aV/tL++0Gzazwb
+Mwbwzr3SXun4/VTpx/o3/rw29Pr/+M8Vlo7e9/38BLyn9/1Aaed/JwYcvO81798vPTL/w1kPmW/fNu+pzzHAZIETMzngpHRo1lmf
+X3Dyvu/9QGnvp5V7P60O/7Ry+NPqiPm996eVA/PKvZ9WTswr4z+tzPy0sv3Tygvzc938dcq84d5PK6c/rWyYTw3jg3hl+6eVFfOp
+Q/NzyHzw0LxnC7/g5wnegzev/rRy0kmg0+adC/gPnxr8aeXVTyvPzO+zP62MmD+dmN+nzEM2zTeu/7Sy//MzsarVf/7s/WnlgVnJ
+wj+f02u+zjwHv++bd66bV9b/+cztn1ZGzS42/3kCm+ad4z+tvDavHJinbZpPPTOv3DWfGjIvvjJv2DCvvDKPfYgP4k/r5j2z5mx7
+zdN6y4dnt85Gy6v4eTZc3i6vlZ+UN8s75cPyVnkLMxrqr58Nl/fNXIfC2Vh5x0xyGMJ8hvKamcEwVD4s75TflLcx5eFs+GwIExvO
+Rs4Gz/rNnIdDM8lhzbyOd2Biw4uz0bN+THc4GylvlJ+X1/C9Z31n/eW35cPyenkL33M2VF7Fqs4GMGOivFbeKG9htWa2xJiZJHFY
+fnM2cDZ21ldeL2+UX5pvxdqGz0Ywm6K8Vn71806Gy2vlXcyiKB+eDZW3zJp2zXftlPfNTjFVYhuzJMprZq7F8Nlg+eXPK35hdrJW
+3jgbMzMq9ss75b3yTnmjvGEmVYyYaRhrZrX4BL5nB/v652fP+spPy+tnI+XN8lp536zthTnHYfPXMbOTkbMRTMIw5zpU3sRpm99e
+mGcOlvfKa+Vls7sx8x68ex93Y85n56wf0zFwSjhjcy9bZh1Pzfs3ys/PBjA3A2yDs6GzsfKr8ro5r+HyC9xJ+dXZcPl5efdsqPz8
+bKz84mzwbMDsolB+XX5+NnTWV97FjZv13DJTOnDC9dX1n90y94mVHJpnPjUygqkdy7gTs47Bn+9uABM9zm4ZmXtR3jGrWv/fU981
+JzNgvuvQSMVWeQPrMt+Kczg0Txs2zx/Gzstvyzvlt1iD4YaZ3iBwJME9Dbh2QHLlmToD24R1IDwFvmEjGpqSjckaZrqDYapliHKY
+8K7WOfaGciLzxDK/1Nn0aNeH7653AigZeJ7pfhb4OKYRgMlruMnorkEfZ45yM3RRamZxGnhm9IJH0dXeheiGeHk77xG33pavDKGv
+m1h5X6KFw71e3xHG0VBL28z0RkhqupOl2S/N0TTGTzjMDI2o9wGon+nK+BbQXakE3xUMGQwfcMCM5nXefQuxTc+jmexB7Rw1bGcT
+W1poqrYDC2Nu8K+MkKB8op3NIl69ecJWgdmuCZrRW2Q5aFsIpJljgS4TDBxJSyLzhqVsRncS9HuawW0SjQlE5l2CNndapyUqcwQI
+CDzECr7EuB4XbRFU5+v9GOas0UpmOPm2liybRZsCmLYKtEzw4bjp3UWw5iF0B0U5jyCeWhot46A5GdIXWup805rAwWWq95J83CkC
+6RFEiOY6MXfNoj83mtAekGfVz70VafA1Lfoldqqcz+typh0JytXXhi6dED6rj30ANV6TbsO+Q4JAZN60G2XpdZ+AG5ZFPCvzNrXA
+bEKzKppHmML9Ye4HJxLDE5jGnE2QF7OmoY5DPtAyQM07VZ3oZOZjYEaF6XfF8EZGeL3LQdWbMlSdn42hXTgzCFigKTjAzHSHQDRs
+lkVk7jMLx/NpfeaKi2QDJ09A+uX1m663ydQzIsK7GUhk9fEz6lydFq8Mr5OqDDW8MTBlsb9A6USa1js71H/VpTVAswHPUzSd2eiR
+AGENBH+jY91MBAqZDSd5rNI0HRiZv3ou4B0fNID0iqEC3MwlMXw+5oHBB+omWvmylNS3ggFoWviGgU9t37QZeEH9+7+o790ipq37
+v+uqBiZtgKYcz0PfALUDi9qfYnwIWjKQ3yhJs7iqRJ3nVif1gscHafg0QNeZzlJt9m5aWxSWwrzs1/UrtojR33qDDPoMTLMLonqL
+on8AF2zOWkHqiGdfS5lv+l3dCCSuJTyaS3xev4d6a5N9HRJC+J/qtgc2hJkRDlCSHJHQh8/R3ZY184jSGMgIyqZKU9NLYrjg1P6C
+BlqhpceDzBv+vqzP2cEwGZ2jPzf387yq789maK6h1+vqm6PEh3j2OCzNNBp+f9nc/HndeJgZOGio7sY9iMCwQH/ue/m5OeajutHy
+A+SA1Njpa411yn0ChHMzmMNIyO9NLok78X10GJBuxvP1xhbVnMJMwQbTiCDdz+vGCsNpvXpXEATMR2tNFgNSQJOsG07D4af2byH9
+Xl5idgbI6kjyOphn8cCmOYfWRQqdIPb1+o1ZRIOo/2ndB9R7iuoDnpQOPIbPG2tD8+hzSRP5OboDs8LByBGS/21dw9ExRLL047oJ
+MiKlKYbpMi8LZeyG7CoQE03vFeHGAPF8S0MDmgXSgU54QtvUU0znP5MM+vA5rK6iGI2VwLhJlg40/b00s6gbE6YDu97GoZDfMjOU
+Gd0Kf6ibdCcwDY/MS+BdJIMxrOpzh0i0M6PDkPC0rNOzmemz4ubd2SuYw3utsd49kfi5SQlMf4/avqQuC9AF0kWy9FMXY0jJl7bp
+jf97fe9/rHtttKUktDDMzmuNcKac9oA1DSnQpvMgDeZsNzUTv6hsrrff1dvpFGYyJDTebSdE5ismaUb0wLmBmMxchqTZGCvbJT3M
+DVynbuQk8ZnN8xY3F4Avs4WLzgOM/TZ8b2VmW1HbZ8Kj9d7qANNePaJ03hG5hBaJ6/U4RKJDMaCwJcLNf1MPK9Ky3r8GmwwDJ7OU
+59EIhCE19SP4tB6VfGnDIycUzUKLvxFpKnWi3s6hviYWq5tm9AYEfiJnxheB7nolRxMY+/2p8ZI/d2mob+vdehi5xKhNLGMgMEGZ
+dVMzdIPaVxKGyqvrwVAaXlfpNPVohmnwopmXvV438JhM6gauT6VDfOUKY18wJ495WaYSGGiOvUtFDVLi6QTmU19rNK7OyyIeoN3g
+/KMVAfdgJpe6FCfao6Xp9KhP4jI04SvUwGo24TyBuUCgZxOf1l1yjuRx5IlPA/Sx1rvM1Of14KveVabMEDjCzdA0ZVpDmJc1EzA+
+aPAx09rTWprWSAvzxn1tYjcQiaVpVquTtuttnBgEhha5xIcfQvFyzASJtMfnpoeV+Jrav627+XqARUmawS2hrdqYCzSrqaYW0+Rj
+Oo6tn/uQEsQz0E4dC7PrpP5EvQdHmqFr4OljVhH90pD8PdpjvP3PTZaf10M/ZjAz7tEA/kEF5hq/rbdEoKUDcgZCdGMHjDhHWGge
+BkfAvGxzjqa7fm4jo/Z/BBiPDH/kmwlxlmauuuEIl6iEK24iusE1MjOWBW2NtK7MItAwd1eMRH3sYPwWtf/M867PrG/rRrLeyKrM
+cCpqo4XTY9bPXZT1dkbw8zW1DIarjfEwN1LvjzVDxng+W2+ENSOyOGf1ITVwfHhM3SnWJb8FUykc5mNgD0NrrTFdpjsHYQoGEtmB
+NleF7lB0I9ZDRm3+njW6xtGMgB7Cz+rxPGdpfO8PCTOY5+t6OEl7TGsSRtZ/1NT+FRfouai3JyrTSUftL6E78DgZeHu04ooAKCq1
+hXudmr0010/pq3oojT4ykcEQE4wPMqOL4K499FxiXNZHyaZzGCXdaaZrw1zU04jrmvoO9dBAQL2ESJukwoxn+qDhj6bzLIETYzZt
+TJihN/WWZdXS0PCVkImGhj8SL5+o92Ypw+Wntl+3ehlmQjIMyUiIDABTM94QXRfq/+fqTb/kuM4zT3k3shu97+tVesYouGsB6Zk5
+blRW+YAFUgTNBYeAxOlx99G5mXEz8xKREam4kVVISD6HBEWJoqnFbtlqu+W2aVMSSRNcRHEVRX0o+zvwyYUzX/RBpOg5M3+D5zzP
+897IckuiCNSSEXHjLu/yvL+3nnOUAEwaxfIgtlVI6VHNpU8EwALcXYDkLGZCE+22B5GWWY3CjCXo7sDP+WYM5rXKKMCQgT82bRBE
+xKLFcmRNFo3L0jegFp/suT05d3FS1U0A0j+5eoyrO5949ehTy9LCAZbF7gDk+3koaDmc7KleL+leggbkLIxZV49HsozvUPkB8WI9
+l/TGhmJmqeDUHQSW5Z05I15bXWES1uMxdjCSP0KDyVcu3TCircIS7S0coKYOLxBwdFePf7nxn1nU22jXAPI2yGvVZE2T93y9AIcK
+xXuYnxGlIUAB4QrntJV8Kga0ktgPU5wVaIrgfBoBQehLHq1u5xFtHqSEhcI7HqcqVikGnoW9KESKk8qdK0vXRJ5x03A+u6ttbEKB
+cpd9PBHKlreHHhtLApgbd+aHEU6xT7BRcIY7D58S3ucktPiw+1CS2CxVacKCNxwTKtNQGYi7h7UuDtYMlu9yjulG9OEIvuIskotY
+uTiW09SqIKzABKrqdku7wFDVNhv0W86CyEm/H2XZm6yf6u+O6mo/NO1+rMtAbw9znjU//V0M8iK297DZQIG6J6wLnAM+kY/X3/XJ
+YZxVJlsMttAxYBdtMdyQXUZcPfaOu9YMDmqz3GLl1OZYJkCxCDjOAKc58MuRbHYiD+jLwPuKLU/7asEt6T4y1B23ytTC9ItpOiZ8
+EntBEeHEkL2pDcUdTGvcLibpAhANginSImK0OHRAZrLeXQXd6RKZBQ4Yf7zNeobXCUtpGkc4/0KTVLQ4GC7xMt2DMlEvKtihklfg
+NLE8ULhU7odLB6GIaUqmW7m8iJPJV6l2yGDBs1nAS4ZTmkRJQM0wTqfEquSEFiqurcETgpflWdcEjz2FQkWEaxsqxKIb0d+F19PG
++SW5ziIdpMuL5kpMU4JTQ7NJhOYa7YJeb6g5SHQd2nCgTtPIDzsPg4vRFKwmL5dz9EGJdItjLiHqsdTp7C8tSi4gJs0SGylwB1um
+OCIenqZDGC0sHpIIU3VtfV5BLg1r76wjCZDcN6SxFk1MMzpUccTwVChggHiUD0/v2D3ZE+Vg89evzkq3z7429NVAgANHAC8JPRVi
+FUJVACN/etO3bbOmir2E5iqxmoADNR6P6VZfC59CGWjVqkw0OaDS+lsXFUMqUF2OSBJtvlaG4EWiNBy61rhY3Qdy25RXhoEpX23A
+avRd72gGo29DdYotRZp1d7ciPGO/jz4wjNDVzb0LuEPLc7ER44CPkmoHz+UBYlZK1fqlixZYWne+KpxT3aCFf4CoZSX9uO3v9oTA
+SJ9gJx13Tn4Ofnfmec6JjNE29RKIO54B3Jrx8wm7V0wuJrDj3I4DJ79GEdokprbZE63kgUUq4yw9IvcqVm5G25TRO5zWvkwXWCe6
+TnZmudyCn/tpXy9a9hQgi2Dt3IKYRSzRNo4U3Vq/UHHFpUh3/N7g0KRHpeDpHJOxy96JEyCOnfdVDKUbyldjMVx/F6XdKcjuuRbO
+DRs/9bM1oSM+qwU0X/CjT/MYW1PVY+/8ucvnftP9CuzEaajoF8GpaBe+ZOE6onCgKy7dp8n7O8VtpixVypnieA1mw4WWt/vLaEKz
+7fq75NCiw42L1UOKcQYZumiJw70HtZvVhNaPqyvifmlWjJcj7HxYVYpLtckBhJoS1hGq/IDc9JzXeGH1AVuA7PS3+q4J5U6/QMl2
+PdcV2iIifzRThWwalQAzNaBTxmLHlyM476e3uVOoWNDvDrjP7/P4Z+xw35fnFH0FmzcsGq8YElPaoYhlCZvowB6Mx0xi8G+85EZE
++so4Ymm3sRq152UrwmV1serxnToBV1iPGavJ/UQeuLtwwtZjnIYML1ZoHINjsJ2GKwhSXmlZnHxKhZF9J5TNzoF2U5zyD8fJdo/P
+BxwGnvBcmep1N2oW5NeAa9DfRRzTN4HAzQSYHZxsOAaL7GgmVQW7tM4QBW3FHdc7SehlWxMy8LA89ouKC98jW+MiAgVA8xBd8anY
+YGoZkGFPYa2LskZVC789h6kA1oVHyPN+eqtOHJN0rmqndbXU+e4eVmjnbnnlcj/SSLN80vj92MoUQwCFXs+GQDQPyh5kLejJnst0
+CA+ckJAcCV2WYJwQFpS48w2XOG/J7W6uuFiNPSLRS18xhIjvTX3htZ+hYZSrx73epXoW3ClSkE+JupGuhCWA4Tz7yxIl6q4ek1h7
+ehvRyXDgROtxZGWHom4cCpiJUti2u91m7HWnrzrvpAJYh2hEKMeXFFW5J7Boe5+HcCAPKU0RgXUtcvb4AD8iMwHHuQMlCqdnOr+4
+gl1RmKB1OsSxPdCWhy5EdbX0jiXG/bP9advOceWYnKgTPWKHyqVYNM1IjgMWOj6ddl11SekExDtdPS6Bc26XY/kW2OQPfAryq9IC
+gaZwiV6km2peP0zESUV+QGrPlQineB42jHrAvaLt29/dpBlaFDXtrLEGBPxVV48RD/Ht9LxOvD2FjsW8Sad12MxDY2YaOsLBStDW
+hZjcBTma4zhuA5rgODRj2yS6c5NtCapiLJx8PYRUJzRhXLJee+KrONpxD/h2ukknu5romHdzAUC8I9ca/LWmbkCwxybA+Jcb0m1p
+0NnMwXvGMe/ASnAQt9DWb0glMcgRCAotT6eWPOCyXhTjBqGWeuweYLDiDiS7EO+pHFz/uxQehtVf8xcgMdrXuiUhvr/LQv1QoM3K
+xsaumA6OoJFQ3K+4970EQjl2fFqicVDZTpeMNvlSwAyqhmBigETf3028gwla/YQm3cWq7NOg1i1SasRe+kQTJsid1VXrRvV8AfZa
+IR5BAhzYLeaCUhfAbOIV42wMRfL0czQjCQBYNDi5inq04EBOwdYnTB9kmvFCESgn6MXuPcC9pSVOe5pTjy6aUHxSaQ/cLkMKNZI8
+yik6BgNGYUHjwj0gf1r1/L0AZ6Jqh4GxtSthuQc+WryKSYTTfhZHv3SG/8HEaxCXKkK5dAKNOZ629biuguMIlnXjdsgXRh4I1I50
+UUYp+hjAjmx53fGCwel99lyaiMXkRg19fGijpkEU72Ccl4Q1FhCl44nCMNoI6wMUDqHPNtAlBvECX2GxqLLeTYODNXZ6c9+Xa6cZ
+NDq9TXCwFh5Obe02yKbiOGoiuHxCHiXgV09v9xSZbWLlsNnt0dpOok+5uxZ0NI1hdFlewZ6fc37PA6gVk7oAle6yn2B+nuOiOotj
+68DjkMIWOPeQYLEDpYuV0Ae/fD+AQGV1EByWxJ7ycfctCh/TTP4KQis4q5iZcG7qE+5lUdGBIzX81DonX6yqGj9d9nhCAkcLPgm8
+DXiFZibUDUMRwluJGpbuAuOhIf8HCXCs+7Yeaw6ieaYDfr4Z1ovmHoWZHkX2ullu8Szf3JR7DNOkAu7GoXWK0ETg4SwdWjGWiLTS
+c+47pm8aB0YwdtCqgJONDmWcdU1dLWdFKOkQoLtFaM4ICwHzwFfG8ehv/YobfPw39+ikuZ2awREH3zW1jq3dCifrF25L6o6X5ORc
+PODR0PCAycFREv0MbSuBTkFHSGyAPjE+bDFS7m7OCRX3W4zarQkkOAVsbVhfPdBRpwcrwGq7FqoLrqirUyCwwg/ZdDygDw42+6e3
+e0M6xBMS3+uzGDcXq03HwJnCRelzn/vsb20fRJoA9TgtKw0P8qSJTNKACCcmO6grlxu/4EbqkgB2clQGo3p2aVQ35xQFl5u7KW+w
+3ZM3yAnZd4/EchrKWVoMF80QPccWsQrDSLbuJlsCrAmG6MQdTOTE1OMKTDRf7imTDZZd6dmrwLU1uwGUyw2FeDYEWRxslXG319t0
+DC/GCiSvaREhe0x3W0ycnC+3Hz19tTloleVBKBHZaxYlreeGwbiRViOMAvD6FiU2wikWfX1F9MT1HU2iNQOnMc6a2pqQd7Ca537y
+AMkl7jfQZ7VYGg0K8H58GGPpxV1s8ZpI7x9swaiDbSOeIwz4ahSmcYZZAzdiuHSiTm6C8w80eO3QBIOP1dZpU30eCwYf5oCltUvN
+r7ORE3p5vzK93nEp3BuaIddoE6+E5MRD3DTcI+F/lvqeowlkuXSMpDVO+6dDjLN34kRsHXo8IigaCqDAMVjMjTuHrMcMvUtjw532
+SnCx/Q1Z/ucqMA9r8Rqd4QHtnBCSEKFRREP7p9FIbY3BgBLJbewooqrZTa9flGpgY2MXPQYdYuI7fafzLFYMBgyUxhDZ5lO7g/+8
+lUZIfuHyezLWE4CszfJAhzB7rPj08R13alEBF+zYtrZpy6UTC+bsucYPo6+wC4eCm+KiWYIuhqdlFnBDxMD1mGjlgL7s6jGOzCYU
+eyVGrgJKDcG4Cc9bBW9Jxcc2Y7lInXjBF2Bx78nDFLwq7cpt5Ugg6pfCbFgKqeeorAiFvILNeTrbd7/u1DmmHS4dUl1AtofGibeY
+CNkPxR56iCCMUWDewKygleBT2unjIFJOCjqPu/xwWdaV8mO2zTDcgBxsyxTcuUTzVSS6hNUXGyxdxAnhdrtY3QvicF3daZHL0QjW
+hSChDjh+pE5lpp1mF721OXazNjnFZGPl7luUy9SCPAQLFwlOhF1nHvvPfLwo6Qkj1OfY7fTUfzgV560sYieGGg4b3I44ewnNlfFW
+kPP2BgJ1A00pGFtMQuIn14Bs6504geniIhYtWkJvOubV2MCEiM7ghsstrd/hhJZP6Q/wwi+o5wWbjYRiKPPgzvlV96vzq4+ym8km
+uyI5L4Lq5izQYtF83thhTG4b8xNHE4Gxm/pMxyPS7Yjdug5fB53pBAYUYApBMgiQ0A7T+SRmaUGAYCM2f8/hEK5JWYVFPdZ8wflY
+IeLrEPbAkOO4Uv7wQGbFwZRRWOS65qEYNrvo96lYjlOGeIeHVD0eLeDbh5gYP/N8Re5cMYsNw71XQ7Et+q17QBqli5jX6w47SRNr
+2FJIITY8YGO1D3TiTp9tTwCCUjIY1q/nk3CTpfXLzZhdD5yLcOYh95jh3KQjtmiTb2MaL9vajQkRPKiw99R00gRKS5x8FQJmVbuY
+wWxCYiXSSCwig9r3IDmbporMrQmeiXjk3NVj6TwcJgMOBXgTSLki75xGJjMAzCrD5DbgqDmfLrW+KsNS7Mm0pWN0r6l9G70T7xEt
+GPBgLd1BbhChYAsn509/Ftqxg2mggVXK1UOzqpEv7+F/+lrTfbZ48A5FHvUywZJy6BWDJhqVksHNTDvYYsgWDE2glg2m2CIFmWm7
+FD+GAh0XYjV5UCmDWAkHXHMwHgGS9VR6UGlVQiZ9xXQC/ACejsMljTbhepewrNgelyeeuJyfhdkPEiAZqu6yBHKbiv07ksLW2Lep
+v7sAQ7+/6y4hoIygxT6PgGYSGgdljmtrmL4AHseQXKyUlXNO6QiETGJya/3zDz2wV0twyHUOXQTdHPcbkm2IKYgkMvVENY7fA5nQ
+2zLT2sI2au4h1SxeZcwDVT2whxn50uw5xVPUO/F9i7sg4Urtft0KFUZWmPziOyeMxcz3JCHZNA61sK8UK0yRgEXeEaJD7HUjfgrP
+NmQqnCRc0A4kuApTwgyhz8IDrJ3elhZuZ6g4HxypJvidHYewykDTtUfcKHJZTNVyMRp8dJM2el3hYA+F21QMETkseDaLFgMpQKwT
+q9B5xz5jtfZIQf82sQ9yilGhtadofRIJGDcdJ1NM0irBPIAzo+0e7w5TGPMkhiIp/+cdoYyYu9OYiDCE9IRmmtJWnx7KPOjvstXD
+BRnrQoCve8ccDn7dN+FB8v8cO4CEBl3fgc3GR/vMxT2oGTdfE8RYVgW3GufdhhbgRXIvObQ0Kxq8KnlJnxb/ep06C8pOY12sI+au
+/K3iahQOMrluGk+wK2G4Ls9JiNIyb7i8IluDR/DJHlZTKJyH9KquqgWgpeWeBI4M9qOgiLO1bmhIIGrjIpb9uovVqGG/MiHyNqRr
+Tg+NkCpDswY4aVoBDpEvF6vzijoEBPVgsaQp8mro01Yic1cqzFT7Yie21KxAYLWPfULSUh4oBjdMmnQ9OWmbEa5jcDtyvXRufto7
+NB1zTbgC5L2kUOuwqKcxfVoTlM3C0H8EI7AutV0aNRyYIRfejD3kfCkOvFOOz2Gd8ZhIsI3FUHaaZ4nWRLMUJD05JYkuSr8UEsN2
+0pAXY3Y9RGIdq4Np+FhBpZciCb+ImCkkjnZGGCwgfis3VGKamqCyZIc95wXvdCJ+b+KjcYLd72lXICW8aO+NE2iY6F0Pl0ivyetB
+NqyIBEcPKWNa0vUpvc6xRNZlm7DGJpgeiL5WTRgvUuZKu51PXsLvXFKaTFjMxBxtTMofbWK3cPVYmfZ1tINEHnZBXiSXU1nKeNrS
+vvLpT4vLeq9v9n1TbLHnkvY42pSIrkLrBcEFMPPlMl1ZplHjP4kKuCIwoXmyd64F+dczhb1QX63lOvpEl3C2FlXb3zUKJrstOl9X
+jIZ7x4ElwT40UxNscxNwoKK6z/akP0I/aDz0OhcjTi9ER+GpPYL+0wFvfOQ5J+4Faxk7EUULxpX8rCYtdHSIeYypTcWAoEd5XeI+
+Z7o6BEkH0OK0DWoc0WQrtTpLcQMzBK4x9nXzyQSlywCnEwxrcGlj2pBKbKrIHnCYvirgfbIHY0ACAe3YEN9t6cvg1Ia/xCxGihKX
+jXUk3LUYj31ZC885YPB9GiArcm29p5QBvZxYiQFq4nEen4VfVqHZrxdJdHz3W2iihQybwwexo44vkTqrIP/FPrjVLtD2ETBbJMIv
+1WU9o/4XacANN/Bu2qjdQv/8Q+7Bhy474fTX+U68O/CNEzMfYfpWJyxdyZM9HfabU60O3iGyYBHpmT4WZ3+3HpZxAnwxMtp1H8fD
+OPJgb2t3N8Rabi6ae6zoyWNvnsbkAZFvw33o5hWa/4TY+8cdzKlQOEgQKP/FPu2SVHresRHmr0uMqnoJO67dMLJ3JQ/YnX7hl3yi
+ln71wyy3WBcB2gmg7aRHOWAf2HXHQLJ3c8Wsam3wG3qB25IeCabuREWWviIczHUWs0GTI/bctbV31FOsRR5uFljYVu47VNeWECcx
+MIH9CtPns0oL4S79fOkd1xUiO4yqI2bfY6M1nIGMpf/nxZkzv7rnGTN0nkqHEyekVuXKTM4PLu09fOHi5YclYBFtfYui8/rqXcsL
+xVr/KgtA0/qB0pyx4jnm4titHURh+Z0M1OQ+iYAuc4dTTxx5KGg5u+ESeG0k1JTokGNbbAnEr/Zc1X5dwkaJlUOWz2vBDpW+v6A0
+PCPGkxoJ+1lIWkZOOrKBYhZ+G1jowZYw6In6Kt/KclAJQBOcGOBc31tT7+izz6WuvRfn0Q4iZBhn1EXHMnzKU/K385v/ZXttvBCb
+PG3tMhyO0Jvz6YLGheth8HElgJKTJOSuEB+lsqr15eGfFJLtsyI7LMIiXfGNn/gQy0lI+6FKV7wCbx6uln80oPqhiYjXognMDKXB
+o3p++OyE3SjDDPGLyIYq9ahdoAXVghJhfASmP3/Aq5cDitpTVxHvkfs8fAH6iVH0Sd/zqqGqVY4PSjvKfaW78NXhu7PQ1B613wWq
+hKHVncUwG6LpI042lcTX6iQVUniUPhFt4mlt9easKipq4NQn0Iiy6QZKydHCD90ZYefvS66K+6wP30Ur5ppnR51U2lSrSEgtnFh1
+0gBAj7ZOsQ6zIbokzVjjXqtiPAUFg9hWC3UvwyY08D7D4Wt1S5kOWkYVcVKzJUXB9zCKNUMD0XsF4+ahQfXUZIEAfiMAQDK2AP4W
+A918NCRCIZdP7eGNdoFGShX6MqHqHB2QsPU+Wo95rnhWWyHfhu95KuTqpAr3NDt8FmLoFFI8fL2ibKplvawvvIry1fIgoevPCPSC
+0Qg/GUYLXwCvwFJvFkWgemcIHgB8nSYamSDN7L2jSv+Gn2HeVF5DTijDrE7oLhTR22qGynHsOIfvVmwRVrMh2Axtwh6tG08iAPX+
+0FqwW/ZMbZvhiyFbj2Q6/g4jH7osP5v7OKmsDAlNM5kBRKYLQRf2KG7QQ1RdAnInm3BVZTeMyMc2IIiKXRKvqmVmv4AEZ2mFiMke
+ubRCunRtg2qHs1Z2k1I9Ru1NUPFCi/5YKLsHcb3l/qaSkWTVOgXsV/wihbt83si6LcSfEHiEigzzGZVVkKJLR+ZLOPewPiU6Co3V
+cqUiJhbQwZevR3WJ9s2w9a12h5sdjlOrpUssJoChUS1ZruSHiepK1ughr7uvbtwzP/HXoB2jggL6QqXpGfVcNNT8I2Y4sFwyHHBo
+M5B+gBCtrSfcCq0opxiyexB49Af0NOy9MdKGQF6y6qT77T0ruoO6SdW3ses1ru8TaiKLWV1QOJMLC3Rgl0sm1lFBw+6uDZaFx2Ew
+xnDvo5olMHxLVSg701Bj36LMCPcGWAXidErGjtAmkscFq+U8O0ix/MmqO1MVJiLRmxQNHcqWKeZKsUIplP7uHK1RfFL3GNaf4u36
+kt5b3A++mbBzIPx9mEXs0tqwxeUM7x9SU0TnYPVjHlCL79uQqxsRBCjjqEUWEfORzxVSa/m5JeVbPlbqbRCKHdWBILa5hriGcijw
+KtQbAfN5galfUOWw9LEZoXusQlWcb1SVoXIGykirnkomNC+mdaJqAoId3D9ErnDD/HyOc2BqRZ3qDbM78IVfMEymgoG+s1261CYa
+0pYVIVoMfkmZ+nhRUmUNcQC5/JBjI8Y8aqUU8+VoEjeGsdqygrO8DjXdWF8kY8TuO3nq6eIoXA0NA0TUu6HpaIGHxHJQk7fRiEPz
+gK0TCAa4wNjjpJpYgG/X1PjFWZcLT1u2Y4eCHwvoUt4/1BWgQWSd9Z/opDVpp6p9DkViGJFCVO6jqKtF2EKFuqMl28UDb4+FOpm2
+bEw6Dravcn4yVjFF4wOMJCLHWv91iRet6rAC83bfM0bU1lXfSSGNpsVLJm2sVCipI0/ualIuIQDBelWuMRTswj1HrVxZogLW5kfB
+zuhUdGmf/l8kb9o0FdJod9A2u4MWNTDcj1TqFdDQmaE23i1KvE11y+aF+6G5t54FWGZWS52sQDshmIkopSQTeI+zGvt5rhtHQCBW
+i6DkWH8X1hhcIZW+Rv+I6macs1LF+23fEGNo1PKwZtcO7WvwemA3W6CvZzW+ifa523GslUJrv0rlTupMEL1i8KWp46GzpMGdeN6p
+IpD7xcN5/1edTGFl2wl5HewHw9i0U+RX0BUsTKS1ilAvUcoNqQLTv3bOLJnQmYXmogy1koIRFJzTftPqCvuhUH+UrV2r804sL+k5
+Z5K1ZN3rlrnyzRTkhXp1Yf1LhQpxKPZ5XyCq34a5v8KdXvOm7+B+SYHHcP0uXeC4H9iynf/DjpnCBC+9qhtTuW3dr9INpz5S/d2+
+U/8lt6Z1h56NuJ5FZXs8v5sRwpV+maLX+YGXELlPbludHUxu9P2j1YB1DVUIVBq+RXHnyIqN1TvkrPsllSolUgoYkwpl1PMsSmSy
+BlY5YpoDiKh4DtNPitVkUEbOa5Y1jeOIfbtZeIfA1SgMFNnb1fxDfFGyUKkcwmkEcHHumVDazdT6sB3Bw0yhNB3ZWa6/WDemFOiX
+8RpnmIUR3WlzG63YqlDfnF6Pi81PArsfz9DOveK8MIpAMtk8wwnYk3BOotrHIopLnMU47x9dFKx4tBLsTaSh8TnOFrBq3NFxjyL5
+Ptwmv3uyp0ZvbO3WsjyD5yd6IHmeU5tOYdEiUqziVPowChsy/zb6TpWrJoxiESG2P5PumZOg6kcKpYLcRe4zi6q1qmQQp2gYyvwp
+l2fdKeYAT0kMdIpPm7vCYZ+lFg01ZazdcDpXx8t7/CjgzGcQuF6kXMVjKuhk5bMVVQ0U+O9zfjyCgmY/y4VdzaeNjqF9YLQ0fgAC
+FVzZ4zJchV25Z3Zy6Q8azifd7676TrLDFd+3O1Yyi/U02GKWaNdwFmmKcxkJdtVeO/bxwgmg+sS0ZUGBLTOAhbPAvtO0i4kVJu30
++5yH+748wO5MXQY32oIdwWJIynr2ne2jBXbXpLI/7ou/jG7Rcb6Navnzvg1989LhO6BPtfRsfYe5hRkkZQvKIj+zCOr6yH0Prwuh
+W+M8JJai1zGZrLF3wpgiBuJICeZr4ZcIKWF/Q7kqbWDmHtixkSFKVaFwHczh6O30Jd+520QyZicmdc/su9BYdXhhMc7lbA71N6Al
+iOLBYUN9ip0vA3bzwwEjYW8yiMgm+p4hxuIUX9rJ8BRtH/3dTRMga98DBSSqEm5RTnBEbVoayu6/sBJ2Z8Wz6W7VP6LLEeZhesj2
++b6J5LXc2NeyQVzUiCfJmx3EGslYTc6b3UQHNdbVplOx+5KKhnJsMiU3i6NpnPjKGB2OFUPDCE8fftyS2VLW+2s/RDYMQVPtYqhS
+5PM70x4nEwo7qyMLG7/2a//7f9y4o4/KCfiS5rw3LrM62Lnx7BnLILTwkTCXDQiSNqwGiSGAYRlM6+Poxq3O++QZFEe1C/Mtfdvf
+Nu28KKxUOU1Q0eibZa93jgIF9EDCPsbg0QAQgFFddHrN/i6iSziXDDAD4XaLjebRuvIIolGUHdulidg3ASdhLefUR+yjVq2YVCzZ
+O6HiHcwL0XYsGr/d1lJmDLaoo96tr5SIB3grfkM8jlXdZ6zU1AgI6WGbt8a+KNzawTSOpm7T6flgh2Afoz21KrZuDLHibD45K7Do
+G7DCGV8FQRrah9uGJNi24qyshtC+5st1m39ZQb+p0on+zE9YcrNr4T2oBEY+tVC9gU3RThcNwuAFHZoUfhmmdxu2pz5Rlsfmtb5V
+l0jev8AoJibNahrH2/JFbaUvfcQxhqEsB5YOt1rCwcCSKJ8GMmaePmfokGTwiDwtnVV2OrbdrmDfK885GCo+WVo5lLMN11nVvNUv
+p4FiqS5zFozEgrLANDVRFuwq+ffl8rTBKFp/laUVKAPB9+2+e8acSNjlF4cvJvVmvlw7c1Q1v072fNuiv+oyzOZTn2KiV103aeyr
+0RIKzbopi1NQN5UFKjXsde1kPI7527P51W2Ivjec1WUb9CfZ8xT7XvZ6O61nc3ZBVnwAaR4WVal8PG+TZ3gdzm+powdWULmX4zsI
+oIzj1Z4tFDve3MA2fMNkJObHIJsXDsY5M6zMvHEsMV80gekfoA2MBpNrEZkJwzwS92eSq90l6wiFM4ySc4OtIu7vyg5CHlf997Bo
+aB+puFRxCdyqpmWyfWtTXTsvsDdpqpslnIL8/VC1feMlnWaWJCZnVI/EcRrWVw09gHkzqXwFp7duoBGUNmgHOx1sxEc9Mr7IAoGP
+koyh0t+d+JkuqLJlh2wJ1pvNJ4ekOtWv2IUYV5qfvWN+1W3aD1i1SjKt8Z2lv7bEzlohzjYMDceX9S/cBvq0dvq7PQm1Blvmbtr3
+z965ZYE+Y4c581udMtt9Z8AbS0fvDrZMRmYQmd6aWsGdXlMzuNPTZt+36UqMZjc29ezwT6u/eKI9fK+5cvidAAIcyG4MkR6+UFEl
+Fn2yIL717kbPdEbCU4XIMiY47bBY23usLdqf14Wf1MMIB8nC+MkC3OiiB8PKYx/C+YmQzeLwhVTI3sbvL0lI1TDU88N34ZbXVZ1q
+cENlX+Dc5T6BuGmJsAN7JFaIRyEY3SLqTf8CkQ2waC1ehhtpo5/khEKivXX4Ov2MOIvNLDIin/zs8AUYvvuMltQN4WEFcaVzOmos
+WPWNFWHWcxSsoTIE1z18ITFpgTCoLXBLNiT+Hli6h683RT3015BFqa/5nBiRAJddRD+zCCL84P58+ZkFyDOWMtF2HH2yuC87a+Ln
+7O/ekgbJxs+THRv3a4+/VG0g07ioG/yFXFTlIeDHgzmTkxUpLag8ga6jRpjdYxCr6BGXxPUsxZGmJMYWtf/MAt3GE8NVh69XY0RZ
+8HVG4GHXZH+DoaKkAgO+d2Rv0tAzvBUykUt+mG8sHlMrSoO/w7PU/IOB9+jh6/tIGCj+1tbt4QsjGBijunoUoGT2lD+84ZWO8nBd
+F3CfkADBDag6FcULZWgPbyBJsM/xEcfOfg/ziJkdxF1rzGfCOdAdObD0FHsC/uDnzeHrV+OsRqSH48byIjSFxyqDfyU6bwpKe/B9
+VEVdzzX+zCNEXJ/2bo1iyv3DGx7dIPF5EKvEYWwsLuhp13BdUSDrvaZpGjWHNxCILA5fRxml8TGw7phRAZP68EaN1PcIzBs/w+DD
+X4C9fPgarJA4RCQGZCfIzlm8Pw4o8eF88xU5xWxm3ky8yrNrGmeYXYx3Qn2o92GZnBt+P+6TM0wM2DVgpIGMahnvZvWfEk1Qpxze
+AB2YpOzA5TtZ+OT38WuFbw9fgAPU0X3T4bOIC15jfubwNY/8COTOloBSvC3wJGBnVMsvJpVM+mLUHL4AubSeA5Ij8Z9V8hss11Un
+Gx9v9N1Xb75x63GQbPHvW9dvPdNxgF+79dv4u9GE37v5e/q5jtwLHi9ouuQM33rSfu4dfibYwvqct3UdkG/58/Z5t67b918lafi1
+W1/l3bx98wf6O36WxN73yeN959b1W583CvEPxDQmFfj9m2/bv9/BlW49hnu++T6vL/7xe/r+ra/w3p+y678NOrBRk79nDGBRe181
+zu+rvPfXeE1yh289SSLwV0H0xd/41NdBXL71Fd45nu/7/Az8/hv8vddufdXu742b39XPkKGM++d94P7wFRKQcZ3fvvUFjtNv423w
+LsAP/t6tZ4yc/AY/7Xt8To3Td2/99q2nbLze4/t5++YPb75qxOYnSEF+9eZ3RSu++SrHWbRmfs7Nt8hn/gp5xa/jPZF6/LqN3zt2
+19dJl/7Bzfft99+3533V/o3Z8xhH9O1bX9G84NeewbzhPBIpmszmW0/dfJsc2M+LB3v0Iuist58kF1bE2Bf49VdJRP086bcvHb1y
++2nRbY/+VHRdWABguZIW+8btx435uqLQ4jefvv0E+K9H3wOD9egFY+mKOfsd/vZT4Mwe/dntJ47+/Oi1o5dJ3NU/N0iPxad8noze
+p8BqPXrz6N2jt45e1OcaAfgJfgfXx6e+QgLw54/eArOXv//E0fdIlwUr+Ekwdo1E+x1wdXFfR68dfRuMXtzp7aeP3iJZFrxY0nR1
+/7jroxeN4vva0Y3bT9rzPg6C7e3rZPM+yc/7rlF5XwAh9/aTR68YsfZpjihouGIcvwCSLH6XtF385ksYj9ufP/ozMoq/ZATh7/Da
+N47+HCza208dvXn0PJ6I13j96CV+9hc48i/zt18he/c74t7efvrohczhJZ33TTGT+U4f1/WN1fvi0Z/dfvzoTX4uRu9lji3ey/N2
+f9/R90knBseYnF7ydzHmT8oqPHpFdF29C90/3+kX8DzkN7/IN/Mk+cMv4096Lx+z//yU/fen7b8/a//92E/99M/87M/9/C/8ws//
+3M/+zE//1Md+8UTv7/zdk3/v7//9v3fy7/6d3olf/Af/8B/943/yT//ZP//n/+yf/pN//I/+4T/4F//yX/3rf/Nv/92///f/7t/+
+m3/9r/7lv/ibv/mbv8nXwJ9/6mMf+9hP2z8/Zf/8DL+X/2p/+kX778d4Uz/zsZ/92M997Oc/9gs5rqUoKypQcoZc7RMUK57NUAG0
+9PsIWkD1AbgSDPfzl89vXSWDiZKyWE1Qpol6T3Q6CO10VZ0dGsW8CJYa8hgPPrv1CF5DJNv0s8M82FLEfpdoDhjxfWfVOim2C6Vl
+mLSERK+2sJbCFrFcyp8Ts7dETCgYhALYfFQIgglmOWaX/5DEFQYNtm0WTPRD9MIMfj9nouao1EeZEETkug3LIRtZzTdLVC8xUtjJ
+J8JVCDpA+EVMm5k0eS4ne1Rn4/eR0iB4665YM2+0/K0svMzpt0RNGxzoc+ZYpqykSAUcWcSykyclpl0lR400EBrprHzVUrcASX+s
+xiUjskbDGmyJ9Ql0oWKP5VJJzbqZDYNftBHpX3wFHyXp1LVQ5EsURNZVqBur2khNXTtdzIaVj+WDlkxzm+N6tEhrp7dhv/NxZnGi
+9+UrGDWjjOjr7/ZETCHUNbGaBmg+uJ/7QUo2uP8IpiDxiNQBEoNLxRNjFykHd9KnhNi0ctQxzciqwc8EdlkPTThXhqsM3fu5Im9F
+FqIk6rYRmjI6WigA8C0jk1sKs++yghXfl7g4VO1WDjSivIfJB1Pb7vSH+S0zc3cAzB/rZkLVQsp5+B0f0711WS4P6hr5Oy+P24Q4
+abAlwE+P1Qy4/Pkwou+NEjmqGIo9P1MxDZhx+OB0l+l8EPgbL/CBuz0LsWfXMvOOIDIIxIo5RoVQ9k43b6yu9qYFDog5zFGuqkxF
+L0seEqts8HItv+BLwW+JDTQdgJVb9LdMlB+Ku/OymqMC6kLVrqGdCoPKi8rqSQdbuuWe0pR1lR6s20DtYGDiFfhqkfRC0R7UDsSG
+pKKYVlpBVq4b6ri/yxryyqMsR3nO4i4qllkV3ShF3zIhiDJ5+AwIEpNDitrC/DTpbjhTw9BOByaW3M2J8mWE9JugXItRb6sg3DfL
+TwSbCXCFmP4d1YCWMO8+Y+FVysKozVhRS0D8mTRAe3l/NvHSImWVDXEugP+FrHdKLIzA66wkKEfB7ESgTc4aYXdZKj+EvJnpmqUh
+4colqjv5TnOCeFtKAZMoKb0mXHa5bMNoSm4KfoGzPDJj5YZBHE4gGbDaEKIl6wmPCkHhfFoDRRlmaVTPQxYHJaqaIKM4nePNQPLx
+k5WQI09qVo+QimPRP6ff1VbbRVpYVtCi60jjKw2ZujPAroXywVhwRsXWobpjmDnlgy2gRxTFtCx1keVVKefPe2mRlHG3DIY7k+ax
+wclV5lx4bxaB7ajHrbLkZbk0ugbiyaia9bMghFncDxbwepS0tgDsuGGYsfdK5FRg0+eObVAt0mv1wiiAwAMKTo2UPugxuWhlgaP/
+PgsWOirtiXSw8GvhywlO2uksC5wSNCmEO0sbXgXmRhaNxFpYBjn7ojS69DBWkkZhnzJPa1kqImmaDAbB808zKjmauqwWKTZyXvSe
+MGxANXQ5getyJvEsJQ/Y7MaNZ64bhy8q6GDJlIhU7PQ1M0cguXodQOdMMOdkD4FucNVKje/FYPwG/i9njbPKxs0oUIhpRvkO4azj
+sSZbjkyesBA7OR48jjfrxrIh3IigWm+ndQqoosg6RQsMJdWpRDjpSlUyFykVJCbAPva0QrTfCEmABWQ3DdCyZig7KEGQuYg1GQBE
+LnaaJ/wEw085C1cACkyDYyNvkaHCO4IQvrS5YRI3aBR2BZ3KSXNnbNlQPGjhYJdPq8EY4gZYVhdMAehcXQ3LRbPT55JB2BHBl7lY
+IIksMvdA3bAb17of1jIzjO5r9YWQrQcMAcwLIaWr0bIC/IAqv2KfNMo0v2rC/5FtjEURm51+2TZ9U9ixRYWgti6LI63LRd1ktViy
+dF8oLkG9hyf0RcGE1FqeI85C9IGlLWQhmVEKdrQfcnu/lLd3sItiu2DTrJZ0t0x1K0za1aT7EFbH44F7wEIVbV9ga1k61WriRiFB
+8IzAUvDNMAIeQinIBLbaAYnU4HBc3TaQ4zQAfg8CE+WiiyZn30JO8BXDMPGVuA22NSF3F6EDZRcC3I8qkae+Om+ynqXtvWysAOBR
+szTGermUJI2aJ2mzkgq7UJ1vKt7NvJ0OxlTjAZWB1Q0gFPDjiWApAvIjCu9RHxSL4LJqhqocAE94YsEgh8XnJSzVELpFZQzANK+v
+ELTRd4avy8muIDwLmdKzQPJU1i0th9g5kerwztjnfDuYldgBqnZ3sPVg3RyECYq/pC7iayoWI9PVwjtp1rKSAvY8lNlLYwADztTK
+SqZ0i+oGO242rVsCNnx5N40fslJvCh7qFb3laahYy6haSuDqBexEBfNQMh2vzgpxpPipq8fnVkcAlUJoz2dSwHOxwbk7CqpzQ12m
+qBT7AQXnGOBgsIbYkvVimS2cYILGAntRcosr0ImjqQ9Ih+LujrIsISZ85bL+Ns3qEsiUkKjBn8ZEW5SWOPCarLCk+Hxa1wXL5chb
+CLahEY0+xy5M2ij0CCwgYtWWJLyqIAMBhEl9vGXuLficKpuX0mvGanJ3PpcJUMPEZ3u/pCk6oxNxUeJyXxKSjvePPXMEC23eRECH
+G5g00kcIbQW5zMd/c48MyP6uqTAumbjMGWVhpw+qNZk9m+4CGUrItWnQVPDQIgUrKeGmNFASRVGUmAyKXS43soMqm43Gf2tgnLqa
+bEhmMzYjG7lCDMIktHusJqXXj/c12FJicZclUDMrdo5CcsqiTiIN0HSEFpimGvf7qiXlEOk9yZJiOHgkmvE2qud6UvEY0iLhaUn7
++FSowrVFKP2aAA7lkjYZ3Gml7+DXSY8Jes9+vcDrhlKC0+aReCXOMVtlXVBcIqTaUlbHAQpFYjXCSZ/z0CYgg30oVrNvmUDjKUM6
+UoOSzlJ4H6t2p11HNG+hmivYY8F4gbs5JXqB9hge4bKwpyx25SZlBUqzxGIuHBj3YNdposAUPM1pY2OfQsieN4ZRESIXsxbv9HI2
+e1TegJwiNmHMnsrvxwkUQ5ZQ7+/CUpImkjR3IoFLVX6KDA7Qfz7XcccF4H2aitg3vJVYGlUFeHclwZ24nsBp+KSiU++MAV5iH0vE
+JTE0U48fsknrDH0UCiYBgQjAST3DwVEs5iXXOeUriWaJdUMhD4NMezYOiCF9NmsxVUpNSt9E17KWTkjcMiHZBtTDU1BD1hyQXbC/
+wZ4M6j/DX89JcpzkrZ/N0WCDey9eyicaYnknnl4SCpvVfQNAksJ5VA3ijdUVEbh4cfitR+CjWQU4bVHpkS9PaZ83uVMUFEgoTIZU
+3iS0SRw2V4/3su2Xn6swaHXAWgxE9g+ystGUbSd75saNoJDTUZJFCbuehfptqJzLLR5MZwodyJg20kaWsBtyESippSgoZO/UbijT
+FIemmMPYGVVtDgpAw1LH9MnsKZgHVFd+wgq0NpADgCWKCkUdktjU8eHGSl/PApD+rl2L0nGF9YKgj75UQwvuCVAbiMkIr7KtmQeG
+Dbs3BQIsgtqhygFXqu4cjLYUsZiRtNez97JMQTE0AiQsTEeAjL8SKsaZGIUgYmIfDji46S5WoDBeQTcDrGkUh+SGA6Eg3gwid5+l
+M4NxDCUYD7rDGTh6CODuh6LXM3SxsfTaWmU5CF5Z3UTazRVE2RI2abdaRS3mfBdI/eE1saMt7G5vwr2SJb+27YCEdWA9tmjuGqVq
+zzdxOAwYAts3cpVIOkBUpEqxypGKXEp7liy9IeIbQqPH1BrA3t0BgwpBwV2ztMqlGLaYk9j5cWxnAbfLFW2sMuat5riLE6sKLJvg
+S45qyqGhRQrNuYkE0gr7iCA/n859yrUk1QQMIjTFUhHG+jgcKMREgwHWR9YpDQCh4jaItcMedgIWwGKkwXAloBigCDNEFGG3YMPP
+0Z51cY5cPb7EFl86BxE0D4VAGbCA8yGexdNpsKU3sNsawQll0FoQWYCbsk9UXM72KqB63CrzS9kRzQKSYhz9MHIMmQraSqLUv6s0
+cN5ZlCjHqJedKHfELRMQQwsRpYNQVKxvx4sjPcvlUr/8uu9kjT0+x7tVFzLF2cw7rhthpKCOAdzQp9bldANoJpRo9WTXtcWu7A1H
+9DVVsr15RCxPpftz5i8ezkGwFpA7tFmQMYCDLZ/ZWSQ1GBi5YVf12e00ZJ1OlYXWu/m0OUPABbd3q9FbZ+AbFcw8xOnVLIbC5ap7
+F3YtK6hcZzxamEZJp12OwZ417HW53OPx6Su+HeF3Ud2OMcL041GLb9H8lkRQBHaRMcDhSd3rRrg9e/ToWSI3xGDT0/DAIoXFjLBg
+oK585ddyXGyGxgWpbv08l2F6Z2/sPJID+ETho3l6WksKNWyJ+wFU5c/hOGIxugyqRaL/33c0N3b6tPIwGqZnjV1FUTL4w6jOMU+X
+i4M82QgqNQIJaFEWntXw7BthkktjmsaWixXaOJfF93ldONFo2lBJHm+6Rpq7jIVj3+UEwB2ezAH2HQNlbhZBdnXIqnOnYAJ2iapw
+7IUz2LKKExtUzXCASQJr8HAP9dh2JDaKuPfyA/cTCwHfdXnW2N17UwQHbYfkYUISGTJ42R1wG1m9agf9Tn8r1++h5IalNT6fTdTG
+obh6nJMUJcq2wl8+uyhjaBf78S9f/4tnwl8+i4bZf/Fl+8OP3vn8j97+xo/e/tMPv/GtD7/50kcv/g8J9j648Q0p9j648Y3/7/e+
++f+8ceP//f3v/fjtd3/8/cd+/M5TH7387E9e/gZ61b/09Y9efhW/+PxXPvrz3//gy499+M0vf/D0sx/8wfM/fvd3P3r86z/5we98
++NQPP/jmqz9+9zs//uFrP37na3/9xPMffPHdn3zpqZ889/6HX/ndj5595sNvf/Ovn3j+o6/94MM/ee+jH/73H7/92Ic3vvXh11/5
+8ff/2wcv/9Ffv/jMR688/pM/efyD73z9g9/5bz9+7w8//L1XP/zyyx+8+18/fPOpj773zkePPfnB0//jgydf+uDl5z56+fmPXn73
+g2fe/fCt1z745usfvH39w9+98eHX3//gD57/4Jlv/Pjdlz54+/oHz33ngxvf/snX//ijN5/+8I++9dGbT//k5Wd/8rUv4MN/+OyH
+j7/ykx/8TpYTJt+0hzdGi7KG6YaJ7Icesm1kSBYUwYXGNGBFJxJMc/SghzcCWwt5W3+QnZoUWdvehuHhu8jpsvpcaiF2aiclQN4N
+grFSD5r8NBZ1Nt6a/exkdUpCCK8g6iMmhWKoCsYsa9N1Lq/kjJ0uMkULcNWqjKb0brSg/E61zoc3fJwdPgv7IqtkfZPlVQ1zLlBa
+otyeF21DefjCGFX6aJFlmiyJyFRMq0tQJ4eZ+myJXvVWf16nLKBKFjGLPrRMVfhkNdt1MlFW7lrri3rkm8NnR63qSiiMtDGMpiQr
+fIFR5qhi4fBW81OYyptyNcr4fGl1LyQvNCNMBVEr4aV7UJwq9DOsrh0+W4ZrOYBcz0PJ2eKzjC+ZWYYp0EBZWUGJ9ywzGZDkUiOG
+e+YkmXv7rawWTFkmmUe+Trmp9nW2xP6htdxG0/HrbIytpuBv8/+/xe++wW+9yh/7Yu5Eriblj//ouf9u38LPv8T//zY7dr+TP0dd
+yd/hD381f85jvA1d9Nu8jefzrz9XRJAq6lGyFuC4pVd/9K3r7F/+PH/mZf75Of75z/nrr7I5+tv84nP5lr6b25br6l/Il3g1dw1/
+M3/rqR899/v8ynd5Od3S7+VrqUn5S+yn/pjdKv7wh3yKZ3hFjdh3c4fy32eD8y/lPuXf5v+eU591foIG4c3c7/xJ/u43eNEb+Srf
+yO3eNZKvHuvXrhf3pdwkni/Oxvn6j5573Nqc41t/bKONB/xtNmL/vTwIT+ZrfSM3bn+Oo9F1W//jPFDX+cO6n6/li76cR0x3/n5+
+6d/90XNP5y71f5iv9bU8RPpAtYT/Ib+o0f4ux0rz4aX8ovU4mqvv51F9jIPwEm/ved6tfv2L+ca+gK9bX3nNZ81VvZ0v8W5v5Db2
+r+an+KZNFRvnl+258N0X+f/fzA/4rXytx3j/7+Su9rrJP8l/1Q8/zkfWCnqOX+xmy3P59r7Ne9afX7Qbxj0/w0d4M9/Pt/PUeiVf
+VLf6Cl8uL2T3/JjxO9DgC+1jWOySs+sne3tZx+Ie9fteJYudgIWd2USzGMyzNoeJNbZcgw2k3g0Dn78roiS2MOtLc+eZO/DJl/TJ
+WQSUQIsoRs1iNoQ1mQIquKD0uYbdqZSjik/ZQ0sXdMj0xtuIVEJb6OdBhbQij4BKtrJFs2OdA14IHjA+6o89+WCW6yz6rkti546J
++g0vUYl1mXA+LQCad6c+eW6j6arlOxVSQtBBkWzeCx3lRzwZxG29Cr5tus5IjKwgwG8gqDBskNFQfpccTXnbsSPv7vR/KWvuyXkz
+Q85MBTxvOEhqi2zMEIwVErdR2hp1p4rzy90bvIhm1t4UYHPPiPWizO9yk47xQ+O1PlzlkloSS19znC0Jm9SBD37hw11W8dOdJozp
+/9TWdVHVVhI7YASbn4LiOLmkhELN6c0CuzlapJ3+4FiAk84FW0/GtEnT21Jisa726sp8OrpX8H9bvLQNWvhdYhw9LRYq58wpEz1R
+nMOSBjFDVddr+RxeJzfT2+ppcgdxCEfw7bu6FWAdJpHCqfgCYgprbNQCfHWXgepnykrfmYqhjaPOpN/q1Cq93HucdzZZIEA1ml/d
+NldzPo0lKjymy5zYHeW8u3B2ENOwRt4SgsW8k34AFCbSaw4nBsYJhjA2ltPlvGaT2LSpbPTa6W1SuhjCpmrEugeD0YnnvYcjxDHN
+GrQ+gZZzo8AYHwP1BgvV5uXoLsYU2ZJWuVDBFIs4s3yiq6s9CalyDSPSPXDiaCKNRou5XmsNh23Mci7USLK1fVObyszqwaMICShy
+AFsk71ITE+bEUb+rZGIXOba16nLsW0XIb3/UzbX5AmQUfEooyX5QFbG9D3azlWBgnv14biSck6xK5R10rmIxvSOvPBDFpSox+cFI
+tE5Og4S47ZC54E90+2Svd55eqmu7PCE8jij/D+kY1ie1FstpUbc7szXISASfY9BlBBRWQszoQTTwYUe0YVjWeueZlRQKqwqMqTUl
+kYglthZEBAhVv1MHnOxlLsq2M40OazrZthhVp2S7AqTfiZ9yXAusJWbweaemRTvZc53kI+sxnFMEjc82NO4uqXQKFxH6yfHLzIJQ
+XWT1/AJlTciYMlEPrcR+hGyHjd5Ij6IuhBlQXzKwg0rOqy6hGNf9EsMhjGcYtQH0y8qZrMhUidcwEyF4RGAC1cdsbJlylA1EB2Td
+8HiMeVJQOr0zz42BzzrVtS6oTaoo5hFOMLaPB4eob+z0wtLMzZJKt7k0QnmnHq/W79WOzSE5xHhRZh1Vk1CPBtLYYkZ5CXOruD/F
+J6p6ownz4Ntt438gsCviV2RhnHRD1gUc02NR5ehEFvSNll1oDhBxJFPwkmJSN+UG61eGic1x0jnKkYLSZDNynZdhEi2RjXdJ3P2Z
+TlucBU/lMpblQtnDMYjHDO9y9nHrv6jdLFaTO7rfnSfEo3FyUpnFHIrKRfFEfsjmF8g81+wF4OoKGNfANdMJjlPOM5TL3U5EWJOW
+DLIxgm8NRzfOqJlFc++xUyOCda/mEa4e399ZCp+ssg4TcVAlG3ud9Dkq+NhOw16dE6MUA7DVw0U1PqXmjlggZDmzGsFdylH4dVEe
+WA8rWU6sq5PdRWD3SMDZCsXq6jHmF9QpTbLsvQnJ9Mni74LH8ytdNjxLl0dATpq7q6AvbJq8ugdbnV1yKrodd2bbRTfIctwRlU0S
+v3Ti36RoMNZbph2Vy7YWp5eqbNSAtQg3bxj897d6ecey+nPYKqqovkaGUNB+ABE7H23X1gz1HLWFJB8IvmLV7XpeC0EaBNagI+Cs
+xhnSZCCUeLmzIiFllM516NOVQJYbBY/EelsslHFJZzHYQZfKlOQAc4094mhfIdAwDSIcWco7KXqLzdWoe75ZKrGVCAVlC2DQYbtc
+UnfGp/u08/PENv1atjxIN8JGQ80PRpEQmhOrOYmAEsd0t3NAOs1/YtiWSZKc4QnpfLeHdWL6pDzlgn1jVD6KMXGWXSCKkajpTkt8
+ggEFqmDMPMXeGXKf0pWSyVjffDusUsTy7mTdSuMjk9OpnZ2pYdppuH9xNczQKWqSSSMeURyniaXMEjJufRnD/dPbJqQ48FKjsZM7
+Syhmsd3pSzZxN6LGRujxZd45y6VJ0OB11HM7dRfdftBVVlQPHTtd8h7bM5kqEsK0E8n6pbI3XqNJo3VkkvkmerWrxuCf62bYGKIL
+7p29LjlqihCG/FEPSlHir+ZdVCddoqqoNA9NMif6b0xpYx9fy/NlrVMFJzWCwK7Q5WHSgExamNA6gpAnIT2FWm55NkQ5MguC76tT
+E08/uwROKwrLaN3sm+jc+v9h9yb+GNe1kpRrsPXGBhkgfJmWInbWqkY2g/MPgcswzyIhR5oMYbCQrOuTO53rnZk8UY/TgQmuNs17
+8lVRMWkAe+OgQTa3csNlJ6ZJnSz0Duw7ReMPfDkua9+eBcw3oqUNdS+d/nwl60/qpI0T6XxnXQ/RQ4yW6rzzEWELSGRA+6piQblR
+JCGztIIIJ9EYVhl2OIn64JF65FC8cdVKzDUrTEmkUdaVaKA67YuLnS9exjxzLslzAL1LX6jqDezyNJhSp01k/z41YbgfVcyKECAZ
+L6mAGjEyXU6FvCQa0msV57pV22V4Z/dLzFk3y07uemdXtILuw2bnwNMMfIMae7Tly3Y5rgbGBkaSssRhCBUUNaU6DV3q7Hsj+VWj
+ALSZnbpGx+gj4euUJwCA2ZLSUjMFSWgpH1q3PmmciSbu6M3ZrRJqDtlwyDx3+fDNRZUZcp1h6VbFVd4hmN6wSMPk4H3IhdAASyug
+ouUbq0zk6LKXTkp76EK6AganTqk8DkS1qHb6VDd5Nw4H4OdL46T5g/GTChlqlk4ZsXsOXenZms11U0J7BIHwxsQMJBxH8jq6KERP
+MX/k6aX+xzXuZsdkFyaTTvgNsgHSscMyXOxiMnudFZQlxP3d7pNPbq0kBerE5OrxxqMpFVdOnT69bV1X6Bus6LZYn/DZ7Su4Rham
+pE6D7Dwl+uDpdNrKNGP8DnPqYhcLiq2zJp0Xu1iBSIKMKQS28HZtbS0WKFY5YJ/EaeiExZ2enWJsQH/OnDkDKFrtJqiy6jxI0wzA
+HidsxWa7BFZF8lXagCBxXFdXwpJ7yHbuu3r23pDtUxWKsAVwLkZx6glLP6gZWVPzbGnth07U4TrNljM+JSwjkR4RP1FXUHikzKxi
+k4C6T6KlTNg5cYJjj6hItq/qRTL+HdTHtIGQ10GDCWHwikWwTndq2Yy3CotMLL8wRludZDIxteOy9nKurS/nIqV1pLNkPz9stE5f
+STGA4o+7O6vgSixr+XndusyVf4yMBf1GA891Aj1/WlVkwheKRaRlVKFSxY+WYqCyY1hVmKrP454LWm5ZO2wrAB8+6nwI1O4gjrTT
+zx49rJE5WZTyYen5+Gz97wc1diaTxhi75VKeEkI9lpPzzZIjOcId0DflO6IVmaYhtDNfLbTOeCzqYO7cz7WunGrvmB/qTOXAGcat
+Ck0aWrptvnKGbMqyC0xBW76/3slee9aX2E8CzkZFFjMbyPm+y2UG98ewaAOIPb1OeSfBONUIes2UYhRonishZNBTcpdXO7Fmsgim
+JXG+ogWfhSKnkjF36Wk2M/m/qqRYzEFkggJ3ojLcR6VS61To5GDLT9nsVGR3SRHBt9+Gho3Fu6pKNiRlXWZIq/M3V6RtjtTEGdLN
+yqkvmAz6jQObk7IHLlHEjyc3eyjCFLHZeZZ9Q9HAobZuKFivD4YD958gi/PZLEmxq/osunN1ketGszZn5EsIEXnA+hwB3w9U/wHi
+rTpcUt/2JIAa102uaoUt4ovlJcpPTFvMNkp5faSsI6HcUCUdMFl0WnWWAu3OFj4iKhuk41p3mcakWguc+51UFvuIQSeN4Y33C20I
+j/etLgoxCTnezgSNfLBQytIJXQGwQwWZdjjgHDtYWZxUO209p3CVrwsd4yJb2oH9IpE47AOIDsBb5FrFiodSuOuVJ39Ge86igT+f
+iaG1dW+RolK7xUGuNnFdUfV6ztRwp15oP6C8jtpvXENtv7oK7dSJ1Nx57btQGEtUeMeZM5RO8+LWwixrYkgoto7Z2JBrZ5fuqhoo
+vbkHNtfUNMPoVWgk9f4uum7JhMlRHF+aH1UsZtZIDove5Z0NcnetftfJm7sa200kJDZY90JrrvRVaE1fdOBT0ZXIl2ql53wrOjQ+
+xrN9FUVY2IRrNRtQsaP08VIx2yHoaokzeTJ1ytTOA98P0s7BxkzYbYmD11tGk01rhexgU6FrCuYAWJzqwgN/pomiDtdzU0FKiay1
+z4nqKwmpcc4wF8MAYGfdqHEiW9gpLkUq8ZL6WCaGYFBgHbD5ONuUqmAK3x02WbpucVa4GKz/4C46sjgcG/ckfYrNSRFfJTbDbEd3
+G9DwMdMKsAPU6FnrfCTd7Bl3R5jhn+27upjMVhfgwEkCZ4kOpGUktjqqAJrNyC5su1jBPLZtGi6aybSz0U9mbuzaWHxNNHS0frOM
+8NFWOdlz9WjkFW0aSokPIwSMdCsJUncDxhipkXQm88I72st7+/qq4AQl2Lg7kr9p6ixShyBwpltNzu92p1pXnz6woBla3yGOQuna
+plr/9be2QDq3HClBd5A5Ztp7uYzwwUbeqh6loC9cFhpWXfZBfFuQD//qT//qd/7q+b/6g7968fbjpLy9/n8/A4BSA7cS/n5Qh03u
+NJTnJHhqpmgi1cwXNc8efncxjPZzsr2i0dCopFkpg1K3swb1vsDXOlUXqjjp/mLumzAL+UajlDG6xWtkCW+s2XWFV8u1ZrEm70D3
+Ug9NfNWVXYdOvJUYgcQvJOXjsUNn+6Xr2UGaljLGzJrP6wrnkcj7ekrFgiJ6eZW+QBZjCE4hXG8v9ZfkVuq9EetOj5Yyhw5lPyZa
+Slb5F675DFUIeVwgvxrV1eHraLrQwSXQ76U5vDFZhGuKRUam3U02ZtlmNk/pNt4x0hUisKFGQoy1jFUIbJJKl4W8ojdJInpNdKlb
+1+1r+NN3wWC6+d6tr5Ki9C6/+kUykcCdeu3m+2AW3Xzj5vvkMXVcKlKR3uW/wbH6ITlT3+9oUq+veFQiOfEqb2V20q3r3XfBwHqb
+bKW3SW16kwws3il+7uYfG7vq3Ztv8d5BSjJClNhWt7568y3ysJ7QU3YcqXeMOIU/4f4e4xi8x/8X00vsqXc6QtaTHQPqVRsN8LLe
+E/ELP8E7xG/ZPd96pqM84WpP3PoiCVM/tOf93q0vgttFjpb9yfhO4mXh90ClWl0Xd/8+R133LKIYCWK88hc5Ft/n3/m7N9+49QS+
+QhKV3sj3yf4SQ+p73XO8YW8tv60vkn/1x/m92c+9feyT38lPTeYWvwual/hUt564+SwZVe8acQwsrPdu/mF3jXf5Rl+3+30fY2pE
+K7yPH9jbz1Syt8Ufw7u89QzfG8egG7/3ed03yA/7Q/KzMCbP5euCZ4Z7sTclJtkP88y5dZ2UsK/e+qK9y6/e+oLRw67feoz/YF28
+yjkJstiT3ee9evOPutHgvfBJ8ox49dbnyTV7hu/oVXyWveXH+LT55zTP3uWfjep160kwyDBrRTfjuL+tP936is2N9ziPXufcBYOM
+90da2Zc7ahne7Q/wNN28f4/3rbn7tVuP3Xry5ts3vwuK1tGLR6/c/tLRt3BSGBVM/xZD7B1QoUSXEveLFK4nj14iWevp20+BtHX7
+88bDypSx/Ltv3n7q6FvkVT2ur92+fvS6/cY7xuO6AXIZCVKf54n1Iv509OLt67e/RFrXK+SH4Te+R/YUyFqkWR29ePTW7aduP330
+WqaE3X4Sz4FPuX396C1QtcgoI8vs6N2jF45exG/dfhpfv/15cq30rGCGvdyNxtN2f6/Zz10/euPoDTwD7+PJjqlG/hl//s8zjy0/
+G5/Gxo10MVHLnhDXDJ8EkhqfDSP0Cp/nBTK/XsO9aExBRDt6kYQwG4PbT92+TvbWF45e4bWeNEIXfu4NjuSTR3929BqeiONACtzt
+L+hpRBIjse15sM26t4Cfe50ssSdBMgN1jGOPK35JPDPQ0ezncLWXNBL2pt84umFX490Y2czG3ph03+ne8Z9hZoAalyln9ikv811y
+/h192573ut4iiWqvHD1/+8nb14++c/QWRhgz8eh1fuoXjt66fd1mmMZcM/klks6+h/eusb99HeNGUt5bmDHpruVlPwEVaU2tRpgh
+vGMlWticxLF9VecyhW+5y7W0cKU53f1VFqyrGIPxL8hXrCbST/HDQrUfm5rqFMuxURaDkOwcgqxAXdGs8Gm63VWVoyzCUo2DLaXB
+6UkiZmbpbkv+Z9VaaBlkZmR/yibZq2z02Q7T1d89sxL4BEEI4DmYwEdCHNSuWnRXcB5rh2N+9zmLaFLWlKUh5AjPzYsMrfVLXls0
+5ZrJL2Z4CqZDkjQ9G0At0wlhSgbFajT5Y12dXkWyVnn2tHnfxU98joytz3VWUhuUvBsApr3K9GwPVtmS6aIqmkC3q9e7N5dNql+M
+pJIIN51FUnl7VHdKRvVfdsq8D0MJs36nL6gGbx1hmf8reFjlHagkFPNp3RrkKBNkEHYo2+20mEPaqMQPdDnLB1kdRbM+c5nifpj5
+q6rf2+mng9he00+cX73ujjJVgt5vUBk32Motm3bbKSN8w9gUTehoV9KvcZ7hTeU8o0WwYkgQjCTL+HWx1tQ70Xk6K6VIkSve2ClK
+JDKEho1TFzOnF3KC4v9YTblVDHybwV5WJaPgObcv4ZgpTpq9/jE+UWFDNwznxhPmI1qFhs2Ze8C3U3RGrpu1tGgoRaQqppLHNgxq
+k2VADAIVPBtWq3dtE4rBSlrEyIpKHiNbhjKEFqt9OpquHp/enGiKr52mGU5Pqzwf0JGMcYX+yjuMCjJzUK/6nG9VdyX7KgIfWmSr
+4ILCEXRyc0cQlu9mWU4adrFKh87ytsjOr9ZQ5laVS7e5EgBJaCqFZqcDTJaCZMrbVGEcqGrpFAcqujiTU+MlxR5rygOQcnmAbSIc
+8kaDlcB1te+4udpk4yNyhQw3EJdhbijnqKRGZCRJgarszKFjnMXVUImHpLx86Y43WC7ZWzDESdUuN1bJPsDX7cWqTStnB0a/LEOJ
+2tgacoIKM5FiysjYgNSIFDk9HCofEdcYBe86nZNJwjA91UvCEviUENg7LoKKNylJSc1op781WMkbLcWRIS02U81TRWZ9sNUl+HL7
+ROwPkTQq1S2zOJA4OBxUI8sdWL4gODWpZjBwUwfag6gFnjRR/e/CudW+03WwhEyZsW9WPyqqx0BbVzfr1lYSbIyvJd0NsnPHmTP/
+K2IoxrwYrCQPLPPEW97pn97sQELdmq+rh6qcoXK5YR9yE0YlQgC6kX5H5YbHEguKnJH1VPrmfxJTpAurYzzL0jl/5bGzLafjzk6V
+T5fxXm1cd6yi/06tcvgJp7cHWzbZOyAIehyC/IbW7pUJSBExgtK50vbZqcL7uyudPoOv1r4Jv2D6ho938Zbt+dVtZ2dnboOHSKPl
+UhjPnRkfoljlBZwJ6JTNT7WFrAfT/y2/loK4ipHGzDACw+Wq+mBVD4otyOXk/4EAg4rHzSFJQ4TNjz6ziHawKh7G4C47Fi2kWpT+
+JNbVZ9laA1qys/kAcFAjIRINRUxY1WoU3BSg6IGqpcC2Ru5NJ8TPNWecQJ1yfbNj4pXLC8c289Zl5qMVzi0ZO2VFPqSG1paMTw+t
+o6cIXc3sTNGtUAylo03OnWG91Q1j83hZltzltqlYI0LjRrTxRO7Q9snNPBAL7VSRDo1eFJxOuVuoCBk2JOoJBzQfaRxd9ixI8Exe
+p+/injlBv9NHSSyIfjW6Q6nbqARCY+stxCi2XjfrcKWu0ObPrhWxclmvk2pelLeulAFKjnOXThBzqMplCX3u+UPJDpulcxxEIMVQ
+X7j0UO6TRPhN3UAkt0pnOdFFSBOxhl2ElCbXAdRYscxpebZDHa5hwnFIqjarxvNOIITQ1qMpN9qIyeWCaNLCgjRLq7gw0I5mjKyO
+up7FpjG5TvZyE5qByYIv69ycR+07kG1ZYi63zQQ+JisU2CzOCB40iCrJDwUrVA6Uai6JrmqX/JIv4e6VUeZdJ0TKjFQcdZ08NBmL
+g1yfzmRNuWtcrCb3qtEXVlPOxjM1JiRoLJciokjumnE75TL3BUOaFP6Ap65ybPs75q/J92K7nKrUQWKzLAlLuXPrNM5z8x5XV1z+
+MsrSFEtHJe5eqFJAgJgk45dzTzEsaYoUmZXqr2TG1BRgA01nidDTr7XTRui/aVipt53hcZF/qHniM99LxkG+dXZ8FQ1XolVkdw2p
+FqvJVNYkGBsptBesIV0/23eDLeypluNdiSU5YazYotc7Zk92yNTV2TNQ7cLd+5SsqVXXNLi+QwI9tDv9T6PNY9RTsC2byfnU9AmL
+hpnXyO/srU6nXBsTq4kSVZyeDyw6IxKHFFIVrh6vDss7saPbD5j1ir/N4tUM8hiG9iAInpEbvWFqdKDpsnNp92HEZBFoThBQbWtn
+1n7YOn/5vPs/QQUwWCslPVw21Wgp1R1Zga4em0QM67dY2eurhL7LTtCiCZsdbcARPCFT4tzKeMIeZf1/ssSKpwip1NCScd8Un2J9
+5frkUpdYTS7+rYiAFeelTAONBsvQhf1wiLNBaelJjgikLkfkVt64y91Qs50qfSbz8zIXs9ibx1c+g+/ITbxdPb53tekiW2VtV7XR
+c6KgTTC5RY1ZCtzE+AIkVVtpzI8JnZMWJLkcMJModRuGVX1eautPPHBZPeDOraxtGNBmrdzdhQzW6QHSoOz6/uJamIZDZoQ1S1A4
+NiWsZUpbLFdjmfMapFp8gOatBJGQndhAdaqZSmA/msMrZSXlhpahT6OGWouqcBdW9mRWExLDg/6IBXY5bGGW8Ov87v1jtXzJrepK
+uffpdNWMYk61Q97QvifoIhyvPyJRxslH4wOZhGiqLDiBbkjtRrbVmnZqiuGye8e54AwrfFo37QZAqF0LuS2/a5YuFoHS1xE1gfXK
+isc5B5GALxQOmTdBNGLCA1BzInUBptzK4FwfbHUna5B/Tre622F+9cLKv1hViCb6ABvM0226LjKSW3QR5dpZbSpl4vGVe2qDIAVB
+sgy4Y5WOaTHMdTi8hJaetcLE++7A6CglNsieL3M9HNrvgnAnLX2GPMuYHjc1dQBs2pZLJ2HYZNWTIhzOU2OYErpqd2T+Ej1Vcwfn
+IWteeWcECnFmHKiegAMwC623rsWXc02IL1fS+XR55RplER0JPVaRipRwN0tW9Z0pFx8h5+07b7EJM0wsgnzUQxktU1eS0F/vtHGx
+6rj7oTAdJBwV/Ztzp6v6o4yNbAtXjx9gDpk2SsYJH9OCwUhPxmAMxWBVzpipgyyH64pOc3ndNdhc6p2Nfd24mNQzFs6URhStaZ0A
+c5ckDZFzwvd2kYQK9t0mO8rqMtvO7uOSxjKAItvRRAN3kEV6vDtSIAXezKDUWC4vdBVB6ysJYmqJM6LjlhbDbIR0cTlfdkFNX3Y5
+4nIpdlIzCZxGKEW/ojlJh82ntus24by7OiurdLae7PR3V2XuXS381XavqzU0iDiHDSpFYBoh+GQ5FUXJKxV3LzfhwJ7qkzMfhcNJ
+BK3Pqg7yb2fBtkFF1XjirIr0AOaCBYOdnjE8jS/N5sSDCweOyZBWoYrtVSn/uhx1anja2l0JYa53nCudEzZAxx7oSTMZPUH6e+bE
+jxZt7pPp2poBV4owt02DiyUl5RmjYhZOQ7tMXx4AHoipkTvK0pTgRGSNtY0Dqf6Qj5Bxm7uQf6bPPgcqsqu9k1qDQiPRudwW1FuS
+PJTLu1c5iZOr8hd7haFcru+uDM4zq5oKXNYwiCbdxzvKlQzm6Bo+J/cf/1tCRyhoQZI3AaGVcqSzVV2FbSICB3RAHTDmxLpKJCq7
+D2urhieAmVUfGGCQBgUPd8nGrGQcEyY3TcCQUKpZs+N8V5fmLuT4fssaUytQ7di1qDLQVlHVrZ6NsfQ41tmKYHtVuLEqirybsUKP
+oakTcrtP9jC+dpKNJao/3i0X2yvXBQ0+q9Hhmq9dZ3srFMExO5D3i0Oi6YSQ9GmUmGjYG9dyMy6zAslmTPKDSDEkJXBVkeFGqzMr
+Y/OwULL7fPpYnMYR0FhXpsIy73fA3gqq4FgRNM5maSg4BJn8FgrsyGUcNnExY4W8jrpohFQ3XIIqanvqqgCW8Qfo5tCfuwlZfUoD
+Us+aW2JjEwMI0LZXOPGKuGRiRlxxT9nfZNL5Q22jrsqYtIphuVjZW98o/LKj+qNwUgck1HcL9YEHy2OVMpNPpnWc7GagCIeGXHLt
+jo1vvSJId+cWpO4f8gLw/ii8Na19XT2AFfAQTiLIyFSBmfu6uiEkt8ybNPVMk5YdjrNnqRMyn2Q6eRkf8K7jZmN87R46zmhsrbiA
+/HNy82gKYarbNMjqR4axiN5YLV7eWddxR4ePqRazoNvV44srr1k9O2y1dFr3A9BCJ6yOHy41NCbbN/mpkblMRTxHIZJvlrne37p3
+tCq+4aUIAy9XUbVNLj0VDhpyGsZI9sWcilXgm1Lmx/Xzyc1LmZHwt9SYgAOXOdM2XgEB8Dt2jndtOCC3d1MATKkoZdf2guxNi8ow
+06hDsB5L02qGlsVW2vqO1Lq7fUN6plxUGKcd/QxZZasBddrBNO9IT1V6xz4ePl/uIExIbMjQdzMKuRsVxT2ijIW820/jnOvSYpkW
+EFQmNdu90h0TYajUd6wWaVv9szlLOKTcolyn2Z1qp1XxYd6Y8DbLHAHqWDSYtOYmnOmzNS/8VzSz6ArjvEV/+IZMDqrYqyLIscqs
+6rbYrcxyikJPE14MjGJH8aEHyOxLl2kathWakttAZQU1NompDCqmwZQeZsRb1hs2aGB5V7PEQmT3102OlHVllDiEE5YloLR3r0In
+uRM5FsMq1LMizKxb74PGFo5ZWARoKlXUxeKVz+KREyvoMK9oy4KFZ42LuzY7p9Df1CF4zOqFMc5gFG1Y42u8i5WDB/ZPZeMgW0Uu
+2kofv2IGkR5qJRyIGtrk2s0n7IkTVnel8i2Xa8ksEEaYqy+ieHyhCY/m3aijZVbLFcthPTdiWaDvzDxHBFDcZD1DQJi1V2BmXfpb
+VRAA21yxkCLq9RGCL+OuFpVDr3EaI+y/Vqg97iMwsEyRzeLpVUSgC+PixBFOleTglHdwrAl7b7DD85TTUcs3L1uHc9fiVZisCpsI
+BSwBhvpRjGhAN2oTpoq03ZWbROtff1wRq9ZzZxuHSetz66N25WQywdEVm2b7lDUuYQ/bfxeyHS4PQudDXlpZ/Cu+07pVaUgXnVlP
+ySDs9PIJ4Od+pgJ8foemuxWvqPgMEzRXfWDMrAlUDKmTieD0t94YIDhgfnPFcpFdZXyre/hII8fsEiwns1aEp+F6Y+W0MAVm5ANa
+vRrTLRZqEBO5NA8V55rYucx6SQfRIW8trQ4/3J7YQPewiMWZMNMyw8w2uWJJQKisHYqZXzkXQYNExqmWJKjAcHQrGz7+AKXJZYee
+RSWX4mfTCPvM2xuyp4DpM/ufU8ndLveIbufyKqKl7gw0ni6tfP/MuLnTfY7xKMcATDaBmAyZ5wCFMDPcBnNdCF2jruAidwWSfYaW
+I6VixXBfCKFQ9U9FBD4XTBETmez2JFXtcmLOiCxJCQ4FUWOl3RKd7QPLHmao3d8ysw5OuzlMcGAVDknqaJKZJus0ZOXS8GcVpOA0
+qtT9Ld8vuo90u71qpzjtIYzKS891/O7ZKoRvOzh8/xVmbp14euTZnF9t25vGgUjHIy6xOnFMItSuqnYM1o3FkDqHqUt4IXbTpQ6t
+E5/Q6fs5Z2mrkEOicwV/PHEMFIa2CizSLczWULMgWhfsb8F9EjHZhNVi0WlWBmpHgo1Ya+ewiCXKGleH5eaeVWjEKpsz6orjS8OD
+MHyjiAuu1gQGfPyqvZZC8+oU5xcVXQJuK/u275iwBmuyq0ySZ2k2V5ctOaiNuMHEibxVWHir1b3OETWMRkVjz9oz2F69aYW8mBOd
+zHG07LDyPrW1A65HaTCme5Uf6oJmXBelLaeOQ6I8OuIsNfDkFwSnyTm1KZi0Lu/yjC8HMO2S9h0miw07yH190p2bl1fJc96k4qRW
+lMv2pJ3pvm7m+CNqhLS0cuhU1vuh+osvA0TfVcWkDIorvIZPJR4raO+KE4mUy4gBosMbXvPXymSqXM3iKbtQw3SNA3qHr+pPUi64
+QR0hmyjwWIQYxM8igWRhcnhD6pDcQYpXM9M9Qxl5iVUFTleMM4oeHivi2YUvzLTET4xAztUlOnBvSGlh7eUT3FFweonv7WpjknA/
+I6s5WRTRq5CHcgG4hmI/8gcmC1/40j/qwV7PdUWptlwpx9eSqcCkMNU8PrzhUeXW6HYQOa4i+8ZnfiRHEn4WXwC9W70hCW7B5GEp
+kmluFNniHyu/HybduyDUpvAF4GIZ/81ohrAPZ/vubEcIO6bwTQgX5/5YudUCdpStrQ7U1HtIPWGlJcp6x1hX4NZZquJs17hzGudF
+AF19g+E07piZZXZMYJpHUJ1zV/qCrWPhRgNnogBxzR3TBx27/62VAGsUtrYODg42J3U9Ka3DzrXcVrjO1vKxLLZiz43VRdLhU5RR
+mc2goZYOCWLbs3f8Wjt1aq64BDgv39Axod8qe0md4yqbZx1/pEUFnMLu7Y7/eOwzc4+SRROO5b+LO8+sfmbjmKaKxzOyXsNyubW7
+EsGg1c7YBuhUh+84dfqeBZNp8BTWqYvYt5BUl//dQRSlbuwEKgD6Nh9M6orcL1V1w3zdwRdWXZ/Y1sqh6Qlq71cB64uhqtKy3PdV
+9OdWZvH6AG/ZmHxQDm+ZdBiUlIz5h1rEF6GcT6NfCWTK5TFFWs/kRxJad2pPX05Cey7Dvo7pmFIXCI9iYuUk3s6xSKC1tFaf4s2i
+LdBJZzA9RpD05V69evGn1o/JcHI3UqjWujQ6zLrVTRwTRaZjUcc7vFtRZQarktX+3dVoOWK76+il7pDQ8pjarpC/JZF+xweNIZ0P
+s3zT6di4Dbpmaq6tuzbfOHRgiI4VbVkxwxBVWRkt+VRe++Sl0/Cjq4L+zZqJjZRP3HTHHIysFhiF/jGVkbTsTBNs7zF2eEBPAyLZ
+HN3rrHO6NOaboNnaMW8pHBuf7WOp/kcXTUwZidiaIRZn4Xh65wK4ATIs1o+p8/+DcSVNP06OuoI8yXWttJv+is3bidBNCY9SAMxn
++6qq5bs63nLJ/cGSDit6MbSSM/TDzu3OZ3PbV1k0sdP3Zdl3XZUt7X5TOzEioYZHzSJsX2K19tbW3Q/2Hd+LNVsRR0pJNYSJ815x
+TD3qOspbDGnv2D107BKw7T7+m2gtN/4vGxu7v7WK//c614Od3DvR4Lq1lJKnbLXkSjszNcuXI9tSUcG1jE9QmhU+NIW0i2pFBmWr
+19zUJDMXXT0+do64rpW5Y3a2yu/9mJO/lbUSot0iKGs8MeGppDjEeWHddgbHssyfWNDClVu6T8FoidCuBXBz6kGuZBuK9d5mhXwo
+fZOVYJ+sQFOX9o5rOxVaOutQxXMsRXFH153c1eNj9S53zCCA697p6nykbMZ88QnDgYo7+9EUZ4Fa6+Y6n1hN7utI3n1XYRnTQUlp
+JTMchbtyF/VYTXaPRROPHVO9Y6/RdRSwrkWLdhdsZlndf2wtuKkvx3l/PmYMu3wpSnEzL+5Y7mOpxE4uWnCz0MIFKil7haMuSm/o
+I+N7VmfQiqoBqi3Sl2rZ0sFT6UiF7oUdF892TbddrO4LaZHMAb94bJ9H/UeGWyCGtcGLnG2OHR2nzRXi+oJLuzvYwhxGVrNDtKDd
+H5qSUyaQXMfAEZ+H3vfWsciDYxflaSyKUG37fR9L5jxipb1OJKyufzfeCwL45pDi93Nn3xPHqqOsm60XiVxCJHbqhLhBUeLERvax
+6zqqbj6urR+s0R2cU2n9WKVX6p1Y+byjsu5CPWElnSOKMUN+11KAH1vWB6c3+27FK5kf22fw8/mR+d4tL35ilc7p9Y459giklZkh
+txJKunstq3EPvN7VGZGOyey1r3ZbMV7GKbzmLck5M3HWdaFkTlMLdXx2JYM6eyyg6I6Ftl3XuVVqq7K24pDcHzkcj8/GujrnVuLW
+Y9Jgd0ytUEi1pfvfPV7Sokwd46vDVU6eynLpe0J+78yv5iAzQzZFEVZRjFWF2qqsx5eX0GKmdZ9EsxQ/6qyPwsLSvHrFtq3KhZDh
+k5Pcq7CmO1YemC5U7JW5zpzt6rI+zlb+DpAinP6Uz3TBIWCl6+wvzI/lorjJlf9/Xd/WG9d1pfnsAvQfdsptiER4kds9g2mxWA2Z
+smNNO7Zgy50MumeCw6pD8ljFOuw6VaKqkwC6RJZsWVEaHdkZtzq2I1li05JMUaZESpYITGNeDfKNerOBtDP5F4P1rbX2XvtU+UUi
+i6fOZZ99WXut7/Jib5a+YxZIk+RzvOPHUGp2QlaXpWvyDoy3srbzsm5HTCyEIE7mPbOdCp3WkZGvf1+dhd5i0mbrY+zddP2S44Hz
+QrKnwx3I5H2dKppBMQnnAUylQDvLPSed1BcA6WcFnBeLsNvk9cIxXYkg8DCyFOQroe8UptzOlz2+XOAHgEFgjAj7E8D/lNU/3oRU
+Jc38STvsZPZVFJonsBbvXk0nfE0qQX7wLtH0SlsLnoeDYh2ZGCYk+N8rpMyneCnSXNQ1F7VaeV6tGFGqiNca/jfk/aqOdZGWMI7a
+ufN1t06qFNFWX+c96qt1g5hHMU1qcvii+jCaGExrGFxF80BANOYRmjYzBhDDl4FTdPQneENK2QofzJh9hykqCNeQRzNdBnM69Jgl
+OET6kwFGS630pHJU6bnMdOXMWsZ1OlGfpTjDSe2IwTycAoYGm9BVfN2d1xrkTtlYUOpXKF0CV1NQQVb4PpgmvFepgoWk5DBi9nFH
+ukEskCqiuv4mjQaGOMXhXHtihPEhswcXpCG6saHtFSaGabO2GN+ntxIm5SjshaWUmYBRhcXk5GLLawQt81ifzVvNKa8tx66aVO8F
+XMgTlWhOC/S6jL0mOOMBa1n3k6TjjhzpYoRAXLXQcWzQ+5iWE1HZQw0/INTRnzV1iXFXIPPrdAxSW4dYerbPmCLOfs/4XAobs1I0
+0dS9iawFpv7uSCHayYbmaEg4m3kvb0ulHAAZA98EZ0bnFt4tM+5FgYmCqgNqs2kojLx+ics8p32XlEshayvaRuJtoLUMl125qJg0
+UZmSGcKAH0Slmhlh3hyTxlGatHVurJvFyTOehF8pFNnC0OmLqsnt8PoIvEBxxOxZ1AcCOQfU0Bw6bE6TvATRogZX7eZLVa8KDuSr
+R0JbRPI+1XGlYoPELYArcPUadYNCHES6bELtmT0FexpqO4vxCNUDuD2FHBU4fZgPhQqIPZrkPZgqzPssugEFUnq+0Fze4blCeHu0
+1qeqg8deuxrHAkGcdGCmqXMH1lAZBN72FxVBT9YsUEOWsXmkTTli93ojDftIqgOo/hr1Jd3H0NhkIDv3HBQUlnU/qzxfwRjL+Q3d
+S+ZJtsrAouPhWyFpZbbdFToeEqSsNQuXdlN4wZRUkFccbXYOVOtBc56V5NhvHgQAdqTF/jdNOiJzIMAsLT4VisBXrew2zeqqqk4V
+wgZHGzSofPUYtIPUF2FpvGndPjMq+IqRk+ft6tiheJWKQLRfMAD9Cp+dcwi5miUXGbmntCQ/OI2dkUcTiUsp2sqvuWOq6IdxVBB+
+jm0pCpPnUfp/H7XRTndBysxqT0vhSNVHMPAngaiY1SHoS8XMo27MOuVVH2jqkDFLCWjAqRAykJlOy/f5orcEcjPlGEOUAFj4Ii/k
+sE33iJxleLrz2FCMBqGLBG8LInqYh0mNtedrq9K2GPzeyJt4NIgn30BcqoxHqwvMfkzizEBzMGWHU6ZO+iquwp+E6SPGtIgJqN0S
+1PmFDi7n5/FFdhzzMsb5Xs1WtWC0B89gXHnkxc5Mw3PMMuHgg+dYnttVfpuWPGFKSAYl5CRNnNlBekYWdkWm90FnVbeBav0Niujd
+S4sE7dZ6PM8tTquLYz4uQjXeeYlkah9MI9lcOmJoznXzwAZ+6FIP8e/mhOHX+dwzr3huFPJ2O8ecQ4OGYyOdcVK/wXGzhM5XkNvY
+rMn/sE89j2fvK01RJYOaMJ8swjFCaq08LzHzsKE7k1afhFVA6KMcGr0VgXOfyBrcmifSzohJZAf1ZqpTSJxDE67mbRLUa3yzYMzK
+kykHDbhd4aign3e4jy8T8yNf9CwRIjbo/ldYTLKW+TlkAn5n3a5qflMcXjBawe9Vx5TuQ+9FINfgQ2vshDyPOowzR9dBJQHzBvcI
+GgM8T3JL8iLebUkeoKs4C43ri0B7QBMEtYsMdtIh9vPgXra5l1gx8J2KFPsCtSD3Yzlre7kIztt7WBcTsLoy3gUENZd38mXhwAqW
+SEAufV2r2XmB2dvH0pNdnrt47Ve2qcwzPc3TJgB0SewNVHAG8LRfFEI7FCl5hyu8jaSwKS+di3ez1hq6yznHxqS5QO0T9k1vShG7
+zwzvlCG5s6nR/nl+8n/9Q/HDX/xD8cO/mJxPR39OO4Fll/5ySmISrOVEyPI62YooIePvhdyTaTy9BQrAie/DHXK9Zwph8YwhAHl2
+uo9/eC4yOkqkEi11nL8dTU1NZ+cq9PXuQWnv091TO9tQJ9yEQt3gz09UX4wUub67fe3Pn//2j5u3v/vgPLtCy89bp/3P311998//
++zdkvnx5848PH3639s/f/Xb7Px9e/fPvtv98/v3/fPDlfz748k/Xn/zxq4/+uPnoj1vvfvcvl/74+Oqf7j3606OPv/vt9p9uf/Dd
+vSv/7+avZNyhDL6QdjoMM1BvFQIRNHLJ13GpvJUUyIM14Y2bK2hA6nE4RpUwkyZxKOn8//EpmzLr53nBznTILpPz0GzydgKTZUaB
+J1ys75MHM5+fkAFJM381m+0gHobrcDsvWIlBdDd7FLwqTkKJ4qLlWWRa6i+gg0kKm+EZE0Vm0HnYMIhuo5lznlafi/RW+OdeN/M/
+08m0dpaS3d1iKnAFzdflFiWi1s8MDvEZfEJbzKr9aALlPtIMJIW+T6BseJqU/4IupOpu7r7PapKk/idajEG3k9QlT0H1EaqMrD65
+swYdwA2vVqhqnKTI6K+1e5n6MHrnuj2P6HZCa5DVKPXa+P3xzmNoVX6Jnn+ffvPKhaRW6M+5exFnvAudyi1zLaONCH3FTWiK8jVV
+E3PDn38D6oiqbbmJv0FZc/f9nd9DdZNVDr1O5u5Z04ZnSecSmpGPdi/jWUjR9F1SDRXFzntGK/SetPAaKXSSuqi0CWlQBnXLjd1z
+3D67F3zbkHrjOrXr7sWdR6K8uAYV04s7WzvrO49UAXTnHs6yvbO9e9FoSG6YZ19DO7Fy5yNREYX2JFRMH8ndfck6rHhjfMwmnumu
+6KhSD6Ang44n9CBZLfPx7pmdh7iDTTmPvEdSroSy5MOdtd1z+P087oD6p7+3nT+Efss6mOhbX+2sQ5/zFPQmw3fpWbahv/mElC/x
+Fu+Tpix6IJ585yvc/3morW7K/bI26zb39d13cQbWCqW/bosO7Vd4DjkmepYn5l1s8vXQ556EPowrcw/Y1PEFfc4zO5+asfMVa8SS
+lqhXUb2HfvSYng9PG8bLBrX17ikeX0YDdCNohO5eRA+l53i8e5l1VGVMscItv9/HGAPUb3+9e3nnMcbNqd3L8g55TvD3j/G4JiNw
+C+9/DSqxZ3Aeuu6D3cumD9N7DOPI66Fyr0N70/zzr6Jlu7mzYby5z8CFeU29pM+J/zh7oJPltFpLi4U0e2SvfPPZJfzpiv7wRN2x
+z39z/dNgQR7Ow0bSN8w5V9W+HDbT9PkZfHJb3bSvm/s5BYv2J+F4+ncj3BuZenu3br7uFty9V/T8V/SYW+qH7i2qYSAux/NTXBUH
+cz6nWLd/HK4VrssW3u/ihys4/gtjir2Jy/Hd8nM9wL/v4LmuqCv3tlqT38eNsRG83jZ9/js0zsfxM54Kz8Xe2eI57lvpihqg31Sr
+93PGX5595/lh7+C6/6bf4va/pm3in/fTb65/hev6Zzyjx3yMB7kP1/hLatLt3/VVfYMr2rZ6zs8uGEPzVb26f9en1BB8RT3Kz+iz
+r+o7OiUe8dJW+h7p81s4/yc4rW9zvpM13OcDfeNn8KE/5qJat69H/UHabQtNd11+kHHh+8ApfWo2dr+h17qKJz1DfvFy/5vqBb8Z
+Htn3WzkD2p+Ov2raakNH0CZOu6LtuSIG9+Geua1+pxbq6+G5pFVP4X7O6/G4PTrzddzzGlryDFppPbw7GUdP1Er+HTNvbOjnK6EP
+c7tRH7ulX9nS4/mYTR2nW7i96ziS+xv3/4+1Ta7rS7mvfYDv+b7cML/30Fd9G57X8X4BZ7uvbXLDzA+nzDOaOUeeSJuUruvvZw1u
+9X6ewXXpbHdM//H985T20g38CUb28r4+MH3snPaZz3BRP9Z4LHwQz5+n8C0ea3fw7Nt6Hu7/PMlfief8LT3mhukz3LHXzTzwubbJ
+LZ3Jr8scRV+5ozf2IZ7In39NR9BXoR3oT+/on1b1ja/oW8CdcLOE8f5BNFeEl6tjTfr5hjysnx/kV34X3Pfex/nRbWSWXgtrnDyv
+b+dz+HUTx9zSm7wszyjHbOoLWjfPeF7//QBn2MDnD8xauSbfpXmD17vP/HuHWjTpYr8HheQvoSd91qs+39t7oIrNT0+TuvTTc/j8
+PhSRg1YzKymf21uHmrfXAfcKyzeNxvIXTy+QMvPeXdLTVmVw+jTSEP8VK2PT9Z6ekWvpDhiq0tC95s9v0T2J2vSaqI7Tz7fpWDnn
+7adncCa+n7vQvdZz3nx65uk5UqR+emFvU44nhe53cBTpW59XjXKoSF/z2uR39/6ApyCt8RVz3QvQ58a9icI5K1Lfg2o3K36TNvc5
+en60qSpj34W++TusN87a1dARvwf9af78LFTMV6Xd3sFTrrBi9d4qPT+dB5/eh176e/icVMxXqQ38d6HRLXrdK/jGF3J+1i3n+6Fz
+P5BnvLO38fS9vXs4412v1/25+XcDCtrS5kHrfG/dtMkd0kOX935L1LWDdvx5/dy/U9L33qK+p+9Cn3HvBt0Nt8PeHVUcf3oabRLU
+vfW9UM+7K/3ni727Ty/gzNT/H+7dhU76Bu5A+8YKFN9X5d426XPkFSnzR9v2YCdKmf9pAzNjbXDBnkJSY77XkexlO/wFctOaVob4
+MLHx8sWRURRDWK+lTygeyuyxiVYj6zR6i5JxnLDYYIvJL2olJGaobRsxK8J5kA6C1GyDnpLKWVe9ybtqaYKBfoIsdSeyRl5VIdEO
+l9pVPpHSYT+m+k5joUeyJ0y2kMrvNIp/WplBkl3TsEsdsrWWgobBQDw7pyB0MAVeNqhXt8hVqKSd5r0COHcPDFaDcRH8MckUqpNU
+GURWReqZTZWmq5TZ9Epnb/aWqDzoZsiTy0KLXfA1bfXHXkPCW2CySyenwo0Hqb8sLV6yfWeim79KVdmZpEhHAgIJygIBXicyyZL0
+f9mASMYkk82kSXoPXu5bMMpzpMJBOuEFVEjI+fnHxC+kLF47Taia2ElYFqNjanFsdOeLj44d+6SpkNtWMTURsQUWRWQGFxh1Enjb
+kPcwGCBfw0YpQvRgJ6icgaqxloLeTNruZVKxI7ipxZsEQRnQHOlE4HQSzMcrwyctp2I0GGECbuBMu1frFSiFwIa91DXjsGFa7Y1l
+RyzM+piBwlDVC+WLRlIw2aHwwsNei87lcz+isiJUeYmeaIumVE85gRo1sUaD7P50dcoZ4sLbvSKQToRcIkJsPZQAuKwn0D1GdRDZ
+MYAEGGfMU4BpUfdzlIC0HFmxCW5nUcOqM5CydoVimJKWE4cCNrVPAtaKlQVEj1q0qqSk4RoEK6CyAwTWO+iXIp8JXIJgRIx+eW2S
+rRV06rQsDVH7URgkSFqzrbxxHIpJHXFndZ75Ttcx1OtWP9gyJ50+ai+sBdKJwEJTBjlKwqVe9q7VZ/TaLyyUTe4bb1thATWLt8gt
+uSHo+bNvM2RPpqv5/MHJk+PFQt44vpycSMcDHwXjlDXqUU15zSDIxwQFwXgSgy9Kg5ydoDLFYhHd3tRdAsaRir0WMaJTtRrFdmBq
+SepDFuM2FgqaSSGjkQej8zJ5LOih3uYtEexIGowyCJLMBO9hXXipebeNRqUnUkCqhUqddBTpqi7ki5RXZxtwJvAnDOL1PYqmJIv+
+LHg687ga1toBUNAzJIGCT4PneWGhes+2VPiHC5Ks0MkrnTMY4aoLehb1qJDqgUOiP6QvL21yiUxgSEfazXxcASUneq22vF72Bgdi
+UcWhPX4dmG8Fi3k30BkCS3CHZPiAanoyPiXvdbzdb5hhs6QtAits6i4QJ/7FPpwLZLBG0pqwNBPWYFddEcVp0as3vJd9lSMqiAF4
+OiCPDv0ltTjQCTE2ZgtgGT+ZNqIoZFLvFLw3qtJeKIDmKEWSMoTPq6jSwcbywiORC0Fe8cgSGuRCrtOtwZO2+jTHLy2pqrAIhmN1
+wfzmMfl5ew6YVDqsFqGPBfjNLHgug3KF9RgVi1VEhWWtYd9KVUixcMYpefCykID6nKJTeFIVECHEiKgIJcJDfmj6DuqYLGolmpcZ
+3OLEyddL7KtoRtsFe+ZAJXP5HGtki1Q2lWZ9HZu5QUpMULLMIvSnaXVUCGegCFSdDjPWNvPAmrm8c8jO/gG05/K5Zyxx1qj8tfqW
+SVroOok5BHhk4bk2nfHbccFHRjQvvahPErhvkNQBnAYt6ic6hV5zeBFzCVp9EaqjlWG6apgCJHjXb5MnJLhoXr+B+o4Xk6Quxv7F
+ouPnLB4e1OUs4eUwGBkbyTZH8UE3z487xfiodhT6jiEMtfo1mVPxn4pl89RJWrbaFQCwckRBdfmcERAkBVEltLb67kTWET+fpNWy
+BN0xGx4XqiPeZ66C9ANRL4NhMACQwdPTZcVhYSuK4GfgchXHoFYqSC4KABVde3DGwPHGjsTbF1lP0Sr0OtViRuSMZA2mnpbNZVgP
+Z/NuN1f5qxFLATVotKoz4p4ECC+ywitXeTlngaIoZbxQ+VEA4JheFaSHQBhC77G0zSJEQjihdLhed7pKi8QxGoWszNAKmDiDDYTw
+OOTLsE2dy1qLThW2x5mFyARfdU1Ap1AiJc8UISjJCjG9VzE+8WSmuV0Aawwk6xGPpJHCyZMgXEGxLZiKuKwtWDEHFHimRsuyvC/1
+uooPFFUmjMhgxOu6+TOWikjrqceK0XzdyoS0+ooB2rtDdjh7kX06TGQzeGUyjlwuAbMo9ZQv7dfA36ruDIX7KiLA4sOiIEXhahR7
+es5qwbIdrMpBaL4fBfWsfC4IRQN7dSL14CtteAAAgcBjKmQ3f8by1E5kpPo0hGw/xhA2oCPJ9CHpOqVE0BziV1t45XhXkMIJm94l
+BTZmqVGXIScf3HXdMrfNBoroibKOEP9F9fNAaLNCAw7OyEq913WOQI6FVbVPK3aR4MhdfvG0AeErB+iWF58HslCZDKxprt3NJUUl
+6lVeVRRqDYxyxX/QRlQtqBAJEQgZiONx6c6WCgs6EHp6kbIS7ZKYD3iyLa0/psNmxeFUPeFlX88yQiSoAVSf5HTsVMVzuGKLK/aV
+JC1MXSxGS0PGUyuDGDaFEZoL6IuYpGf4WAWHQtJJpGTWbqr9CHRhiMYmS1vWNsShyTrDsZSubMUbjDx7wauCyn3Jvp1nMZs9WxSy
+Hpl5Y6oJ6vRCYeLXT/Ozl01vZSeYJSW9Vx1AWv2Xc4MVfsPG/kbYDrJGYUFjHKcMduVSCyBQId0iDK9hUT1IW2WEqlWjMNFRInwt
+NsO8n8PerVsw/I9Fhvq69cVOmqJkP6uJHihrylgqSyLGVf+EETxpGbaJ5RcDpKXeJOrfAdwxkTp4C+m6uThtJU3SHj/mIcTdZdJb
+OJHp5C3gSt5vAr2oe/QgP0UTvhj5IS0iBGVmPBomc6sfoJSCl/aA7KTVynBn1OtZiRZqjYCT+a3IGOMs/ctyitnM50T6iTuFjWqw
+ffHZr1aeNGcWkk53NoV2e8gzs4QXt5TlsCQtFroUJgoLLtEiA5Snp1yRu7nZUfoold4X8r3qKqIQfGi3vJw2wyIBKSwFpPpNFzSM
+nSHwU5sdVYIOUkCyR2mSE7wjHs8yYdo45lPMpXJsBETvwaLJctL3sPUpw8moWd5D37hZ0WIBBO1y2pnrtaw4ZPKWanfQROCnQWJ0
+qzgz7tr/hSI7ILl1P9Rrd7OWbngxw7bbeY+meeqJXrfGPnZRl9QP8qiqfMfB2eHX3WuvH3OHXj320hsiEs+RJ/gqxeTfFHmnO81L
+qEBVA9R2Lu8s2MSAAm97cJ4JStCtfsjI0NznNQPywmwRsvY86XMtqhaeSA9y97f6M20ECxpYBOg3U3GVZVykU5a9GGbkpN2cMs4U
+B3nnqgqsXt+Fhf9ChUDWF17LuWXlO7PJQlIk7sdpi1Cheac47mbz44v/8VmLf2n38T9reP3fT6HiJWWIBjvFkGZdEN/iOoiHhNKN
+4xexZAyOZ8nibDbfw+g4nNOaSd6w+8fc/qTJ3vSSXMsWiaKCGkWr7x3bRUPC7Ce0oMJ7hIOCzZZ9jFUEqdQm6zaI8CJWIts9RzwH
+aW+/yef0MZuPyhVqNjlXn6a94XMvHHruL19+7i9frkWlEf1/KS+6VTcZlYF+OWqH5URhpIFGDkUtMe3a6bI71OkkfSIZRLmeaMWZ
+eouwwd0e7DL6Y9W61aSIrl6f3o+eUSykaXe/E/cpiZHHnE3e11qZUSWBsad3LjSSojRXd2GtJE/E5Q82EKq6SpRA97atidi4LTpm
+tpEQp1pSeFvHwBWewE1PyEO7KFnBchKqy2+05qFL6oVLmv2JKI/tZmwJr+A3pTejHEnOAo2P27Y/SqJOjp0wIFIpCwMVVyh4cl7O
+h01ivKlXlJ8Ag8oHMdzInkmbBOYyKyqGOEZ3xw1ppdBbT4DNFpasaARUOMdWSHQazes00xstQReVVmSSpAlKuYh+/FmFh6RV2HLE
+uPGCG3U/fzF4SnQX0mirW6lFJQmj1Eu8B3Fx4O/VuItJZQY0M88gZ8tDjRmykEsiBvTolHu7mMiabtplzeCucODAc9VoOnXMh5pJ
+ugs5gdiRPdfk5JwNRl1UYXm+a9Mh5K7b6GQ+m019xLu4LKH3LErvmXi7MEPHGL3CvQvTm1bGwbZ7ieetkeUJ4z82wiF7t0n/dOo+
+b0VdKTlia7ljLsqazPxT2ljwXnNSOv9bMnHKF0PViWIUKv4hJMHGmjXxlDs+EqXASHkwOGQZfTxfHFEuXCjNoeiF59rPLbFf9Ida
+Wb1SIxXhTj/kPevRacQ3UTY0I1GJ/JloCqtHFaXArqR7NY59tNRbenKdhZ01NyS5OZl7GklnFhJV+cmsmVaiXbA+JyoF45NRwtj4
+2rERpJmJalFBVjeK7J5yLPv24XZ73v1d9u2j811O/xQSJMvAg0XlwWcPRKWFqIxTQ8Ao6kRpU2v7FH1UXbQ4VaLNrksbjVZaZAlL
+A3M0q5mqoHZB7VmL9jNQaoGurAZkHIJTZjTDvlQtMaNsg5P9vRSyOaess5vk0uWtVKONa5R+c2IBJm+6CH/wYtXjNIkT9oI6otPa
+gmwgZH5RUAWjN4zWjs6K5LPFH6C7eea1WLbmHcoXhY0ZddTA9KSIOnFQNhHQADtqapk8hJnU67zmPfAGoWJDN2qE7mRPFgzfD9nS
+kzM+P1k3FDew/6tFS7OLwhn2k9P7wd7Byx1gxhS6d8aBry9qhxkFyie6D2CeHI83dq6uQzHKb8yQ7qBPkF8j6ZaMlG0wyE22ejkp
+ojhkXzSKnXGaRQpF52o66b5o3Irbs6wmUbGZtdM6qqMPjzdfmDApCdpKOquFZ0w/fO5hVpcSGeE8cO0ujXQ/9EkpNNOYimcwipIz
+P70GqwXKsBhTbNhLElCo5dNumRkBztnIOMLduGgv6aYi/JJRasAIMKCnIqhDAT1A8ABvZG20211mtMoQsUUzu7HuK68dmYs6TBSX
+EzRKhKLpDqHbDytK6oNaBma1p06KdVjmEbSgr5H/HfnF+W05uztqu5GKCjousqb4nt/JGlG855dOGh0NyRaKnjelB1hiQsbtM/ED
+2jwpTZDp4mxLMj2S5OPtYKHmCcyxjTZ6PkHMSTuj8ykqIIZPK9pMku3zWRjWerHp3Og2uyMREo9hK6DbEs82ZNjY4lRUvWlUQWPD
+J3Hs6CtSLf1xuzxv1ASlzuPbWpjjkjYQ2XzZ9hvfQWn5UJetRCVNY0soBh6o2KH0Eni0NJdJCsbXrb1gPlAgXBqWWowMaUoUHZw1
+jlSktxR8mWBEQmkk8ralEfAzCk8D0CVZyrqJjtt9FYM3KkSZ0luUAM3R4zLpyR+/+kq3u/RGCokS1CE9TK2gGa2p3u2IrHx7RgWT
+ouh15tghxUdyXkuNkAPZfBu5u0b/Z0XaDTt6X4pWyXkT6B2J4nLdZXnfAuPcx25Cqk6OTLI0cdo8HBznddymmtqdifZHvIrSYkZv
+DUPJW71FPblh1HVcPhdtWvdlc2xyDeOrOdKLZt8BlcnPfBne4+LwNiWifk3ak/uEyKrloZ5F+bil1Lz3Q0GpwuVzlWh609WeZwG0
+i19XRqLhHwH2itiulo2t1eyCq2o6Q0/WbUdzEUQS46jXIdCnemt43ZwpiTzn5uZ+WZmoxBNFMJRB9tJ7z1KJKurYKLz4eQkRhE/Y
+yU5Rd0TBV9zlc1GpACXugN2NbmXWeDe6TBw7WP9kMW3nWjxkwxu7hY4yauPiPhbmAq0zSAVOBMawNipuixW1vCG4y9peRI4VZUI1
+truQcqyuGE54NfpITpYeGvCUYFhInTkvquuqUmOhBrXJCC/hTLBU2VeJcuTs5uXtcTy8E7Oiuc+5vBNS7tIjqYQiSIdlMVfggF+c
+SWTuCeckE7ZqhLcwzrWOFlvMWZqxF+vD6Wo7rzo2elPr5SNHxtwreavPG3m6l2AFrGnYrEP2TaF4ijdm0YoMZvX7zQRJBkVodHNn
+3GK9iJsqd4l1t2oLhSKXVdPL21ryzorgxyQ1sMT7MAAN7GVh8lwMaELr876NdwFmj4f/orWRJg8T5YVdFBumeaNyN9sPMtkcn6Fo
+J1VV7NW8waPiU41DjV+vkMESfdNWX1fmwu//ghqoSSpSZKyNzl56uTOCaQJNlrGipqkyzJxd0Tkbo7gPs89ZgMtrg62z2YA+dV6f
+vB/Q7P6JaEqGxVM0hyzxXlmdQJ95pnz1YG9uli03249ggVqglfhMqhYyKKLkeUNnAS7IRfj8saCRRZC/aP9eizDkrugsFcfzBdLG
+K45n3SiXsPMJcf9ZTWNni7jL4Tcf3RudhWyJfwM7HXx08LyfQIVAGfj2b1vgkT8SjvxDy0rfvbjzb8xFH/weKQCEc+6+v7MOjQFW
+QTBH7qwRC5yVBUhvAL89ZHa8sLztFa7tPAQffBP8dKO8sHvRnJPUCE5HWgCGA7/7a6iOkJ4DnXMdegfMMSdthNP+HI/BQz/vWwVq
+EmiNx+DD/wvY7etgkl+WVnkClYHNiLtPqgEbYKM/hqbEp9HzEVP/ktdlOA0tiC93z9LVgsoBHSnM/jVhxj8Ev57u5zGu6q9Ab8m0
+xAb+vwfuu3zP/+2rnU9w9COoGqwJG+2dvdW9L56+6396TxlCYHHdB5NL+FSB3casOc9juwve0Q2wyZRxpzyja3tbe/f3bu59GrG4
+mE+1urdh2Ek37ZG4m5t7N4RVdY3ZVMJ7Io7frafvCZvq2tMz4EzxWe7vPSR2lzzDaeKAPX1P+HSrYKO9J2dRJpveCzHY9F6u7d0B
+/+2ucLZOGwbZtei3VTzve8QbpN+englcLeWAyfXugDH2gM+Jllx9ek5akO7xLLG5mB+GVrq99+97W3srwmH7lXDEVlU1R9rzguGz
+XSMeYri6fYan54g555/25t5D5gOSKVreOciAms6UN8LklUidXmTBr8ZZXWMpDDlQtl9REgxNdzShSa2Uai6/CIZ5tR808wY0qZB8
+FGXPotFJqUpUixPGUWVusl6Jp/K4uFOERNh8SmW9KKVbAYikQca0DUBttfRE+3yCLnL+0BcrbeGm0MyO3JVkN7juXXUm2vOLC+l0
+MiixEi9+eirNj4c0AjbPUWobe1GzXxudiraqUehfrY/GVbjZqKYTnreR58ezUgZx8pfUVj/n2PnggSnrIUJyoOJjLqeaiIsdtMya
+3VGE+qpUbPH4ROpq8Vsx5Tc6czXCFlQDb0NUqZ01YZEiqvYr3rH5tGS1HmUN4+irdqTNmymSV28WY1qtdVyuFQNvr9pt1FPJMCKO
+1pLCLaetVrAtcFbFfV+czJBWETPsinFt15BGsr/eCb2bzYpjrAR7nrUSbXgOxqWqmotL8VoMkOjlR/C895K8cYrzWam8Fl13NOl0
++0Fojm8jlC2IDyRlME0CoSMHL++qi8ZKgJtxj6dNbYgpX+/Q6M1PupmFXqexYIyL6eB43wt8lxk8DGRZANQs6S78cnTERlr8rvVx
+C49j5VNLNysMQPM1VAUA0/NDk/HLBurR67RGkGMOW9KitPvRshyHwxG7su13tSZhFcoUuK7Z9xhJQDo+7Fw4EeaiogryRqH9lF0l
+O58A6AViMp7N6sve0xpdBVKoPyPxcjr1tPHwNkG/7mZV+1cskbO215SUvacVcjfZJNa0NKOMZc3U9oWyKVGdTe3Be2E74FQlFykn
+m4Z0dm+XtJsWQYU8TKuVLPmJEpzIkH313pX8VzadEcTsbN/4yIt84lImKQ+gnefZnZ6nBtxVoAb4ccwghiTmnb4ST4wsAu/3hSZN
+pltZk2d6q81Wi02Hl1ePpyALckQqNF862smXkvlE1ZLFg9lwUDT7amgf1EFYVi5fTObbBAlN25T/eZPypY20CHVnvtAR1KX8WwlT
+FaZCQ4w9kXRkH3tCVSdjPItogfp8f8ShztpxOYz1OgOczpJdFI0dquDRJLqv0mvVrZWV76s8yaAmInhJGmXcQyWSOJgVzoKMdYlh
+TueUi2E4NDSM5w4rH7oR1kQc9S6DbGYYllQ2P7TgL5rcPB+VRjTkPlYh08ECTV4F6JIqctwxelPrqv9zUZRhSK5kRWWF1o0m1YpK
+fFwJui508LooVl3/QGRMROHnI9VI2YYYyG2RzZG/3hcVJlF9sXflVWU+VGElLyqiWlt0XT1eNJTWv/nsXXzljqrQbKuwzJbRlln9
+5rOzpDFCX/kEZ/4DZE+uG9WpqyqVc0XOLKf6WDVzWInlA3Paz6EM876qqazobXh9GFZAuqF/vRWJDonyiSr/eKEw/1KkJa+LrJNI
+cp3Gn26p5MsX+vUzqvFyw2jgqCQUXehf9a74uqzx8kBv/qrKlL2rukbX8SeWvTqDK17AmVkx7KIKOq2qiNY1/PwH1SOy8i+sVvS5
+KsBcQsvwmT/Q655DP7yE+3xC/34GOS9RGdoUCR36+bq24WVVpuInuq3953d0M3QqVgO7gVNt6ku8IR1bHmFLn1dbUjrbJXzFK1/d
+VLGjbZVR2tCmu67PewNSQh/rd1f0PPf1HXHf8DpyN7TTXldJoquqArRqVM4eaGfmS5zSEeTlp7yKznUdTad1Njhv3sITVQRifaFP
+RXqIDr6ib/wLVSVa0bFwVk4l4+iinvBjtLOfT86EKUIak2/pI+3tquslZ2Ztn3U9WHustKQXDdOmo8OuyFfoTyzZpFpe9OsXeqGr
+OjWRilSnKH5oPTbGu3GVBx9bLfeuBwmjrB4H3JVaCYbhIl5ZK6uXdsVd4YxOLGZtnGqi0coax0Nly8XryXgppK3o+f2+Oom37KNT
+pdoQoZebaUM48gddKVYN+CSEQwdVj11Sse5FxiUTXbtNKCP1ddSouoZMLHmkkURAOs0IvLBbKO38KgTHsH5jXtZFvWebTcDnXsXe
+I+14/DATYl1RegGTpVyBaCC3513RL7rpYjUOIZ/vQjh8uvozqtwfr9ahSeMC8tKgvQmON1UpZQzGXFzNTxBiB8+u0ma95q8vFcap
+UgMwTiGEqsDqWHqmixFPZvPDvEzjw0VRkG41da/p97jQf6jWq6UdVcW5qKxKJ37+vxhih9SbDqdzSa/VHWFCl5dQcS/2/4ldwUWv
+noSDftFd6C3O/oLa7xcnCL5qtobmRwa6lPYhBgNLOI/C6oLTF97kqpO3tLF+w8zB4eEjceJBQWr4ADKijNA50QrtnGPFap23KgEr
+aSmOeN8uxoPGvevAARkf48VSmpDhB5M0ifLC+SGzj4boCDb/xluPvFgb1IMbvA2vxhv+8ZdBoEWFOSny9lhpODxTvNg/lsxTxX+k
+GP37A/+zFNrWJkofhJ7ACbL9uK39+2XfsN/Ux9CAkhTyScCA7xNc+xL2Hs7V+IfSHqQr6Qzff2dL84vXGGdT69Gvr3z96OtHXz/4
++vHXW18//PrW7jlSA0bOnOsgD5Hp3kYGfBMZ+HVoHSPDvnt557eoVFAmH3q/cb1DNH8f8F/x7d9BIZj0hB+jJvB7VBE28FeuWLCi
+MjSf8X98vM3Ai56yaOBu7r6DOgZVBzakOrEhVYEnuIPLu+dEh5dVo6kGsw294bOsZrv7vj7f7q/l+R6jXgKl7J0Nrg6E9sDRj3Gv
+3D4bperIWsjuG0080SUzee13KNMteWWT8ad/ff76rqkknCWltr0V+f69vS3SzOPz7d0mlTJcIWiT8bfe81p9F6D3pn/H9aG3t6p1
+hEjn7LO9e5yhZ220SAdQNe/kep18Nu9asxZfy+dabrUeOJQiWFYrr1GY4wByk5muPKhqXhiK0DJ5I29B68eM/YLnYZNQLA+kmnUK
+AfmbMwYAvfCPDIIHVqctmTXJ5OputFqa3gJ2ziP0l6kkmoYJH67zeRtDGINZ3T3dS2Qp2Uk7yUSk3LCvEmVaiKtciyujtOpozlma
+MApbCBLvvyIvpqr2OP5/m0TiqUffi6J6Y62khdRVytGHzKUBDijcBY1mpquHyDRvzL2Stk6A7zqG92KrICGFIV8OJHbs/NNCMf+1
+SUBj6rUoQiPXpxI2mWzQKLvpOUADhYr9NUFDT1d73bnx/1atVwJK0wMST6RJy6QlKY3Fb9MVKbLj5dXOlcMhAH00rweMiaVT0a0T
+gmOOLZd4GYiZNwAkGNK44a0CdzeXnazWS692X4WoNul4k3zZWRiDc8H0ZLSgEpJxznEedSbp5K2snRTkKp+641mLkDUdkhIshY6M
+NWp0fY/xekiahDu6kCOF5Q6JY646ePjHl5pAyz/Li2n77YScS0jd7Xgra3fyVjpOIRa12nyymMr8EZg8Wdv9hA2gxEFLPZScBgdH
+OzlAWD/qddP2LDGGrRCOAmaByoE6EhAvRgqMYVFAp1g3VVF209qIbjlCflxzagrBVHBIiO791IecYjGp1DTfHmIrRTEWso9FTIUi
+ZBBHqCGNCQmJHtHyiCqRNYpI+Qs5UwF7s3lTMp/LON6nA3lfOSyoEH7MWaPnpN0cc3ZGiGSh6Co/zhqdnIi87ieoZBaBAyFzYYCh
+ST8wwQxPbZF+GNojZzgcmSQheU62TvwSRahShSkMlCneQkx0UnLcbs87NUPKirzlWTFABlvytyY0X281g9iJsFyD93lG/ouKR2H1
+AOba+JNaC2zwoReBycu6nlZgjXjFSWe+pw6bDFr0pJVJcnAk37U0LkodKk/S0RdoVWyQKRLhnrVrd5fz8e5C1vHGjId7YodHSC1y
+JWzqB3S6TpY3YyKD4waKN1aijyd1u1Y/EiVUcSyvPEnLLowJO2b+iPTrgMBF7+F8OZo60tykuoXfmCSzBQknpFPV8iTsk9wHNR8+
+ZXalvFGaejs5OdnKZgvJJ0w+PxFKVMo24pdh8tyTMqxt+IMQhGb5cQiRTFePdrITSaPvjgJFTMtfOlJ97oUZQ/PbP3DP9deN7xtM
+NMfMTpBjpb+sBfCkrqVGdGOulSfdg+2snXaBR9NBODD2KwMBWTHYQDZ6Yu0cN9DzAjpTHR6rrhyoVQd2lEbXTC5Pt/VXk608L1Jh
+TzZNB+UOGZiAGhVAza7VN2Ic6pMYeFhTA0GgLZQz3i0SN8TxxKFImn2ILDAbLS4F0Trs4wsfqrqooMJ7XUiOsYUqduy1Hxx+febY
+/zj6ktNXYUV7+N9qvZyTil4wsiox3o8uNj0QaBCeTsU2ey1ilZYmFzdZj1lP9F5fSTonkk7TZnRCUCWsaQ6ViV+ryYDXT5K1l122
+JSo/nvaBFai6hjyF6WlmpyD8zDkoTbQMh9j2cA7P3UDYHnMywO4YWGgmBlbvmEuBGb1F/aRliuuEXEWv96ofFBPGzEZVjgq8E13U
+2DpsritChapI5awXaAgvLMONCXTREKWAsRGjRZkjaI+i9564co7p2MA9D+xrugFfTImotJN3RMQnPdlo9QoISETkS2RfrDsb7/Ya
+vRZThL32zcyRQ5JuejlpdGfz/LjHBgSljDb3nMTXbpV3HSZl0F7TRcPeh9JWt0X5swY7xnLxu9V3mj4a03ch3sIGq86zQCGI/9e7
+XeMaWR+YIg+1XanUbsROvNwnbWB6nRASzORt7tLdVDbD1Fvm0zZpajAVrzhKYF/S7ZgPBXGLqvb6QSTnEgAGDBJYDOwcWwl12BAk
+zbcTYGp8H0PeK0oIN7OiEAEir3pqNGFZ6SZr8kTrC/MLLEyqCuXgMwpSwqdbD1PmETGUcrG9LLBjhqrKGlmmkrJIgyIxB5FWN4Hy
+kXnHZtVAHeOzMwGrAdkQ7sDtbtaBxC8JHCrsLNoU+GHls40U3VBz5oz5yRoBBuOS71sHw04pCmuXk06zKGkhLC9PCN7JIFRezGnm
+JUEYUc8rShyyTmPBQAKlZ5a48BSYM4eS3m/eJfJHoW6bKsFE+jxG9x37hJj9y8Ld5X2mvzYpCJycWFpYKmHtXNYemGgrQR1TpY8S
+EufKMUXIXjfO0pKtY4wxBxdVhKBCHH/MMhzw7Aqvq/LFq6NTQcYnY33ZNILaoYmxqDorESc0LaRkWFvtwJQrFaNifRL0Q6yw2OtN
+nhynjLC5iLxHN7Cdt3/lLJovP/gfeM7E/Sxl0HTZ+efd93YeEXYZfmHsU1b+5Dq7gAFJ/g7ld8XZ7WHJhU1d7STHGX+ye1myqvfE
+4Y3yqpTX3cbvkhneuYtvbjOqHHjqr/ATZ3nXdh5JNvYBUOWSYwbCW3DdcnXOKD+Crx/7mvHVCff9UJ6idD+UU0YG97FkjN/f/TWQ
+5+eAm9+UXC85292VbPJjoL8fw6NtA9fnJ6VjGIevnzzkpxCXNrr6b3D8Q3jKPSaXP9RbLylgYE0LshdQUT2N2vQ6qr1cX/YABuM7
+JhZO5/QrN7Rcu6Xl9UtareaS7qfG6+qGQQJwvds6cCk6gj7Xb1Hd+SP8/LGgOMRLiBEXH5ni7xlTdl/BPZw27j9PzHN5tIx/ik09
+zz/jK+vqfbai4JA1xRWcwvnXpG4uWALG1bAtzm2FiHylj3kBX7Hf4pYx7SxtuKpfMS48AWNwSevpFlyxbZAbq9rI7+qL2DL4HNOG
+AUDisQQWCvJEX72iEQIa52qAEESed6cNCuW+Qc5c0xbb1rfzQEERBlwUIT0uqQfWKn7YBsLkifg3hbs9o256jB75KIamrOvBN/HF
+M+FJw7VW9Y1cwbfuCEBFzPi4g93UNrmjDlzcdNfVZks93eTqd6LeK352F9CSpwBcYRjDRQUFsckd388Hpv3f0ds7r/3Zt/MtwaUE
+WNFX2ntXdPisqAWV72OKugmf8GtaMe28Ec7D4BAZFys64rzx1gru8AtjBgfHQPr1jj/PYB0p4qYERsrZp+eI30DVIM9qUDcjOmZr
+7wtxJlJ3nvCJ+jSV60P/LjyRC6hQfYkqFZ+ZOC0rcCyS+1GPI/PJPVS7fuUrU7dwX6eJzSE+PjfL18KxG/qT2VBqCmb5hYm8Mz/5
+/F//9V9PnoSID+0RykkhbHvpr1POlwIGsjCq2mT8Oaqk3qKq39PVfG6uaiXtRMZviuw2qFSvoP/ZvhtIKLlnS/wQCgNtyUpqOD7K
+erY6zMBHvmwNPeSjSm2gHjM5+dJrVWcvuEyiJc30rTeOzBDFtI1oSS74dnIi4VMcLBee4TFeqqkUDZ/VcT4fZ+Ws5LJuMLob3I9H
+AZlcePDVOopCSxktLVSg3TkRNTnk3Q4mntASeMlcFPqbemV5oAzyN6XSG3IrqPVH53IDO9aDg/mWCrKFkbtHtzaYknLDcyUlMLtJ
+zOiX4/6Nh4osJFjVISKcQy/MxRIGIWUfJfwtHVsbunxPlK6OIcv0ZSO+pF3UDdQSn/c8E2Tksub0/Cz5eUtSYCZvzxOiZWAgZIsK
+qjJbmEONpJkucl6CkSOFySQpqsfuKuX2J+bTrmwiXuwfaY5kzVFWkntbgdm0JdZthkp7jU6J4kz0bgdD9Er0njlHVh/MGCtWOQ0s
+F4GJw/hCNDCsp4OUrqMKOP87OHNkkRsEpxVLWmEsN0C058j4gUpxtPtvz3dJWPHwxMzEYL8fZx0G1YKgxMaYtSZTdY+wK2waunWJ
+NmQKZprqFIYY1f80/+gGE5CLWRHbs+VzXqdqzC3IprAYzG7O5K3e4myWmJOlJ5cSFUURckqvYHcC026SCIyqv5SuiZN2ydwcmS50
+zQMBey5tLMMqJO+MQtxAClwTK3TcETpFu2mhjjLSQhXO77atZYAM7te1drmczhYZ3FYoc0pV4m4gLfJqRzkgX3QjnJHmFX21VUUQ
+vMrFy5LZNbcsUCbrACSq8LabvJZ3zfti9QdLcUow7zSSpUQNSYIKmk3cRl2OqCnc5eZ6HfRTM4+F9mIXA+J3qJ1FmEopBdbPe+15
+EoBjYbPBF1SLS0M/HX/r0PjSQr9gtIM3qSEcYCfr0hSmvc/nphr0hwah7Ub0MUJxFNMAGh64EX7GQlQ5fJ5LOGc+oiFXHpv+4UQk
+WV11oDFFwwTlDLzHBnkLdkgogtrluRdeeu6FGeljz73wUnV0dKqckaIVMhIp1Bx21k1/VuI9lvG1BLMsTdKAXg7W2X46Tjqyh5Nu
+OjJKk/axbDEdGXWDKZhqtKxIZBEipBDzlAi5cKXzz2BCI0jV6uiS+VyP22/aIKbOCt7Yw3FMFW9IyCQZejs/dTVAslcWadY4FCFn
+veVj0BhOaLnuS9eb8dRIvAHrd6cTTwS+lQvF2h1C6inhnEW2Yr6TLAL/4hEQ1uBIwUv+fAFtERFr9bghK/bg8vmP1dqQgMYsRz5G
+jeoXcjS3culN/dd6jR7UdmFVlLM9EEFdiYldxluDn+sGK8nVIevmkOityu+yG73LYkjkt68yeH/1YR1fJgM1pCP/sakhi0ZQDAuG
+Kd65St1JMjIzENsGi8FmzH8EsCpVPmv0b+QmIXUxfp5Y/dgMvRN51hw5MDpVjRTHPdV5cKsWag5h6q4PCblj/CH/VGKoA1zCGCh4
+jrLmHT2vUbbSwVAbTDI3pKpNK0crm0PzjkU+iApGGZzCXNCgpOM4PGhmSy0WFvUKNkXQ9QnPi45Rwr+5IW0gxetCYxzUF4eEj5Hb
+lQndIrsu1vga2NGxlRqq3f4na92krhT/2KMYJK6sLCad49wTQ99qqlmEzF8edKaGSNKm3qvHHCd1rWh7VCJIA0qAd3qCcEQkg5yS
+OlLBkd0S1Tu90tWI3yCHPYRpK18RDSrYIT4a8orqbsgGEhgcBiUAOET3xvZlMRwCPRK2QAFfadypEK8sZwVh6VBNxzBUejLNL6WL
+x8RLHpfsH5aippg1+fnkgegXX3X0VTWzQNALyRezhg28IrtEeQNzQ+YX4DHFFkrwQRDT7833/mO1cCNcW++Nqh7O7oc7j3dPo9qx
+hhpC6bOdT1A1OA2NIK6NbJVrF4ww33m8+ytUAb7SesruWV8FCTWEx6wZpNUH0tYZ/K5g5cuffcJVlN2zwLBveow+10M2vCrP4Pl+
+zfdLdxy0dna+FHWgNXwGPRzVN0HO7xac19+R/NqXkik8a7DjZ/izvdv0WbxGvXXsZZpLCo6+8l7XcGFi6q7YsUazjvYmyJpMu/3o
+azrZD0w7FFGVMlmcHSqGxVnVYYuBwYiHKclHIxUTjmC4lYdfbViQon+MIpzAClElsLTqBmJGOrEjDfKscTxa5UY0sjWB7S+NYKhG
+OlV3FKH7/sLuq5wbFpCXA21E8wPLNFNSoqWL/yvP7ebI0r/Pku4nDcefL2btcaFtVYbFuCxaU4/Fa3jxKqUj9NCKPbYUUlRqPxgf
+//tYwONQ1qE7qVeGtMiwyHT5m81Pvtlc/2bz3+nfrV99s/nhN5t/+PbsZ9+e/c23Zz/59uyH35699u3Zj749+7vvbl/78+e/9ZTz
+rdN//vy3o1oXW9PiBVcZPkXe/l0pgUmhR6s2wri8pOU2zyotVXB8ecIXBTwLdVVJoJtShaRvXQlE0cAd9sxiT5790JRvSgXBi0qC
+3tYa1u/19s4pn3TNFBk9a9jXK1eU8GsLN6cHqNlXhGEqRTFbzyrRtK8rmfeSkNalTVbAn93WP61qgeyKHrmtJb+Pzde5fc7gnu2H
+q8rejVnwcrdrpgp53VSI/Hvnb13TL97RVj3/zfVPI+NSvwseRBMS/sCEEYaWNtDt6T/ZnZQjCBJbMZdR/g0mrPL+ctiqX62X50Ae
+LkPy8icXW+bYMJmV5KV09jSaNGY346bdkBhqWDw8WS+nNHhXMzF85jY7zjDo7UQaZtdB/CVNn6VtqLBBzexutnjjk5M/eWFmcvLw
+scPup68c+/Gr7vmJAy7edGlGprThEamsyUTNbrB1I47EdLWoRKunfiVkMv57ciJ5Uxp9WDsWL84P2/+5UmPJjhZX2V96m/sHc1AA
+EMVnkPfqhi5Z0/t/OKQCVRu6ZFao0DPmuqTcSY8+htKbYX0ZOlrMI9d+NnTqHz4A4uXMBwjDMkXVetLJknF+BdNV4nFV6//nQY3b
+vjwOWtMHppiHbsKjn5uNP7r2QUfKSEM76sIzzwzLpyVdcpAv30l96PI/9CmGr6vp0GaY7gy9XDo9LFix0Xgzdy92kiJrjRqtxU3o
+NjKWZx2YIIqR7wf8TqQ7ua5sTHAv77F6pME0DTnDzibOcJn1IQnhw9zTePZ0R9968dUjM67a7o4fKwkZ0OsbzKnM0N8pGyOwM1tf
+5Zn45GKrXdi2Hz4dHDt87DDPnc+Pd6MTmtD22BtyyOSQCHmpu3/KMiDN0oJUUfe1vJlOMG/lRcBfh84f7eTtYrDPNjqZ386OTgAP
+L513MIbFF9CHB9eawawj/jws0zVZN2zqKKivDV8tBrNWuCmzhljJvSGYAIyS4TPlYHYEjZxMDN2sDG3WxXRh+GOKQ1S5t9h+gm7y
+VxMHnnfH4tXfFxy/55q173k9VTd8BRvy8Ch7Tg9tw+7Ifjd8Xfie9qo2hwcxBSGDW0PgEIPPz2OjNjw8oXry0D9gLE0MtvTAWJaR
+Xwoj/OL4Pa+w8j3NWRs2T9NzfU+z1YHOvGxmKJm9GIOp3HnZ9Qfk46agKD0PndCXmCu3gWj051Gs2aaGqz5av6Jorw8NrGwzxrhd
+NKowHN3fNMAlj8jbNgI/23LOIeE8b1yuQGKKcVtritX6eNg+YzXeCV1SkacnQH5txtG9YMf+PwTLNlGg3wEA`
+
+/** @type {Uint8Array | undefined} */
+let dictionary
+
+/**
+ * Decompress the brotli dictionary on first use.
+ *
+ * @returns {Uint8Array} 122784 bytes of dictionary words
+ */
+export function brotliDictionary() {
+  if (!dictionary) {
+    const compressed = Uint8Array.from(atob(dictionaryGzip.replace(/\n/g, '')), c => c.charCodeAt(0))
+    dictionary = new Uint8Array(122784)
+    gzipUncompress(compressed, dictionary)
+  }
+  return dictionary
+}
@@ -0,0 +1,41 @@
+/**
+ * Wrap a decompressor that writes into an output buffer as a `compressors` function.
+ *
+ * @param {(input: Uint8Array, output: Uint8Array) => void} uncompress
+ * @returns {(input: Uint8Array, outputLength: number) => Uint8Array}
+ * @example
+ * import { zstdUncompress } from 'hyparquet/src/codecs/zstd.js'
+ * const compressors = { ZSTD: codec(zstdUncompress) }
+ */
+export function codec(uncompress) {
+  return (input, outputLength) => {
+    const output = new Uint8Array(outputLength)
+    uncompress(input, output)
+    return output
+  }
+}
+
+// compressors wrapping the decompressors in this directory, which workers also have
+/** @type {WeakSet<Function>} */
+const builtinCodecs = new WeakSet()
+
+/**
+ * Wrap a decompressor from this directory, so that workers may decode its
+ * codec with their own copy.
+ *
+ * @param {(input: Uint8Array, output: Uint8Array) => void} uncompress
+ * @returns {(input: Uint8Array, outputLength: number) => Uint8Array}
+ */
+export function builtinCodec(uncompress) {
+  const compressor = codec(uncompress)
+  builtinCodecs.add(compressor)
+  return compressor
+}
+
+/**
+ * @param {Function | undefined} compressor
+ * @returns {boolean} true if the compressor is a built-in codec
+ */
+export function isBuiltinCodec(compressor) {
+  return !!compressor && builtinCodecs.has(compressor)
+}
@@ -0,0 +1,183 @@
+import { alignToByte, huffmanTable, readBits, readSymbol } from './huffman.js'
+
+// deflate length and distance codes
+// https://www.rfc-editor.org/rfc/rfc1951#section-3.2.5
+const lengthBase = new Uint16Array([3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258])
+const lengthExtra = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0])
+const distanceBase = new Uint16Array([1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577])
+const distanceExtra = new Uint8Array([0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13])
+// order of code length code lengths in a dynamic block header
+const codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+
+/** @type {HuffmanTable | undefined} */
+let fixedLengths
+/** @type {HuffmanTable | undefined} */
+let fixedDistances
+
+/**
+ * Decompress gzip data, including multiple concatenated gzip members.
+ * Accepts an output buffer to avoid allocating a new buffer for each call.
+ *
+ * @param {Uint8Array} input compressed data
+ * @param {Uint8Array} output output buffer
+ */
+export function gzipUncompress(input, output) {
+  let pos = 0
+  let outPos = 0
+  while (pos < input.length) {
+    // writers may pad the last member with zeros
+    if (input[pos] === 0 && outPos === output.length) break
+    if (input[pos] !== 0x1f || input[pos + 1] !== 0x8b) throw new Error('gzip invalid header')
+    if (input[pos + 2] !== 8) throw new Error(`gzip unsupported compression method ${input[pos + 2]}`)
+    const flags = input[pos + 3]
+    pos += 10
+    // optional extra field, file name, comment, and header crc
+    if (flags & 4) pos += 2 + (input[pos] | input[pos + 1] << 8)
+    if (flags & 8) while (input[pos++]);
+    if (flags & 16) while (input[pos++]);
+    if (flags & 2) pos += 2
+    const reader = { input, pos, bits: 0, bitCount: 0 }
+    outPos = inflate(reader, output, outPos)
+    // skip crc32 and size trailer
+    pos = reader.pos + 8
+  }
+  if (outPos !== output.length) throw new Error(`gzip decompressed ${outPos} bytes, expected ${output.length}`)
+}
+
+/**
+ * Decompress raw deflate data into output, starting at outPos.
+ * Leaves the reader positioned at the byte after the final block.
+ *
+ * @param {BitReader} reader
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @returns {number} new output position
+ */
+function inflate(reader, output, outPos) {
+  let final = 0
+  while (!final) {
+    final = readBits(reader, 1)
+    const type = readBits(reader, 2)
+    if (type === 0) {
+      // stored block
+      alignToByte(reader)
+      const { input, pos } = reader
+      const length = input[pos] | input[pos + 1] << 8
+      if (pos + 4 + length > input.length) throw new Error('gzip stored block exceeds input')
+      if (outPos + length > output.length) throw new Error('gzip output overflow')
+      output.set(input.subarray(pos + 4, pos + 4 + length), outPos)
+      reader.pos = pos + 4 + length
+      outPos += length
+    } else if (type === 1) {
+      fixedLengths ??= huffmanTable(fixedLengthLengths())
+      fixedDistances ??= huffmanTable(new Uint8Array(30).fill(5))
+      outPos = inflateBlock(reader, output, outPos, fixedLengths, fixedDistances)
+    } else if (type === 2) {
+      const [lengths, distances] = readDynamicTables(reader)
+      outPos = inflateBlock(reader, output, outPos, lengths, distances)
+    } else {
+      throw new Error('gzip invalid block type')
+    }
+  }
+  alignToByte(reader)
+  return outPos
+}
+
+/**
+ * Decode literals and back-references of a huffman compressed block.
+ *
+ * @param {BitReader} reader
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @param {HuffmanTable} lengths literal and length codes
+ * @param {HuffmanTable} distances distance codes
+ * @returns {number} new output position
+ */
+function inflateBlock(reader, output, outPos, lengths, distances) {
+  while (true) {
+    const symbol = readSymbol(reader, lengths)
+    if (symbol < 256) {
+      if (outPos >= output.length) throw new Error('gzip output overflow')
+      output[outPos++] = symbol
+    } else if (symbol === 256) {
+      return outPos
+    } else {
+      const lengthCode = symbol - 257
+      if (lengthCode >= 29) throw new Error('gzip invalid length code')
+      const length = lengthBase[lengthCode] + readBits(reader, lengthExtra[lengthCode])
+      const distanceCode = readSymbol(reader, distances)
+      if (distanceCode >= 30) throw new Error('gzip invalid distance code')
+      const distance = distanceBase[distanceCode] + readBits(reader, distanceExtra[distanceCode])
+      if (distance > outPos) throw new Error('gzip distance too far back')
+      if (outPos + length > output.length) throw new Error('gzip output overflow')
+      // byte by byte, because the copy may overlap itself
+      for (let i = 0; i < length; i++) {
+        output[outPos] = output[outPos - distance]
+        outPos++
+      }
+    }
+  }
+}
+
+/**
+ * Read the code lengths of a dynamic block and build its huffman tables.
+ *
+ * @param {BitReader} reader
+ * @returns {[HuffmanTable, HuffmanTable]} literal/length and distance tables
+ */
+function readDynamicTables(reader) {
+  const numLengths = readBits(reader, 5) + 257
+  const numDistances = readBits(reader, 5) + 1
+  const numCodeLengths = readBits(reader, 4) + 4
+  const codeLengthLengths = new Uint8Array(19)
+  for (let i = 0; i < numCodeLengths; i++) {
+    codeLengthLengths[codeLengthOrder[i]] = readBits(reader, 3)
+  }
+  const codeLengths = huffmanTable(codeLengthLengths)
+
+  // literal/length and distance code lengths share one run-length sequence
+  const lengths = new Uint8Array(numLengths + numDistances)
+  let i = 0
+  while (i < lengths.length) {
+    const symbol = readSymbol(reader, codeLengths)
+    if (symbol < 16) {
+      lengths[i++] = symbol
+      continue
+    }
+    let value = 0
+    let repeat
+    if (symbol === 16) {
+      if (!i) throw new Error('gzip repeat without previous length')
+      value = lengths[i - 1]
+      repeat = 3 + readBits(reader, 2)
+    } else if (symbol === 17) {
+      repeat = 3 + readBits(reader, 3)
+    } else {
+      repeat = 11 + readBits(reader, 7)
+    }
+    if (i + repeat > lengths.length) throw new Error('gzip too many code lengths')
+    lengths.fill(value, i, i + repeat)
+    i += repeat
+  }
+  if (!lengths[256]) throw new Error('gzip missing end of block code')
+  return [
+    huffmanTable(lengths.subarray(0, numLengths)),
+    huffmanTable(lengths.subarray(numLengths)),
+  ]
+}
+
+/**
+ * @returns {Uint8Array} code lengths of the fixed literal/length code
+ */
+function fixedLengthLengths() {
+  const lengths = new Uint8Array(288)
+  lengths.fill(8, 0, 144)
+  lengths.fill(9, 144, 256)
+  lengths.fill(7, 256, 280)
+  lengths.fill(8, 280, 288)
+  return lengths
+}
+
+/**
+ * @import {BitReader, HuffmanTable} from './huffman.js'
+ */
@@ -0,0 +1,109 @@
+/**
+ * Build a lookup table for a canonical prefix code, as used by deflate and brotli.
+ * Codes are read least significant bit first, so the table is indexed by
+ * the next maxBits bits of input, and each code fills every index that
+ * starts with its bit-reversed value.
+ *
+ * @param {ArrayLike<number>} codeLengths code length of each symbol, 0 if unused
+ * @returns {HuffmanTable}
+ */
+export function huffmanTable(codeLengths) {
+  let maxBits = 0
+  const counts = new Uint16Array(16)
+  for (let i = 0; i < codeLengths.length; i++) {
+    const length = codeLengths[i]
+    counts[length]++
+    if (length > maxBits) maxBits = length
+  }
+  // first code of each length
+  const nextCode = new Uint16Array(16)
+  let code = 0
+  counts[0] = 0
+  for (let length = 1; length <= maxBits; length++) {
+    code = code + counts[length - 1] << 1
+    nextCode[length] = code
+  }
+
+  const size = 1 << maxBits
+  const symbols = new Uint16Array(size)
+  const lengths = new Uint8Array(size)
+  for (let symbol = 0; symbol < codeLengths.length; symbol++) {
+    const length = codeLengths[symbol]
+    if (!length) continue
+    const code = nextCode[length]++
+    if (code >= 1 << length) throw new Error('invalid prefix code lengths')
+    let reversed = 0
+    for (let bit = 0; bit < length; bit++) {
+      reversed |= (code >> bit & 1) << length - 1 - bit
+    }
+    for (let index = reversed; index < size; index += 1 << length) {
+      symbols[index] = symbol
+      lengths[index] = length
+    }
+  }
+  return { symbols, lengths, maxBits }
+}
+
+/**
+ * Read bits least significant first.
+ *
+ * @param {BitReader} reader
+ * @param {number} count at most 24
+ * @returns {number}
+ */
+export function readBits(reader, count) {
+  if (!count) return 0
+  refill(reader, count)
+  if (reader.bitCount < count) throw new Error('compressed data ends unexpectedly')
+  const value = reader.bits & (1 << count) - 1
+  reader.bits >>>= count
+  reader.bitCount -= count
+  return value
+}
+
+/**
+ * Decode one symbol of a prefix code.
+ *
+ * @param {BitReader} reader
+ * @param {HuffmanTable} table
+ * @returns {number}
+ */
+export function readSymbol(reader, { symbols, lengths, maxBits }) {
+  refill(reader, maxBits)
+  const index = reader.bits & (1 << maxBits) - 1
+  const length = lengths[index]
+  if (length > reader.bitCount) throw new Error('compressed data ends unexpectedly')
+  if (!length && maxBits) throw new Error('invalid prefix code')
+  reader.bits >>>= length
+  reader.bitCount -= length
+  return symbols[index]
+}
+
+/**
+ * Skip to the next byte boundary, and give back whole bytes held in the bit buffer.
+ *
+ * @param {BitReader} reader
+ */
+export function alignToByte(reader) {
+  reader.pos -= reader.bitCount >> 3
+  reader.bits = 0
+  reader.bitCount = 0
+}
+
+/**
+ * Load input bytes into the bit buffer until it holds at least count bits.
+ *
+ * @param {BitReader} reader
+ * @param {number} count
+ */
+function refill(reader, count) {
+  while (reader.bitCount < count && reader.pos < reader.input.length) {
+    reader.bits |= reader.input[reader.pos++] << reader.bitCount
+    reader.bitCount += 8
+  }
+}
+
+/**
+ * @typedef {{ input: Uint8Array, pos: number, bits: number, bitCount: number }} BitReader
+ * @typedef {{ symbols: Uint16Array, lengths: Uint8Array, maxBits: number }} HuffmanTable
+ */
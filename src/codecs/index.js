@@ -0,0 +1,23 @@
+import { brotliUncompress } from './brotli.js'
+import { builtinCodec } from './codec.js'
+import { gzipUncompress } from './gzip.js'
+import { lz4RawUncompress, lz4Uncompress } from './lz4.js'
+import { zstdUncompress } from './zstd.js'
+
+/**
+ * Decompressors for the parquet codecs that are not built in, to pass as the
+ * `compressors` read option. Import individual codec modules for smaller bundles.
+ *
+ * @type {Compressors}
+ */
+export const compressors = {
+  GZIP: builtinCodec(gzipUncompress),
+  BROTLI: builtinCodec(brotliUncompress),
+  ZSTD: builtinCodec(zstdUncompress),
+  LZ4: builtinCodec(lz4Uncompress),
+  LZ4_RAW: builtinCodec(lz4RawUncompress),
+}
+
+/**
+ * @import {Compressors} from '../types.d.ts'
+ */
@@ -0,0 +1,108 @@
+/**
+ * Decompress LZ4_RAW data, a single LZ4 block without framing.
+ * Accepts an output buffer to avoid allocating a new buffer for each call.
+ *
+ * @param {Uint8Array} input compressed data
+ * @param {Uint8Array} output output buffer
+ */
+export function lz4RawUncompress(input, output) {
+  const outPos = lz4Block(input, 0, input.length, output, 0)
+  if (outPos !== output.length) throw new Error(`lz4 decompressed ${outPos} bytes, expected ${output.length}`)
+}
+
+/**
+ * Decompress the deprecated LZ4 codec. Most writers use the hadoop framing,
+ * where each block is prefixed by its big-endian decompressed and compressed
+ * sizes, but some write raw blocks, so fall back to LZ4_RAW like arrow does.
+ *
+ * @param {Uint8Array} input compressed data
+ * @param {Uint8Array} output output buffer
+ */
+export function lz4Uncompress(input, output) {
+  if (!lz4HadoopUncompress(input, output)) lz4RawUncompress(input, output)
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {Uint8Array} output
+ * @returns {boolean} false if the input is not hadoop framed
+ */
+function lz4HadoopUncompress(input, output) {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength)
+  let pos = 0
+  let outPos = 0
+  while (pos + 8 <= input.length) {
+    const blockOutput = view.getUint32(pos)
+    const blockInput = view.getUint32(pos + 4)
+    pos += 8
+    if (pos + blockInput > input.length || outPos + blockOutput > output.length) return false
+    try {
+      if (lz4Block(input, pos, pos + blockInput, output, outPos) !== outPos + blockOutput) return false
+    } catch {
+      return false
+    }
+    pos += blockInput
+    outPos += blockOutput
+  }
+  return pos === input.length && outPos === output.length
+}
+
+/**
+ * Decompress one LZ4 block of input[start, end) into output at outPos.
+ * https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+ *
+ * @param {Uint8Array} input
+ * @param {number} start
+ * @param {number} end
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @returns {number} new output position
+ */
+function lz4Block(input, start, end, output, outPos) {
+  let pos = start
+  while (pos < end) {
+    const token = input[pos++]
+
+    // literals
+    let literals = token >> 4
+    if (literals === 15) {
+      let byte
+      do {
+        byte = input[pos++]
+        literals += byte
+      } while (byte === 255 && pos < end)
+    }
+    if (pos + literals > end) throw new Error('lz4 literals exceed input')
+    if (outPos + literals > output.length) throw new Error('lz4 output overflow')
+    output.set(input.subarray(pos, pos + literals), outPos)
+    pos += literals
+    outPos += literals
+    // the last sequence has only literals
+    if (pos >= end) break
+
+    // match
+    const offset = input[pos] | input[pos + 1] << 8
+    pos += 2
+    if (!offset || offset > outPos) throw new Error(`lz4 invalid offset ${offset}`)
+    let matchLength = (token & 15) + 4
+    if ((token & 15) === 15) {
+      let byte
+      do {
+        byte = input[pos++]
+        matchLength += byte
+      } while (byte === 255 && pos < end)
+    }
+    if (outPos + matchLength > output.length) throw new Error('lz4 output overflow')
+    if (offset >= matchLength) {
+      output.copyWithin(outPos, outPos - offset, outPos - offset + matchLength)
+      outPos += matchLength
+    } else {
+      // byte by byte, because the copy overlaps itself
+      for (let i = 0; i < matchLength; i++) {
+        output[outPos] = output[outPos - offset]
+        outPos++
+      }
+    }
+  }
+  return outPos
+}
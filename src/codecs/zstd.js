@@ -0,0 +1,613 @@
+// Zstandard decompression
+// https://www.rfc-editor.org/rfc/rfc8878
+
+// extra bits of literal length and match length codes, baselines accumulate
+const literalLengthBits = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]
+const matchLengthBits = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16,
+]
+const literalLengthBase = baselines(literalLengthBits, 0)
+const matchLengthBase = baselines(matchLengthBits, 3)
+
+// predefined distributions, used when a block does not describe its own
+const literalLengthDefault = [4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1]
+const matchLengthDefault = [
+  1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1,
+]
+const offsetDefault = [1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1]
+
+/** @type {FseTable[] | undefined} */
+let defaultTables
+
+/**
+ * Decompress zstd data, including multiple frames and skippable frames.
+ * Dictionaries are not supported.
+ * Accepts an output buffer to avoid allocating a new buffer for each call.
+ *
+ * @param {Uint8Array} input compressed data
+ * @param {Uint8Array} output output buffer
+ */
+export function zstdUncompress(input, output) {
+  let pos = 0
+  let outPos = 0
+  while (pos < input.length) {
+    const magic = readUint32(input, pos)
+    if ((magic & 0xfffffff0) >>> 0 === 0x184d2a50) {
+      // skippable frame
+      pos += 8 + readUint32(input, pos + 4)
+    } else if (magic === 0xfd2fb528) {
+      [pos, outPos] = decodeFrame(input, pos + 4, output, outPos)
+    } else {
+      throw new Error('zstd invalid magic number')
+    }
+  }
+  if (outPos !== output.length) throw new Error(`zstd decompressed ${outPos} bytes, expected ${output.length}`)
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} pos position after the magic number
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @returns {[number, number]} input and output positions after the frame
+ */
+function decodeFrame(input, pos, output, outPos) {
+  const descriptor = input[pos++]
+  const contentSizeFlag = descriptor >> 6
+  const singleSegment = descriptor >> 5 & 1
+  const hasChecksum = descriptor >> 2 & 1
+  const dictionaryIdFlag = descriptor & 3
+  if (descriptor & 8) throw new Error('zstd invalid frame header')
+  // window descriptor is not needed because the whole output is in memory
+  if (!singleSegment) pos++
+  const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag]
+  for (let i = 0; i < dictionaryIdSize; i++) {
+    if (input[pos + i]) throw new Error('zstd dictionaries are not supported')
+  }
+  pos += dictionaryIdSize
+  pos += contentSizeFlag ? 1 << contentSizeFlag : singleSegment
+
+  /** @type {FrameState} */
+  const frame = { frameStart: outPos, repeatOffsets: [1, 4, 8] }
+  let last = 0
+  while (!last) {
+    if (pos + 3 > input.length) throw new Error('zstd unexpected end of input')
+    const header = input[pos] | input[pos + 1] << 8 | input[pos + 2] << 16
+    pos += 3
+    last = header & 1
+    const blockType = header >> 1 & 3
+    const blockSize = header >> 3
+    if (blockType === 0) {
+      // raw block
+      if (pos + blockSize > input.length) throw new Error('zstd unexpected end of input')
+      if (outPos + blockSize > output.length) throw new Error('zstd output overflow')
+      output.set(input.subarray(pos, pos + blockSize), outPos)
+      pos += blockSize
+      outPos += blockSize
+    } else if (blockType === 1) {
+      // rle block: one byte repeated blockSize times
+      if (outPos + blockSize > output.length) throw new Error('zstd output overflow')
+      output.fill(input[pos], outPos, outPos + blockSize)
+      pos++
+      outPos += blockSize
+    } else if (blockType === 2) {
+      if (pos + blockSize > input.length) throw new Error('zstd unexpected end of input')
+      outPos = decodeBlock(input, pos, pos + blockSize, output, outPos, frame)
+      pos += blockSize
+    } else {
+      throw new Error('zstd invalid block type')
+    }
+  }
+  if (hasChecksum) pos += 4
+  return [pos, outPos]
+}
+
+/**
+ * Decode a compressed block: a literals section followed by sequences
+ * that interleave literals with matches.
+ *
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @param {number} end
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @param {FrameState} frame
+ * @returns {number} new output position
+ */
+function decodeBlock(input, pos, end, output, outPos, frame) {
+  const [literals, sequencesStart] = decodeLiterals(input, pos, frame)
+  pos = sequencesStart
+
+  // number of sequences
+  let numSequences = input[pos++]
+  if (numSequences === 255) {
+    numSequences = input[pos] + (input[pos + 1] << 8) + 0x7f00
+    pos += 2
+  } else if (numSequences >= 128) {
+    numSequences = (numSequences - 128 << 8) + input[pos++]
+  }
+
+  let literalPos = 0
+  if (numSequences) {
+    const modes = input[pos++]
+    if (modes & 3) throw new Error('zstd invalid sequence compression modes')
+    defaultTables ??= [
+      fseTable(literalLengthDefault, 6),
+      fseTable(offsetDefault, 5),
+      fseTable(matchLengthDefault, 6),
+    ]
+    const [literalLengths, offsetsStart] = sequenceTable(input, pos, modes >> 6, 35, 9, defaultTables[0], frame.literalLengths)
+    const [offsets, matchLengthsStart] = sequenceTable(input, offsetsStart, modes >> 4 & 3, 31, 8, defaultTables[1], frame.offsets)
+    const [matchLengths, streamStart] = sequenceTable(input, matchLengthsStart, modes >> 2 & 3, 52, 9, defaultTables[2], frame.matchLengths)
+    // tables may be repeated by the next block
+    frame.literalLengths = literalLengths
+    frame.offsets = offsets
+    frame.matchLengths = matchLengths
+
+    const reader = backwardReader(input, streamStart, end)
+    let literalLengthState = readBackward(reader, literalLengths.accuracyLog)
+    let offsetState = readBackward(reader, offsets.accuracyLog)
+    let matchLengthState = readBackward(reader, matchLengths.accuracyLog)
+    const repeats = frame.repeatOffsets
+
+    for (let i = 0; i < numSequences; i++) {
+      const offsetCode = offsets.symbols[offsetState]
+      const matchLengthCode = matchLengths.symbols[matchLengthState]
+      const literalLengthCode = literalLengths.symbols[literalLengthState]
+      if (offsetCode > 31) throw new Error('zstd invalid offset code')
+      const offsetValue = 2 ** offsetCode + readBackward(reader, offsetCode)
+      const matchLength = matchLengthBase[matchLengthCode] + readBackward(reader, matchLengthBits[matchLengthCode])
+      const literalLength = literalLengthBase[literalLengthCode] + readBackward(reader, literalLengthBits[literalLengthCode])
+
+      // offsets 1-3 refer to recent offsets
+      let offset
+      if (offsetValue > 3) {
+        offset = offsetValue - 3
+        repeats[2] = repeats[1]
+        repeats[1] = repeats[0]
+        repeats[0] = offset
+      } else {
+        const index = offsetValue - (literalLength ? 1 : 0)
+        if (index === 0) {
+          offset = repeats[0]
+        } else {
+          offset = index === 3 ? repeats[0] - 1 : repeats[index]
+          if (index !== 1) repeats[2] = repeats[1]
+          repeats[1] = repeats[0]
+          repeats[0] = offset
+        }
+      }
+
+      if (i < numSequences - 1) {
+        literalLengthState = literalLengths.baselines[literalLengthState] + readBackward(reader, literalLengths.bits[literalLengthState])
+        matchLengthState = matchLengths.baselines[matchLengthState] + readBackward(reader, matchLengths.bits[matchLengthState])
+        offsetState = offsets.baselines[offsetState] + readBackward(reader, offsets.bits[offsetState])
+      }
+
+      // copy literals, then the match
+      if (literalPos + literalLength > literals.length) throw new Error('zstd literals exceed literals section')
+      if (outPos + literalLength + matchLength > output.length) throw new Error('zstd output overflow')
+      output.set(literals.subarray(literalPos, literalPos + literalLength), outPos)
+      literalPos += literalLength
+      outPos += literalLength
+      if (!offset || offset > outPos - frame.frameStart) throw new Error(`zstd invalid offset ${offset}`)
+      if (offset >= matchLength) {
+        output.copyWithin(outPos, outPos - offset, outPos - offset + matchLength)
+        outPos += matchLength
+      } else {
+        // byte by byte, because the copy overlaps itself
+        for (let j = 0; j < matchLength; j++) {
+          output[outPos] = output[outPos - offset]
+          outPos++
+        }
+      }
+    }
+    if (reader.bitPos) throw new Error('zstd sequences bitstream not fully consumed')
+  }
+
+  // remaining literals
+  const remaining = literals.length - literalPos
+  if (outPos + remaining > output.length) throw new Error('zstd output overflow')
+  output.set(literals.subarray(literalPos), outPos)
+  return outPos + remaining
+}
+
+/**
+ * Decode the literals section of a compressed block.
+ *
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @param {FrameState} frame
+ * @returns {[Uint8Array, number]} literals and the position after the section
+ */
+function decodeLiterals(input, pos, frame) {
+  const byte0 = input[pos]
+  const type = byte0 & 3
+  const sizeFormat = byte0 >> 2 & 3
+
+  if (type < 2) {
+    // raw or rle literals
+    let size
+    if (sizeFormat === 1) {
+      size = (byte0 >> 4) + (input[pos + 1] << 4)
+      pos += 2
+    } else if (sizeFormat === 3) {
+      size = (byte0 >> 4) + (input[pos + 1] << 4) + (input[pos + 2] << 12)
+      pos += 3
+    } else {
+      size = byte0 >> 3
+      pos++
+    }
+    if (type === 0) {
+      if (pos + size > input.length) throw new Error('zstd unexpected end of input')
+      return [input.subarray(pos, pos + size), pos + size]
+    }
+    return [new Uint8Array(size).fill(input[pos]), pos + 1]
+  }
+
+  // huffman compressed literals
+  let regeneratedSize
+  let compressedSize
+  const streams = sizeFormat ? 4 : 1
+  if (sizeFormat < 2) {
+    const header = byte0 | input[pos + 1] << 8 | input[pos + 2] << 16
+    regeneratedSize = header >> 4 & 0x3ff
+    compressedSize = header >> 14 & 0x3ff
+    pos += 3
+  } else if (sizeFormat === 2) {
+    const header = readUint32(input, pos)
+    regeneratedSize = header >>> 4 & 0x3fff
+    compressedSize = header >>> 18 & 0x3fff
+    pos += 4
+  } else {
+    regeneratedSize = (byte0 >> 4) + (input[pos + 1] << 4) + ((input[pos + 2] & 0x3f) << 12)
+    compressedSize = (input[pos + 2] >> 6) + (input[pos + 3] << 2) + (input[pos + 4] << 10)
+    pos += 5
+  }
+  const end = pos + compressedSize
+  if (end > input.length) throw new Error('zstd unexpected end of input')
+
+  if (type === 2) {
+    [frame.huffman, pos] = readHuffmanTable(input, pos)
+  } else if (!frame.huffman) {
+    throw new Error('zstd treeless literals without previous huffman table')
+  }
+  const table = frame.huffman
+  const literals = new Uint8Array(regeneratedSize)
+  if (streams === 1) {
+    decodeHuffmanStream(input, pos, end, literals, table)
+  } else {
+    // jump table with the sizes of the first three streams
+    const size1 = input[pos] | input[pos + 1] << 8
+    const size2 = input[pos + 2] | input[pos + 3] << 8
+    const size3 = input[pos + 4] | input[pos + 5] << 8
+    const start1 = pos + 6
+    const start2 = start1 + size1
+    const start3 = start2 + size2
+    const start4 = start3 + size3
+    if (start4 > end) throw new Error('zstd invalid literals jump table')
+    const segment = regeneratedSize + 3 >> 2
+    decodeHuffmanStream(input, start1, start2, literals.subarray(0, segment), table)
+    decodeHuffmanStream(input, start2, start3, literals.subarray(segment, 2 * segment), table)
+    decodeHuffmanStream(input, start3, start4, literals.subarray(2 * segment, 3 * segment), table)
+    decodeHuffmanStream(input, start4, end, literals.subarray(3 * segment), table)
+  }
+  return [literals, end]
+}
+
+/**
+ * Read a huffman tree description as symbol weights, directly or fse compressed.
+ *
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @returns {[HuffmanTable, number]} table and position after the description
+ */
+function readHuffmanTable(input, pos) {
+  const header = input[pos++]
+  const weights = new Uint8Array(256)
+  let numWeights = 0
+  if (header < 128) {
+    // fse compressed weights, decoded by two interleaved states
+    const end = pos + header
+    const [table, streamStart] = readFseTable(input, pos, 255, 6)
+    const reader = backwardReader(input, streamStart, end)
+    let state1 = readBackward(reader, table.accuracyLog)
+    weights[numWeights++] = table.symbols[state1]
+    let state2 = readBackward(reader, table.accuracyLog)
+    weights[numWeights++] = table.symbols[state2]
+    while (numWeights < 255) {
+      // stop when a state update would read past the start of the stream
+      if (reader.bitPos < table.bits[state1]) break
+      state1 = table.baselines[state1] + readBackward(reader, table.bits[state1])
+      weights[numWeights++] = table.symbols[state1]
+      if (reader.bitPos < table.bits[state2]) break
+      state2 = table.baselines[state2] + readBackward(reader, table.bits[state2])
+      weights[numWeights++] = table.symbols[state2]
+    }
+    pos = end
+  } else {
+    // 4-bit weights
+    numWeights = header - 127
+    for (let i = 0; i < numWeights; i += 2) {
+      const byte = input[pos++]
+      weights[i] = byte >> 4
+      weights[i + 1] = byte & 15
+    }
+  }
+
+  // the weight of the last symbol is implied by the others
+  let total = 0
+  for (let i = 0; i < numWeights; i++) {
+    if (weights[i] > 11) throw new Error('zstd invalid huffman weight')
+    if (weights[i]) total += 1 << weights[i] - 1
+  }
+  if (!total) throw new Error('zstd invalid huffman weights')
+  const maxBits = highBit(total) + 1
+  const rest = (1 << maxBits) - total
+  if (rest & rest - 1) throw new Error('zstd invalid huffman weights')
+  weights[numWeights++] = highBit(rest) + 1
+  if (maxBits > 11) throw new Error('zstd invalid huffman weights')
+
+  // longest codes come first, then by symbol
+  const size = 1 << maxBits
+  const symbols = new Uint8Array(size)
+  const bits = new Uint8Array(size)
+  let position = 0
+  for (let weight = 1; weight <= maxBits; weight++) {
+    for (let symbol = 0; symbol < numWeights; symbol++) {
+      if (weights[symbol] !== weight) continue
+      const count = 1 << weight - 1
+      symbols.fill(symbol, position, position + count)
+      bits.fill(maxBits + 1 - weight, position, position + count)
+      position += count
+    }
+  }
+  return [{ symbols, bits, maxBits }, pos]
+}
+
+/**
+ * Decode one huffman stream, which is read backwards from its end.
+ *
+ * @param {Uint8Array} input
+ * @param {number} start
+ * @param {number} end
+ * @param {Uint8Array} output
+ * @param {HuffmanTable} table
+ */
+function decodeHuffmanStream(input, start, end, output, { symbols, bits, maxBits }) {
+  const reader = backwardReader(input, start, end)
+  for (let i = 0; i < output.length; i++) {
+    // pad with zeros past the start of the stream
+    const { bitPos } = reader
+    const index = bitPos >= maxBits
+      ? peekBits(input, start, bitPos - maxBits, maxBits)
+      : peekBits(input, start, 0, bitPos) << maxBits - bitPos
+    output[i] = symbols[index]
+    reader.bitPos -= bits[index]
+    if (reader.bitPos < 0) throw new Error('zstd huffman stream overflow')
+  }
+  if (reader.bitPos) throw new Error('zstd huffman stream not fully consumed')
+}
+
+/**
+ * Get the table for literal lengths, offsets, or match lengths of a block.
+ *
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @param {number} mode predefined, rle, fse compressed, or repeat
+ * @param {number} maxSymbol
+ * @param {number} maxAccuracyLog
+ * @param {FseTable} defaultTable
+ * @param {FseTable | undefined} previous
+ * @returns {[FseTable, number]} table and position after its description
+ */
+function sequenceTable(input, pos, mode, maxSymbol, maxAccuracyLog, defaultTable, previous) {
+  if (mode === 0) return [defaultTable, pos]
+  if (mode === 1) {
+    const symbol = input[pos]
+    if (symbol > maxSymbol) throw new Error('zstd invalid rle symbol')
+    const table = {
+      symbols: new Uint8Array([symbol]),
+      bits: new Uint8Array(1),
+      baselines: new Uint16Array(1),
+      accuracyLog: 0,
+    }
+    return [table, pos + 1]
+  }
+  if (mode === 2) return readFseTable(input, pos, maxSymbol, maxAccuracyLog)
+  if (!previous) throw new Error('zstd repeat mode without previous table')
+  return [previous, pos]
+}
+
+/**
+ * Read an fse table description of normalized symbol counts.
+ *
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @param {number} maxSymbol
+ * @param {number} maxAccuracyLog
+ * @returns {[FseTable, number]} table and position after its description
+ */
+function readFseTable(input, pos, maxSymbol, maxAccuracyLog) {
+  const accuracyLog = (input[pos] & 15) + 5
+  if (accuracyLog > maxAccuracyLog) throw new Error('zstd fse accuracy too high')
+  let bitPos = 4
+  let remaining = (1 << accuracyLog) + 1
+  let threshold = 1 << accuracyLog
+  let numBits = accuracyLog + 1
+  /** @type {number[]} */
+  const counts = []
+  while (remaining > 1) {
+    if (counts.length > maxSymbol) throw new Error('zstd invalid fse table')
+    const max = 2 * threshold - 1 - remaining
+    const value = peekBits(input, pos, bitPos, numBits)
+    let count
+    if ((value & threshold - 1) < max) {
+      count = value & threshold - 1
+      bitPos += numBits - 1
+    } else {
+      count = value & 2 * threshold - 1
+      if (count >= threshold) count -= max
+      bitPos += numBits
+    }
+    count--
+    remaining -= count < 0 ? -count : count
+    counts.push(count)
+    if (!count) {
+      // repeat flags for following zero counts
+      let repeat
+      do {
+        repeat = peekBits(input, pos, bitPos, 2)
+        bitPos += 2
+        for (let i = 0; i < repeat; i++) counts.push(0)
+      } while (repeat === 3)
+    }
+    while (remaining < threshold) {
+      numBits--
+      threshold >>= 1
+    }
+  }
+  if (remaining !== 1 || counts.length > maxSymbol + 1) throw new Error('zstd invalid fse table')
+  return [fseTable(counts, accuracyLog), pos + (bitPos + 7 >> 3)]
+}
+
+/**
+ * Build an fse decoding table from normalized counts.
+ * A count of -1 means the symbol has less than one state's probability.
+ *
+ * @param {number[]} counts
+ * @param {number} accuracyLog
+ * @returns {FseTable}
+ */
+function fseTable(counts, accuracyLog) {
+  const size = 1 << accuracyLog
+  const symbols = new Uint8Array(size)
+  const bits = new Uint8Array(size)
+  const baselines = new Uint16Array(size)
+  const nextState = new Uint16Array(counts.length)
+
+  // low probability symbols go at the end
+  let high = size - 1
+  for (let symbol = 0; symbol < counts.length; symbol++) {
+    if (counts[symbol] === -1) {
+      symbols[high--] = symbol
+      nextState[symbol] = 1
+    } else {
+      nextState[symbol] = counts[symbol]
+    }
+  }
+  // spread the other symbols
+  const step = (size >> 1) + (size >> 3) + 3
+  let position = 0
+  for (let symbol = 0; symbol < counts.length; symbol++) {
+    for (let i = 0; i < counts[symbol]; i++) {
+      symbols[position] = symbol
+      do {
+        position = position + step & size - 1
+      } while (position > high)
+    }
+  }
+  if (position) throw new Error('zstd invalid fse table')
+
+  for (let state = 0; state < size; state++) {
+    const next = nextState[symbols[state]]++
+    const numBits = accuracyLog - highBit(next)
+    bits[state] = numBits
+    baselines[state] = (next << numBits) - size
+  }
+  return { symbols, bits, baselines, accuracyLog }
+}
+
+/**
+ * Start reading a bitstream backwards from its end,
+ * after the padding of zeros and a 1 bit in the last byte.
+ *
+ * @param {Uint8Array} input
+ * @param {number} start
+ * @param {number} end
+ * @returns {BackwardReader}
+ */
+function backwardReader(input, start, end) {
+  const last = input[end - 1]
+  if (end <= start || !last) throw new Error('zstd invalid bitstream')
+  return { input, start, bitPos: (end - 1 - start) * 8 + highBit(last) }
+}
+
+/**
+ * Read bits before the current position.
+ *
+ * @param {BackwardReader} reader
+ * @param {number} count
+ * @returns {number}
+ */
+function readBackward(reader, count) {
+  if (!count) return 0
+  reader.bitPos -= count
+  if (reader.bitPos < 0) throw new Error('zstd bitstream overflow')
+  if (count > 24) {
+    const low = peekBits(reader.input, reader.start, reader.bitPos, 16)
+    return peekBits(reader.input, reader.start, reader.bitPos + 16, count - 16) * 0x10000 + low
+  }
+  return peekBits(reader.input, reader.start, reader.bitPos, count)
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} start byte position where bit 0 is
+ * @param {number} bitPos
+ * @param {number} count at most 24
+ * @returns {number} count bits starting at bitPos, least significant first
+ */
+function peekBits(input, start, bitPos, count) {
+  const i = start + (bitPos >> 3)
+  const word = input[i] | input[i + 1] << 8 | input[i + 2] << 16 | input[i + 3] << 24
+  return word >>> (bitPos & 7) & (1 << count) - 1
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} pos
+ * @returns {number}
+ */
+function readUint32(input, pos) {
+  return (input[pos] | input[pos + 1] << 8 | input[pos + 2] << 16 | input[pos + 3] << 24) >>> 0
+}
+
+/**
+ * @param {number} value positive integer
+ * @returns {number} index of the highest set bit
+ */
+function highBit(value) {
+  return 31 - Math.clz32(value)
+}
+
+/**
+ * @param {number[]} bits extra bits of each code
+ * @param {number} first baseline of the first code
+ * @returns {number[]} baseline of each code
+ */
+function baselines(bits, first) {
+  const result = []
+  let baseline = first
+  for (const extra of bits) {
+    result.push(baseline)
+    baseline += 1 << extra
+  }
+  return result
+}
+
+/**
+ * @typedef {{ symbols: Uint8Array, bits: Uint8Array, baselines: Uint16Array, accuracyLog: number }} FseTable
+ * @typedef {{ symbols: Uint8Array, bits: Uint8Array, maxBits: number }} HuffmanTable
+ * @typedef {{ input: Uint8Array, start: number, bitPos: number }} BackwardReader
+ * @typedef {{
+ *   frameStart: number
+ *   repeatOffsets: number[]
+ *   huffman?: HuffmanTable
+ *   literalLengths?: FseTable
+ *   offsets?: FseTable
+ *   matchLengths?: FseTable
+ * }} FrameState
+ */
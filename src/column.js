@@ -3,9 +3,12 @@ import { Encoding, PageType } from './constants.js'
 import { convert, convertWithDictionary } from './convert.js'
 import { decompressPage, readDataPage, readDataPageV2 } from './datapage.js'
 import { readPlain } from './plain.js'
-import { isFlatColumn } from './schema.js'
+import { getMaxDefinitionLevel, isFlatColumn } from './schema.js'
 import { deserializeTCompactProtocol } from './thrift.js'
 
+// size of each slice when reading a column chunk page by page
+const pageFetchSize = 1 << 25 // 32mb
+
 /**
  * Parse column data from a buffer.
  *
@@ -15,49 +18,105 @@ import { deserializeTCompactProtocol } from './thrift.js'
  * @param {(chunk: ColumnData) => void} [onPage] callback for each page
  * @returns {DecodedArray[]}
  */
-export function readColumn(reader, { groupStart, selectStart, selectEnd }, columnDecoder, onPage) {
-  const { columnName } = columnDecoder
-  /** @type {DecodedArray[]} */
-  const chunks = []
-  /** @type {DecodedArray | undefined} */
-  let dictionary = undefined
-  /** @type {DecodedArray | undefined} */
-  let lastChunk = undefined
-  let rowCount = 0
-
-  const emitLastChunk = onPage && (() => {
-    lastChunk && onPage({
-      columnName,
-      columnData: lastChunk,
-      rowStart: groupStart + rowCount - lastChunk.length,
-      rowEnd: groupStart + rowCount,
-    })
-  })
+export function readColumn(reader, rowGroupSelect, columnDecoder, onPage) {
+  /** @type {ColumnState} */
+  const state = { chunks: [], dictionary: undefined, lastChunk: undefined, rowCount: 0 }
 
-  while (rowCount < selectEnd) {
+  while (state.rowCount < rowGroupSelect.selectEnd) {
     if (reader.offset >= reader.view.byteLength - 1) break // end of reader
 
     // read page header
     const header = parquetHeader(reader)
-    if (header.type === 'DICTIONARY_PAGE') {
-      // assert(!dictionary)
-      dictionary = readPage(reader, header, columnDecoder, dictionary, undefined, 0)
-      dictionary = convert(dictionary, columnDecoder)
+    readColumnPage(reader, header, state, rowGroupSelect, columnDecoder, onPage)
+  }
+  return finishColumn(state, rowGroupSelect, columnDecoder, onPage)
+}
+
+/**
+ * Parse column data from a byte range of a file, page by page.
+ * Pages are fetched in bounded slices, so the whole column chunk is never in
+ * memory at once, and no more pages are fetched after selectEnd.
+ *
+ * @param {AsyncBuffer} file
+ * @param {ByteRange} range byte range of the column chunk
+ * @param {RowGroupSelect} rowGroupSelect row group selection
+ * @param {ColumnDecoder} columnDecoder column decoder params
+ * @param {(chunk: ColumnData) => void} [onPage] callback for each page
+ * @param {number} [fetchSize] bytes per slice, grows to fit large pages
+ * @returns {Promise<DecodedArray[]>}
+ */
+export async function readColumnAsync(file, { startByte, endByte }, rowGroupSelect, columnDecoder, onPage, fetchSize = pageFetchSize) {
+  /** @type {ColumnState} */
+  const state = { chunks: [], dictionary: undefined, lastChunk: undefined, rowCount: 0 }
+  let windowStart = startByte
+  let view = new DataView(new ArrayBuffer(0))
+  let position = startByte // file offset of the next page
+
+  while (state.rowCount < rowGroupSelect.selectEnd && position < endByte - 1) {
+    const reader = { view, offset: position - windowStart }
+    const header = tryParquetHeader(reader)
+    const pageEnd = header && reader.offset + header.compressed_page_size
+    if (header && pageEnd !== undefined && pageEnd <= view.byteLength) {
+      readColumnPage(reader, header, state, rowGroupSelect, columnDecoder, onPage)
+      position = windowStart + reader.offset
     } else {
-      const lastChunkLength = lastChunk?.length || 0
-      const values = readPage(reader, header, columnDecoder, dictionary, lastChunk, selectStart - rowCount)
-      if (lastChunk === values) {
-        // continued from previous page
-        rowCount += values.length - lastChunkLength
-      } else {
-        emitLastChunk?.()
-        chunks.push(values)
-        rowCount += values.length
-        lastChunk = values
+      // fetch a slice starting at the next page, large enough for the whole page
+      let size = pageEnd === undefined ? fetchSize : Math.max(fetchSize, pageEnd - (position - windowStart))
+      if (!header && windowStart === position && view.byteLength) {
+        // page header did not fit in the slice
+        if (windowStart + view.byteLength >= endByte) throw new Error('parquet page header exceeds column chunk')
+        size = view.byteLength * 2
       }
+      windowStart = position
+      view = new DataView(await file.slice(position, Math.min(position + size, endByte)))
+    }
+  }
+  return finishColumn(state, rowGroupSelect, columnDecoder, onPage)
+}
+
+/**
+ * Read a page and add its values to the column state.
+ *
+ * @param {DataReader} reader
+ * @param {PageHeader} header
+ * @param {ColumnState} state
+ * @param {RowGroupSelect} rowGroupSelect
+ * @param {ColumnDecoder} columnDecoder
+ * @param {(chunk: ColumnData) => void} [onPage]
+ */
+function readColumnPage(reader, header, state, { groupStart, selectStart }, columnDecoder, onPage) {
+  if (header.type === 'DICTIONARY_PAGE') {
+    // assert(!state.dictionary)
+    const dictionary = readPage(reader, header, columnDecoder, state.dictionary, undefined, 0)
+    state.dictionary = convert(dictionary, columnDecoder)
+  } else {
+    const { lastChunk } = state
+    const lastChunkLength = lastChunk?.length || 0
+    const values = readPage(reader, header, columnDecoder, state.dictionary, lastChunk, selectStart - state.rowCount)
+    if (lastChunk === values) {
+      // continued from previous page
+      state.rowCount += values.length - lastChunkLength
+    } else {
+      emitLastChunk(state, groupStart, columnDecoder, onPage)
+      state.chunks.push(values)
+      state.rowCount += values.length
+      state.lastChunk = values
     }
   }
-  emitLastChunk?.()
+}
+
+/**
+ * Emit the last page and truncate the column to the row limit.
+ *
+ * @param {ColumnState} state
+ * @param {RowGroupSelect} rowGroupSelect
+ * @param {ColumnDecoder} columnDecoder
+ * @param {(chunk: ColumnData) => void} [onPage]
+ * @returns {DecodedArray[]}
+ */
+function finishColumn(state, { groupStart, selectEnd }, columnDecoder, onPage) {
+  const { chunks, lastChunk, rowCount } = state
+  emitLastChunk(state, groupStart, columnDecoder, onPage)
   // assert(rowCount >= selectEnd)
   if (rowCount > selectEnd && lastChunk) {
     // truncate last chunk to row limit
@@ -66,6 +125,81 @@ export function readColumn(reader, { groupStart, selectStart, selectEnd }, colum
   return chunks
 }
 
+/**
+ * @param {ColumnState} state
+ * @param {number} groupStart
+ * @param {ColumnDecoder} columnDecoder
+ * @param {(chunk: ColumnData) => void} [onPage]
+ */
+function emitLastChunk({ lastChunk, rowCount }, groupStart, { columnName }, onPage) {
+  if (!onPage || !lastChunk) return
+  onPage({
+    columnName,
+    columnData: lastChunk,
+    rowStart: groupStart + rowCount - lastChunk.length,
+    rowEnd: groupStart + rowCount,
+  })
+}
+
+/**
+ * Read the definition levels, repetition levels, and dense values of a whole
+ * column chunk without assembling them into nested lists.
+ * Omitted levels are filled in, so there is one level of each per entry.
+ *
+ * @param {DataReader} reader
+ * @param {ColumnDecoder} columnDecoder column decoder params
+ * @returns {ColumnLevels}
+ */
+export function readColumnLevels(reader, columnDecoder) {
+  const { schemaPath, codec, compressors } = columnDecoder
+  const maxDefinitionLevel = getMaxDefinitionLevel(schemaPath)
+  /** @type {ColumnLevels} */
+  const levels = { definitionLevels: [], repetitionLevels: [], values: [] }
+  /** @type {DecodedArray | undefined} */
+  let dictionary
+
+  while (reader.offset < reader.view.byteLength - 1) {
+    const header = parquetHeader(reader)
+    if (header.type === 'DICTIONARY_PAGE') {
+      dictionary = convert(readPage(reader, header, columnDecoder, undefined, undefined, 0), columnDecoder)
+      continue
+    }
+    const compressedBytes = new Uint8Array(
+      reader.view.buffer, reader.view.byteOffset + reader.offset, header.compressed_page_size
+    )
+    reader.offset += header.compressed_page_size
+
+    /** @type {DataPageHeader | DataPageHeaderV2} */
+    let pageHeader
+    /** @type {DataPage} */
+    let page
+    if (header.type === 'DATA_PAGE') {
+      const daph = header.data_page_header
+      if (!daph) throw new Error('parquet data page header is undefined')
+      const bytes = decompressPage(compressedBytes, Number(header.uncompressed_page_size), codec, compressors)
+      page = readDataPage(bytes, daph, columnDecoder)
+      pageHeader = daph
+    } else if (header.type === 'DATA_PAGE_V2') {
+      const daph2 = header.data_page_header_v2
+      if (!daph2) throw new Error('parquet data page header v2 is undefined')
+      page = readDataPageV2(compressedBytes, header, columnDecoder)
+      pageHeader = daph2
+    } else {
+      throw new Error(`parquet unsupported page type: ${header.type}`)
+    }
+
+    const { definitionLevels, repetitionLevels, dataPage } = page
+    const { encoding, num_values } = pageHeader
+    for (let i = 0; i < num_values; i++) {
+      levels.definitionLevels.push(definitionLevels?.length ? definitionLevels[i] : maxDefinitionLevel)
+      levels.repetitionLevels.push(repetitionLevels.length ? repetitionLevels[i] : 0)
+    }
+    const values = convertWithDictionary(dataPage, dictionary, encoding, columnDecoder)
+    for (let i = 0; i < values.length; i++) levels.values.push(values[i])
+  }
+  return levels
+}
+
 /**
  * Read a page (data or dictionary) from a buffer.
  *
@@ -147,7 +281,7 @@ export function readPage(reader, header, columnDecoder, dictionary, previousChun
 /**
  * Read parquet header from a buffer.
  *
- * @import {ColumnData, ColumnDecoder, DataReader, DecodedArray, PageHeader, RowGroupSelect} from '../src/types.d.ts'
+ * @import {AsyncBuffer, ByteRange, ColumnData, ColumnDecoder, ColumnLevels, ColumnState, DataPage, DataPageHeader, DataPageHeaderV2, DataReader, DecodedArray, PageHeader, RowGroupSelect} from '../src/types.d.ts'
  * @param {DataReader} reader
  * @returns {PageHeader}
  */
@@ -201,3 +335,20 @@ function parquetHeader(reader) {
     data_page_header_v2,
   }
 }
+
+/**
+ * Read parquet header from a buffer, or undefined if the header may be cut
+ * off by the end of the buffer. Page data always follows the header, so a
+ * header that reaches the end of the buffer is incomplete.
+ *
+ * @param {DataReader} reader
+ * @returns {PageHeader | undefined}
+ */
+function tryParquetHeader(reader) {
+  try {
+    const header = parquetHeader(reader)
+    if (reader.offset < reader.view.byteLength) return header
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error
+  }
+}
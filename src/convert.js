@@ -1,4 +1,10 @@
+import { parseBson } from './bson.js'
+import { parseWkb } from './geo.js'
+
 const dayMillis = 86400000 // 1 day in milliseconds
+/** @type {Record<TimeUnit, bigint>} */
+const unitsPerSecond = { MILLIS: 1000n, MICROS: 1000000n, NANOS: 1000000000n }
+const hexBytes = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'))
 
 /**
  * Convert known types from primitive to rich, and dereference dictionary.
@@ -29,27 +35,38 @@ export function convertWithDictionary(data, dictionary, encoding, columnDecoder)
  * Convert known types from primitive to rich.
  *
  * @param {DecodedArray} data series of primitive types
- * @param {Pick<ColumnDecoder, "element" | "utf8">} columnDecoder
+ * @param {Pick<ColumnDecoder, "element" | "utf8" | "decimalFormat" | "timestampFormat" | "timeFormat" | "uuidFormat" | "geometryFormat" | "geometry">} columnDecoder
  * @returns {DecodedArray} series of rich types
  */
 export function convert(data, columnDecoder) {
-  const { element, utf8 = true } = columnDecoder
+  const { element, utf8 = true, decimalFormat = 'number', timestampFormat = 'date', timeFormat = 'string', uuidFormat = 'string', geometryFormat = 'geojson', geometry } = columnDecoder
   const { type, converted_type: ctype, logical_type: ltype } = element
   if (ctype === 'DECIMAL') {
     const scale = element.scale || 0
-    const factor = 10 ** -scale
     const arr = new Array(data.length)
-    for (let i = 0; i < arr.length; i++) {
-      if (data[0] instanceof Uint8Array) {
-        arr[i] = parseDecimal(data[i]) * factor
-      } else {
-        arr[i] = Number(data[i]) * factor
+    if (decimalFormat === 'number') {
+      const factor = 10 ** -scale
+      for (let i = 0; i < arr.length; i++) {
+        if (data[0] instanceof Uint8Array) {
+          arr[i] = parseDecimal(data[i]) * factor
+        } else {
+          arr[i] = Number(data[i]) * factor
+        }
+      }
+    } else if (decimalFormat === 'string' || decimalFormat === 'bigint-scaled') {
+      // exact unscaled integer, from fixed or variable length bytes, int32, or int64
+      for (let i = 0; i < arr.length; i++) {
+        const unscaled = data[i] instanceof Uint8Array ? parseDecimalBigInt(data[i]) : BigInt(data[i])
+        arr[i] = decimalFormat === 'string' ? formatDecimal(unscaled, scale) : unscaled
       }
+    } else {
+      throw new Error(`parquet unsupported decimalFormat: ${decimalFormat}`)
     }
     return arr
   }
   if (!ctype && type === 'INT96') {
-    return Array.from(data).map(parseInt96Date)
+    if (timestampFormat === 'date') return Array.from(data).map(parseInt96Date)
+    return convertTimestamps(Array.from(data).map(parseInt96Nanos), 'NANOS', true, timestampFormat)
   }
   if (ctype === 'DATE') {
     const arr = new Array(data.length)
@@ -58,17 +75,20 @@ export function convert(data, columnDecoder) {
     }
     return arr
   }
-  if (ctype === 'TIMESTAMP_MILLIS') {
-    const arr = new Array(data.length)
-    for (let i = 0; i < arr.length; i++) {
-      arr[i] = new Date(Number(data[i]))
-    }
-    return arr
+  if (ctype === 'TIMESTAMP_MILLIS' || ctype === 'TIMESTAMP_MICROS') {
+    const unit = ctype === 'TIMESTAMP_MILLIS' ? 'MILLIS' : 'MICROS'
+    const utc = ltype?.type !== 'TIMESTAMP' || ltype.isAdjustedToUTC
+    return convertTimestamps(data, unit, utc, timestampFormat)
   }
-  if (ctype === 'TIMESTAMP_MICROS') {
+  if (ctype === 'TIME_MILLIS' || ctype === 'TIME_MICROS' || ltype?.type === 'TIME') {
+    const unit = ltype?.type === 'TIME' ? ltype.unit : ctype === 'TIME_MILLIS' ? 'MILLIS' : 'MICROS'
+    if (timeFormat !== 'string' && timeFormat !== 'object') {
+      throw new Error(`parquet unsupported timeFormat: ${timeFormat}`)
+    }
     const arr = new Array(data.length)
     for (let i = 0; i < arr.length; i++) {
-      arr[i] = new Date(Number(data[i] / 1000n))
+      const time = parseTime(data[i], unit)
+      arr[i] = timeFormat === 'string' ? formatTime(time) : time
     }
     return arr
   }
@@ -76,11 +96,21 @@ export function convert(data, columnDecoder) {
     const decoder = new TextDecoder()
     return data.map(v => JSON.parse(decoder.decode(v)))
   }
-  if (ctype === 'BSON') {
-    throw new Error('parquet bson not supported')
+  if (ctype === 'BSON' || ltype?.type === 'BSON') {
+    return Array.from(data).map(parseBson)
   }
   if (ctype === 'INTERVAL') {
-    throw new Error('parquet interval not supported')
+    return Array.from(data).map(parseInterval)
+  }
+  if (ltype?.type === 'UUID') {
+    if (uuidFormat === 'bytes') return data
+    if (uuidFormat !== 'string') throw new Error(`parquet unsupported uuidFormat: ${uuidFormat}`)
+    return Array.from(data).map(formatUuid)
+  }
+  if (geometry || ltype?.type === 'GEOMETRY' || ltype?.type === 'GEOGRAPHY') {
+    if (geometryFormat === 'wkb') return data
+    if (geometryFormat !== 'geojson') throw new Error(`parquet unsupported geometryFormat: ${geometryFormat}`)
+    return Array.from(data).map(parseWkb)
   }
   if (ctype === 'UTF8' || ltype?.type === 'STRING' || utf8 && type === 'BYTE_ARRAY') {
     const decoder = new TextDecoder()
@@ -110,17 +140,69 @@ export function convert(data, columnDecoder) {
     return Array.from(data).map(parseFloat16)
   }
   if (ltype?.type === 'TIMESTAMP') {
-    const { unit } = ltype
-    let factor = 1n
-    if (unit === 'MICROS') factor = 1000n
-    if (unit === 'NANOS') factor = 1000000n
-    const arr = new Array(data.length)
+    return convertTimestamps(data, ltype.unit, ltype.isAdjustedToUTC, timestampFormat)
+  }
+  return data
+}
+
+/**
+ * Convert epoch timestamps to the requested timestampFormat.
+ *
+ * @param {DecodedArray} data epoch timestamps as bigints
+ * @param {TimeUnit} unit stored unit
+ * @param {boolean} utc isAdjustedToUTC, otherwise a local date-time
+ * @param {TimestampFormat} timestampFormat
+ * @returns {DecodedArray}
+ */
+function convertTimestamps(data, unit, utc, timestampFormat) {
+  if (timestampFormat === 'bigint') return data
+  const arr = new Array(data.length)
+  if (timestampFormat === 'date') {
+    const factor = unitsPerSecond[unit] / 1000n
     for (let i = 0; i < arr.length; i++) {
       arr[i] = new Date(Number(data[i] / factor))
     }
-    return arr
+  } else if (timestampFormat === 'iso-string') {
+    for (let i = 0; i < arr.length; i++) {
+      arr[i] = formatTimestamp(data[i], unit, utc)
+    }
+  } else if (timestampFormat === 'temporal') {
+    /** @type {any} */
+    const global = globalThis
+    const { Temporal } = global
+    if (!Temporal) throw new Error('parquet timestampFormat temporal requires Temporal')
+    const nanosFactor = unitsPerSecond.NANOS / unitsPerSecond[unit]
+    for (let i = 0; i < arr.length; i++) {
+      arr[i] = utc
+        ? Temporal.Instant.fromEpochNanoseconds(data[i] * nanosFactor)
+        : Temporal.PlainDateTime.from(formatTimestamp(data[i], unit, false))
+    }
+  } else {
+    throw new Error(`parquet unsupported timestampFormat: ${timestampFormat}`)
   }
-  return data
+  return arr
+}
+
+/**
+ * Format an epoch timestamp as ISO 8601 with every fraction digit of its unit.
+ * Local date-times have no Z suffix.
+ *
+ * @param {bigint} value epoch timestamp
+ * @param {TimeUnit} unit
+ * @param {boolean} utc
+ * @returns {string}
+ */
+export function formatTimestamp(value, unit, utc) {
+  const perSecond = unitsPerSecond[unit]
+  let seconds = value / perSecond
+  let fraction = value % perSecond
+  if (fraction < 0n) {
+    fraction += perSecond
+    seconds--
+  }
+  const iso = new Date(Number(seconds) * 1000).toISOString() // ends with .000Z
+  const digits = perSecond.toString().length - 1
+  return `${iso.slice(0, -5)}.${fraction.toString().padStart(digits, '0')}${utc ? 'Z' : ''}`
 }
 
 /**
@@ -143,7 +225,95 @@ export function parseDecimal(bytes) {
 }
 
 /**
- * @import {ColumnDecoder, DecodedArray, Encoding, SchemaElement} from '../src/types.d.ts'
+ * Parse a big-endian two's complement decimal without losing precision.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {bigint} unscaled value
+ */
+export function parseDecimalBigInt(bytes) {
+  let value = 0n
+  for (const byte of bytes) {
+    value = value << 8n | BigInt(byte)
+  }
+  return BigInt.asIntN(bytes.length * 8, value)
+}
+
+/**
+ * Format an unscaled decimal as an exact string with scale fraction digits.
+ *
+ * @param {bigint} unscaled
+ * @param {number} scale
+ * @returns {string}
+ */
+export function formatDecimal(unscaled, scale) {
+  const sign = unscaled < 0n ? '-' : ''
+  const digits = (unscaled < 0n ? -unscaled : unscaled).toString()
+  if (scale <= 0) return sign + digits
+  const padded = digits.padStart(scale + 1, '0')
+  return `${sign}${padded.slice(0, -scale)}.${padded.slice(-scale)}`
+}
+
+/**
+ * Parse a 12 byte INTERVAL of little-endian unsigned months, days, and milliseconds.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Interval}
+ */
+export function parseInterval(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return {
+    months: view.getUint32(0, true),
+    days: view.getUint32(4, true),
+    milliseconds: view.getUint32(8, true),
+  }
+}
+
+/**
+ * Format 16 bytes as a canonical lowercase UUID string.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string} such as 00112233-4455-6677-8899-aabbccddeeff
+ */
+export function formatUuid(bytes) {
+  let uuid = ''
+  for (let i = 0; i < 16; i++) {
+    if (i === 4 || i === 6 || i === 8 || i === 10) uuid += '-'
+    uuid += hexBytes[bytes[i]]
+  }
+  return uuid
+}
+
+/**
+ * Split a time of day into its components.
+ *
+ * @param {number | bigint} value time since midnight
+ * @param {TimeUnit} unit
+ * @returns {TimeOfDay}
+ */
+export function parseTime(value, unit) {
+  const nanosOfDay = BigInt(value) * (unitsPerSecond.NANOS / unitsPerSecond[unit])
+  const seconds = Number(nanosOfDay / unitsPerSecond.NANOS)
+  return {
+    hours: Math.floor(seconds / 3600),
+    minutes: Math.floor(seconds / 60) % 60,
+    seconds: seconds % 60,
+    nanos: Number(nanosOfDay % unitsPerSecond.NANOS),
+  }
+}
+
+/**
+ * Format a time of day as HH:MM:SS.fffffffff, with nanosecond digits for every unit.
+ *
+ * @param {TimeOfDay} time
+ * @returns {string}
+ */
+export function formatTime({ hours, minutes, seconds, nanos }) {
+  const hms = [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':')
+  return `${hms}.${String(nanos).padStart(9, '0')}`
+}
+
+/**
+ * @import {ColumnDecoder, DecodedArray, Encoding, Interval, SchemaElement, TimeOfDay, TimeUnit, TimestampFormat} from '../src/types.d.ts'
  * @param {bigint} value
  * @returns {Date}
  */
@@ -154,6 +324,15 @@ function parseInt96Date(value) {
   return new Date(millis)
 }
 
+/**
+ * @param {bigint} value julian day and nanoseconds of the day
+ * @returns {bigint} epoch nanoseconds
+ */
+function parseInt96Nanos(value) {
+  const days = (value >> 64n) - 2440588n
+  return days * 86400000000000n + (value & 0xffffffffffffffffn)
+}
+
 /**
  * @param {Uint8Array | undefined} bytes
  * @returns {number | undefined}
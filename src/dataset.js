@@ -0,0 +1,356 @@
+import { canSkipRowGroup, filterFields, matchQuery, validateFilter } from './filter.js'
+import { parquetMetadataAsync } from './metadata.js'
+import { compareRows, parquetQuery, sortOrder } from './query.js'
+import { parquetRead } from './read.js'
+import { concat } from './utils.js'
+
+// hive writes null partition values with this placeholder
+const hiveNull = '__HIVE_DEFAULT_PARTITION__'
+
+/**
+ * Open a dataset of parquet files, such as a hive-partitioned directory
+ * `year=2024/month=05/part-0.parquet`. Partition keys in the file paths
+ * become virtual columns, and the columns of all files are merged.
+ * Metadata of every file is read when the dataset is opened.
+ *
+ * @param {object} options
+ * @param {Record<string, AsyncBuffer>} options.files files by relative path
+ * @returns {Promise<ParquetDataset>}
+ */
+export async function parquetDataset({ files }) {
+  const paths = Object.keys(files).sort()
+  /** @type {DatasetFile[]} */
+  const datasetFiles = await Promise.all(paths.map(async path => {
+    const file = files[path]
+    const metadata = await parquetMetadataAsync(file)
+    return { path, file, metadata, partitions: parsePartitions(path) }
+  }))
+
+  // merge top-level columns, then add partition keys
+  /** @type {Map<string, SchemaElement>} */
+  const elements = new Map()
+  for (const { path, metadata } of datasetFiles) {
+    for (const element of topLevelElements(metadata)) {
+      const existing = elements.get(element.name)
+      if (!existing) {
+        elements.set(element.name, element)
+      } else if (existing.type !== element.type || existing.converted_type !== element.converted_type) {
+        throw new Error(`parquet dataset column ${element.name} in ${path} has a conflicting type`)
+      }
+    }
+  }
+  const columns = [...elements.keys()]
+  for (const { partitions } of datasetFiles) {
+    for (const key of Object.keys(partitions)) {
+      if (!columns.includes(key)) columns.push(key)
+    }
+  }
+
+  return {
+    files: datasetFiles,
+    columns,
+    read(options) {
+      return readDataset(datasetFiles, columns, options)
+    },
+    query(options) {
+      return queryDataset(datasetFiles, columns, options)
+    },
+  }
+}
+
+/**
+ * Parse hive partition keys from a file path.
+ * Integer values are converted to numbers.
+ *
+ * @param {string} path
+ * @returns {Record<string, ParquetQueryValue>}
+ */
+export function parsePartitions(path) {
+  /** @type {Record<string, ParquetQueryValue>} */
+  const partitions = {}
+  const directories = path.split('/').slice(0, -1)
+  for (const directory of directories) {
+    const index = directory.indexOf('=')
+    if (index <= 0) continue
+    const key = decodeURIComponent(directory.slice(0, index))
+    const value = decodeURIComponent(directory.slice(index + 1))
+    if (value === hiveNull) {
+      partitions[key] = null
+    } else if (/^-?\d+$/.test(value) && Number.isSafeInteger(Number(value))) {
+      partitions[key] = Number(value)
+    } else {
+      partitions[key] = value
+    }
+  }
+  return partitions
+}
+
+/**
+ * Read rows from all files of a dataset, in path order.
+ * Row ranges, onChunk, and onPage are relative to the whole dataset.
+ *
+ * @param {DatasetFile[]} files
+ * @param {string[]} datasetColumns
+ * @param {Omit<ParquetReadOptions, 'file' | 'metadata'>} options
+ * @returns {Promise<void>}
+ */
+async function readDataset(files, datasetColumns, options) {
+  const { rowStart = 0, rowEnd = Infinity, columns = datasetColumns, onChunk, onPage, onComplete, rowFormat } = options
+  /** @type {any[]} */
+  const rows = []
+  let fileStart = 0
+  for (const datasetFile of files) {
+    const fileEnd = fileStart + Number(datasetFile.metadata.num_rows)
+    if (fileEnd > rowStart && fileStart < rowEnd) {
+      const fileRowStart = Math.max(rowStart, fileStart) - fileStart
+      const fileRowEnd = Math.min(rowEnd, fileEnd) - fileStart
+
+      // partition columns are constant within a file
+      if (onChunk) {
+        for (const [columnName, value] of Object.entries(datasetFile.partitions)) {
+          if (!columns.includes(columnName) || fileColumns(datasetFile).includes(columnName)) continue
+          onChunk({
+            columnName,
+            columnData: new Array(fileRowEnd - fileRowStart).fill(value),
+            rowStart: fileStart + fileRowStart,
+            rowEnd: fileStart + fileRowEnd,
+          })
+        }
+      }
+
+      const fileRows = await readFileRows(datasetFile, {
+        ...options,
+        rowStart: fileRowStart,
+        rowEnd: fileRowEnd,
+        columns,
+        onChunk: onChunk && (chunk => onChunk({ ...chunk, rowStart: chunk.rowStart + fileStart, rowEnd: chunk.rowEnd + fileStart })),
+        onPage: onPage && (page => onPage({ ...page, rowStart: page.rowStart + fileStart, rowEnd: page.rowEnd + fileStart })),
+      })
+      if (onComplete) concat(rows, fileRows.map(row => datasetRow(datasetFile, row, columns, rowFormat)))
+    }
+    fileStart = fileEnd
+  }
+  onComplete?.(rows)
+}
+
+/**
+ * Query all files of a dataset with filter and orderBy.
+ * Files are skipped if their partition values or the statistics of all of
+ * their row groups prove that no row matches the filter.
+ *
+ * @param {DatasetFile[]} files
+ * @param {string[]} datasetColumns
+ * @param {Omit<ParquetReadOptions, 'file' | 'metadata'> & { filter?: ParquetQueryFilter, orderBy?: ParquetQueryOrderBy }} options
+ * @returns {Promise<Record<string, any>[]>}
+ */
+async function queryDataset(files, datasetColumns, options) {
+  const { rowStart = 0, rowEnd = Infinity, columns = datasetColumns, filter } = options
+  if (rowStart < 0) throw new Error('parquet rowStart must be positive')
+  if (filter) validateFilter(filter)
+  const orderBy = sortOrder(options.orderBy)
+  for (const { column } of orderBy ?? []) {
+    if (!datasetColumns.includes(column)) throw new Error(`parquet orderBy column not found: ${column}`)
+  }
+  if (!filter && !orderBy) {
+    /** @type {Record<string, any>[]} */
+    let rows = []
+    await readDataset(files, datasetColumns, { ...options, onComplete(result) { rows = result } })
+    return rows
+  }
+  // read the columns needed to filter and sort, even if not selected
+  const filterColumns = filter ? [...filterFields(filter)].filter(column => datasetColumns.includes(column)) : []
+  const readColumns = [...new Set([...columns, ...filterColumns, ...orderBy?.map(({ column }) => column) ?? []])]
+
+  /** @type {Record<string, any>[]} */
+  const results = []
+  for (const datasetFile of files) {
+    // resolve conditions on partition keys and columns missing from the file
+    const fileFilter = filter && bindFilter(filter, missingValues(datasetFile, datasetColumns))
+    if (fileFilter === false) continue
+    const residual = fileFilter === true ? undefined : fileFilter
+    const { metadata } = datasetFile
+    const fileOptions = { ...options, file: datasetFile.file, metadata, columns: readColumns }
+    if (residual && metadata.row_groups.every(group => canSkipRowGroup(fileOptions, group, residual))) continue
+
+    // sort columns missing from the file are all null and do not change its order
+    const present = fileColumns(datasetFile)
+    const fileRows = await readFileRows(datasetFile, {
+      ...options,
+      columns: readColumns,
+      filter: residual,
+      orderBy: orderBy?.filter(({ column }) => present.includes(column)),
+      // each file needs at most rowEnd rows
+      rowStart: undefined,
+      rowEnd: orderBy ? rowEnd : rowEnd - results.length,
+    })
+    for (const row of fileRows) results.push(datasetRow(datasetFile, row, readColumns))
+    if (!orderBy && results.length >= rowEnd) break
+  }
+  if (orderBy) results.sort(compareRows(orderBy))
+  const rows = results.slice(rowStart, rowEnd)
+  if (readColumns.length === columns.length) return rows
+  // remove columns that were only read for filtering and sorting
+  return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])))
+}
+
+/**
+ * Read rows of one dataset file as objects, reading only the columns present in the file.
+ *
+ * @param {DatasetFile} datasetFile
+ * @param {Omit<ParquetReadOptions, 'file' | 'metadata'> & { filter?: ParquetQueryFilter, orderBy?: ParquetQueryOrderBy }} options
+ * @returns {Promise<Record<string, any>[]>}
+ */
+async function readFileRows({ file, metadata }, options) {
+  const { columns, filter, orderBy } = options
+  const present = fileColumns({ metadata })
+  const selected = columns?.filter(column => present.includes(column))
+  if (selected && !selected.length) {
+    // no columns to read, only partition values
+    if (filter || sortOrder(orderBy)) {
+      // read the filter and sort columns, or any column, to find the matching rows
+      const queryColumns = [
+        ...filter ? filterFields(filter) : [],
+        ...sortOrder(orderBy)?.map(({ column }) => column) ?? [],
+      ].filter(column => present.includes(column))
+      const rows = await parquetQuery({ ...options, file, metadata, columns: queryColumns.length ? queryColumns : present.slice(0, 1) })
+      return rows.map(() => ({}))
+    }
+    const rowStart = options.rowStart ?? 0
+    const rowEnd = Math.min(options.rowEnd ?? Infinity, Number(metadata.num_rows))
+    return Array.from({ length: Math.max(rowEnd - rowStart, 0) }, () => ({}))
+  }
+  if (filter || orderBy) {
+    return await parquetQuery({ ...options, file, metadata, columns: selected })
+  }
+  /** @type {Record<string, any>[]} */
+  let rows = []
+  await parquetRead({
+    ...options,
+    file,
+    metadata,
+    columns: selected,
+    rowFormat: 'object',
+    onComplete(fileRows) {
+      rows = fileRows
+    },
+  })
+  return rows
+}
+
+/**
+ * Convert a file row to a dataset row, adding partition values and nulls
+ * for columns missing from the file.
+ *
+ * @param {DatasetFile} datasetFile
+ * @param {Record<string, any>} row
+ * @param {string[]} columns
+ * @param {'object' | 'array'} [rowFormat]
+ * @returns {Record<string, any> | any[]}
+ */
+function datasetRow({ partitions }, row, columns, rowFormat = 'object') {
+  const values = columns.map(column => {
+    if (column in row) return row[column]
+    return partitions[column] ?? null
+  })
+  if (rowFormat === 'array') return values
+  return Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+}
+
+/**
+ * Values of partition keys and of columns that are missing from a file.
+ *
+ * @param {DatasetFile} datasetFile
+ * @param {string[]} datasetColumns
+ * @returns {Record<string, ParquetQueryValue>}
+ */
+function missingValues(datasetFile, datasetColumns) {
+  const present = fileColumns(datasetFile)
+  /** @type {Record<string, ParquetQueryValue>} */
+  const values = {}
+  for (const column of datasetColumns) {
+    if (!present.includes(column)) values[column] = datasetFile.partitions[column] ?? null
+  }
+  return values
+}
+
+/**
+ * Resolve the conditions of a filter on fields with known constant values.
+ * Mirrors the semantics of matchQuery. Returns true or false if the filter
+ * is decided, otherwise the filter on the remaining fields.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @param {Record<string, ParquetQueryValue>} values
+ * @returns {ParquetQueryFilter | boolean}
+ */
+export function bindFilter(filter, values) {
+  if (filter.$not) {
+    const inner = bindFilter(filter.$not, values)
+    return typeof inner === 'boolean' ? !inner : { $not: inner }
+  }
+
+  if (filter.$and) {
+    /** @type {ParquetQueryFilter[]} */
+    const remaining = []
+    for (const subFilter of filter.$and) {
+      const bound = bindFilter(subFilter, values)
+      if (bound === false) return false
+      if (bound !== true) remaining.push(bound)
+    }
+    return remaining.length ? { $and: remaining } : true
+  }
+
+  if (filter.$or) {
+    /** @type {ParquetQueryFilter[]} */
+    const remaining = []
+    for (const subFilter of filter.$or) {
+      const bound = bindFilter(subFilter, values)
+      if (bound === true) return true
+      if (bound !== false) remaining.push(bound)
+    }
+    return remaining.length ? { $or: remaining } : false
+  }
+
+  /** @type {ParquetQueryFilter} */
+  const remaining = {}
+  for (const [field, condition] of Object.entries(filter)) {
+    if (field in values) {
+      if (!matchQuery(values, { [field]: condition })) return false
+    } else {
+      remaining[field] = condition
+    }
+  }
+  return Object.keys(remaining).length ? remaining : true
+}
+
+/**
+ * @param {FileMetaData} metadata
+ * @returns {SchemaElement[]} top-level schema elements
+ */
+function topLevelElements({ schema }) {
+  /** @type {SchemaElement[]} */
+  const elements = []
+  // skip the children of nested elements
+  let index = 1
+  while (index < schema.length) {
+    elements.push(schema[index])
+    let remaining = schema[index].num_children ?? 0
+    index++
+    while (remaining > 0) {
+      remaining += (schema[index].num_children ?? 0) - 1
+      index++
+    }
+  }
+  return elements
+}
+
+/**
+ * @param {{ metadata: FileMetaData }} datasetFile
+ * @returns {string[]} top-level column names of the file
+ */
+function fileColumns({ metadata }) {
+  return topLevelElements(metadata).map(element => element.name)
+}
+
+/**
+ * @import {AsyncBuffer, DatasetFile, FileMetaData, ParquetDataset, ParquetQueryFilter, ParquetQueryOrderBy, ParquetQueryValue, ParquetReadOptions, SchemaElement} from '../src/types.d.ts'
+ */
@@ -1,4 +1,4 @@
-import { readVarInt } from './thrift.js'
+import { readVarInt, writeVarInt } from './thrift.js'
 
 /**
  * Minimum bits needed to store value.
@@ -41,6 +41,100 @@ export function readRleBitPackedHybrid(reader, width, length, output) {
   // assert(reader.offset - startOffset === length)
 }
 
+/**
+ * Write values using the run-length encoded/bit-packed hybrid encoding.
+ * Runs of 8 or more repeated values are run-length encoded,
+ * everything else is bit-packed in groups of 8.
+ *
+ * Does not write the int32 length prefix.
+ *
+ * @param {Writer} writer
+ * @param {DecodedArray} values
+ * @param {number} width - bit width of each value
+ */
+export function writeRleBitPackedHybrid(writer, values, width) {
+  let i = 0
+  while (i < values.length) {
+    const run = runLength(values, i)
+    if (run >= 8) {
+      writeRle(writer, values[i], run, width)
+      i += run
+    } else {
+      // bit-pack until the next long run
+      let end = i + run
+      while (end < values.length) {
+        const nextRun = runLength(values, end)
+        if (nextRun >= 8) break
+        end += nextRun
+      }
+      const groups = Math.ceil((end - i) / 8)
+      writeBitPacked(writer, values, i, groups, width)
+      i += groups * 8
+    }
+  }
+}
+
+/**
+ * Count repeated values starting at index.
+ *
+ * @param {DecodedArray} values
+ * @param {number} start
+ * @returns {number}
+ */
+function runLength(values, start) {
+  let end = start + 1
+  while (end < values.length && values[end] === values[start]) end++
+  return end - start
+}
+
+/**
+ * Run-length encoding: write value with bitWidth repeated count times.
+ *
+ * @param {Writer} writer
+ * @param {number} value
+ * @param {number} count
+ * @param {number} bitWidth
+ */
+function writeRle(writer, value, count, bitWidth) {
+  writeVarInt(writer, count << 1)
+  const width = bitWidth + 7 >> 3
+  for (let i = 0; i < width; i++) {
+    writer.appendUint8(value >> (i << 3) & 0xff)
+  }
+}
+
+/**
+ * Write groups of 8 values bit-packed, padding past the end with zeroes.
+ *
+ * @param {Writer} writer
+ * @param {DecodedArray} values
+ * @param {number} start
+ * @param {number} groups number of 8-value groups
+ * @param {number} bitWidth
+ */
+function writeBitPacked(writer, values, start, groups, bitWidth) {
+  writeVarInt(writer, groups << 1 | 1)
+  let byte = 0
+  let bits = 0 // bits used in current byte
+  for (let i = start; i < start + groups * 8; i++) {
+    let value = i < values.length ? values[i] : 0
+    let remaining = bitWidth
+    while (remaining) {
+      const take = Math.min(8 - bits, remaining)
+      byte |= (value & (1 << take) - 1) << bits
+      value >>>= take
+      remaining -= take
+      bits += take
+      if (bits === 8) {
+        writer.appendUint8(byte)
+        byte = 0
+        bits = 0
+      }
+    }
+  }
+  // 8 values always fill a whole number of bytes
+}
+
 /**
  * Run-length encoding: read value with bitWidth and repeat it count times.
  *
@@ -146,7 +240,7 @@ export function byteStreamSplit(reader, count, type, typeLength) {
 }
 
 /**
- * @import {DataReader, DecodedArray, ParquetType} from '../src/types.d.ts'
+ * @import {DataReader, DecodedArray, ParquetType, Writer} from '../src/types.d.ts'
  * @param {ParquetType} type
  * @param {number | undefined} typeLength
  * @returns {number}
@@ -0,0 +1,819 @@
+import { readBloomFilter } from './bloom.js'
+import { formatUuid } from './convert.js'
+import { bboxIntersects, geometryBbox, isGeoParquetColumn, parquetGeoMetadata, parseWkb } from './geo.js'
+import { readColumnIndex, readOffsetIndex } from './indexes.js'
+import { columnChunkFile } from './plan.js'
+import { getSchemaPath } from './schema.js'
+import { equals } from './utils.js'
+
+// characters that sort differently in utf-16 and utf-8
+export const highChars = /[\ud800-\uffff]/
+
+const filterOperators = [
+  '$gt', '$gte', '$lt', '$lte', '$eq', '$ne', '$in', '$nin', '$between',
+  '$regex', '$startsWith', '$contains', '$ignoreCase', '$exists', '$isNull', '$not', '$bbox',
+]
+
+/** @type {WeakMap<object, RegExp>} */
+const regexps = new WeakMap()
+
+/**
+ * Match a record against a query filter
+ *
+ * @param {any} record
+ * @param {ParquetQueryFilter} query
+ * @returns {boolean}
+ * @example matchQuery({ id: 1 }, { id: {$gte: 1} }) // true
+ */
+export function matchQuery(record, query = {}) {
+
+  if (query.$not) {
+    return !matchQuery(record, query.$not)
+  }
+
+  if (query.$and) {
+    return query.$and.every(subQuery => matchQuery(record, subQuery))
+  }
+
+  if (query.$or) {
+    return query.$or.some(subQuery => matchQuery(record, subQuery))
+  }
+
+  return Object.entries(query).every(([field, condition]) => {
+    const value = record[field]
+
+    if (condition !== null && (Array.isArray(condition) || typeof condition !== 'object')) {
+      return equals(value, condition)
+    }
+
+    return Object.entries(condition || {}).every(([operator, target]) => {
+      switch (operator) {
+      case '$gt':
+        return value > target
+      case '$gte':
+        return value >= target
+      case '$lt':
+        return value < target
+      case '$lte':
+        return value <= target
+      case '$eq':
+        return equals(value, target)
+      case '$ne':
+        return !equals(value, target)
+      case '$in':
+        return Array.isArray(target) && target.includes(value)
+      case '$nin':
+        return Array.isArray(target) && !target.includes(value)
+      case '$between': {
+        const [low, high] = queryRange(target)
+        return value >= low && value <= high
+      }
+      case '$regex':
+        return typeof value === 'string' && conditionRegExp(condition).test(value)
+      case '$startsWith':
+        return typeof value === 'string' && caseFold(value, condition).startsWith(caseFold(target, condition))
+      case '$contains':
+        return typeof value === 'string' && caseFold(value, condition).includes(caseFold(target, condition))
+      case '$ignoreCase':
+        return true
+      case '$exists':
+        return (value !== null && value !== undefined) === target
+      case '$isNull':
+        return (value === null || value === undefined) === target
+      case '$not':
+        return !matchQuery({ [field]: value }, { [field]: target })
+      case '$bbox':
+        return geometryIntersects(value, queryBox(target))
+      default:
+        throw new Error(`parquet unsupported filter operator: ${operator}`)
+      }
+    })
+  })
+}
+
+/**
+ * Check every operator of a filter up front. Statistics and bloom filters may
+ * skip all rows before matchQuery sees an unknown operator, so it would not throw.
+ *
+ * @param {ParquetQueryFilter} filter
+ */
+export function validateFilter(filter) {
+  if (filter.$not) validateFilter(filter.$not)
+  for (const subFilter of filter.$and ?? []) validateFilter(subFilter)
+  for (const subFilter of filter.$or ?? []) validateFilter(subFilter)
+  for (const [field, condition] of Object.entries(filter)) {
+    if (field === '$and' || field === '$or' || field === '$not') continue
+    if (condition === null || Array.isArray(condition) || typeof condition !== 'object') continue
+    for (const [operator, target] of Object.entries(condition)) {
+      checkOperator(operator)
+      if (operator === '$not') validateFilter({ [field]: target })
+    }
+  }
+}
+
+/**
+ * Lower case a string for a condition with $ignoreCase.
+ *
+ * @param {any} value
+ * @param {any} condition operators of the field
+ * @returns {string}
+ */
+function caseFold(value, condition) {
+  if (typeof value !== 'string') throw new Error('parquet string operators expect a string')
+  return condition.$ignoreCase ? value.toLowerCase() : value
+}
+
+/**
+ * Compile the $regex of a condition once per filter.
+ *
+ * @param {any} condition operators of the field
+ * @returns {RegExp}
+ */
+function conditionRegExp(condition) {
+  let regexp = regexps.get(condition)
+  if (!regexp) {
+    const { $regex, $ignoreCase } = condition
+    if (typeof $regex !== 'string' && !($regex instanceof RegExp)) {
+      throw new Error('parquet $regex expects a string or RegExp')
+    }
+    // global and sticky flags would make test() stateful
+    let flags = $regex instanceof RegExp ? $regex.flags.replace(/[gy]/g, '') : ''
+    if ($ignoreCase && !flags.includes('i')) flags += 'i'
+    regexp = new RegExp($regex, flags)
+    regexps.set(condition, regexp)
+  }
+  return regexp
+}
+
+/**
+ * Check if a row group can be skipped because its column statistics prove
+ * that no row in the group matches the filter.
+ * Only statistics of flat top-level columns are used.
+ *
+ * @param {ParquetReadOptions} options read options, statistics for columns not read are ignored
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {boolean} true if no row in the group can match
+ */
+export function canSkipRowGroup(options, rowGroup, filter) {
+  return !statisticsMayMatch(filter, field => rowGroupStats(options, rowGroup, field))
+}
+
+/**
+ * Check if every row in a row group matches the filter, according to its
+ * column statistics.
+ * Only statistics of flat top-level columns are used.
+ *
+ * @param {ParquetReadOptions} options read options, statistics for columns not read are ignored
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {boolean} true if every row in the group matches
+ */
+export function rowGroupAllMatch(options, rowGroup, filter) {
+  return statisticsAllMatch(filter, field => rowGroupStats(options, rowGroup, field))
+}
+
+/**
+ * @param {ParquetReadOptions} options
+ * @param {RowGroup} rowGroup
+ * @param {string} field
+ * @returns {ColumnStats | undefined}
+ */
+function rowGroupStats(options, rowGroup, field) {
+  const chunk = findColumn(rowGroup, field)
+  if (!chunk?.meta_data) return
+  const { statistics, num_values, geospatial_statistics } = chunk.meta_data
+  const bbox = geospatial_statistics?.bbox ?? coveringBbox(options, rowGroup, field)
+  return columnStats(options, field, statistics, num_values, bbox)
+}
+
+/**
+ * Combine the statistics of GeoParquet bbox covering columns into a bounding
+ * box for a geometry column.
+ *
+ * @param {ParquetReadOptions} options
+ * @param {RowGroup} rowGroup
+ * @param {string} field geometry column name
+ * @returns {BoundingBox | undefined}
+ */
+function coveringBbox({ metadata }, rowGroup, field) {
+  const covering = metadata && parquetGeoMetadata(metadata)?.columns[field]?.covering?.bbox
+  if (!covering) return
+  /**
+   * @param {string[]} path
+   * @returns {Statistics | undefined}
+   */
+  function stats(path) {
+    return rowGroup.columns.find(({ meta_data }) => meta_data?.path_in_schema.join('.') === path.join('.'))?.meta_data?.statistics
+  }
+  const xmin = stats(covering.xmin)?.min_value
+  const ymin = stats(covering.ymin)?.min_value
+  const xmax = stats(covering.xmax)?.max_value
+  const ymax = stats(covering.ymax)?.max_value
+  if (typeof xmin !== 'number' || typeof ymin !== 'number' || typeof xmax !== 'number' || typeof ymax !== 'number') return
+  return { xmin, ymin, xmax, ymax }
+}
+
+/**
+ * Find the row ranges of a row group that may match the filter, using the
+ * page statistics in the column index of each filtered column.
+ * Returns the whole group if the filter columns have no page index.
+ *
+ * @param {ParquetReadOptions} options read options
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {Promise<[number, number][]>} row ranges relative to the start of the group
+ */
+export async function pageRowRanges(options, rowGroup, filter) {
+  /** @type {[number, number][]} */
+  const ranges = []
+  for (const { rowStart, rowEnd, match } of await pageMatches(options, rowGroup, filter)) {
+    if (match === 'none') continue
+    // merge adjacent ranges
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === rowStart) {
+      last[1] = rowEnd
+    } else {
+      ranges.push([rowStart, rowEnd])
+    }
+  }
+  return ranges
+}
+
+/**
+ * Split a row group at the page boundaries of the filtered columns, and
+ * decide from the page statistics in the column index whether no row, every
+ * row, or some rows of each range match the filter.
+ * Returns the whole group as 'some' if the filter columns have no page index.
+ *
+ * @param {ParquetReadOptions} options read options
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {Promise<PageMatch[]>} row ranges relative to the start of the group
+ */
+export async function pageMatches(options, rowGroup, filter) {
+  const { metadata } = options
+  if (!metadata) throw new Error('parquet requires metadata')
+  const groupRows = Number(rowGroup.num_rows)
+
+  // find filtered columns with a column index and offset index
+  /** @type {{ field: string, chunk: ColumnChunk, columnIndexStart: number, columnIndexEnd: number, offsetIndexStart: number, offsetIndexEnd: number }[]} */
+  const indexed = []
+  for (const field of filterFields(filter)) {
+    const chunk = findColumn(rowGroup, field)
+    if (!chunk?.column_index_length || !chunk.offset_index_length) continue
+    if (chunk.column_index_offset === undefined || chunk.offset_index_offset === undefined) continue
+    // check that page statistics would be usable
+    if (!columnStats(options, field, {}, 0n)) continue
+    indexed.push({
+      field,
+      chunk,
+      columnIndexStart: Number(chunk.column_index_offset),
+      columnIndexEnd: Number(chunk.column_index_offset) + chunk.column_index_length,
+      offsetIndexStart: Number(chunk.offset_index_offset),
+      offsetIndexEnd: Number(chunk.offset_index_offset) + chunk.offset_index_length,
+    })
+  }
+  if (!indexed.length) return [{ rowStart: 0, rowEnd: groupRows, match: 'some' }]
+
+  // page indexes are stored together before the footer, fetch them in one slice per file
+  const filePaths = [...new Set(indexed.map(({ chunk }) => chunk.file_path))]
+  const pages = (await Promise.all(filePaths.map(async filePath => {
+    const fileIndexed = indexed.filter(({ chunk }) => chunk.file_path === filePath)
+    const startByte = Math.min(...fileIndexed.map(i => Math.min(i.columnIndexStart, i.offsetIndexStart)))
+    const endByte = Math.max(...fileIndexed.map(i => Math.max(i.columnIndexEnd, i.offsetIndexEnd)))
+    const file = await columnChunkFile(options, fileIndexed[0].chunk)
+    const view = new DataView(await file.slice(startByte, endByte))
+    return fileIndexed.map(({ field, columnIndexStart, offsetIndexStart }) => {
+      const schemaPath = getSchemaPath(metadata.schema, [field])
+      const { element } = schemaPath[schemaPath.length - 1]
+      const columnIndex = readColumnIndex({ view, offset: columnIndexStart - startByte }, element)
+      const { page_locations } = readOffsetIndex({ view, offset: offsetIndexStart - startByte })
+      const firstRows = page_locations.map(page => Number(page.first_row_index))
+      return { field, columnIndex, firstRows }
+    })
+  }))).flat()
+
+  // split the group at every page boundary of the filtered columns
+  const boundaries = [...new Set(pages.flatMap(page => page.firstRows).concat(0, groupRows))]
+    .filter(row => row >= 0 && row <= groupRows)
+    .sort((a, b) => a - b)
+
+  /** @type {PageMatch[]} */
+  const ranges = []
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const rangeStart = boundaries[i]
+    const rangeEnd = boundaries[i + 1]
+    /**
+     * @param {string} field
+     * @returns {ColumnStats | undefined}
+     */
+    function getStats(field) {
+      const page = pages.find(page => page.field === field)
+      if (!page) return
+      const { columnIndex, firstRows } = page
+      // page containing rangeStart
+      let index = firstRows.length - 1
+      while (index > 0 && firstRows[index] > rangeStart) index--
+      const pageRows = (firstRows[index + 1] ?? groupRows) - firstRows[index]
+      const nullPage = columnIndex.null_pages[index]
+      return columnStats(options, field, {
+        min_value: nullPage ? undefined : columnIndex.min_values[index],
+        max_value: nullPage ? undefined : columnIndex.max_values[index],
+        null_count: nullPage ? BigInt(pageRows) : columnIndex.null_counts?.[index],
+        nan_count: columnIndex.nan_counts?.[index],
+      }, BigInt(pageRows))
+    }
+    /** @type {PageMatch['match']} */
+    let match = 'none'
+    if (statisticsMayMatch(filter, getStats)) {
+      match = statisticsAllMatch(filter, getStats) ? 'all' : 'some'
+    }
+    ranges.push({ rowStart: rangeStart, rowEnd: rangeEnd, match })
+  }
+  return ranges
+}
+
+/**
+ * Check if any row of a row group could match the equality conditions of the
+ * filter ($eq, $in, or a plain value), using the bloom filters of the
+ * filtered columns. Bloom filters are only fetched for those columns.
+ *
+ * @param {ParquetReadOptions} options read options
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {Promise<boolean>} false if no row can match
+ */
+export async function bloomFilterMayMatch(options, rowGroup, filter) {
+  const { metadata, columns } = options
+  if (!metadata) throw new Error('parquet requires metadata')
+  /** @type {Map<string, BloomFilter>} */
+  const bloomFilters = new Map()
+  await Promise.all([...equalityFields(filter)].map(async field => {
+    if (columns && !columns.includes(field)) return
+    const chunk = findColumn(rowGroup, field)
+    if (chunk?.meta_data?.bloom_filter_offset === undefined) return
+    const schemaPath = getSchemaPath(metadata.schema, [field])
+    const file = await columnChunkFile(options, chunk)
+    const bloomFilter = await readBloomFilter(file, chunk.meta_data, schemaPath[schemaPath.length - 1].element)
+    if (bloomFilter) bloomFilters.set(field, bloomFilter)
+  }))
+  if (!bloomFilters.size) return true
+  return bloomMayMatch(filter, bloomFilters)
+}
+
+/**
+ * Check if any row could match the filter, mirroring the semantics of
+ * matchQuery. Only equality conditions are decided by bloom filters.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @param {Map<string, BloomFilter>} bloomFilters
+ * @returns {boolean} false if no row can match
+ */
+function bloomMayMatch(filter, bloomFilters) {
+  if (filter.$not) return true
+
+  if (filter.$and) {
+    return filter.$and.every(subFilter => bloomMayMatch(subFilter, bloomFilters))
+  }
+
+  if (filter.$or) {
+    return filter.$or.some(subFilter => bloomMayMatch(subFilter, bloomFilters))
+  }
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const bloomFilter = bloomFilters.get(field)
+    if (!bloomFilter || condition === null || Array.isArray(condition)) return true
+    // null values are not in bloom filters
+    if (typeof condition !== 'object') return bloomFilter.mightContain(condition)
+
+    return Object.entries(condition).every(([operator, target]) => {
+      switch (operator) {
+      case '$eq':
+        return target === null || bloomFilter.mightContain(target)
+      case '$in':
+        return !Array.isArray(target) || target.some(value => value === null || bloomFilter.mightContain(value))
+      default:
+        return true
+      }
+    })
+  })
+}
+
+/**
+ * List the column names compared for equality by a filter, outside of $not.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @returns {Set<string>}
+ */
+function equalityFields(filter) {
+  /** @type {Set<string>} */
+  const fields = new Set()
+  for (const subFilter of [...filter.$and ?? [], ...filter.$or ?? []]) {
+    for (const field of equalityFields(subFilter)) fields.add(field)
+  }
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or' || key === '$not' || condition === null) continue
+    if (typeof condition !== 'object' || '$eq' in condition || '$in' in condition) fields.add(key)
+  }
+  return fields
+}
+
+/**
+ * Find the column chunk of a flat top-level column.
+ *
+ * @param {RowGroup} rowGroup
+ * @param {string} field
+ * @returns {ColumnChunk | undefined}
+ */
+function findColumn(rowGroup, field) {
+  return rowGroup.columns.find(({ meta_data }) => {
+    return meta_data?.path_in_schema.length === 1 && meta_data.path_in_schema[0] === field
+  })
+}
+
+/**
+ * List the column names referenced by a filter.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @returns {Set<string>}
+ */
+export function filterFields(filter) {
+  /** @type {Set<string>} */
+  const fields = new Set()
+  const subFilters = [...filter.$and ?? [], ...filter.$or ?? []]
+  if (filter.$not) subFilters.push(filter.$not)
+  for (const subFilter of subFilters) {
+    for (const field of filterFields(subFilter)) fields.add(field)
+  }
+  for (const key of Object.keys(filter)) {
+    if (key !== '$and' && key !== '$or' && key !== '$not') fields.add(key)
+  }
+  return fields
+}
+
+/**
+ * Get statistics for a flat top-level column in the same form as the values
+ * that matchQuery will see. Returns undefined if they are not comparable.
+ *
+ * @param {ParquetReadOptions} options read options
+ * @param {string} field top-level column name
+ * @param {Statistics | undefined} statistics
+ * @param {bigint} valueCount
+ * @param {BoundingBox} [bbox] geospatial statistics of geometry columns
+ * @returns {ColumnStats | undefined}
+ */
+export function columnStats({ metadata, columns, utf8 = true, timestampFormat = 'date', uuidFormat = 'string' }, field, statistics, valueCount, bbox) {
+  if (!metadata) throw new Error('parquet requires metadata')
+  if (columns && !columns.includes(field)) return
+  const schemaPath = getSchemaPath(metadata.schema, [field])
+  const { element } = schemaPath[schemaPath.length - 1]
+  if (element.repetition_type === 'REPEATED') return
+  const { type, converted_type: ctype, logical_type: ltype } = element
+  // geometries are only compared by bounding box
+  if (ltype?.type === 'GEOMETRY' || ltype?.type === 'GEOGRAPHY' || isGeoParquetColumn(parquetGeoMetadata(metadata), [field])) {
+    return bbox && { nullCount: statistics?.null_count, valueCount, bbox }
+  }
+  if (!statistics) return
+  // statistics are not converted the same way as values for these types
+  if (ctype === 'DECIMAL' || ctype === 'JSON' || ctype === 'BSON' || ctype === 'INTERVAL') return
+  if (ctype?.startsWith('UINT') || ltype?.type === 'INTEGER' && !ltype.isSigned) return
+  // times are formatted, and timestamp statistics are always dates
+  if (type === 'INT96' || ctype === 'TIME_MILLIS' || ctype === 'TIME_MICROS' || ltype?.type === 'TIME') return
+  if (timestampFormat !== 'date' && (ctype?.startsWith('TIMESTAMP') || ltype?.type === 'TIMESTAMP')) return
+  if (type === 'BYTE_ARRAY' && !utf8 && ctype !== 'UTF8' && ctype !== 'ENUM' && ltype?.type !== 'STRING') return
+  // deprecated min and max used signed byte order for byte arrays
+  const bytes = type === 'BYTE_ARRAY' || type === 'FIXED_LEN_BYTE_ARRAY'
+  let min = statistics.min_value ?? (bytes ? undefined : statistics.min)
+  let max = statistics.max_value ?? (bytes ? undefined : statistics.max)
+  // uuid strings sort in the same order as their bytes
+  if (ltype?.type === 'UUID' && uuidFormat === 'string') {
+    min = min instanceof Uint8Array ? formatUuid(min) : undefined
+    max = max instanceof Uint8Array ? formatUuid(max) : undefined
+  }
+  /** @type {ColumnStats} */
+  const stats = { min, max, nullCount: statistics.null_count, valueCount }
+  // floating point min and max exclude NaN values
+  if (type === 'FLOAT' || type === 'DOUBLE' || ltype?.type === 'FLOAT16') {
+    stats.float = true
+    stats.nanCount = statistics.nan_count
+  }
+  return stats
+}
+
+/**
+ * Check if any row described by column statistics could match the filter.
+ * Mirrors the semantics of matchQuery, returns true when undecidable.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @param {(field: string) => ColumnStats | undefined} getStats
+ * @returns {boolean} false if no row can match
+ */
+export function statisticsMayMatch(filter, getStats) {
+  // $not cannot be decided from min and max
+  if (filter.$not) return true
+
+  if (filter.$and) {
+    return filter.$and.every(subFilter => statisticsMayMatch(subFilter, getStats))
+  }
+
+  if (filter.$or) {
+    return filter.$or.some(subFilter => statisticsMayMatch(subFilter, getStats))
+  }
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const stats = getStats(field)
+    if (!stats) return true
+    const { min, max, nullCount, valueCount, bbox, float, nanCount } = stats
+    const noNaN = !float || nanCount === 0n
+
+    // null rows match exactly like they would in matchQuery
+    if (nullCount === undefined || nullCount > 0) {
+      if (matchQuery({ [field]: null }, { [field]: condition })) return true
+    }
+    // all values are null
+    if (nullCount !== undefined && nullCount >= valueCount) return false
+    if (bbox) return bboxMayMatch(condition, bbox)
+    if (min === undefined || max === undefined) return true
+
+    if (condition !== null && (Array.isArray(condition) || typeof condition !== 'object')) {
+      return inRange(condition, min, max)
+    }
+
+    return Object.entries(condition || {}).every(([operator, target]) => {
+      switch (operator) {
+      case '$gt':
+        return !comparable(target, max) || max > target
+      case '$gte':
+        return !comparable(target, max) || max >= target
+      case '$lt':
+        return !comparable(target, min) || min < target
+      case '$lte':
+        return !comparable(target, min) || min <= target
+      case '$eq':
+        return inRange(target, min, max)
+      case '$ne':
+        return !noNaN || !(min === max && min === target)
+      case '$in':
+        return Array.isArray(target) && target.some(value => inRange(value, min, max))
+      case '$nin':
+        return Array.isArray(target) && (!noNaN || !(min === max && target.includes(min)))
+      case '$between': {
+        const [low, high] = queryRange(target)
+        return (!comparable(low, max) || max >= low) && (!comparable(high, min) || min <= high)
+      }
+      case '$startsWith':
+        return prefixMayMatch(condition, min, max)
+      case '$exists':
+        return target === true
+      case '$isNull':
+        return target === false
+      default:
+        return checkOperator(operator)
+      }
+    })
+  })
+}
+
+/**
+ * Check if every row described by column statistics matches the filter.
+ * Mirrors the semantics of matchQuery, returns false when undecidable.
+ *
+ * @param {ParquetQueryFilter} filter
+ * @param {(field: string) => ColumnStats | undefined} getStats
+ * @returns {boolean} true if every row matches
+ */
+export function statisticsAllMatch(filter, getStats) {
+  if (filter.$not) {
+    return !statisticsMayMatch(filter.$not, getStats)
+  }
+
+  if (filter.$and) {
+    return filter.$and.every(subFilter => statisticsAllMatch(subFilter, getStats))
+  }
+
+  if (filter.$or) {
+    return filter.$or.some(subFilter => statisticsAllMatch(subFilter, getStats))
+  }
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const stats = getStats(field)
+    if (!stats || stats.bbox) return false
+    const { min, max, nullCount, valueCount } = stats
+    if (nullCount === undefined) return false
+
+    // null rows must match too, exactly like they would in matchQuery
+    if (nullCount > 0 && !matchQuery({ [field]: null }, { [field]: condition })) return false
+    // all values are null
+    if (nullCount >= valueCount) return true
+    if (min === undefined || max === undefined) return false
+    // min and max do not describe NaN values
+    if (stats.float && stats.nanCount !== 0n) return false
+
+    if (condition === null || Array.isArray(condition) || typeof condition !== 'object') {
+      return onlyValue(condition, min, max)
+    }
+
+    return Object.entries(condition).every(([operator, target]) => {
+      switch (operator) {
+      case '$gt':
+        return comparable(target, min) && min > target
+      case '$gte':
+        return comparable(target, min) && min >= target
+      case '$lt':
+        return comparable(target, max) && max < target
+      case '$lte':
+        return comparable(target, max) && max <= target
+      case '$eq':
+        return onlyValue(target, min, max)
+      case '$ne':
+        return outOfRange(target, min, max)
+      case '$in':
+        return Array.isArray(target) && target.some(value => onlyValue(value, min, max))
+      case '$nin':
+        return Array.isArray(target) && target.every(value => outOfRange(value, min, max))
+      case '$between': {
+        const [low, high] = queryRange(target)
+        return comparable(low, min) && comparable(high, max) && min >= low && max <= high
+      }
+      case '$startsWith':
+        return prefixAllMatch(condition, min, max)
+      case '$ignoreCase':
+        return true
+      case '$exists':
+        return target === true
+      case '$isNull':
+        return target === false
+      case '$not':
+        return !statisticsMayMatch({ [field]: target }, getStats)
+      default:
+        return !checkOperator(operator)
+      }
+    })
+  })
+}
+
+/**
+ * Check if a string in [min, max] could start with the $startsWith prefix.
+ * Strings with the prefix sort after the prefix, and before any string whose
+ * leading characters sort after it.
+ *
+ * @param {any} condition operators of the field
+ * @param {MinMaxType} min
+ * @param {MinMaxType} max
+ * @returns {boolean}
+ */
+function prefixMayMatch({ $startsWith, $ignoreCase }, min, max) {
+  if ($ignoreCase || typeof min !== 'string' || typeof max !== 'string') return true
+  if (!comparable($startsWith, min) || !comparable($startsWith, max)) return true
+  return max >= $startsWith && min.slice(0, $startsWith.length) <= $startsWith
+}
+
+/**
+ * Check if every string in [min, max] starts with the $startsWith prefix.
+ *
+ * @param {any} condition operators of the field
+ * @param {MinMaxType} min
+ * @param {MinMaxType} max
+ * @returns {boolean}
+ */
+function prefixAllMatch({ $startsWith, $ignoreCase }, min, max) {
+  if ($ignoreCase || typeof min !== 'string' || typeof max !== 'string') return false
+  if (!comparable($startsWith, min) || !comparable($startsWith, max)) return false
+  return min.startsWith($startsWith) && max.startsWith($startsWith)
+}
+
+/**
+ * Throw for unknown filter operators. Known operators that cannot be decided
+ * from statistics return true.
+ *
+ * @param {string} operator
+ * @returns {true}
+ */
+function checkOperator(operator) {
+  if (!filterOperators.includes(operator)) {
+    throw new Error(`parquet unsupported filter operator: ${operator}`)
+  }
+  return true
+}
+
+/**
+ * Check if a condition on a geometry column could match within a bounding box.
+ * Only $bbox conditions are decided.
+ *
+ * @param {any} condition
+ * @param {BoundingBox} bbox
+ * @returns {boolean}
+ */
+function bboxMayMatch(condition, bbox) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return true
+  return Object.entries(condition).every(([operator, target]) => {
+    return operator !== '$bbox' || bboxIntersects(queryBox(target), bbox)
+  })
+}
+
+/**
+ * Check if the bounding box of a geometry intersects a query box.
+ *
+ * @param {any} value GeoJSON geometry or WKB bytes
+ * @param {number[]} box
+ * @returns {boolean}
+ */
+function geometryIntersects(value, box) {
+  if (value === null || value === undefined) return false
+  const bbox = geometryBbox(value instanceof Uint8Array ? parseWkb(value) : value)
+  if (!bbox) return false
+  const [xmin, ymin, xmax, ymax] = bbox
+  return bboxIntersects(box, { xmin, ymin, xmax, ymax })
+}
+
+/**
+ * @param {any} range
+ * @returns {any[]} [low, high]
+ */
+function queryRange(range) {
+  if (!Array.isArray(range) || range.length !== 2) {
+    throw new Error('parquet $between expects [low, high]')
+  }
+  return range
+}
+
+/**
+ * @param {any} box
+ * @returns {number[]} [xmin, ymin, xmax, ymax]
+ */
+function queryBox(box) {
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(n => typeof n === 'number')) {
+    throw new Error('parquet $bbox expects [xmin, ymin, xmax, ymax]')
+  }
+  return box
+}
+
+/**
+ * Check if a query value could be within [min, max].
+ *
+ * @param {any} value
+ * @param {MinMaxType} min
+ * @param {MinMaxType} max
+ * @returns {boolean}
+ */
+function inRange(value, min, max) {
+  // non-null values never equal null
+  if (value === null) return false
+  // objects, arrays and dates do not compare by value in matchQuery
+  if (typeof value === 'object') return true
+  if (!comparable(value, min) || !comparable(value, max)) return true
+  return min <= value && value <= max
+}
+
+/**
+ * Check if a query value is the only value in [min, max].
+ *
+ * @param {any} value
+ * @param {MinMaxType} min
+ * @param {MinMaxType} max
+ * @returns {boolean}
+ */
+function onlyValue(value, min, max) {
+  if (value === null || typeof value === 'object') return false
+  return comparable(value, min) && min === value && max === value
+}
+
+/**
+ * Check if a query value is certainly outside of [min, max].
+ *
+ * @param {any} value
+ * @param {MinMaxType} min
+ * @param {MinMaxType} max
+ * @returns {boolean}
+ */
+function outOfRange(value, min, max) {
+  // non-null values never equal null
+  if (value === null) return true
+  if (typeof value === 'object') return false
+  if (!comparable(value, min) || !comparable(value, max)) return false
+  return value < min || value > max
+}
+
+/**
+ * Check if a query value and a statistics value have a consistent order.
+ *
+ * @param {any} value
+ * @param {MinMaxType} stat
+ * @returns {boolean}
+ */
+function comparable(value, stat) {
+  if (typeof stat === 'number' && isNaN(stat)) return false
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return typeof stat === 'number' || typeof stat === 'bigint'
+  }
+  if (typeof value === 'string' && typeof stat === 'string') {
+    return !highChars.test(value) && !highChars.test(stat)
+  }
+  if (value instanceof Date && stat instanceof Date) return true
+  return typeof value === 'boolean' && typeof stat === 'boolean'
+}
+
+/**
+ * @import {BloomFilter, BoundingBox, ColumnChunk, ColumnStats, MinMaxType, PageMatch, ParquetQueryFilter, ParquetReadOptions, RowGroup, Statistics} from '../src/types.d.ts'
+ */
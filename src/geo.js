@@ -0,0 +1,153 @@
+/**
+ * Parse the GeoParquet metadata stored under the `geo` key of the file
+ * key-value metadata, which lists the geometry columns, their encoding and CRS.
+ * https://geoparquet.org/releases/v1.1.0/
+ *
+ * @param {FileMetaData} metadata
+ * @returns {GeoParquetMetadata | undefined} undefined if the file is not GeoParquet
+ */
+export function parquetGeoMetadata(metadata) {
+  const geo = metadata.key_value_metadata?.find(({ key }) => key === 'geo')?.value
+  if (geo) return JSON.parse(geo)
+}
+
+/**
+ * Check if a top-level column is a WKB geometry column listed in GeoParquet metadata.
+ *
+ * @param {GeoParquetMetadata | undefined} geo
+ * @param {string[]} path column path in schema
+ * @returns {boolean}
+ */
+export function isGeoParquetColumn(geo, path) {
+  return path.length === 1 && geo?.columns[path[0]]?.encoding.toUpperCase() === 'WKB'
+}
+
+/**
+ * Decode well-known binary (WKB) to a GeoJSON geometry.
+ * Supports ISO and extended (EWKB) dimension flags. Z values are kept and M
+ * values are dropped, since GeoJSON positions have at most three dimensions.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Geometry}
+ */
+export function parseWkb(bytes) {
+  const reader = { view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 }
+  return readGeometry(reader)
+}
+
+/**
+ * Compute the [xmin, ymin, xmax, ymax] bounding box of a GeoJSON geometry.
+ *
+ * @param {Geometry} geometry
+ * @returns {number[] | undefined} undefined if the geometry is empty
+ */
+export function geometryBbox(geometry) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity]
+  extendBbox(bbox, geometry.type === 'GeometryCollection' ? geometry.geometries : geometry.coordinates)
+  if (bbox[0] <= bbox[2]) return bbox
+}
+
+/**
+ * Check if a [xmin, ymin, xmax, ymax] query box intersects a bounding box.
+ *
+ * @param {number[]} box query box
+ * @param {BoundingBox} bbox statistics bounding box, possibly wrapping the antimeridian
+ * @returns {boolean}
+ */
+export function bboxIntersects([xmin, ymin, xmax, ymax], bbox) {
+  if (ymax < bbox.ymin || ymin > bbox.ymax) return false
+  if (bbox.xmin > bbox.xmax) {
+    // covers [xmin, 180] and [-180, xmax]
+    return xmax >= bbox.xmin || xmin <= bbox.xmax
+  }
+  return xmax >= bbox.xmin && xmin <= bbox.xmax
+}
+
+/**
+ * @param {number[]} bbox
+ * @param {any[]} coordinates nested positions or geometries
+ */
+function extendBbox(bbox, coordinates) {
+  if (typeof coordinates[0] === 'number') {
+    const [x, y] = coordinates
+    if (x < bbox[0]) bbox[0] = x
+    if (y < bbox[1]) bbox[1] = y
+    if (x > bbox[2]) bbox[2] = x
+    if (y > bbox[3]) bbox[3] = y
+    return
+  }
+  for (const child of coordinates) {
+    if (child.type === 'GeometryCollection') extendBbox(bbox, child.geometries)
+    else extendBbox(bbox, child.coordinates ?? child)
+  }
+}
+
+/**
+ * @param {DataReader} reader
+ * @returns {Geometry}
+ */
+function readGeometry(reader) {
+  const { view } = reader
+  const littleEndian = view.getUint8(reader.offset) === 1
+  const code = view.getUint32(reader.offset + 1, littleEndian)
+  reader.offset += 5
+  // ISO adds 1000 for Z, 2000 for M, and 3000 for ZM; EWKB sets high bits
+  const iso = code & 0xffff
+  const type = iso % 1000
+  const dimension = Math.floor(iso / 1000)
+  const hasZ = dimension === 1 || dimension === 3 || (code & 0x80000000) !== 0
+  const hasM = dimension === 2 || dimension === 3 || (code & 0x40000000) !== 0
+  if (code & 0x20000000) reader.offset += 4 // skip EWKB srid
+  const dims = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0)
+
+  /** @returns {number[]} */
+  function readPosition() {
+    const position = []
+    for (let i = 0; i < dims; i++) {
+      if (i < 3 && (i < 2 || hasZ)) position.push(view.getFloat64(reader.offset, littleEndian))
+      reader.offset += 8
+    }
+    return position
+  }
+  /** @returns {number[][]} */
+  function readPositions() {
+    const count = view.getUint32(reader.offset, littleEndian)
+    reader.offset += 4
+    return Array.from({ length: count }, readPosition)
+  }
+  /** @returns {Geometry[]} */
+  function readGeometries() {
+    const count = view.getUint32(reader.offset, littleEndian)
+    reader.offset += 4
+    return Array.from({ length: count }, () => readGeometry(reader))
+  }
+
+  switch (type) {
+  case 1: {
+    const coordinates = readPosition()
+    // empty points are encoded as NaN coordinates
+    return { type: 'Point', coordinates: coordinates.every(isNaN) ? [] : coordinates }
+  }
+  case 2:
+    return { type: 'LineString', coordinates: readPositions() }
+  case 3: {
+    const count = view.getUint32(reader.offset, littleEndian)
+    reader.offset += 4
+    return { type: 'Polygon', coordinates: Array.from({ length: count }, readPositions) }
+  }
+  case 4:
+    return { type: 'MultiPoint', coordinates: readGeometries().map((/** @type {any} */ point) => point.coordinates) }
+  case 5:
+    return { type: 'MultiLineString', coordinates: readGeometries().map((/** @type {any} */ line) => line.coordinates) }
+  case 6:
+    return { type: 'MultiPolygon', coordinates: readGeometries().map((/** @type {any} */ polygon) => polygon.coordinates) }
+  case 7:
+    return { type: 'GeometryCollection', geometries: readGeometries() }
+  default:
+    throw new Error(`wkb unsupported geometry type ${code}`)
+  }
+}
+
+/**
+ * @import {BoundingBox, DataReader, FileMetaData, GeoParquetMetadata, Geometry} from '../src/types.d.ts'
+ */
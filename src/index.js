@@ -1,8 +1,15 @@
 import { parquetRead } from './read.js'
 
+export { parquetAggregate, parquetCount } from './aggregate.js'
+export { parquetReadArrow } from './arrow.js'
+export { parquetBloomFilter } from './bloom.js'
+export { parquetDataset } from './dataset.js'
+export { parquetGeoMetadata } from './geo.js'
 export { parquetMetadata, parquetMetadataAsync, parquetSchema } from './metadata.js'
 export { parquetRead }
+export { parquetReadStream, parquetRowIterator } from './read.js'
 export { parquetQuery } from './query.js'
+export { parquetWrite } from './write.js'
 export { snappyUncompress } from './snappy.js'
 export { asyncBufferFromUrl, byteLengthFromUrl, cachedAsyncBuffer, flatten, toJson } from './utils.js'
 
@@ -58,6 +65,14 @@ export function parquetReadObjects(options) {
  * @typedef {import('../src/types.d.ts').OffsetIndex} OffsetIndex
  * @typedef {import('../src/types.d.ts').ColumnIndex} ColumnIndex
  * @typedef {import('../src/types.d.ts').BoundaryOrder} BoundaryOrder
+ * @typedef {import('../src/types.d.ts').BloomFilter} BloomFilter
  * @typedef {import('../src/types.d.ts').ColumnData} ColumnData
  * @typedef {import('../src/types.d.ts').ParquetReadOptions} ParquetReadOptions
+ * @typedef {import('../src/types.d.ts').ParquetWriteOptions} ParquetWriteOptions
+ * @typedef {import('../src/types.d.ts').ColumnSource} ColumnSource
+ * @typedef {import('../src/types.d.ts').ParquetDataset} ParquetDataset
+ * @typedef {import('../src/types.d.ts').DatasetFile} DatasetFile
+ * @typedef {import('../src/types.d.ts').Geometry} Geometry
+ * @typedef {import('../src/types.d.ts').GeoParquetMetadata} GeoParquetMetadata
+ * @typedef {import('../src/types.d.ts').BoundingBox} BoundingBox
  */
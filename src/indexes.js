@@ -17,6 +17,7 @@ export function readColumnIndex(reader, schema) {
     null_counts: thrift.field_5,
     repetition_level_histograms: thrift.field_6,
     definition_level_histograms: thrift.field_7,
+    nan_counts: thrift.field_8,
   }
 }
 
@@ -1,4 +1,4 @@
-import { CompressionCodec, ConvertedType, Encoding, FieldRepetitionType, PageType, ParquetType } from './constants.js'
+import { CompressionCodec, ConvertedType, EdgeInterpolationAlgorithm, Encoding, FieldRepetitionType, PageType, ParquetType } from './constants.js'
 import { parseDecimal, parseFloat16 } from './convert.js'
 import { getSchemaPath } from './schema.js'
 import { deserializeTCompactProtocol } from './thrift.js'
@@ -148,6 +148,19 @@ export function parquetMetadata(arrayBuffer) {
           repetition_level_histogram: column.field_3.field_16.field_2,
           definition_level_histogram: column.field_3.field_16.field_3,
         },
+        geospatial_statistics: column.field_3.field_17 && {
+          bbox: column.field_3.field_17.field_1 && {
+            xmin: column.field_3.field_17.field_1.field_1,
+            xmax: column.field_3.field_17.field_1.field_2,
+            ymin: column.field_3.field_17.field_1.field_3,
+            ymax: column.field_3.field_17.field_1.field_4,
+            zmin: column.field_3.field_17.field_1.field_5,
+            zmax: column.field_3.field_17.field_1.field_6,
+            mmin: column.field_3.field_17.field_1.field_7,
+            mmax: column.field_3.field_17.field_1.field_8,
+          },
+          geospatial_types: column.field_3.field_17.field_2,
+        },
       },
       offset_index_offset: column.field_4,
       offset_index_length: column.field_5,
@@ -229,9 +242,30 @@ function logicalType(logicalType) {
   if (logicalType?.field_13) return { type: 'BSON' }
   if (logicalType?.field_14) return { type: 'UUID' }
   if (logicalType?.field_15) return { type: 'FLOAT16' }
+  if (logicalType?.field_16) return {
+    type: 'VARIANT',
+    specificationVersion: logicalType.field_16.field_1,
+  }
+  if (logicalType?.field_17) return {
+    type: 'GEOMETRY',
+    crs: decodeCrs(logicalType.field_17.field_1),
+  }
+  if (logicalType?.field_18) return {
+    type: 'GEOGRAPHY',
+    crs: decodeCrs(logicalType.field_18.field_1),
+    algorithm: EdgeInterpolationAlgorithm[logicalType.field_18.field_2],
+  }
   return logicalType
 }
 
+/**
+ * @param {Uint8Array | undefined} crs
+ * @returns {string | undefined}
+ */
+function decodeCrs(crs) {
+  return crs && new TextDecoder().decode(crs)
+}
+
 /**
  * @param {any} unit
  * @returns {TimeUnit}
@@ -261,6 +295,7 @@ function convertStats(stats, schema) {
     min_value: convertMetadata(stats.field_6, schema),
     is_max_value_exact: stats.field_7,
     is_min_value_exact: stats.field_8,
+    nan_count: stats.field_9,
   }
 }
 
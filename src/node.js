@@ -1,9 +1,11 @@
 import { createReadStream, promises as fs } from 'fs'
+import { join } from 'path'
+import { Worker } from 'worker_threads'
 
 export * from './index.js'
 
 /**
- * @import {AsyncBuffer} from '../src/types.js'
+ * @import {AsyncBuffer, ParquetWorker} from '../src/types.js'
  */
 /**
  * Construct an AsyncBuffer for a local file using node fs package.
@@ -16,8 +18,8 @@ export async function asyncBufferFromFile(filename) {
   return {
     byteLength: size,
     slice(start, end) {
-      // read file slice
-      const reader = createReadStream(filename, { start, end })
+      // read file slice, end is inclusive in createReadStream
+      const reader = createReadStream(filename, { start, end: end === undefined ? undefined : end - 1 })
       return new Promise((resolve, reject) => {
         /** @type {any[]} */
         const chunks = []
@@ -31,3 +33,59 @@ export async function asyncBufferFromFile(filename) {
     },
   }
 }
+
+/**
+ * Construct AsyncBuffers for all parquet files in a local directory and its
+ * subdirectories, keyed by relative path, for use with parquetDataset.
+ * Hidden files and files starting with an underscore, such as _SUCCESS or
+ * _metadata, are skipped.
+ *
+ * @param {string} directory
+ * @returns {Promise<Record<string, AsyncBuffer>>}
+ */
+export async function asyncBuffersFromDirectory(directory) {
+  /** @type {Record<string, AsyncBuffer>} */
+  const files = {}
+  /**
+   * @param {string} prefix relative path of the current directory
+   */
+  async function visit(prefix) {
+    const entries = await fs.readdir(join(directory, prefix), { withFileTypes: true })
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue
+      const path = prefix ? `${prefix}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        await visit(path)
+      } else if (entry.name.endsWith('.parquet')) {
+        files[path] = await asyncBufferFromFile(join(directory, path))
+      }
+    }
+  }
+  await visit('')
+  return files
+}
+
+/**
+ * Start a worker_threads worker for the parquetRead parallel option.
+ *
+ * @returns {ParquetWorker}
+ * @example
+ * await parquetRead({ file, parallel: { workers: 4, createWorker: createNodeWorker }, onComplete })
+ */
+export function createNodeWorker() {
+  const worker = new Worker(new URL('./nodeworker.js', import.meta.url))
+  /** @type {ParquetWorker} */
+  const parquetWorker = {
+    postMessage(message) {
+      worker.postMessage(message)
+    },
+    onmessage: null,
+    onerror: null,
+    terminate() {
+      worker.terminate()
+    },
+  }
+  worker.on('message', data => parquetWorker.onmessage?.(new MessageEvent('message', { data })))
+  worker.on('error', error => parquetWorker.onerror?.(error))
+  return parquetWorker
+}
@@ -0,0 +1,8 @@
+import { parentPort } from 'worker_threads'
+import { decodeColumnTask } from './worker.js'
+
+// worker_threads entry point, see createNodeWorker
+parentPort?.on('message', task => {
+  const { result, transfer } = decodeColumnTask(task)
+  parentPort?.postMessage(result, transfer)
+})
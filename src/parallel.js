@@ -0,0 +1,81 @@
+/**
+ * @import {ColumnTask, ColumnTaskResult, ParallelOptions, ParquetWorker, WorkerPool} from '../src/types.js'
+ */
+/**
+ * Start a pool of workers that decode column chunks off the main thread.
+ * Workers are started on demand, up to the requested number, and each
+ * decodes one column chunk at a time.
+ *
+ * @param {ParallelOptions} parallel
+ * @returns {WorkerPool}
+ */
+export function workerPool({ workers, createWorker = createWebWorker }) {
+  if (!(workers >= 1)) throw new Error(`parquet parallel workers must be at least 1, got ${workers}`)
+  if (createWorker === createWebWorker && typeof Worker === 'undefined') {
+    throw new Error('parquet parallel requires Worker, pass parallel.createWorker such as createNodeWorker')
+  }
+  /** @type {ParquetWorker[]} */
+  const started = []
+  /** @type {ParquetWorker[]} */
+  const idle = []
+  /** @type {{ task: ColumnTask, resolve: (result: ColumnTaskResult) => void, reject: (error: Error) => void }[]} */
+  const queue = []
+
+  function dispatch() {
+    while (queue.length) {
+      if (!idle.length && started.length < workers) {
+        const worker = createWorker()
+        started.push(worker)
+        idle.push(worker)
+      }
+      const worker = idle.pop()
+      if (!worker) return // all workers busy
+      const next = queue.shift()
+      if (!next) return
+      const { task, resolve, reject } = next
+      worker.onmessage = ({ data }) => {
+        idle.push(worker)
+        dispatch()
+        if (data.error) reject(new Error(data.error))
+        else resolve(data)
+      }
+      worker.onerror = event => {
+        // replace the failed worker
+        started.splice(started.indexOf(worker), 1)
+        worker.terminate()
+        dispatch()
+        reject(new Error(`parquet worker failed: ${event?.message ?? event}`))
+      }
+      worker.postMessage(task)
+    }
+  }
+
+  return {
+    async readColumn(buffer, rowGroupSelect, columnDecoder, onPage) {
+      // functions cannot be posted to workers
+      /** @type {ColumnTask} */
+      const task = { buffer, rowGroupSelect, columnDecoder: { ...columnDecoder, compressors: undefined }, onPage: !!onPage }
+      /** @type {ColumnTaskResult} */
+      const { chunks, pages } = await new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject })
+        dispatch()
+      })
+      if (onPage) pages?.forEach(onPage)
+      return chunks ?? []
+    },
+    terminate() {
+      for (const worker of started) worker.terminate()
+      started.length = 0
+      idle.length = 0
+    },
+  }
+}
+
+/**
+ * Start a module web worker running src/worker.js.
+ *
+ * @returns {ParquetWorker}
+ */
+function createWebWorker() {
+  return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+}
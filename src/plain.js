@@ -164,10 +164,60 @@ function readPlainByteArrayFixed(reader, count, fixedLength) {
   return values
 }
 
+/**
+ * Write values of the given type with PLAIN encoding.
+ *
+ * @param {Writer} writer
+ * @param {DecodedArray} values
+ * @param {ParquetType} type
+ * @param {number | undefined} [fixedLength] - length of each fixed length byte array
+ */
+export function writePlain(writer, values, type, fixedLength) {
+  if (type === 'BOOLEAN') {
+    writePlainBoolean(writer, values)
+  } else if (type === 'INT32') {
+    for (const value of values) writer.appendInt32(value)
+  } else if (type === 'INT64') {
+    for (const value of values) writer.appendInt64(value)
+  } else if (type === 'FLOAT') {
+    for (const value of values) writer.appendFloat32(value)
+  } else if (type === 'DOUBLE') {
+    for (const value of values) writer.appendFloat64(value)
+  } else if (type === 'BYTE_ARRAY') {
+    for (const value of values) {
+      writer.appendUint32(value.length)
+      writer.appendBytes(value)
+    }
+  } else if (type === 'FIXED_LEN_BYTE_ARRAY') {
+    for (const value of values) {
+      if (value.length !== fixedLength) throw new Error(`parquet expected fixed length ${fixedLength}, got ${value.length}`)
+      writer.appendBytes(value)
+    }
+  } else {
+    throw new Error(`parquet unhandled type: ${type}`)
+  }
+}
+
+/**
+ * Write boolean values as a bitmap, least significant bit first.
+ *
+ * @param {Writer} writer
+ * @param {DecodedArray} values
+ */
+function writePlainBoolean(writer, values) {
+  for (let i = 0; i < values.length; i += 8) {
+    let byte = 0
+    for (let j = 0; j < 8 && i + j < values.length; j++) {
+      if (values[i + j]) byte |= 1 << j
+    }
+    writer.appendUint8(byte)
+  }
+}
+
 /**
  * Create a new buffer with the offset and size.
  *
- * @import {DataReader, DecodedArray, ParquetType} from '../src/types.d.ts'
+ * @import {DataReader, DecodedArray, ParquetType, Writer} from '../src/types.d.ts'
  * @param {ArrayBufferLike} buffer
  * @param {number} offset
  * @param {number} size
@@ -1,10 +1,22 @@
+import { getSchemaPath, isColumnSelected, selectColumns } from './schema.js'
 import { concat } from './utils.js'
 
 // Combine column chunks into a single byte range if less than 32mb
 const columnChunkAggregation = 1 << 25 // 32mb
 
+// Read column chunks larger than 1gb page by page instead of in one slice
+const columnChunkStreaming = 1 << 30 // 1gb
+
+// Read page indexes to skip pages only if the column chunks are larger than 1mb,
+// because fetching the index first costs an extra round trip
+const pageIndexMinSize = 1 << 20 // 1mb
+
+// external files resolved by each resolveFile function, by file_path
+/** @type {WeakMap<Function, Map<string, Awaitable<AsyncBuffer>>>} */
+const resolvedFiles = new WeakMap()
+
 /**
- * @import {AsyncBuffer, ByteRange, ColumnMetaData, GroupPlan, ParquetReadOptions, QueryPlan} from '../src/types.js'
+ * @import {AsyncBuffer, Awaitable, ByteRange, ColumnChunk, ColumnMetaData, GroupPlan, ParquetReadOptions, QueryPlan} from '../src/types.js'
  */
 /**
  * Plan which byte ranges to read to satisfy a read request.
@@ -13,12 +25,13 @@ const columnChunkAggregation = 1 << 25 // 32mb
  * @param {ParquetReadOptions} options
  * @returns {QueryPlan}
  */
-export function parquetPlan({ metadata, rowStart = 0, rowEnd = Infinity, columns }) {
+export function parquetPlan({ metadata, rowStart = 0, rowEnd = Infinity, columns, resolveFile, pageIndex, streamingSize }) {
   if (!metadata) throw new Error('parquetPlan requires metadata')
   /** @type {GroupPlan[]} */
   const groups = []
   /** @type {ByteRange[]} */
   const fetches = []
+  const selected = selectColumns(getSchemaPath(metadata.schema, [])[0], columns)
 
   // find which row groups to read
   let groupStart = 0 // first row index of the current group
@@ -26,32 +39,58 @@ export function parquetPlan({ metadata, rowStart = 0, rowEnd = Infinity, columns
     const groupRows = Number(rowGroup.num_rows)
     const groupEnd = groupStart + groupRows
     // if row group overlaps with row range, add it to the plan
-    if (groupEnd >= rowStart && groupStart < rowEnd) {
+    if (groupEnd > rowStart && groupStart < rowEnd) {
+      const selectStart = Math.max(rowStart - groupStart, 0)
+      const selectEnd = Math.min(rowEnd - groupStart, groupRows)
       /** @type {ByteRange[]} */
       const ranges = []
+      /** @type {ByteRange[]} */
+      const indexRanges = []
       // loop through each column chunk
-      for (const { file_path, meta_data } of rowGroup.columns) {
-        if (file_path) throw new Error('parquet file_path not supported')
+      for (const column of rowGroup.columns) {
+        const { file_path, meta_data } = column
+        if (file_path && !resolveFile) throw new Error(`parquet file_path ${file_path} requires resolveFile`)
         if (!meta_data) throw new Error('parquet column metadata is undefined')
         // add included columns to the plan
-        if (!columns || columns.includes(meta_data.path_in_schema[0])) {
-          ranges.push(getColumnRange(meta_data))
+        if (isColumnSelected(selected, meta_data.path_in_schema)) {
+          const range = getColumnRange(meta_data)
+          const indexRange = getOffsetIndexRange(column)
+          if (file_path) {
+            range.filePath = file_path
+            if (indexRange) indexRange.filePath = file_path
+          }
+          ranges.push(range)
+          if (indexRange) indexRanges.push(indexRange)
         }
       }
-      const selectStart = Math.max(rowStart - groupStart, 0)
-      const selectEnd = Math.min(rowEnd - groupStart, groupRows)
-      groups.push({ ranges, rowGroup, groupStart, groupRows, selectStart, selectEnd })
+      // only ranges in this file are prefetched, external and huge chunks are read when needed
+      const localRanges = ranges.filter(range => !range.filePath && !isStreamed({ streamingSize }, range))
+      // partial row group: fetch offset indexes first, then only the overlapping pages
+      const pageIndexed = (selectStart > 0 || selectEnd < groupRows) &&
+        indexRanges.length > 0 && indexRanges.length === ranges.length && usePageIndex({ pageIndex }, ranges)
+      groups.push({ ranges, rowGroup, groupStart, groupRows, selectStart, selectEnd, pageIndexed })
 
       // map group plan to ranges
       const groupSize = ranges[ranges.length - 1]?.endByte - ranges[0]?.startByte
-      if (!columns && groupSize < columnChunkAggregation) {
+      if (pageIndexed) {
+        for (const range of indexRanges) {
+          if (range.filePath) continue
+          // offset indexes are usually contiguous
+          const last = fetches[fetches.length - 1]
+          if (last?.endByte === range.startByte) {
+            last.endByte = range.endByte
+          } else {
+            fetches.push(range)
+          }
+        }
+      } else if (!columns && localRanges.length === ranges.length && groupSize < columnChunkAggregation) {
         // full row group
         fetches.push({
           startByte: ranges[0].startByte,
           endByte: ranges[ranges.length - 1].endByte,
         })
       } else if (ranges.length) {
-        concat(fetches, ranges)
+        concat(fetches, localRanges)
       } else if (columns?.length) {
         throw new Error(`parquet columns not found: ${columns.join(', ')}`)
       }
@@ -76,8 +115,80 @@ export function getColumnRange({ dictionary_page_offset, data_page_offset, total
   }
 }
 
+/**
+ * Check whether to read page indexes to skip the pages of column chunks.
+ * By default, page indexes are only read for large column chunks.
+ *
+ * @param {{ pageIndex?: boolean }} options
+ * @param {ByteRange[]} ranges byte ranges of the column chunks
+ * @returns {boolean}
+ */
+export function usePageIndex({ pageIndex }, ranges) {
+  if (pageIndex !== undefined) return pageIndex
+  let size = 0
+  for (const { startByte, endByte } of ranges) size += endByte - startByte
+  return size > pageIndexMinSize
+}
+
+/**
+ * Check whether a column chunk is too large to read in one slice, so it is
+ * read page by page instead.
+ *
+ * @param {{ streamingSize?: number }} options
+ * @param {ByteRange} range byte range of the column chunk
+ * @returns {boolean}
+ */
+export function isStreamed({ streamingSize = columnChunkStreaming }, { startByte, endByte }) {
+  return endByte - startByte > streamingSize
+}
+
+/**
+ * Get the byte range of the offset index of a column chunk, if present.
+ *
+ * @param {ColumnChunk} column
+ * @returns {ByteRange | undefined}
+ */
+export function getOffsetIndexRange({ offset_index_offset, offset_index_length }) {
+  if (offset_index_offset === undefined || !offset_index_length) return
+  return {
+    startByte: Number(offset_index_offset),
+    endByte: Number(offset_index_offset) + offset_index_length,
+  }
+}
+
+/**
+ * Get the file containing a column chunk.
+ * Column chunks with a file_path are stored in another file, which is
+ * resolved with the resolveFile option once per path, unless it fails.
+ *
+ * @param {ParquetReadOptions} options
+ * @param {ColumnChunk} column
+ * @returns {Awaitable<AsyncBuffer>}
+ */
+export function columnChunkFile({ file, resolveFile }, { file_path }) {
+  if (!file_path) return file
+  if (!resolveFile) throw new Error(`parquet file_path ${file_path} requires resolveFile`)
+  let files = resolvedFiles.get(resolveFile)
+  if (!files) {
+    files = new Map()
+    resolvedFiles.set(resolveFile, files)
+  }
+  let resolved = files.get(file_path)
+  if (!resolved) {
+    const pending = resolveFile(file_path)
+    files.set(file_path, pending)
+    // do not cache failures, so later reads can retry
+    Promise.resolve(pending).catch(() => {
+      if (files.get(file_path) === pending) files.delete(file_path)
+    })
+    resolved = pending
+  }
+  return resolved
+}
+
 /**
  * Prefetch byte ranges from an AsyncBuffer.
+ * Ranges that were not prefetched are read from the file.
  *
  * @param {AsyncBuffer} file
  * @param {QueryPlan} plan
@@ -91,7 +202,7 @@ export function prefetchAsyncBuffer(file, { fetches }) {
     slice(start, end = file.byteLength) {
       // find matching slice
       const index = fetches.findIndex(({ startByte, endByte }) => startByte <= start && end <= endByte)
-      if (index < 0) throw new Error(`no prefetch for range [${start}, ${end}]`)
+      if (index < 0) return file.slice(start, end)
       if (fetches[index].startByte !== start || fetches[index].endByte !== end) {
         // slice a subrange of the prefetch
         const startOffset = start - fetches[index].startByte
@@ -1,15 +1,21 @@
+import { bloomFilterMayMatch, canSkipRowGroup, columnStats, filterFields, highChars, matchQuery, pageRowRanges, rowGroupAllMatch, validateFilter } from './filter.js'
 import { parquetReadObjects } from './index.js'
-import { parquetMetadataAsync } from './metadata.js'
-import { parquetReadColumn } from './read.js'
-import { equals } from './utils.js'
+import { parquetMetadataAsync, parquetSchema } from './metadata.js'
+import { getColumnRange, usePageIndex } from './plan.js'
+import { topLevelColumns } from './schema.js'
+
+export { matchQuery }
 
 /**
  * Wraps parquetRead with filter and orderBy support.
  * This is a parquet-aware query engine that can read a subset of rows and columns.
- * Accepts optional filter object to filter the results and orderBy column name to sort the results.
- * Note that using orderBy may SIGNIFICANTLY increase the query time.
+ * Accepts optional filter object to filter the results and orderBy column name
+ * or list of sort columns to sort the results.
+ * Row groups and pages whose statistics or bloom filters prove that no row matches the filter are not read.
+ * Note that using orderBy may SIGNIFICANTLY increase the query time, unless
+ * the row groups are already sorted in the requested order.
  *
- * @param {ParquetReadOptions & { filter?: ParquetQueryFilter, orderBy?: string }} options
+ * @param {ParquetReadOptions & { filter?: ParquetQueryFilter, orderBy?: ParquetQueryOrderBy }} options
  * @returns {Promise<Record<string, any>[]>} resolves when all requested rows and columns are parsed
  */
 export async function parquetQuery(options) {
@@ -17,9 +23,18 @@ export async function parquetQuery(options) {
     throw new Error('parquet expected AsyncBuffer')
   }
   options.metadata ??= await parquetMetadataAsync(options.file)
-  const { metadata, rowStart = 0, orderBy, filter } = options
+  const { metadata, rowStart = 0, filter } = options
   if (rowStart < 0) throw new Error('parquet rowStart must be positive')
+  if (filter) validateFilter(filter)
   const rowEnd = options.rowEnd ?? Number(metadata.num_rows)
+  let orderBy = sortOrder(options.orderBy)
+  // row groups written in the requested order need no sorting
+  const presorted = orderBy && isPresorted(options, orderBy)
+  if (presorted) orderBy = undefined
+
+  // read filter columns that are not selected, then drop them from the results
+  const hidden = filter && options.columns ? hiddenFilterColumns(metadata, options.columns, filter) : []
+  const filterOptions = hidden.length ? { ...options, columns: [...options.columns ?? [], ...hidden] } : options
 
   if (filter && !orderBy && rowEnd < metadata.num_rows) {
     // iterate through row groups and filter until we have enough rows
@@ -27,44 +42,253 @@ export async function parquetQuery(options) {
     let groupStart = 0
     for (const group of metadata.row_groups) {
       const groupEnd = groupStart + Number(group.num_rows)
+      if (canSkipRowGroup(filterOptions, group, filter)) {
+        groupStart = groupEnd
+        continue
+      }
       // TODO: if expected > group size, start fetching next groups
-      const groupData = await parquetReadObjects({ ...options, rowStart: groupStart, rowEnd: groupEnd })
-      for (const row of groupData) {
+      const { rows } = await readGroupCandidates(filterOptions, group, groupStart, filter)
+      for (const row of rows) {
         if (matchQuery(row, filter)) {
-          filteredRows.push(row)
+          filteredRows.push(dropColumns(row, hidden))
         }
       }
       if (filteredRows.length >= rowEnd) break
       groupStart = groupEnd
     }
     return filteredRows.slice(rowStart, rowEnd)
+  } else if (filter && orderBy) {
+    return await parquetTopRows({ ...options, metadata }, filter, orderBy, rowStart, rowEnd)
   } else if (filter) {
-    // read all rows, sort, and filter
-    const results = (await parquetReadObjects({ ...options, rowStart: undefined, rowEnd: undefined }))
-      .filter(row => matchQuery(row, filter))
-    if (orderBy) results.sort((a, b) => compare(a[orderBy], b[orderBy]))
+    // read all row groups that might match and filter
+    const groupReads = []
+    let groupStart = 0
+    for (const group of metadata.row_groups) {
+      const groupEnd = groupStart + Number(group.num_rows)
+      if (!canSkipRowGroup(filterOptions, group, filter)) {
+        groupReads.push(readGroupCandidates(filterOptions, group, groupStart, filter))
+      }
+      groupStart = groupEnd
+    }
+    /** @type {Record<string, any>[]} */
+    const results = []
+    for (const { rows } of await Promise.all(groupReads)) {
+      for (const row of rows) {
+        if (matchQuery(row, filter)) results.push(dropColumns(row, hidden))
+      }
+    }
     return results.slice(rowStart, rowEnd)
-  } else if (typeof orderBy === 'string') {
-    // sorted but unfiltered: fetch orderBy column first
-    const orderColumn = await parquetReadColumn({ ...options, rowStart: undefined, rowEnd: undefined, columns: [orderBy] })
+  } else if (orderBy) {
+    // sorted but unfiltered: fetch orderBy columns first
+    const columns = [...new Set(orderBy.map(({ column }) => column))]
+    const keys = await parquetReadObjects({ ...options, rowStart: undefined, rowEnd: undefined, columns })
 
     // compute row groups to fetch
-    const sortedIndices = Array.from(orderColumn, (_, index) => index)
-      .sort((a, b) => compare(orderColumn[a], orderColumn[b]))
+    const compareKeys = compareRows(orderBy)
+    const sortedIndices = Array.from(keys, (_, index) => index)
+      .sort((a, b) => compareKeys(keys[a], keys[b]))
       .slice(rowStart, rowEnd)
 
     const sparseData = await parquetReadRows({ ...options, rows: sortedIndices })
     const data = sortedIndices.map(index => sparseData[index])
+    for (let i = 0; i < data.length; i++) {
+      data[i].__index__ = sortedIndices[i]
+    }
+    return data
+  } else if (presorted) {
+    // rows are already in order, and carry their index like sorted rows
+    const data = await parquetReadObjects(options)
+    for (let i = 0; i < data.length; i++) {
+      data[i].__index__ = rowStart + i
+    }
     return data
   } else {
     return await parquetReadObjects(options)
   }
 }
 
+/**
+ * Find the filter columns of the file that are not part of the selected columns.
+ * Filters on columns missing from the file match undefined values.
+ *
+ * @param {FileMetaData} metadata
+ * @param {string[]} columns selected columns
+ * @param {ParquetQueryFilter} filter
+ * @returns {string[]}
+ */
+function hiddenFilterColumns(metadata, columns, filter) {
+  const schema = parquetSchema(metadata)
+  const names = schema.children.map(child => child.element.name)
+  const selected = topLevelColumns(schema, columns)
+  return [...filterFields(filter)].filter(name => names.includes(name) && !selected.includes(name))
+}
+
+/**
+ * Remove columns that were only read to filter from a row.
+ *
+ * @param {Record<string, any>} row
+ * @param {string[]} hidden
+ * @returns {Record<string, any>}
+ */
+function dropColumns(row, hidden) {
+  for (const name of hidden) delete row[name]
+  return row
+}
+
+/**
+ * Reads the filtered and sorted rows from rowStart to rowEnd without holding
+ * every matching row in memory.
+ * Only the filter and orderBy columns are read while scanning, keeping a
+ * bounded heap of the best rowEnd matches. Full rows are then fetched for
+ * just those rows, unless the scanned columns already cover them.
+ *
+ * @param {ParquetReadOptions & { metadata: FileMetaData }} options
+ * @param {ParquetQueryFilter} filter
+ * @param {SortColumn[]} orderBy
+ * @param {number} rowStart
+ * @param {number} rowEnd
+ * @returns {Promise<Record<string, any>[]>}
+ */
+async function parquetTopRows(options, filter, orderBy, rowStart, rowEnd) {
+  const { metadata } = options
+  if (rowEnd <= rowStart) return []
+
+  // filters on columns missing from the file match undefined values
+  const names = parquetSchema(metadata).children.map(child => child.element.name)
+  const orderColumns = orderBy.map(({ column }) => column)
+  const filterColumns = [...filterFields(filter)].filter(name => names.includes(name))
+  const scanColumns = [...new Set([...orderColumns, ...filterColumns])]
+  const scanOptions = { ...options, columns: scanColumns }
+  const columns = options.columns ?? names
+  const complete = columns.every(name => scanColumns.includes(name))
+
+  // max-heap of the best rows so far, worst at the top
+  const compareKeys = compareRows(orderBy)
+  /**
+   * Order rows by sort columns, then by row index to match a stable sort.
+   *
+   * @param {RankedRow} a
+   * @param {RankedRow} b
+   * @returns {number}
+   */
+  function compareRanked(a, b) {
+    return compareKeys(a.row, b.row) || a.index - b.index
+  }
+  /** @type {RankedRow[]} */
+  const heap = []
+  let groupStart = 0
+  for (const group of metadata.row_groups) {
+    const groupEnd = groupStart + Number(group.num_rows)
+    if (!canSkipRowGroup(scanOptions, group, filter)) {
+      const { rowStart: spanStart, rows } = await readGroupCandidates(scanOptions, group, groupStart, filter)
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i]
+        if (!matchQuery(row, filter)) continue
+        /** @type {RankedRow} */
+        const ranked = { index: spanStart + i, row }
+        if (heap.length < rowEnd) {
+          heapPush(heap, ranked, compareRanked)
+        } else if (compareRanked(ranked, heap[0]) < 0) {
+          heap[0] = ranked
+          siftDown(heap, 0, compareRanked)
+        }
+      }
+    }
+    groupStart = groupEnd
+  }
+
+  const winners = heap.sort(compareRanked).slice(rowStart)
+  if (complete) {
+    return winners.map(({ row }) => Object.fromEntries(columns.map(name => [name, row[name]])))
+  }
+
+  const rows = winners.map(({ index }) => index)
+  const sparseData = await parquetReadRows({ ...options, rows })
+  return rows.map(index => sparseData[index])
+}
+
+/**
+ * @param {RankedRow[]} heap
+ * @param {RankedRow} item
+ * @param {(a: RankedRow, b: RankedRow) => number} compareRanked
+ */
+function heapPush(heap, item, compareRanked) {
+  let i = heap.push(item) - 1
+  while (i > 0) {
+    const parent = i - 1 >> 1
+    if (compareRanked(heap[i], heap[parent]) <= 0) break
+    [heap[i], heap[parent]] = [heap[parent], heap[i]]
+    i = parent
+  }
+}
+
+/**
+ * @param {RankedRow[]} heap
+ * @param {number} i
+ * @param {(a: RankedRow, b: RankedRow) => number} compareRanked
+ */
+function siftDown(heap, i, compareRanked) {
+  while (true) {
+    const left = 2 * i + 1
+    const right = left + 1
+    let largest = i
+    if (left < heap.length && compareRanked(heap[left], heap[largest]) > 0) largest = left
+    if (right < heap.length && compareRanked(heap[right], heap[largest]) > 0) largest = right
+    if (largest === i) return
+    [heap[i], heap[largest]] = [heap[largest], heap[i]]
+    i = largest
+  }
+}
+
+/**
+ * Reads the rows of a row group that may match the filter.
+ * The row group is skipped if bloom filters prove that no row matches.
+ * Leading and trailing pages whose statistics prove that no row matches are
+ * skipped if page indexes are used, so the returned rows still need to be filtered.
+ *
+ * @param {ParquetReadOptions} options
+ * @param {RowGroup} rowGroup
+ * @param {number} groupStart row index of the first row in the group
+ * @param {ParquetQueryFilter} filter
+ * @returns {Promise<{ rowStart: number, rows: Record<string, any>[] }>} rows from file row rowStart
+ */
+async function readGroupCandidates(options, rowGroup, groupStart, filter) {
+  /** @type {[number, number][]} */
+  const groupRows = [[0, Number(rowGroup.num_rows)]]
+  // page indexes are only fetched if row group statistics cannot decide the filter
+  const pageIndexed = !rowGroupAllMatch(options, rowGroup, filter) && usePageIndex(options, filterRanges(rowGroup, filter))
+  const [mayMatch, ranges] = await Promise.all([
+    bloomFilterMayMatch(options, rowGroup, filter),
+    pageIndexed ? pageRowRanges(options, rowGroup, filter) : groupRows,
+  ])
+  if (!mayMatch || !ranges.length) return { rowStart: groupStart, rows: [] }
+  // read a single span to avoid many small fetches
+  const rowStart = groupStart + ranges[0][0]
+  const rowEnd = groupStart + ranges[ranges.length - 1][1]
+  return { rowStart, rows: await parquetReadObjects({ ...options, rowStart, rowEnd }) }
+}
+
+/**
+ * Get the byte ranges of the column chunks of the filtered columns.
+ *
+ * @param {RowGroup} rowGroup
+ * @param {ParquetQueryFilter} filter
+ * @returns {ByteRange[]}
+ */
+function filterRanges(rowGroup, filter) {
+  const fields = filterFields(filter)
+  /** @type {ByteRange[]} */
+  const ranges = []
+  for (const { meta_data } of rowGroup.columns) {
+    if (meta_data && fields.has(meta_data.path_in_schema.join('.'))) ranges.push(getColumnRange(meta_data))
+  }
+  return ranges
+}
+
 /**
  * Reads a list rows from a parquet file, reading only the row groups that contain the rows.
  * Returns a sparse array of rows.
- * @import {ParquetQueryFilter, ParquetReadOptions} from '../src/types.d.ts'
+ * @import {ByteRange, FileMetaData, ParquetQueryFilter, ParquetQueryOrderBy, ParquetReadOptions, RowGroup, SortColumn} from '../src/types.d.ts'
  * @param {ParquetReadOptions & { rows: number[] }} options
  * @returns {Promise<Record<string, any>[]>}
  */
@@ -93,7 +317,7 @@ async function parquetReadRows(options) {
       }
     } else {
       if (rangeStart !== undefined) {
-        rowRanges.push([rangeStart, groupEnd])
+        rowRanges.push([rangeStart, groupStart])
         rangeStart = undefined
       }
     }
@@ -110,73 +334,149 @@ async function parquetReadRows(options) {
     const groupData = await parquetReadObjects({ ...options, rowStart: rangeStart, rowEnd: rangeEnd })
     for (let i = rangeStart; i < rangeEnd; i++) {
       sparseData[i] = groupData[i - rangeStart]
-      sparseData[i].__index__ = i
     }
   }
   return sparseData
 }
 
 /**
+ * @typedef {{ index: number, row: Record<string, any> }} RankedRow
+ */
+
+/**
+ * Normalize an orderBy option to a list of sort columns with defaults:
+ * ascending, with nulls last.
+ *
+ * @param {ParquetQueryOrderBy | undefined} orderBy
+ * @returns {SortColumn[] | undefined} undefined if there is nothing to sort by
+ */
+export function sortOrder(orderBy) {
+  if (orderBy === undefined) return
+  const columns = typeof orderBy === 'string' ? [{ column: orderBy }] : orderBy
+  if (!columns.length) return
+  return columns.map(({ column, direction = 'asc', nulls = 'last' }) => {
+    if (direction !== 'asc' && direction !== 'desc') throw new Error(`parquet orderBy invalid direction: ${direction}`)
+    if (nulls !== 'first' && nulls !== 'last') throw new Error(`parquet orderBy invalid nulls: ${nulls}`)
+    return { column, direction, nulls }
+  })
+}
+
+/**
+ * Make a comparator of rows by a list of sort columns.
+ * Null and undefined values are placed according to the nulls option,
+ * independent of the direction.
+ *
+ * @param {SortColumn[]} orderBy
+ * @returns {(a: Record<string, any>, b: Record<string, any>) => number}
+ */
+export function compareRows(orderBy) {
+  return (a, b) => {
+    for (const { column, direction, nulls } of orderBy) {
+      const x = a[column]
+      const y = b[column]
+      const xNull = x === null || x === undefined
+      const yNull = y === null || y === undefined
+      if (xNull || yNull) {
+        if (xNull && yNull) continue
+        return xNull === (nulls === 'first') ? -1 : 1
+      }
+      const order = compare(x, y)
+      if (order) return direction === 'desc' ? -order : order
+    }
+    return 0
+  }
+}
+
+/**
+ * Compare two values in ascending order.
+ * Dates compare by time, strings by unicode code point like parquet utf8
+ * statistics, and byte arrays by unsigned bytes. NaN sorts after all
+ * numbers, so the order stays consistent, and nulls sort last.
+ *
  * @param {any} a
  * @param {any} b
  * @returns {number}
  */
-function compare(a, b) {
+export function compare(a, b) {
+  const aNull = a === null || a === undefined
+  const bNull = b === null || b === undefined
+  if (aNull || bNull) return Number(aNull) - Number(bNull)
+  const aNaN = Number.isNaN(a)
+  const bNaN = Number.isNaN(b)
+  if (aNaN || bNaN) return Number(aNaN) - Number(bNaN)
+  if (a instanceof Date && b instanceof Date) return compare(a.getTime(), b.getTime())
+  if (a instanceof Uint8Array && b instanceof Uint8Array) return compareSequences(a, b)
+  if (typeof a === 'string' && typeof b === 'string' && (highChars.test(a) || highChars.test(b))) {
+    // utf-16 code units sort surrogate pairs before U+E000 to U+FFFF
+    return compareSequences(Array.from(a, codePoint), Array.from(b, codePoint))
+  }
   if (a < b) return -1
   if (a > b) return 1
-  return 0 // TODO: null handling
+  return 0
 }
 
 /**
- * Match a record against a query filter
- *
- * @param {any} record
- * @param {ParquetQueryFilter} query
- * @returns {boolean}
- * @example matchQuery({ id: 1 }, { id: {$gte: 1} }) // true
+ * @param {string} char
+ * @returns {number}
  */
-export function matchQuery(record, query = {}) {
-
-  if (query.$not) {
-    return !matchQuery(record, query.$not)
-  }
-
-  if (query.$and) {
-    return query.$and.every(subQuery => matchQuery(record, subQuery))
-  }
+function codePoint(char) {
+  return char.codePointAt(0) ?? 0
+}
 
-  if (query.$or) {
-    return query.$or.some(subQuery => matchQuery(record, subQuery))
+/**
+ * Compare two sequences of numbers element by element, shorter first on ties.
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+function compareSequences(a, b) {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1
   }
+  return Math.sign(a.length - b.length)
+}
 
-  return Object.entries(query).every(([field, condition]) => {
-    const value = record[field]
-
-    if (condition !== null && (Array.isArray(condition) || typeof condition !== 'object')) {
-      return equals(value, condition)
+/**
+ * Check if the row groups are already sorted in the requested order.
+ * Every row group must declare matching sorting_columns, and the statistics
+ * of the first sort column must show that the row groups follow each other.
+ *
+ * @param {ParquetReadOptions} options
+ * @param {SortColumn[]} orderBy
+ * @returns {boolean}
+ */
+function isPresorted(options, orderBy) {
+  const rowGroups = options.metadata?.row_groups ?? []
+  for (const group of rowGroups) {
+    const sorting = group.sorting_columns ?? []
+    if (sorting.length < orderBy.length) return false
+    for (let i = 0; i < orderBy.length; i++) {
+      const { column, direction, nulls } = orderBy[i]
+      const { column_idx, descending, nulls_first } = sorting[i]
+      const path = group.columns[column_idx]?.meta_data?.path_in_schema
+      if (path?.length !== 1 || path[0] !== column) return false
+      if (descending !== (direction === 'desc') || nulls_first !== (nulls === 'first')) return false
     }
+  }
+  if (rowGroups.length < 2) return true
 
-    return Object.entries(condition || {}).every(([operator, target]) => {
-      switch (operator) {
-      case '$gt':
-        return value > target
-      case '$gte':
-        return value >= target
-      case '$lt':
-        return value < target
-      case '$lte':
-        return value <= target
-      case '$ne':
-        return !equals(value, target)
-      case '$in':
-        return Array.isArray(target) && target.includes(value)
-      case '$nin':
-        return Array.isArray(target) && !target.includes(value)
-      case '$not':
-        return !matchQuery({ [field]: value }, { [field]: target })
-      default:
-        return true
-      }
-    })
+  // row groups must not overlap, and nulls within a group would be out of order
+  const [{ column, direction }] = orderBy
+  const ranges = rowGroups.map(group => {
+    const chunk = group.columns.find(({ meta_data }) => meta_data?.path_in_schema.join('.') === column)?.meta_data
+    const stats = chunk && columnStats({ ...options, columns: undefined }, column, chunk.statistics, chunk.num_values)
+    if (stats?.nullCount === 0n && stats.min !== undefined && stats.max !== undefined) return stats
   })
+  // ties across row groups are in order only if there is no second sort column
+  const limit = orderBy.length > 1 ? -1 : 0
+  for (let i = 1; i < ranges.length; i++) {
+    const prev = ranges[i - 1]
+    const next = ranges[i]
+    if (!prev || !next) return false
+    const order = direction === 'desc' ? compare(next.max, prev.min) : compare(prev.max, next.min)
+    if (order > limit) return false
+  }
+  return true
 }
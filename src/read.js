@@ -1,10 +1,12 @@
 import { parquetMetadataAsync, parquetSchema } from './metadata.js'
+import { workerPool } from './parallel.js'
 import { parquetPlan, prefetchAsyncBuffer } from './plan.js'
-import { assembleAsync, asyncGroupToRows, readRowGroup } from './rowgroup.js'
+import { assembleAsync, asyncGroupToRows, flattenRows, readRowGroup, skippedRowCount } from './rowgroup.js'
+import { selectColumns, topLevelColumns } from './schema.js'
 import { concat, flatten } from './utils.js'
 
 /**
- * @import {AsyncBuffer, AsyncRowGroup, DecodedArray, FileMetaData, ParquetReadOptions} from '../src/types.js'
+ * @import {AsyncBuffer, AsyncRowGroup, DecodedArray, FileMetaData, ParquetReadOptions, WorkerPool} from '../src/types.js'
  */
 /**
  * Read parquet data rows from a file-like object.
@@ -22,9 +24,25 @@ export async function parquetRead(options) {
   // load metadata if not provided
   options.metadata ??= await parquetMetadataAsync(options.file)
 
-  // read row groups
-  const asyncGroups = await parquetReadAsync(options)
+  // decode column chunks in workers
+  const pool = options.parallel ? workerPool(options.parallel) : undefined
+  try {
+    // read row groups
+    await emitRowGroups(options, parquetReadAsync(options, pool))
+  } finally {
+    pool?.terminate()
+  }
+}
 
+/**
+ * Wait for row groups, and pass their data to the onComplete and onChunk callbacks.
+ *
+ * @param {ParquetReadOptions} options read options
+ * @param {AsyncRowGroup[]} asyncGroups
+ * @returns {Promise<void>}
+ */
+async function emitRowGroups(options, asyncGroups) {
+  if (!options.metadata) throw new Error('parquet requires metadata')
   const { rowStart = 0, rowEnd, columns, onChunk, onComplete, rowFormat } = options
 
   // skip assembly if no onComplete or onChunk, but wait for reading to finish
@@ -37,15 +55,18 @@ export async function parquetRead(options) {
 
   // assemble struct columns
   const schemaTree = parquetSchema(options.metadata)
-  const assembled = asyncGroups.map(arg => assembleAsync(arg, schemaTree))
+  const assembled = asyncGroups.map(arg => assembleAsync(arg, selectColumns(schemaTree, columns), options))
+  const rowColumns = columns && topLevelColumns(schemaTree, columns)
 
   // onChunk emit all chunks (don't await)
   if (onChunk) {
     for (const asyncGroup of assembled) {
       for (const asyncColumn of asyncGroup.asyncColumns) {
         asyncColumn.data.then(columnDatas => {
-          let rowStart = asyncGroup.groupStart
-          for (const columnData of columnDatas) {
+          // rows skipped using the offset index were not read
+          const skipped = skippedRowCount(columnDatas)
+          let rowStart = asyncGroup.groupStart + skipped
+          for (const columnData of skipped ? columnDatas.slice(1) : columnDatas) {
             onChunk({
               columnName: asyncColumn.pathInSchema[0],
               columnData,
@@ -68,7 +89,7 @@ export async function parquetRead(options) {
       const selectStart = Math.max(rowStart - asyncGroup.groupStart, 0)
       const selectEnd = Math.min((rowEnd ?? Infinity) - asyncGroup.groupStart, asyncGroup.groupRows)
       // transpose column chunks to rows in output
-      const groupData = await asyncGroupToRows(asyncGroup, selectStart, selectEnd, columns, rowFormat)
+      const groupData = await asyncGroupToRows(asyncGroup, selectStart, selectEnd, rowColumns, rowFormat)
       concat(rows, groupData.slice(selectStart, selectEnd))
     }
     onComplete(rows)
@@ -82,9 +103,10 @@ export async function parquetRead(options) {
 
 /**
  * @param {ParquetReadOptions} options read options
+ * @param {WorkerPool} [pool] decode column chunks in workers
  * @returns {AsyncRowGroup[]}
  */
-export function parquetReadAsync(options) {
+export function parquetReadAsync(options, pool) {
   if (!options.metadata) throw new Error('parquet requires metadata')
   // TODO: validate options (start, end, columns, etc)
 
@@ -93,11 +115,13 @@ export function parquetReadAsync(options) {
   options.file = prefetchAsyncBuffer(options.file, plan)
 
   // read row groups
-  return plan.groups.map(groupPlan => readRowGroup(options, plan, groupPlan))
+  return plan.groups.map(groupPlan => readRowGroup(options, plan, groupPlan, pool))
 }
 
 /**
  * Reads a single column from a parquet file.
+ * Only the values of rows from rowStart to rowEnd are returned, even though
+ * whole row groups or pages are decoded.
  *
  * @param {ParquetReadOptions} options
  * @returns {Promise<DecodedArray>}
@@ -110,13 +134,95 @@ export async function parquetReadColumn(options) {
   const asyncGroups = parquetReadAsync(options)
 
   // assemble struct columns
-  const schemaTree = parquetSchema(options.metadata)
-  const assembled = asyncGroups.map(arg => assembleAsync(arg, schemaTree))
+  const schemaTree = selectColumns(parquetSchema(options.metadata), options.columns)
+  const assembled = asyncGroups.map(arg => assembleAsync(arg, schemaTree, options))
 
   /** @type {DecodedArray[]} */
   const columnData = []
+  const { rowStart = 0, rowEnd } = options
   for (const rg of assembled) {
-    columnData.push(flatten(await rg.asyncColumns[0].data))
+    // trim rows outside of [rowStart, rowEnd)
+    const selectStart = Math.max(rowStart - rg.groupStart, 0)
+    const selectEnd = Math.min((rowEnd ?? Infinity) - rg.groupStart, rg.groupRows)
+    columnData.push(flattenRows(await rg.asyncColumns[0].data, selectStart, selectEnd))
   }
   return flatten(columnData)
 }
+
+/**
+ * Iterate over the rows of a parquet file, reading one row group at a time.
+ * Memory use is bounded by a single row group, and no more row groups are
+ * fetched if iteration stops early.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk'>} options read options
+ * @returns {AsyncGenerator<Record<string, any>>} rows as objects, or arrays with rowFormat 'array'
+ * @example
+ * for await (const row of parquetRowIterator({ file, columns: ['id'] })) {
+ *   console.log(row.id)
+ * }
+ */
+export async function* parquetRowIterator(options) {
+  for await (const rows of readRowBatches(options)) {
+    yield* rows
+  }
+}
+
+/**
+ * Read a parquet file as a stream of row batches, one batch per row group.
+ * The next row group is not read until the consumer pulls from the stream.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk'>} options read options
+ * @returns {ReadableStream<Record<string, any>[]>} batches of rows as objects, or arrays with rowFormat 'array'
+ */
+export function parquetReadStream(options) {
+  /** @type {AsyncGenerator<Record<string, any>[]> | undefined} */
+  let batches
+  return new ReadableStream({
+    async pull(controller) {
+      batches ??= readRowBatches(options)
+      const { value, done } = await batches.next()
+      if (done) {
+        controller.close()
+      } else {
+        controller.enqueue(value)
+      }
+    },
+    async cancel() {
+      await batches?.return(undefined)
+    },
+  }, { highWaterMark: 0 }) // don't read ahead of the consumer
+}
+
+/**
+ * Read the rows of each row group in the requested range, one row group at a time.
+ *
+ * @param {Omit<ParquetReadOptions, 'onComplete' | 'onChunk'>} options read options
+ * @returns {AsyncGenerator<Record<string, any>[]>}
+ */
+async function* readRowBatches(options) {
+  const metadata = options.metadata ?? await parquetMetadataAsync(options.file)
+  const { rowStart = 0, rowEnd = Infinity, columns, rowFormat = 'object' } = options
+  const schemaTree = parquetSchema(metadata)
+  const selected = selectColumns(schemaTree, columns)
+  const rowColumns = columns && topLevelColumns(schemaTree, columns)
+
+  let groupStart = 0
+  for (const rowGroup of metadata.row_groups) {
+    const groupEnd = groupStart + Number(rowGroup.num_rows)
+    if (groupEnd > rowStart && groupStart < rowEnd) {
+      // read only this row group
+      const [asyncGroup] = parquetReadAsync({
+        ...options,
+        metadata,
+        rowStart: Math.max(rowStart, groupStart),
+        rowEnd: Math.min(rowEnd, groupEnd),
+      })
+      const assembled = assembleAsync(asyncGroup, selected, options)
+      const selectStart = Math.max(rowStart - groupStart, 0)
+      const selectEnd = Math.min(rowEnd - groupStart, groupEnd - groupStart)
+      const rows = await asyncGroupToRows(assembled, selectStart, selectEnd, rowColumns, rowFormat)
+      yield rows.slice(selectStart, selectEnd)
+    }
+    groupStart = groupEnd
+  }
+}
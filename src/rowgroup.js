@@ -1,11 +1,18 @@
 import { assembleNested } from './assemble.js'
-import { readColumn } from './column.js'
-import { getColumnRange } from './plan.js'
-import { getSchemaPath } from './schema.js'
+import { isBuiltinCodec } from './codecs/codec.js'
+import { readColumn, readColumnAsync } from './column.js'
+import { isGeoParquetColumn, parquetGeoMetadata } from './geo.js'
+import { readOffsetIndex } from './indexes.js'
+import { columnChunkFile, getColumnRange, getOffsetIndexRange, isStreamed } from './plan.js'
+import { getSchemaPath, isColumnSelected, selectColumns } from './schema.js'
 import { flatten } from './utils.js'
 
+// leading rows of column chunks whose pages were skipped using the offset index
+/** @type {WeakMap<DecodedArray[], number>} */
+const skippedRows = new WeakMap()
+
 /**
- * @import {AsyncColumn, AsyncRowGroup, DecodedArray, GroupPlan, ParquetReadOptions, QueryPlan, RowGroup, SchemaTree} from './types.js'
+ * @import {AsyncBuffer, AsyncColumn, AsyncRowGroup, ColumnChunk, ColumnDecoder, ColumnPages, DecodedArray, GroupPlan, ParquetReadOptions, QueryPlan, RowGroup, RowGroupSelect, SchemaTree, VariantFormats, WorkerPool} from './types.js'
  */
 /**
  * Read a row group from a file-like object.
@@ -13,55 +20,79 @@ import { flatten } from './utils.js'
  * @param {ParquetReadOptions} options
  * @param {QueryPlan} plan
  * @param {GroupPlan} groupPlan
+ * @param {WorkerPool} [pool] decode column chunks in workers
  * @returns {AsyncRowGroup} resolves to column data
  */
-export function readRowGroup(options, { metadata, columns }, groupPlan) {
-  const { file, compressors, utf8 } = options
+export function readRowGroup(options, { metadata, columns }, groupPlan, pool) {
+  const { compressors, utf8, decimalFormat, timestampFormat, timeFormat, uuidFormat, geometryFormat } = options
+  const geo = parquetGeoMetadata(metadata)
+  const selected = selectColumns(getSchemaPath(metadata.schema, [])[0], columns)
 
   /** @type {AsyncColumn[]} */
   const asyncColumns = []
 
   // read column data
-  for (const { file_path, meta_data } of groupPlan.rowGroup.columns) {
-    if (file_path) throw new Error('parquet file_path not supported')
+  for (const column of groupPlan.rowGroup.columns) {
+    const { meta_data } = column
     if (!meta_data) throw new Error('parquet column metadata is undefined')
 
     // skip columns that are not requested
-    const columnName = meta_data.path_in_schema[0]
-    if (columns && !columns.includes(columnName)) continue
+    if (!isColumnSelected(selected, meta_data.path_in_schema)) continue
 
-    const { startByte, endByte } = getColumnRange(meta_data)
-    const columnBytes = endByte - startByte
+    const range = getColumnRange(meta_data)
+    const { startByte, endByte } = range
+    const schemaPath = getSchemaPath(metadata.schema, meta_data.path_in_schema)
+    /** @type {ColumnDecoder} */
+    const columnDecoder = {
+      columnName: meta_data.path_in_schema.join('.'),
+      type: meta_data.type,
+      element: schemaPath[schemaPath.length - 1].element,
+      schemaPath,
+      codec: meta_data.codec,
+      compressors,
+      // variant metadata and values are binary
+      utf8: utf8 && !schemaPath.some(({ element }) => element.logical_type?.type === 'VARIANT'),
+      decimalFormat,
+      timestampFormat,
+      timeFormat,
+      uuidFormat,
+      geometryFormat,
+      geometry: isGeoParquetColumn(geo, meta_data.path_in_schema),
+    }
+    const chunkFile = Promise.resolve(columnChunkFile(options, column))
 
-    // skip columns larger than 1gb
-    // TODO: stream process the data, returning only the requested rows
-    if (columnBytes > 1 << 30) {
-      console.warn(`parquet skipping huge column "${meta_data.path_in_schema}" ${columnBytes} bytes`)
-      // TODO: set column to new Error('parquet column too large')
+    // stream huge column chunks page by page
+    if (isStreamed(options, range)) {
+      asyncColumns.push({
+        pathInSchema: meta_data.path_in_schema,
+        data: chunkFile.then(file => readColumnAsync(file, range, groupPlan, columnDecoder, options.onPage)),
+      })
       continue
     }
 
     // wrap awaitable to ensure it's a promise
-    /** @type {Promise<ArrayBuffer>} */
-    const buffer = Promise.resolve(file.slice(startByte, endByte))
+    /** @type {Promise<ColumnPages>} */
+    const pages = chunkFile.then(file => groupPlan.pageIndexed
+      ? readOverlappingPages(file, column, groupPlan)
+      : Promise.resolve(file.slice(startByte, endByte)).then(buffer => ({ buffer, firstRow: 0 }))
+    )
 
     // read column data async
     asyncColumns.push({
       pathInSchema: meta_data.path_in_schema,
-      data: buffer.then(arrayBuffer => {
-        const schemaPath = getSchemaPath(metadata.schema, meta_data.path_in_schema)
-        const reader = { view: new DataView(arrayBuffer), offset: 0 }
-        const subcolumn = meta_data.path_in_schema.join('.')
-        const columnDecoder = {
-          columnName: subcolumn,
-          type: meta_data.type,
-          element: schemaPath[schemaPath.length - 1].element,
-          schemaPath,
-          codec: meta_data.codec,
-          compressors,
-          utf8,
+      data: pages.then(async ({ buffer, firstRow }) => {
+        // pages start at firstRow, rows before it are empty placeholders
+        /** @type {RowGroupSelect} */
+        const rowGroupSelect = {
+          groupStart: groupPlan.groupStart + firstRow,
+          groupRows: groupPlan.groupRows - firstRow,
+          selectStart: groupPlan.selectStart - firstRow,
+          selectEnd: groupPlan.selectEnd - firstRow,
         }
-        return readColumn(reader, groupPlan, columnDecoder, options.onPage)
+        const chunks = pool && workerCanDecode(columnDecoder)
+          ? await pool.readColumn(buffer, rowGroupSelect, columnDecoder, options.onPage)
+          : readColumn({ view: new DataView(buffer), offset: 0 }, rowGroupSelect, columnDecoder, options.onPage)
+        return skipRows(chunks, firstRow)
       }),
     })
   }
@@ -69,6 +100,112 @@ export function readRowGroup(options, { metadata, columns }, groupPlan) {
   return { groupStart: groupPlan.groupStart, groupRows: groupPlan.groupRows, asyncColumns }
 }
 
+/**
+ * Check if a worker decodes a column chunk the same way as the main thread.
+ * Workers have their own copy of the built-in codecs, but custom compressors
+ * and temporal objects only work on the main thread. Codecs that the main
+ * thread does not support must fail there too, so they are not sent to workers.
+ *
+ * @param {ColumnDecoder} columnDecoder
+ * @returns {boolean}
+ */
+function workerCanDecode({ codec, compressors, timestampFormat }) {
+  if (timestampFormat === 'temporal') return false
+  const compressor = compressors?.[codec]
+  if (compressor) return isBuiltinCodec(compressor)
+  return codec === 'UNCOMPRESSED' || codec === 'SNAPPY'
+}
+
+/**
+ * Align column chunks that start at firstRow with the start of the row group.
+ * Rows before firstRow were not read, and are filled by an empty placeholder chunk.
+ *
+ * @param {DecodedArray[]} chunks
+ * @param {number} firstRow
+ * @returns {DecodedArray[]}
+ */
+function skipRows(chunks, firstRow) {
+  if (!firstRow) return chunks
+  const aligned = [new Array(firstRow), ...chunks]
+  skippedRows.set(aligned, firstRow)
+  return aligned
+}
+
+/**
+ * Count the leading placeholder rows of column chunks, which were not read.
+ *
+ * @param {DecodedArray[]} chunks column chunks of a row group
+ * @returns {number}
+ */
+export function skippedRowCount(chunks) {
+  return skippedRows.get(chunks) ?? 0
+}
+
+/**
+ * Flatten rows selectStart to selectEnd of the column chunks of a row group.
+ * The placeholder of skipped rows is never copied, so the cost does not
+ * depend on how deep into the row group the selection starts.
+ *
+ * @param {DecodedArray[]} chunks column chunks of a row group
+ * @param {number} selectStart first row relative to the row group
+ * @param {number} selectEnd end row relative to the row group
+ * @returns {DecodedArray}
+ */
+export function flattenRows(chunks, selectStart, selectEnd) {
+  const skipped = skippedRowCount(chunks)
+  const columnData = flatten(skipped ? chunks.slice(1) : chunks)
+  return columnData.slice(Math.max(selectStart - skipped, 0), selectEnd - skipped)
+}
+
+/**
+ * Fetch the dictionary page and only the data pages of a column chunk that
+ * overlap the selected rows, using the column's offset index.
+ *
+ * @param {AsyncBuffer} file
+ * @param {ColumnChunk} column
+ * @param {GroupPlan} groupPlan
+ * @returns {Promise<ColumnPages>}
+ */
+async function readOverlappingPages(file, column, { selectStart, selectEnd }) {
+  if (!column.meta_data) throw new Error('parquet column metadata is undefined')
+  const { startByte, endByte } = getColumnRange(column.meta_data)
+  const indexRange = getOffsetIndexRange(column)
+  if (!indexRange) throw new Error('parquet offset index is undefined')
+  const indexBuffer = await file.slice(indexRange.startByte, indexRange.endByte)
+  const { page_locations } = readOffsetIndex({ view: new DataView(indexBuffer), offset: 0 })
+  if (!page_locations.length) {
+    return { buffer: await file.slice(startByte, endByte), firstRow: 0 }
+  }
+
+  // find the pages that overlap [selectStart, selectEnd)
+  let first = 0
+  while (first + 1 < page_locations.length && page_locations[first + 1].first_row_index <= selectStart) {
+    first++
+  }
+  let last = first
+  while (last + 1 < page_locations.length && page_locations[last + 1].first_row_index < selectEnd) {
+    last++
+  }
+  const firstRow = Number(page_locations[first].first_row_index)
+  const pagesStart = Number(page_locations[first].offset)
+  const pagesEnd = Number(page_locations[last].offset) + page_locations[last].compressed_page_size
+
+  // dictionary page comes before the first data page
+  const dictionaryEnd = Number(page_locations[0].offset)
+  if (first === 0 || startByte === dictionaryEnd) {
+    const buffer = await file.slice(first === 0 ? startByte : pagesStart, pagesEnd)
+    return { buffer, firstRow }
+  }
+  const [dictionary, pages] = await Promise.all([
+    file.slice(startByte, dictionaryEnd),
+    file.slice(pagesStart, pagesEnd),
+  ])
+  const buffer = new Uint8Array(dictionary.byteLength + pages.byteLength)
+  buffer.set(new Uint8Array(dictionary))
+  buffer.set(new Uint8Array(pages), dictionary.byteLength)
+  return { buffer: buffer.buffer, firstRow }
+}
+
 /**
  * @param {AsyncRowGroup} asyncGroup
  * @param {number} selectStart
@@ -80,9 +217,9 @@ export function readRowGroup(options, { metadata, columns }, groupPlan) {
 export async function asyncGroupToRows({ asyncColumns }, selectStart, selectEnd, columns, rowFormat) {
   const groupData = new Array(selectEnd)
 
-  // columnData[i] for asyncColumns[i]
+  // columnData[i] for asyncColumns[i], starting at selectStart
   // TODO: do it without flatten
-  const columnDatas = await Promise.all(asyncColumns.map(({ data }) => data.then(flatten)))
+  const columnDatas = await Promise.all(asyncColumns.map(({ data }) => data.then(chunks => flattenRows(chunks, selectStart, selectEnd))))
 
   // careful mapping of column order for rowFormat: array
   const includedColumnNames = asyncColumns
@@ -98,7 +235,7 @@ export async function asyncGroupToRows({ asyncColumns }, selectStart, selectEnd,
       /** @type {Record<string, any>} */
       const rowData = {}
       for (let i = 0; i < asyncColumns.length; i++) {
-        rowData[asyncColumns[i].pathInSchema[0]] = columnDatas[i][row]
+        rowData[asyncColumns[i].pathInSchema[0]] = columnDatas[i][row - selectStart]
       }
       groupData[row] = rowData
     } else {
@@ -106,7 +243,7 @@ export async function asyncGroupToRows({ asyncColumns }, selectStart, selectEnd,
       const rowData = new Array(asyncColumns.length)
       for (let i = 0; i < columnOrder.length; i++) {
         if (columnIndexes[i] >= 0) {
-          rowData[i] = columnDatas[columnIndexes[i]][row]
+          rowData[i] = columnDatas[columnIndexes[i]][row - selectStart]
         }
       }
       groupData[row] = rowData
@@ -120,9 +257,10 @@ export async function asyncGroupToRows({ asyncColumns }, selectStart, selectEnd,
  *
  * @param {AsyncRowGroup} asyncRowGroup
  * @param {SchemaTree} schemaTree
+ * @param {VariantFormats} [formats] read formats for variant primitives
  * @returns {AsyncRowGroup}
  */
-export function assembleAsync(asyncRowGroup, schemaTree) {
+export function assembleAsync(asyncRowGroup, schemaTree, formats) {
   const { asyncColumns } = asyncRowGroup
   /** @type {AsyncColumn[]} */
   const assembled = []
@@ -132,18 +270,19 @@ export function assembleAsync(asyncRowGroup, schemaTree) {
       if (!childColumns.length) continue
 
       // wait for all child columns to be read
-      /** @type {Map<string, DecodedArray>} */
-      const flatData = new Map()
-      const data = Promise.all(childColumns.map(column => {
-        return column.data.then(columnData => {
-          flatData.set(column.pathInSchema.join('.'), flatten(columnData))
+      const data = Promise.all(childColumns.map(column => column.data)).then(childData => {
+        // child columns may start at different pages, so drop rows before the last start
+        const skipped = Math.max(...childData.map(skippedRowCount))
+        /** @type {Map<string, DecodedArray>} */
+        const flatData = new Map()
+        childColumns.forEach((column, i) => {
+          flatData.set(column.pathInSchema.join('.'), flattenRows(childData[i], skipped, Infinity))
         })
-      })).then(() => {
         // assemble the column
-        assembleNested(flatData, child)
+        assembleNested(flatData, child, 0, formats)
         const flatColumn = flatData.get(child.path.join('.'))
         if (!flatColumn) throw new Error('parquet column data not assembled')
-        return [flatColumn]
+        return skipRows([flatColumn], skipped)
       })
 
       assembled.push({ pathInSchema: child.path, data })
@@ -131,3 +131,82 @@ export function isFlatColumn(schemaPath) {
   if (column.children.length) return false
   return true
 }
+
+/**
+ * Prune a schema tree to the selected columns. Columns are top-level column
+ * names or dot-separated paths to nested fields, such as 'user.address.city'.
+ * Maps, variants and two-level lists are kept whole, because their children
+ * are assembled together.
+ *
+ * @param {SchemaTree} schema root of the schema tree
+ * @param {string[] | undefined} columns
+ * @returns {SchemaTree} pruned schema tree
+ */
+export function selectColumns(schema, columns) {
+  if (!columns) return schema
+  return pruneTree(schema, columns.map(column => columnPath(schema, column))) ?? { ...schema, children: [] }
+}
+
+/**
+ * Get the top-level column name of each selected column.
+ *
+ * @param {SchemaTree} schema root of the schema tree
+ * @param {string[]} columns
+ * @returns {string[]}
+ */
+export function topLevelColumns(schema, columns) {
+  return columns.map(column => columnPath(schema, column)[0])
+}
+
+/**
+ * Check if a column chunk is part of a pruned schema tree.
+ *
+ * @param {SchemaTree} schema pruned schema tree
+ * @param {string[]} pathInSchema
+ * @returns {boolean}
+ */
+export function isColumnSelected(schema, pathInSchema) {
+  let node = schema
+  for (const name of pathInSchema) {
+    const child = node.children.find(child => child.element.name === name)
+    if (!child) return false
+    node = child
+  }
+  return true
+}
+
+/**
+ * Split a column name into schema path parts. Top-level names containing
+ * dots take precedence over nested paths.
+ *
+ * @param {SchemaTree} schema
+ * @param {string} column
+ * @returns {string[]}
+ */
+function columnPath(schema, column) {
+  if (schema.children.some(child => child.element.name === column)) return [column]
+  return column.split('.')
+}
+
+/**
+ * @param {SchemaTree} node
+ * @param {string[][]} paths selected paths relative to node
+ * @returns {SchemaTree | undefined} undefined if nothing is selected
+ */
+function pruneTree(node, paths) {
+  // whole subtree selected
+  if (paths.some(path => !path.length)) return node
+  // path continues below a leaf
+  if (!node.children.length) return
+  if (isMapLike(node) || node.element.logical_type?.type === 'VARIANT') return node
+  if (isListLike(node) && node.children[0].children.length !== 1) return node
+  const children = []
+  for (const child of node.children) {
+    const childPaths = paths
+      .filter(path => path[0] === child.element.name)
+      .map(path => path.slice(1))
+    const pruned = childPaths.length ? pruneTree(child, childPaths) : undefined
+    if (pruned) children.push(pruned)
+  }
+  if (children.length) return { ...node, children }
+}
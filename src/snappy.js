@@ -125,3 +125,114 @@ export function snappyUncompress(input, output) {
 
   if (outPos !== outputLength) throw new Error('premature end of input')
 }
+
+const BLOCK_SIZE = 1 << 16 // copies use 2-byte offsets within a block
+const HASH_BITS = 14
+
+/**
+ * Compress data with snappy.
+ * Uses a simple hash table to find 4-byte matches within each 64kb block.
+ *
+ * @param {Uint8Array} input uncompressed data
+ * @returns {Uint8Array} compressed data
+ */
+export function snappyCompress(input) {
+  // max compressed length
+  const output = new Uint8Array(32 + input.length + Math.ceil(input.length / 6))
+  // preamble contains uncompressed length as varint
+  let outPos = 0
+  let { length } = input
+  while (length > 0x7f) {
+    output[outPos++] = length & 0x7f | 0x80
+    length >>>= 7
+  }
+  output[outPos++] = length
+
+  const table = new Int32Array(1 << HASH_BITS)
+  for (let blockStart = 0; blockStart < input.length; blockStart += BLOCK_SIZE) {
+    const blockEnd = Math.min(blockStart + BLOCK_SIZE, input.length)
+    table.fill(-1)
+    let literalStart = blockStart
+    let pos = blockStart
+    while (pos + 4 <= blockEnd) {
+      const word = load32(input, pos)
+      const hash = Math.imul(word, 0x1e35a7bd) >>> 32 - HASH_BITS
+      const candidate = table[hash]
+      table[hash] = pos
+      if (candidate >= 0 && load32(input, candidate) === word) {
+        outPos = emitLiteral(input, literalStart, pos, output, outPos)
+        // extend the match as far as possible
+        let matchLength = 4
+        while (pos + matchLength < blockEnd && input[pos + matchLength] === input[candidate + matchLength]) {
+          matchLength++
+        }
+        outPos = emitCopy(pos - candidate, matchLength, output, outPos)
+        pos += matchLength
+        literalStart = pos
+      } else {
+        pos++
+      }
+    }
+    outPos = emitLiteral(input, literalStart, blockEnd, output, outPos)
+  }
+  return output.subarray(0, outPos)
+}
+
+/**
+ * @param {Uint8Array} array
+ * @param {number} pos
+ * @returns {number}
+ */
+function load32(array, pos) {
+  return array[pos] | array[pos + 1] << 8 | array[pos + 2] << 16 | array[pos + 3] << 24
+}
+
+/**
+ * Write literal bytes [start, end) to the output.
+ *
+ * @param {Uint8Array} input
+ * @param {number} start
+ * @param {number} end
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @returns {number} new output position
+ */
+function emitLiteral(input, start, end, output, outPos) {
+  const len = end - start
+  if (!len) return outPos
+  const n = len - 1
+  if (n < 60) {
+    output[outPos++] = n << 2
+  } else {
+    // longer literal length is encoded in 1-4 extra bytes
+    let lengthSize = 1
+    while (lengthSize < 4 && n >= 1 << 8 * lengthSize) lengthSize++
+    output[outPos++] = 59 + lengthSize << 2
+    for (let i = 0; i < lengthSize; i++) {
+      output[outPos++] = n >>> 8 * i & 0xff
+    }
+  }
+  copyBytes(input, start, output, outPos, len)
+  return outPos + len
+}
+
+/**
+ * Write copy elements with 2-byte offsets (max length 64 each).
+ *
+ * @param {number} offset
+ * @param {number} len at least 4
+ * @param {Uint8Array} output
+ * @param {number} outPos
+ * @returns {number} new output position
+ */
+function emitCopy(offset, len, output, outPos) {
+  while (len > 0) {
+    // avoid leaving a remainder shorter than 4
+    const chunk = len > 64 ? Math.min(60, len - 4) : len
+    output[outPos++] = chunk - 1 << 2 | 2
+    output[outPos++] = offset & 0xff
+    output[outPos++] = offset >>> 8
+    len -= chunk
+  }
+  return outPos
+}
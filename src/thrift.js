@@ -43,10 +43,30 @@ export function deserializeTCompactProtocol(reader) {
   return value
 }
 
+/**
+ * Serialize a thrift object to TCompactProtocol.
+ * Keys must be of the form `field_${number}`, undefined fields are skipped.
+ * Numbers are written as i32 (or double if not an integer), bigints as i64,
+ * and single element Int8Arrays as i8.
+ *
+ * @param {Writer} writer
+ * @param {ThriftObject} data
+ */
+export function serializeTCompactProtocol(writer, data) {
+  let lastFid = 0
+  for (const [fid, value] of sortedFields(data)) {
+    const type = getThriftType(value)
+    writeFieldBegin(writer, type, fid, lastFid)
+    writeElement(writer, type, value)
+    lastFid = fid
+  }
+  writer.appendUint8(CompactType.STOP)
+}
+
 /**
  * Read a single element based on its type
  *
- * @import {DataReader, ThriftObject, ThriftType} from '../src/types.d.ts'
+ * @import {DataReader, ThriftObject, ThriftType, Writer} from '../src/types.d.ts'
  * @param {DataReader} reader
  * @param {number} type
  * @returns {ThriftType}
@@ -195,13 +215,8 @@ function readFieldBegin(reader, lastFid) {
     return [0, 0, lastFid]
   }
   const delta = type >> 4
-  let fid // field id
-  if (delta) {
-    // add delta to last field id
-    fid = lastFid + delta
-  } else {
-    throw new Error('non-delta field id not supported')
-  }
+  // add delta to last field id, or read the full field id
+  const fid = delta ? lastFid + delta : readZigZag(reader)
   return [getCompactType(type), fid, fid]
 }
 
@@ -221,3 +236,180 @@ function readCollectionBegin(reader) {
   }
   return [type, size]
 }
+
+/**
+ * Get defined fields of a thrift object ordered by field id.
+ *
+ * @param {ThriftObject} data
+ * @returns {[number, ThriftType][]} [fid, value]
+ */
+function sortedFields(data) {
+  /** @type {[number, ThriftType][]} */
+  const fields = []
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue
+    fields.push([Number(key.slice(6)), value]) // strip 'field_' prefix
+  }
+  return fields.sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * Infer compact type from a javascript value.
+ *
+ * @param {ThriftType | string} value
+ * @returns {number}
+ */
+function getThriftType(value) {
+  if (value === true) return CompactType.TRUE
+  if (value === false) return CompactType.FALSE
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return CompactType.DOUBLE
+    // integers that do not fit in i32, such as offsets in files over 2gb
+    return value < -0x80000000 || value > 0x7fffffff ? CompactType.I64 : CompactType.I32
+  }
+  if (typeof value === 'bigint') return CompactType.I64
+  if (value instanceof Int8Array) return CompactType.BYTE
+  if (typeof value === 'string' || value instanceof Uint8Array) return CompactType.BINARY
+  if (Array.isArray(value)) return CompactType.LIST
+  if (value && typeof value === 'object') return CompactType.STRUCT
+  throw new Error(`thrift cannot serialize value: ${value}`)
+}
+
+/**
+ * Write a single element based on its type
+ *
+ * @param {Writer} writer
+ * @param {number} type
+ * @param {any} value
+ */
+function writeElement(writer, type, value) {
+  switch (type) {
+  case CompactType.TRUE:
+  case CompactType.FALSE:
+    // boolean value is encoded in the field type
+    return
+  case CompactType.BYTE:
+    writer.appendUint8((value instanceof Int8Array ? value[0] : value) & 0xff)
+    return
+  case CompactType.I16:
+  case CompactType.I32:
+    writeZigZag(writer, value)
+    return
+  case CompactType.I64:
+    writeZigZagBigInt(writer, BigInt(value))
+    return
+  case CompactType.DOUBLE:
+    writer.appendFloat64(value)
+    return
+  case CompactType.BINARY: {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value
+    writeVarInt(writer, bytes.length)
+    writer.appendBytes(bytes)
+    return
+  }
+  case CompactType.LIST: {
+    // integer lists are i64 if any element does not fit in i32
+    const wide = value.find((/** @type {ThriftType} */ element) => getThriftType(element) === CompactType.I64)
+    const elemType = value.length ? getThriftType(wide ?? value[0]) : CompactType.BYTE
+    const boolType = elemType === CompactType.TRUE || elemType === CompactType.FALSE
+    writeCollectionBegin(writer, boolType ? CompactType.TRUE : elemType, value.length)
+    for (const element of value) {
+      if (boolType) {
+        // booleans in collections are written as bytes
+        writer.appendUint8(element ? CompactType.TRUE : CompactType.FALSE)
+      } else {
+        writeElement(writer, elemType, element)
+      }
+    }
+    return
+  }
+  case CompactType.STRUCT:
+    serializeTCompactProtocol(writer, value)
+    return
+  default:
+    throw new Error(`thrift unhandled type: ${type}`)
+  }
+}
+
+/**
+ * Write unsigned var int (LEB128), 7 bits at a time.
+ *
+ * @param {Writer} writer
+ * @param {number} value
+ */
+export function writeVarInt(writer, value) {
+  while (value > 0x7f) {
+    writer.appendUint8(value & 0x7f | 0x80)
+    value >>>= 7
+  }
+  writer.appendUint8(value)
+}
+
+/**
+ * Write unsigned var int from a bigint.
+ *
+ * @param {Writer} writer
+ * @param {bigint} value
+ */
+function writeVarBigInt(writer, value) {
+  while (value > 0x7fn) {
+    writer.appendUint8(Number(value & 0x7fn | 0x80n))
+    value >>= 7n
+  }
+  writer.appendUint8(Number(value))
+}
+
+/**
+ * Write int32 as a zigzag var int.
+ *
+ * @param {Writer} writer
+ * @param {number} value
+ */
+export function writeZigZag(writer, value) {
+  writeVarInt(writer, (value << 1 ^ value >> 31) >>> 0)
+}
+
+/**
+ * Write int64 as a zigzag var int.
+ *
+ * @param {Writer} writer
+ * @param {bigint} value
+ */
+export function writeZigZagBigInt(writer, value) {
+  writeVarBigInt(writer, value << 1n ^ value >> 63n)
+}
+
+/**
+ * Write field type and field id.
+ * Uses short form delta encoding when possible.
+ *
+ * @param {Writer} writer
+ * @param {number} type
+ * @param {number} fid
+ * @param {number} lastFid
+ */
+function writeFieldBegin(writer, type, fid, lastFid) {
+  const delta = fid - lastFid
+  if (delta > 0 && delta <= 15) {
+    writer.appendUint8(delta << 4 | type)
+  } else {
+    writer.appendUint8(type)
+    writeZigZag(writer, fid)
+  }
+}
+
+/**
+ * Write collection type and size
+ *
+ * @param {Writer} writer
+ * @param {number} type
+ * @param {number} size
+ */
+function writeCollectionBegin(writer, type, size) {
+  if (size < 15) {
+    writer.appendUint8(size << 4 | type)
+  } else {
+    writer.appendUint8(0xf0 | type)
+    writeVarInt(writer, size)
+  }
+}
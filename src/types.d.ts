@@ -13,6 +13,108 @@ export interface ParquetReadOptions {
   onComplete?: (rows: any[][]) => void // called when all requested rows and columns are parsed
   compressors?: Compressors // custom decompressors
   utf8?: boolean // decode byte arrays as utf8 strings (default true)
+  decimalFormat?: DecimalFormat // how to return DECIMAL values (default 'number')
+  timestampFormat?: TimestampFormat // how to return TIMESTAMP and INT96 values (default 'date')
+  timeFormat?: TimeFormat // how to return TIME values (default 'string')
+  uuidFormat?: 'string' | 'bytes' // return UUID values as canonical strings or 16 raw bytes (default 'string')
+  geometryFormat?: 'geojson' | 'wkb' // return GEOMETRY, GEOGRAPHY and GeoParquet WKB columns as GeoJSON geometries or WKB bytes (default 'geojson')
+  resolveFile?: (filePath: string) => Awaitable<AsyncBuffer> // resolve column chunks stored in other files, called once per file_path
+  parallel?: ParallelOptions // decode column chunks in worker threads
+  pageIndex?: boolean // use page indexes to read only the pages overlapping rowStart/rowEnd or matching a filter (default: only for column chunks over 1mb)
+  streamingSize?: number // read column chunks larger than this many bytes page by page instead of in one slice (default 1gb)
+}
+
+/**
+ * DECIMAL output format:
+ * 'number' is a float that may lose precision beyond 15 digits,
+ * 'string' is the exact value with scale fraction digits, such as '-12.30',
+ * 'bigint-scaled' is the exact unscaled integer, the value times 10^scale
+ */
+export type DecimalFormat = 'number' | 'string' | 'bigint-scaled'
+
+/**
+ * TIMESTAMP and INT96 output format:
+ * 'date' is a Date truncated to milliseconds,
+ * 'bigint' is the raw epoch value in the stored unit, nanoseconds for INT96,
+ * 'iso-string' is ISO 8601 with every fraction digit of the unit, with Z if adjusted to UTC,
+ * 'temporal' is a Temporal.Instant if adjusted to UTC, otherwise a Temporal.PlainDateTime
+ */
+export type TimestampFormat = 'date' | 'bigint' | 'iso-string' | 'temporal'
+
+/**
+ * TIME output format:
+ * 'string' is HH:MM:SS.fffffffff with nanosecond digits for every unit,
+ * 'object' is a TimeOfDay
+ */
+export type TimeFormat = 'string' | 'object'
+
+export interface Interval {
+  months: number
+  days: number
+  milliseconds: number
+}
+
+export interface TimeOfDay {
+  hours: number
+  minutes: number
+  seconds: number
+  nanos: number // nanoseconds within the second
+}
+
+/**
+ * Worker pool options for parquetRead
+ */
+export interface ParallelOptions {
+  workers: number // maximum number of workers
+  createWorker?: () => ParquetWorker // start a worker running src/worker.js, defaults to a module Web Worker
+}
+
+/**
+ * The subset of the Web Worker interface used by the worker pool
+ */
+export interface ParquetWorker {
+  postMessage(message: any): void
+  onmessage: ((event: MessageEvent) => void) | null
+  onerror: ((event: any) => void) | null
+  terminate(): void
+}
+
+/**
+ * A dataset of parquet files with hive partitions, see parquetDataset
+ */
+export interface ParquetDataset {
+  files: DatasetFile[] // files sorted by path
+  columns: string[] // merged top-level columns of all files, then partition keys
+  read(options: Omit<ParquetReadOptions, 'file' | 'metadata'>): Promise<void> // parquetRead across all files
+  query(options: Omit<ParquetReadOptions, 'file' | 'metadata'> & { filter?: ParquetQueryFilter, orderBy?: ParquetQueryOrderBy }): Promise<Record<string, any>[]> // parquetQuery across all files
+}
+
+export interface DatasetFile {
+  path: string // relative path, including partition directories
+  file: AsyncBuffer
+  metadata: FileMetaData
+  partitions: Record<string, ParquetQueryValue> // partition values parsed from the path
+}
+
+/**
+ * Parquet write options
+ */
+export interface ParquetWriteOptions {
+  columnData: ColumnSource[] // columns to write, all with the same number of rows
+  schema?: SchemaElement[] // flat parquet schema, inferred from columnData if undefined
+  codec?: CompressionCodec // UNCOMPRESSED or SNAPPY (default SNAPPY)
+  rowGroupSize?: number // max number of rows per row group (default 100000)
+  statistics?: boolean // write column min/max/null_count statistics (default true)
+  kvMetadata?: KeyValue[] // extra key-value metadata for the file footer
+}
+
+/**
+ * A column of data to write
+ */
+export interface ColumnSource {
+  name: string
+  data: DecodedArray
+  type?: ParquetType // parquet type, inferred from data if undefined
 }
 
 /**
@@ -24,15 +126,71 @@ export interface ParquetQueryFilter {
   $or?: ParquetQueryFilter[]
   $not?: ParquetQueryFilter
 }
-export type ParquetQueryValue = string | number | boolean | object | null | undefined
+export type ParquetQueryValue = string | number | bigint | boolean | object | null | undefined
 export type ParquetQueryOperator = {
   $gt?: ParquetQueryValue
   $gte?: ParquetQueryValue
   $lt?: ParquetQueryValue
   $lte?: ParquetQueryValue
+  $eq?: ParquetQueryValue
   $ne?: ParquetQueryValue
   $in?: ParquetQueryValue[]
   $nin?: ParquetQueryValue[]
+  $between?: [ParquetQueryValue, ParquetQueryValue] // inclusive range
+  $regex?: string | RegExp
+  $startsWith?: string
+  $contains?: string
+  $ignoreCase?: boolean // case-insensitive $regex, $startsWith and $contains
+  $exists?: boolean // value is not null
+  $isNull?: boolean // value is null
+  $not?: ParquetQueryValue | ParquetQueryOperator
+  $bbox?: [number, number, number, number] // [xmin, ymin, xmax, ymax] intersects the geometry bounding box
+}
+
+/**
+ * Parquet query sort order, a column name or a list of sort columns
+ */
+export type ParquetQueryOrderBy = string | ParquetSortColumn[]
+export interface ParquetSortColumn {
+  column: string
+  direction?: 'asc' | 'desc' // default asc
+  nulls?: 'first' | 'last' // default last
+}
+export type SortColumn = Required<ParquetSortColumn>
+
+/**
+ * Parquet aggregate of one column, or of all rows with `$count: '*'`
+ */
+export interface ParquetAggregate {
+  $count?: string // number of non-null values, or rows for '*'
+  $sum?: string
+  $min?: string
+  $max?: string
+  $avg?: string
+}
+export interface ParquetAggregateOptions extends ParquetReadOptions {
+  aggregates: Record<string, ParquetAggregate> // output name to aggregate
+  groupBy?: string[] // top-level columns to group rows by
+  filter?: ParquetQueryFilter
+}
+
+/**
+ * Column statistics used to decide if a row group or page can match a filter
+ */
+export interface PageMatch {
+  rowStart: number // relative to the start of the row group
+  rowEnd: number
+  match: 'none' | 'some' | 'all' // which rows of the range match the filter
+}
+
+export interface ColumnStats {
+  min?: MinMaxType
+  max?: MinMaxType
+  nullCount?: bigint
+  valueCount: bigint
+  bbox?: BoundingBox // geometry columns
+  float?: boolean // min and max exclude NaN values
+  nanCount?: bigint
 }
 
 /**
@@ -56,6 +214,7 @@ export type Awaitable<T> = T | Promise<T>
 export interface ByteRange {
   startByte: number
   endByte: number // exclusive
+  filePath?: string // column chunk file_path, if the range is in another file
 }
 
 export interface DataReader {
@@ -63,6 +222,24 @@ export interface DataReader {
   offset: number
 }
 
+/**
+ * Growable buffer for serializing parquet data.
+ */
+export interface Writer {
+  buffer: ArrayBuffer
+  view: DataView
+  offset: number
+  ensure(size: number): void
+  appendUint8(value: number): void
+  appendUint32(value: number): void
+  appendInt32(value: number): void
+  appendInt64(value: bigint | number): void
+  appendFloat32(value: number): void
+  appendFloat64(value: number): void
+  appendBytes(bytes: Uint8Array): void
+  getBuffer(): ArrayBuffer
+}
+
 // Parquet file metadata types
 export interface FileMetaData {
   version: number
@@ -162,12 +339,33 @@ type LogicalIntType = {
   isSigned: boolean
 }
 
+type LogicalGeometryType = {
+  type: 'GEOMETRY'
+  crs?: string // default OGC:CRS84
+}
+
+type LogicalGeographyType = {
+  type: 'GEOGRAPHY'
+  crs?: string // default OGC:CRS84
+  algorithm?: EdgeInterpolationAlgorithm // default SPHERICAL
+}
+
+export type EdgeInterpolationAlgorithm = 'SPHERICAL' | 'VINCENTY' | 'THOMAS' | 'ANDOYER' | 'KARNEY'
+
+type LogicalVariantType = {
+  type: 'VARIANT'
+  specificationVersion?: number
+}
+
 export type LogicalType =
   { type: LogicalTypeSimple } |
   LogicalDecimalType |
   LogicalTimeType |
   LogicalTimestampType |
-  LogicalIntType
+  LogicalIntType |
+  LogicalVariantType |
+  LogicalGeometryType |
+  LogicalGeographyType
 
 type LogicalTypeSimple =
   'STRING' |
@@ -180,12 +378,12 @@ type LogicalTypeSimple =
   'JSON' |
   'BSON' |
   'UUID' |
-  'FLOAT16' |
-  'VARIANT' |
-  'GEOMETRY' |
-  'GEOGRAPHY'
+  'FLOAT16'
 
 export type LogicalTypeType = LogicalTypeSimple |
+  'VARIANT' |
+  'GEOMETRY' |
+  'GEOGRAPHY' |
   'TIME' | // convertedType TIME_MILLIS or TIME_MICROS
   'TIMESTAMP' | // convertedType TIMESTAMP_MILLIS or TIMESTAMP_MICROS
   'INTEGER' // convertedType INT or UINT
@@ -229,6 +427,7 @@ export interface ColumnMetaData {
   bloom_filter_offset?: bigint
   bloom_filter_length?: number
   size_statistics?: SizeStatistics
+  geospatial_statistics?: GeospatialStatistics
 }
 
 type ColumnCryptoMetaData = Record<string, never>
@@ -275,6 +474,53 @@ export interface Statistics {
   min_value?: MinMaxType
   is_max_value_exact?: boolean
   is_min_value_exact?: boolean
+  nan_count?: bigint // floating point min and max exclude NaN
+}
+
+/**
+ * GeoJSON geometry decoded from WKB
+ */
+export type Geometry =
+  { type: 'Point', coordinates: number[] } |
+  { type: 'LineString' | 'MultiPoint', coordinates: number[][] } |
+  { type: 'Polygon' | 'MultiLineString', coordinates: number[][][] } |
+  { type: 'MultiPolygon', coordinates: number[][][][] } |
+  { type: 'GeometryCollection', geometries: Geometry[] }
+
+/**
+ * GeoParquet file metadata, from the geo key-value metadata
+ */
+export interface GeoParquetMetadata {
+  version: string
+  primary_column: string
+  columns: Record<string, GeoParquetColumn>
+}
+
+export interface GeoParquetColumn {
+  encoding: string // WKB, or a GeoArrow native encoding such as point
+  geometry_types: string[]
+  crs?: object | null // PROJJSON, default OGC:CRS84, null if unknown
+  edges?: 'planar' | 'spherical'
+  orientation?: 'counterclockwise'
+  bbox?: number[] // [xmin, ymin, xmax, ymax] or with z
+  epoch?: number
+  covering?: { bbox: Record<'xmin' | 'ymin' | 'xmax' | 'ymax', string[]> } // paths of bbox columns
+}
+
+export interface GeospatialStatistics {
+  bbox?: BoundingBox
+  geospatial_types?: number[] // WKB geometry type codes, such as 1 for Point or 1003 for Polygon Z
+}
+
+export interface BoundingBox {
+  xmin: number
+  xmax: number // less than xmin for geographies that cross the antimeridian
+  ymin: number
+  ymax: number
+  zmin?: number
+  zmax?: number
+  mmin?: number
+  mmax?: number
 }
 
 interface SizeStatistics {
@@ -375,12 +621,22 @@ export interface ColumnIndex {
   null_counts?: bigint[]
   repetition_level_histograms?: bigint[]
   definition_level_histograms?: bigint[]
+  nan_counts?: bigint[]
+}
+
+/**
+ * Split block bloom filter of a column chunk.
+ * mightContain returns false only if the value is definitely not in the column chunk.
+ */
+export interface BloomFilter {
+  bitset: Uint32Array
+  mightContain(value: any): boolean
 }
 
 export type BoundaryOrder = 'UNORDERED' | 'ASCENDING' | 'DESCENDING'
 
-export type ThriftObject = { [ key: `field_${number}` ]: ThriftType }
-export type ThriftType = boolean | number | bigint | Uint8Array | ThriftType[] | ThriftObject
+export type ThriftObject = { [ key: `field_${number}` ]: ThriftType | undefined }
+export type ThriftType = boolean | number | bigint | string | Uint8Array | Int8Array | ThriftType[] | ThriftObject
 
 /**
  * Query plan for which byte ranges to read.
@@ -401,8 +657,46 @@ interface GroupPlan {
   selectStart: number // row index in the group to start reading
   selectEnd: number // row index in the group to stop reading
   groupRows: number
+  pageIndexed: boolean // read only the pages overlapping the selection
 }
 
+// Column chunk bytes, starting with the page that contains firstRow
+export interface ColumnPages {
+  buffer: ArrayBuffer
+  firstRow: number
+}
+
+// Arrow field with its flatbuffer type table and how to encode its values
+export interface ArrowField {
+  name: string
+  nullable: boolean
+  typeId: number
+  type: FlatTable
+  kind: string
+  children: ArrowField[]
+  byteWidth?: number
+  timeUnit?: TimeUnit
+}
+
+// Arrow record batch under construction
+export interface ArrowBatch {
+  nodes: [number, number][] // length and null count
+  buffers: [number, number][] // offset and length in body
+  body: Uint8Array[]
+  bodyLength: number
+}
+
+// Flatbuffer table fields by field id
+export type FlatTable = FlatField[]
+export type FlatField =
+  | { bool: boolean } | { u8: number } | { i16: number } | { i32: number } | { i64: number }
+  | string // offset to string
+  | Uint8Array // offset to vector of 16-byte structs
+  | FlatTable // offset to table
+  | { tables: FlatTable[] } // offset to vector of tables
+  | undefined
+export type FlatObject = { table: FlatTable } | { string: string } | { structs: Uint8Array } | { tables: FlatTable[] }
+
 export interface ColumnDecoder {
   columnName: string
   type: ParquetType
@@ -411,6 +705,35 @@ export interface ColumnDecoder {
   codec: CompressionCodec
   compressors?: Compressors
   utf8?: boolean
+  decimalFormat?: DecimalFormat
+  timestampFormat?: TimestampFormat
+  timeFormat?: TimeFormat
+  uuidFormat?: 'string' | 'bytes'
+  geometryFormat?: 'geojson' | 'wkb'
+  geometry?: boolean // WKB column listed in GeoParquet metadata
+}
+
+// Read formats that also apply to variant primitives
+export type VariantFormats = Pick<ColumnDecoder, 'decimalFormat' | 'timestampFormat' | 'timeFormat' | 'uuidFormat'>
+
+export interface WorkerPool {
+  readColumn(buffer: ArrayBuffer, rowGroupSelect: RowGroupSelect, columnDecoder: ColumnDecoder, onPage?: (chunk: ColumnData) => void): Promise<DecodedArray[]>
+  terminate(): void
+}
+
+// Column chunk posted to a worker
+export interface ColumnTask {
+  buffer: ArrayBuffer
+  rowGroupSelect: RowGroupSelect
+  columnDecoder: ColumnDecoder // without compressors
+  onPage: boolean // collect pages for onPage
+}
+
+// Decoded column chunk posted back from a worker
+export interface ColumnTaskResult {
+  chunks?: DecodedArray[]
+  pages?: ColumnData[]
+  error?: string
 }
 
 export interface RowGroupSelect {
@@ -420,6 +743,21 @@ export interface RowGroupSelect {
   groupRows: number
 }
 
+// Pages of a column chunk decoded so far
+export interface ColumnState {
+  chunks: DecodedArray[]
+  dictionary: DecodedArray | undefined
+  lastChunk: DecodedArray | undefined
+  rowCount: number
+}
+
+// Levels and dense values of a whole column chunk
+export interface ColumnLevels {
+  definitionLevels: number[]
+  repetitionLevels: number[]
+  values: any[]
+}
+
 export interface AsyncColumn {
   pathInSchema: string[]
   data: Promise<DecodedArray[]>
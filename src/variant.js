@@ -0,0 +1,240 @@
+import { convert } from './convert.js'
+import { isListLike } from './schema.js'
+
+const decoder = new TextDecoder()
+
+/**
+ * Decode a variant from its metadata and value binary encoding.
+ * https://github.com/apache/parquet-format/blob/master/VariantEncoding.md
+ *
+ * Decimals, timestamps, times and uuids are converted like column values
+ * with the same read formats. Int64 values are bigints and dates are Dates.
+ *
+ * @param {Uint8Array} metadata
+ * @param {Uint8Array} value
+ * @param {VariantFormats} [formats] read formats for primitives
+ * @returns {any}
+ */
+export function parseVariant(metadata, value, formats = {}) {
+  return readValue(parseVariantMetadata(metadata), value, 0, formats)
+}
+
+/**
+ * Decode a variant column row, merging shredded typed_value sub-columns back
+ * into the value.
+ * https://github.com/apache/parquet-format/blob/master/VariantShredding.md
+ *
+ * @param {SchemaTree} schema variant group with metadata, value and typed_value
+ * @param {Record<string, any>} row assembled variant group
+ * @param {VariantFormats} [formats] read formats for primitives
+ * @returns {any}
+ */
+export function shreddedVariant(schema, row, formats = {}) {
+  const keys = parseVariantMetadata(row.metadata)
+  return shreddedValue(schema, keys, row, formats) ?? null
+}
+
+/**
+ * Parse the variant metadata dictionary of field names.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string[]}
+ */
+function parseVariantMetadata(bytes) {
+  const header = bytes[0]
+  const version = header & 0x0f
+  if (version !== 1) throw new Error(`variant unsupported metadata version ${version}`)
+  const offsetSize = (header >> 6) + 1
+  const size = readUnsigned(bytes, 1, offsetSize)
+  const offsets = 1 + offsetSize
+  const start = offsets + (size + 1) * offsetSize
+  const keys = new Array(size)
+  for (let i = 0; i < size; i++) {
+    const from = readUnsigned(bytes, offsets + i * offsetSize, offsetSize)
+    const to = readUnsigned(bytes, offsets + (i + 1) * offsetSize, offsetSize)
+    keys[i] = decoder.decode(bytes.subarray(start + from, start + to))
+  }
+  return keys
+}
+
+/**
+ * @param {SchemaTree} schema group with value and typed_value children
+ * @param {string[]} keys metadata dictionary
+ * @param {Record<string, any> | undefined} group
+ * @param {VariantFormats} formats
+ * @returns {any} undefined if the value is missing
+ */
+function shreddedValue(schema, keys, group, formats) {
+  const value = group?.value
+  const typedValue = group?.typed_value
+  const typed = schema.children.find(child => child.element.name === 'typed_value')
+  if (typed && typedValue !== undefined && typedValue !== null) {
+    if (isListLike(typed)) {
+      let element = typed.children[0]
+      if (element.children.length === 1) element = element.children[0]
+      return typedValue.map((/** @type {any} */ item) => shreddedValue(element, keys, item, formats) ?? null)
+    }
+    if (typed.children.length) {
+      // partially shredded objects keep the other fields in value
+      const object = value ? readValue(keys, value, 0, formats) : {}
+      for (const field of typed.children) {
+        const { name } = field.element
+        const fieldValue = shreddedValue(field, keys, typedValue[name], formats)
+        if (fieldValue !== undefined) object[name] = fieldValue
+      }
+      return object
+    }
+    return typedValue
+  }
+  if (value) return readValue(keys, value, 0, formats)
+}
+
+/**
+ * @param {string[]} keys metadata dictionary
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {VariantFormats} formats
+ * @returns {any}
+ */
+function readValue(keys, bytes, offset, formats) {
+  const header = bytes[offset]
+  const basicType = header & 3
+  const valueHeader = header >> 2
+  const start = offset + 1
+
+  if (basicType === 1) { // short string
+    return decoder.decode(bytes.subarray(start, start + valueHeader))
+  }
+  if (basicType === 2) { // object
+    const offsetSize = (valueHeader & 3) + 1
+    const idSize = (valueHeader >> 2 & 3) + 1
+    const countSize = valueHeader & 0x10 ? 4 : 1
+    const count = readUnsigned(bytes, start, countSize)
+    const ids = start + countSize
+    const offsets = ids + count * idSize
+    const values = offsets + (count + 1) * offsetSize
+    /** @type {Record<string, any>} */
+    const object = {}
+    for (let i = 0; i < count; i++) {
+      const id = readUnsigned(bytes, ids + i * idSize, idSize)
+      if (id >= keys.length) throw new Error(`variant invalid field id ${id}`)
+      object[keys[id]] = readValue(keys, bytes, values + readUnsigned(bytes, offsets + i * offsetSize, offsetSize), formats)
+    }
+    return object
+  }
+  if (basicType === 3) { // array
+    const offsetSize = (valueHeader & 3) + 1
+    const countSize = valueHeader & 0x04 ? 4 : 1
+    const count = readUnsigned(bytes, start, countSize)
+    const offsets = start + countSize
+    const values = offsets + (count + 1) * offsetSize
+    const array = new Array(count)
+    for (let i = 0; i < count; i++) {
+      array[i] = readValue(keys, bytes, values + readUnsigned(bytes, offsets + i * offsetSize, offsetSize), formats)
+    }
+    return array
+  }
+
+  // primitive
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, bytes.byteLength - start)
+  switch (valueHeader) {
+  case 0:
+    return null
+  case 1:
+    return true
+  case 2:
+    return false
+  case 3: // int8
+    return view.getInt8(0)
+  case 4: // int16
+    return view.getInt16(0, true)
+  case 5: // int32
+    return view.getInt32(0, true)
+  case 6: // int64
+    return view.getBigInt64(0, true)
+  case 7: // double
+    return view.getFloat64(0, true)
+  case 8: // decimal4
+    return convertDecimal(BigInt(view.getInt32(1, true)), view.getUint8(0), formats)
+  case 9: // decimal8
+    return convertDecimal(view.getBigInt64(1, true), view.getUint8(0), formats)
+  case 10: // decimal16
+    return convertDecimal(view.getBigInt64(9, true) << 64n | view.getBigUint64(1, true), view.getUint8(0), formats)
+  case 11: // date
+    return convertPrimitive(view.getInt32(0, true), { name: 'date', type: 'INT32', converted_type: 'DATE' }, formats)
+  case 12: // timestamp micros
+  case 13: // timestamp micros without time zone
+    return convertPrimitive(view.getBigInt64(0, true), timestampElement('MICROS', valueHeader === 12), formats)
+  case 14: // float
+    return view.getFloat32(0, true)
+  case 15: // binary
+    return bytes.subarray(start + 4, start + 4 + view.getUint32(0, true))
+  case 16: // string
+    return decoder.decode(bytes.subarray(start + 4, start + 4 + view.getUint32(0, true)))
+  case 17: // time micros without time zone
+    return convertPrimitive(view.getBigInt64(0, true), timeMicrosElement, formats)
+  case 18: // timestamp nanos
+  case 19: // timestamp nanos without time zone
+    return convertPrimitive(view.getBigInt64(0, true), timestampElement('NANOS', valueHeader === 18), formats)
+  case 20: // uuid, big-endian
+    return convertPrimitive(bytes.subarray(start, start + 16), uuidElement, formats)
+  default:
+    throw new Error(`variant unsupported primitive type ${valueHeader}`)
+  }
+}
+
+/** @type {SchemaElement} */
+const timeMicrosElement = { name: 'time', type: 'INT64', logical_type: { type: 'TIME', isAdjustedToUTC: false, unit: 'MICROS' } }
+/** @type {SchemaElement} */
+const uuidElement = { name: 'uuid', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 16, logical_type: { type: 'UUID' } }
+
+/**
+ * Convert a variant primitive the same way as a column of the given type.
+ *
+ * @param {any} value primitive value
+ * @param {SchemaElement} element equivalent column type
+ * @param {VariantFormats} formats
+ * @returns {any}
+ */
+function convertPrimitive(value, element, formats) {
+  return convert([value], { ...formats, element })[0]
+}
+
+/**
+ * @param {bigint} unscaled
+ * @param {number} scale
+ * @param {VariantFormats} formats
+ * @returns {any}
+ */
+function convertDecimal(unscaled, scale, formats) {
+  return convertPrimitive(unscaled, { name: 'decimal', type: 'INT64', converted_type: 'DECIMAL', scale }, formats)
+}
+
+/**
+ * @param {TimeUnit} unit
+ * @param {boolean} isAdjustedToUTC
+ * @returns {SchemaElement}
+ */
+function timestampElement(unit, isAdjustedToUTC) {
+  return { name: 'timestamp', type: 'INT64', logical_type: { type: 'TIMESTAMP', isAdjustedToUTC, unit } }
+}
+
+/**
+ * Read a little-endian unsigned integer of 1 to 4 bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} size
+ * @returns {number}
+ */
+function readUnsigned(bytes, offset, size) {
+  let value = 0
+  for (let i = size - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + i]
+  }
+  return value
+}
+
+/**
+ * @import {SchemaElement, SchemaTree, TimeUnit, VariantFormats} from '../src/types.d.ts'
+ */
@@ -0,0 +1,49 @@
+import { compressors } from './codecs/index.js'
+import { readColumn } from './column.js'
+
+/**
+ * @import {ColumnData, ColumnTask, ColumnTaskResult, DecodedArray} from '../src/types.js'
+ */
+/**
+ * Decode a column chunk posted to a worker by workerPool.
+ * Pages are collected instead of emitted, for the main thread to replay to
+ * onPage, and the buffers of typed arrays are listed for transfer.
+ * Compressed pages are decoded with the built-in codecs.
+ *
+ * @param {ColumnTask} task
+ * @returns {{ result: ColumnTaskResult, transfer: ArrayBuffer[] }}
+ */
+export function decodeColumnTask({ buffer, rowGroupSelect, columnDecoder, onPage }) {
+  try {
+    /** @type {ColumnData[]} */
+    const pages = []
+    const reader = { view: new DataView(buffer), offset: 0 }
+    const chunks = readColumn(reader, rowGroupSelect, { ...columnDecoder, compressors }, onPage ? page => pages.push(page) : undefined)
+    return { result: { chunks, pages }, transfer: transferables(chunks) }
+  } catch (error) {
+    return { result: { error: error instanceof Error ? error.message : String(error) }, transfer: [] }
+  }
+}
+
+/**
+ * Distinct buffers of typed array chunks, which can be moved instead of copied.
+ *
+ * @param {DecodedArray[]} chunks
+ * @returns {ArrayBuffer[]}
+ */
+function transferables(chunks) {
+  /** @type {Set<ArrayBuffer>} */
+  const buffers = new Set()
+  for (const chunk of chunks) {
+    if (ArrayBuffer.isView(chunk) && chunk.buffer instanceof ArrayBuffer) buffers.add(chunk.buffer)
+  }
+  return [...buffers]
+}
+
+// run as a web worker
+if ('WorkerGlobalScope' in globalThis) {
+  self.onmessage = ({ data }) => {
+    const { result, transfer } = decodeColumnTask(data)
+    self.postMessage(result, { transfer })
+  }
+}
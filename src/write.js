@@ -0,0 +1,552 @@
+import { byteWriter } from './bytewriter.js'
+import { CompressionCodec, ConvertedType, EdgeInterpolationAlgorithm, Encoding, FieldRepetitionType, PageType, ParquetType } from './constants.js'
+import { bitWidth, writeRleBitPackedHybrid } from './encoding.js'
+import { writePlain } from './plain.js'
+import { snappyCompress } from './snappy.js'
+import { serializeTCompactProtocol } from './thrift.js'
+
+const dayMillis = 86400000 // 1 day in milliseconds
+
+/**
+ * @import {ColumnChunk, ColumnSource, DecodedArray, FileMetaData, LogicalType, MinMaxType, PageHeader, ParquetWriteOptions, RowGroup, SchemaElement, Statistics, ThriftObject, TimeUnit, Writer} from '../src/types.d.ts'
+ */
+
+/**
+ * Write columns of data to a parquet file.
+ * This is the counterpart of parquetRead: columns in, PAR1 file bytes out.
+ *
+ * Only flat schemas (no structs, lists or maps) are supported.
+ * If no schema is provided, it is inferred from the column data.
+ * Columns with null values are written as OPTIONAL.
+ *
+ * @param {ParquetWriteOptions} options write options
+ * @returns {ArrayBuffer} parquet file contents
+ */
+export function parquetWrite({ columnData, schema, codec = 'SNAPPY', rowGroupSize = 100000, statistics = true, kvMetadata }) {
+  if (codec !== 'UNCOMPRESSED' && codec !== 'SNAPPY') {
+    throw new Error(`parquet unsupported compression codec: ${codec}`)
+  }
+  if (!(rowGroupSize > 0)) throw new Error('parquet rowGroupSize must be positive')
+  schema ??= schemaFromColumnData(columnData)
+  validateSchema(schema, columnData)
+
+  const num_rows = columnData.length ? columnData[0].data.length : 0
+  for (const { name, data } of columnData) {
+    if (data.length !== num_rows) {
+      throw new Error(`parquet column ${name} length ${data.length} does not match ${num_rows}`)
+    }
+  }
+
+  const writer = byteWriter()
+  writer.appendUint32(0x31524150) // magic number "PAR1"
+
+  /** @type {RowGroup[]} */
+  const row_groups = []
+  for (let groupStart = 0; groupStart < num_rows; groupStart += rowGroupSize) {
+    const groupEnd = Math.min(groupStart + rowGroupSize, num_rows)
+    const groupOffset = writer.offset
+    const columns = columnData.map(({ data }, i) => {
+      const values = data.slice(groupStart, groupEnd)
+      return writeColumnChunk(writer, schema[i + 1], values, codec, statistics)
+    })
+    row_groups.push({
+      columns,
+      total_byte_size: columns.reduce((sum, { meta_data }) => sum + (meta_data?.total_uncompressed_size ?? 0n), 0n),
+      num_rows: BigInt(groupEnd - groupStart),
+      file_offset: BigInt(groupOffset),
+      total_compressed_size: BigInt(writer.offset - groupOffset),
+      ordinal: row_groups.length,
+    })
+  }
+
+  // footer: metadata, metadata length, magic number
+  const metadataStart = writer.offset
+  serializeTCompactProtocol(writer, metadataToThrift({
+    version: 2,
+    schema,
+    num_rows: BigInt(num_rows),
+    row_groups,
+    key_value_metadata: kvMetadata,
+    created_by: 'hyparquet',
+    metadata_length: 0,
+  }))
+  writer.appendUint32(writer.offset - metadataStart)
+  writer.appendUint32(0x31524150)
+
+  return writer.getBuffer()
+}
+
+/**
+ * Infer a flat parquet schema from column data.
+ *
+ * @param {ColumnSource[]} columnData
+ * @returns {SchemaElement[]}
+ */
+export function schemaFromColumnData(columnData) {
+  /** @type {SchemaElement[]} */
+  const schema = [{ name: 'root', num_children: columnData.length }]
+  for (const { name, data, type } of columnData) {
+    schema.push(inferElement(name, data, type))
+  }
+  return schema
+}
+
+/**
+ * @param {string} name
+ * @param {DecodedArray} data
+ * @param {import('../src/types.d.ts').ParquetType} [type]
+ * @returns {SchemaElement}
+ */
+function inferElement(name, data, type) {
+  /** @type {SchemaElement} */
+  const element = { name, repetition_type: 'REQUIRED' }
+
+  // typed arrays cannot contain nulls
+  if (data instanceof Int32Array) return { ...element, type: type ?? 'INT32' }
+  if (data instanceof Uint32Array) return { ...element, type: type ?? 'INT32', converted_type: 'UINT_32' }
+  if (data instanceof BigInt64Array) return { ...element, type: type ?? 'INT64' }
+  if (data instanceof BigUint64Array) return { ...element, type: type ?? 'INT64', converted_type: 'UINT_64' }
+  if (data instanceof Float32Array) return { ...element, type: type ?? 'FLOAT' }
+  if (data instanceof Float64Array) return { ...element, type: type ?? 'DOUBLE' }
+  if (data instanceof Uint8Array) return { ...element, type: type ?? 'INT32', converted_type: 'UINT_8' }
+
+  let sample = undefined
+  let int32 = true
+  for (const value of data) {
+    if (value === null || value === undefined) {
+      element.repetition_type = 'OPTIONAL'
+    } else {
+      sample ??= value
+      if (typeof value === 'number' && !(Number.isInteger(value) && value === (value | 0))) int32 = false
+    }
+  }
+
+  if (typeof sample === 'string') {
+    return { ...element, type: type ?? 'BYTE_ARRAY', converted_type: 'UTF8' }
+  } else if (type) {
+    return { ...element, type }
+  } else if (typeof sample === 'boolean') {
+    return { ...element, type: 'BOOLEAN' }
+  } else if (typeof sample === 'number') {
+    return { ...element, type: int32 ? 'INT32' : 'DOUBLE' }
+  } else if (typeof sample === 'bigint') {
+    return { ...element, type: 'INT64' }
+  } else if (sample instanceof Date) {
+    return { ...element, type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' }
+  } else if (sample instanceof Uint8Array) {
+    return { ...element, type: 'BYTE_ARRAY' }
+  } else if (sample !== undefined) {
+    return { ...element, type: 'BYTE_ARRAY', converted_type: 'JSON' }
+  }
+  // all nulls
+  return { ...element, type: 'BYTE_ARRAY' }
+}
+
+/**
+ * @param {SchemaElement[]} schema
+ * @param {ColumnSource[]} columnData
+ */
+function validateSchema(schema, columnData) {
+  if (schema[0]?.num_children !== columnData.length || schema.length !== columnData.length + 1) {
+    throw new Error('parquet schema must have one flat element per column')
+  }
+  columnData.forEach(({ name }, i) => {
+    const element = schema[i + 1]
+    if (element.name !== name) throw new Error(`parquet schema element ${element.name} does not match column ${name}`)
+    if (!element.type || element.num_children) throw new Error(`parquet cannot write nested column: ${name}`)
+    if (element.repetition_type === 'REPEATED') throw new Error(`parquet cannot write repeated column: ${name}`)
+  })
+}
+
+/**
+ * Write a column chunk: optional dictionary page followed by a single data page.
+ *
+ * @param {Writer} writer
+ * @param {SchemaElement} element
+ * @param {DecodedArray} values
+ * @param {import('../src/types.d.ts').CompressionCodec} codec
+ * @param {boolean} statistics
+ * @returns {ColumnChunk}
+ */
+function writeColumnChunk(writer, element, values, codec, statistics) {
+  const { name } = element
+  const type = element.type ?? 'BYTE_ARRAY'
+  const columnOffset = writer.offset
+
+  // separate nulls into definition levels
+  /** @type {number[] | undefined} */
+  let definitionLevels = undefined
+  /** @type {DecodedArray} */
+  let nonNull = values
+  if (element.repetition_type !== 'REQUIRED') {
+    definitionLevels = []
+    nonNull = []
+    for (const value of values) {
+      if (value === null || value === undefined) {
+        definitionLevels.push(0)
+      } else {
+        definitionLevels.push(1)
+        nonNull.push(value)
+      }
+    }
+  } else if (!ArrayBuffer.isView(values) && values.some(value => value === null || value === undefined)) {
+    throw new Error(`parquet required column ${name} has null values`)
+  }
+
+  /** @type {import('../src/types.d.ts').Encoding[]} */
+  const encodings = ['PLAIN', 'RLE']
+  let uncompressedSize = 0
+  /** @type {bigint | undefined} */
+  let dictionary_page_offset = undefined
+
+  // dictionary encode repetitive columns
+  const dictionary = type === 'BOOLEAN' ? undefined : buildDictionary(nonNull)
+  if (dictionary) {
+    dictionary_page_offset = BigInt(writer.offset)
+    const dictionaryPage = byteWriter()
+    writePlain(dictionaryPage, unconvert(dictionary.values, element), type, element.type_length)
+    uncompressedSize += writePage(writer, {
+      type: 'DICTIONARY_PAGE',
+      dictionary_page_header: { num_values: dictionary.values.length, encoding: 'PLAIN' },
+    }, dictionaryPage, codec)
+    encodings.push('RLE_DICTIONARY')
+  }
+
+  // data page: definition levels followed by values
+  const data_page_offset = BigInt(writer.offset)
+  const dataPage = byteWriter()
+  if (definitionLevels) {
+    // int32 length prefix of the levels
+    const lengthOffset = dataPage.offset
+    dataPage.appendUint32(0)
+    writeRleBitPackedHybrid(dataPage, definitionLevels, 1)
+    dataPage.view.setUint32(lengthOffset, dataPage.offset - lengthOffset - 4, true)
+  }
+  if (dictionary) {
+    // some readers reject a zero bit width, even for a single value
+    const width = Math.max(1, bitWidth(dictionary.values.length - 1))
+    dataPage.appendUint8(width)
+    writeRleBitPackedHybrid(dataPage, dictionary.indices, width)
+  } else {
+    writePlain(dataPage, unconvert(nonNull, element), type, element.type_length)
+  }
+  uncompressedSize += writePage(writer, {
+    type: 'DATA_PAGE',
+    data_page_header: {
+      num_values: values.length,
+      encoding: dictionary ? 'RLE_DICTIONARY' : 'PLAIN',
+      definition_level_encoding: 'RLE',
+      repetition_level_encoding: 'RLE',
+    },
+  }, dataPage, codec)
+
+  return {
+    file_offset: BigInt(columnOffset),
+    meta_data: {
+      type,
+      encodings,
+      path_in_schema: [name],
+      codec,
+      num_values: BigInt(values.length),
+      total_uncompressed_size: BigInt(uncompressedSize),
+      total_compressed_size: BigInt(writer.offset - columnOffset),
+      data_page_offset,
+      dictionary_page_offset,
+      statistics: statistics ? columnStatistics(nonNull, values.length - nonNull.length, element) : undefined,
+    },
+  }
+}
+
+/**
+ * Write a page header and compressed page data.
+ *
+ * @param {Writer} writer
+ * @param {Omit<PageHeader, 'uncompressed_page_size' | 'compressed_page_size'>} header
+ * @param {Writer} page uncompressed page data
+ * @param {import('../src/types.d.ts').CompressionCodec} codec
+ * @returns {number} uncompressed size of the page including header
+ */
+function writePage(writer, header, page, codec) {
+  const bytes = new Uint8Array(page.buffer, 0, page.offset)
+  const compressed = codec === 'SNAPPY' ? snappyCompress(bytes) : bytes
+  const { data_page_header: daph, dictionary_page_header: diph } = header
+  const headerStart = writer.offset
+  serializeTCompactProtocol(writer, {
+    field_1: PageType.indexOf(header.type),
+    field_2: bytes.length,
+    field_3: compressed.length,
+    field_5: daph && {
+      field_1: daph.num_values,
+      field_2: Encoding.indexOf(daph.encoding),
+      field_3: Encoding.indexOf(daph.definition_level_encoding),
+      field_4: Encoding.indexOf(daph.repetition_level_encoding),
+    },
+    field_7: diph && {
+      field_1: diph.num_values,
+      field_2: Encoding.indexOf(diph.encoding),
+    },
+  })
+  const headerSize = writer.offset - headerStart
+  writer.appendBytes(compressed)
+  return headerSize + bytes.length
+}
+
+/**
+ * Dictionary encode values if there are few enough unique primitive values.
+ *
+ * @param {DecodedArray} values non-null values
+ * @returns {{ values: any[], indices: number[] } | undefined}
+ */
+function buildDictionary(values) {
+  if (!values.length) return
+  /** @type {Map<any, number>} */
+  const lookup = new Map()
+  const indices = new Array(values.length)
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i]
+    // objects (dates, bytes, json) do not compare by value
+    if (typeof value === 'object') return
+    let index = lookup.get(value)
+    if (index === undefined) {
+      index = lookup.size
+      lookup.set(value, index)
+    }
+    indices[i] = index
+  }
+  // not worth it unless values repeat
+  if (lookup.size > values.length / 2) return
+  return { values: Array.from(lookup.keys()), indices }
+}
+
+/**
+ * Convert rich javascript types to parquet primitive types.
+ * This is the inverse of convert.
+ *
+ * @param {DecodedArray} values non-null values
+ * @param {SchemaElement} element
+ * @returns {DecodedArray} primitive values
+ */
+function unconvert(values, element) {
+  const { type, converted_type: ctype } = element
+  if (ctype === 'DATE') {
+    return Array.from(values, v => v instanceof Date ? Math.floor(v.getTime() / dayMillis) : v)
+  }
+  if (ctype === 'TIMESTAMP_MILLIS') {
+    return Array.from(values, v => BigInt(v instanceof Date ? v.getTime() : v))
+  }
+  if (ctype === 'TIMESTAMP_MICROS') {
+    return Array.from(values, v => v instanceof Date ? BigInt(v.getTime()) * 1000n : BigInt(v))
+  }
+  if (ctype === 'JSON') {
+    const encoder = new TextEncoder()
+    return Array.from(values, v => encoder.encode(JSON.stringify(v)))
+  }
+  if (type === 'BYTE_ARRAY') {
+    const encoder = new TextEncoder()
+    return Array.from(values, v => typeof v === 'string' ? encoder.encode(v) : v)
+  }
+  if (type === 'INT64' && !(values instanceof BigInt64Array || values instanceof BigUint64Array)) {
+    return Array.from(values, BigInt)
+  }
+  return values
+}
+
+/**
+ * Compute min, max and null count for a column chunk.
+ * Min and max are only computed for comparable types.
+ * Floating point min and max exclude NaN, which are counted separately.
+ * Byte arrays are ordered by their encoded bytes, like parquet readers do.
+ *
+ * @param {DecodedArray} values non-null values
+ * @param {number} nullCount
+ * @param {SchemaElement} element
+ * @returns {Statistics}
+ */
+function columnStatistics(values, nullCount, element) {
+  const type = element.type ?? 'BYTE_ARRAY'
+  /** @type {Statistics} */
+  const stats = { null_count: BigInt(nullCount) }
+  if (type === 'BYTE_ARRAY') {
+    // decimals are signed and compare differently than their bytes
+    if (element.converted_type === 'DECIMAL' || !values.length) return stats
+    const encoded = unconvert(values, element)
+    let min = encoded[0]
+    let max = encoded[0]
+    for (const value of encoded) {
+      if (!(value instanceof Uint8Array)) return stats
+      if (compareBytes(value, min) < 0) min = value
+      if (compareBytes(value, max) > 0) max = value
+    }
+    stats.min_value = min
+    stats.max_value = max
+    return stats
+  }
+  const float = type === 'FLOAT' || type === 'DOUBLE'
+  let nanCount = 0
+  let min = undefined
+  let max = undefined
+  for (const value of values) {
+    const comparable = typeof value !== 'object' || value instanceof Date
+    if (!comparable) return stats
+    if (Number.isNaN(value)) {
+      if (!float) return stats
+      nanCount++
+      continue
+    }
+    if (min === undefined || value < min) min = value
+    if (max === undefined || value > max) max = value
+  }
+  stats.min_value = min
+  stats.max_value = max
+  if (float) stats.nan_count = BigInt(nanCount)
+  return stats
+}
+
+/**
+ * Compare byte arrays in unsigned lexicographic order.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {number}
+ */
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return a.length - b.length
+}
+
+/**
+ * Encode a statistics value as bytes, the inverse of convertMetadata.
+ *
+ * @param {MinMaxType | undefined} value
+ * @param {SchemaElement} element
+ * @returns {Uint8Array | undefined}
+ */
+function statisticsValue(value, element) {
+  if (value === undefined) return
+  const { type } = element
+  // byte array statistics are already encoded
+  if (value instanceof Uint8Array) return value
+  const [primitive] = unconvert([value], element)
+  if (type === 'BOOLEAN') return new Uint8Array([primitive ? 1 : 0])
+  if (type === 'BYTE_ARRAY' || type === 'FIXED_LEN_BYTE_ARRAY') return primitive
+  if (!type) return
+  const writer = byteWriter(16)
+  writePlain(writer, [primitive], type, element.type_length)
+  return new Uint8Array(writer.getBuffer())
+}
+
+/**
+ * Convert file metadata to thrift objects for serialization.
+ * This is the inverse of parquetMetadata.
+ *
+ * @param {FileMetaData} metadata
+ * @returns {ThriftObject}
+ */
+function metadataToThrift(metadata) {
+  // schema element per column index
+  const columnSchema = metadata.schema.filter(e => e.type)
+  return {
+    field_1: metadata.version,
+    field_2: metadata.schema.map(element => ({
+      field_1: element.type && ParquetType.indexOf(element.type),
+      field_2: element.type_length,
+      field_3: element.repetition_type && FieldRepetitionType.indexOf(element.repetition_type),
+      field_4: element.name,
+      field_5: element.num_children,
+      field_6: element.converted_type && ConvertedType.indexOf(element.converted_type),
+      field_7: element.scale,
+      field_8: element.precision,
+      field_9: element.field_id,
+      field_10: logicalTypeToThrift(element.logical_type),
+    })),
+    field_3: metadata.num_rows,
+    field_4: metadata.row_groups.map(rowGroup => ({
+      field_1: rowGroup.columns.map((column, columnIndex) => ({
+        field_1: column.file_path,
+        field_2: column.file_offset,
+        field_3: column.meta_data && {
+          field_1: ParquetType.indexOf(column.meta_data.type),
+          field_2: column.meta_data.encodings.map(e => Encoding.indexOf(e)),
+          field_3: column.meta_data.path_in_schema,
+          field_4: CompressionCodec.indexOf(column.meta_data.codec),
+          field_5: column.meta_data.num_values,
+          field_6: column.meta_data.total_uncompressed_size,
+          field_7: column.meta_data.total_compressed_size,
+          field_9: column.meta_data.data_page_offset,
+          field_10: column.meta_data.index_page_offset,
+          field_11: column.meta_data.dictionary_page_offset,
+          field_12: column.meta_data.statistics && {
+            field_3: column.meta_data.statistics.null_count,
+            field_4: column.meta_data.statistics.distinct_count,
+            field_5: statisticsValue(column.meta_data.statistics.max_value, columnSchema[columnIndex]),
+            field_6: statisticsValue(column.meta_data.statistics.min_value, columnSchema[columnIndex]),
+            field_9: column.meta_data.statistics.nan_count,
+          },
+          field_14: column.meta_data.bloom_filter_offset,
+          field_15: column.meta_data.bloom_filter_length,
+        },
+        field_4: column.offset_index_offset,
+        field_5: column.offset_index_length,
+        field_6: column.column_index_offset,
+        field_7: column.column_index_length,
+      })),
+      field_2: rowGroup.total_byte_size,
+      field_3: rowGroup.num_rows,
+      field_4: rowGroup.sorting_columns?.map(sortingColumn => ({
+        field_1: sortingColumn.column_idx,
+        field_2: sortingColumn.descending,
+        field_3: sortingColumn.nulls_first,
+      })),
+      field_5: rowGroup.file_offset,
+      field_6: rowGroup.total_compressed_size,
+      field_7: rowGroup.ordinal,
+    })),
+    field_5: metadata.key_value_metadata?.map(({ key, value }) => ({
+      field_1: key,
+      field_2: value,
+    })),
+    field_6: metadata.created_by,
+  }
+}
+
+/**
+ * @param {LogicalType | undefined} logicalType
+ * @returns {ThriftObject | undefined}
+ */
+function logicalTypeToThrift(logicalType) {
+  if (!logicalType) return
+  const { type } = logicalType
+  if (type === 'STRING') return { field_1: {} }
+  if (type === 'MAP') return { field_2: {} }
+  if (type === 'LIST') return { field_3: {} }
+  if (type === 'ENUM') return { field_4: {} }
+  if (type === 'DECIMAL') return { field_5: { field_1: logicalType.scale, field_2: logicalType.precision } }
+  if (type === 'DATE') return { field_6: {} }
+  if (type === 'TIME') return { field_7: { field_1: logicalType.isAdjustedToUTC, field_2: timeUnitToThrift(logicalType.unit) } }
+  if (type === 'TIMESTAMP') return { field_8: { field_1: logicalType.isAdjustedToUTC, field_2: timeUnitToThrift(logicalType.unit) } }
+  if (type === 'INTEGER') return { field_10: { field_1: new Int8Array([logicalType.bitWidth]), field_2: logicalType.isSigned } }
+  if (type === 'NULL') return { field_11: {} }
+  if (type === 'JSON') return { field_12: {} }
+  if (type === 'BSON') return { field_13: {} }
+  if (type === 'UUID') return { field_14: {} }
+  if (type === 'FLOAT16') return { field_15: {} }
+  if (type === 'GEOMETRY') return { field_17: { field_1: logicalType.crs } }
+  if (type === 'GEOGRAPHY') {
+    const algorithm = logicalType.algorithm && EdgeInterpolationAlgorithm.indexOf(logicalType.algorithm)
+    return { field_18: { field_1: logicalType.crs, field_2: algorithm } }
+  }
+}
+
+/**
+ * @param {TimeUnit} unit
+ * @returns {ThriftObject}
+ */
+function timeUnitToThrift(unit) {
+  if (unit === 'MILLIS') return { field_1: {} }
+  if (unit === 'MICROS') return { field_2: {} }
+  return { field_3: {} }
+}
+
@@ -0,0 +1,106 @@
+const PRIME64_1 = 0x9e3779b185ebca87n
+const PRIME64_2 = 0xc2b2ae3d27d4eb4fn
+const PRIME64_3 = 0x165667b19e3779f9n
+const PRIME64_4 = 0x85ebca77c2b2ae63n
+const PRIME64_5 = 0x27d4eb2f165667c5n
+
+/**
+ * Compute the 64-bit xxHash (XXH64) of a byte array.
+ * Used by parquet bloom filters, with seed 0.
+ *
+ * @param {Uint8Array} input bytes to hash
+ * @param {bigint} [seed]
+ * @returns {bigint} unsigned 64-bit hash
+ */
+export function xxhash64(input, seed = 0n) {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength)
+  const { length } = input
+  let pos = 0
+  let hash
+
+  if (length >= 32) {
+    let v1 = u64(seed + PRIME64_1 + PRIME64_2)
+    let v2 = u64(seed + PRIME64_2)
+    let v3 = u64(seed)
+    let v4 = u64(seed - PRIME64_1)
+    // process 32-byte stripes
+    while (pos + 32 <= length) {
+      v1 = round(v1, view.getBigUint64(pos, true))
+      v2 = round(v2, view.getBigUint64(pos + 8, true))
+      v3 = round(v3, view.getBigUint64(pos + 16, true))
+      v4 = round(v4, view.getBigUint64(pos + 24, true))
+      pos += 32
+    }
+    hash = u64(rotl(v1, 1n) + rotl(v2, 7n) + rotl(v3, 12n) + rotl(v4, 18n))
+    hash = mergeRound(hash, v1)
+    hash = mergeRound(hash, v2)
+    hash = mergeRound(hash, v3)
+    hash = mergeRound(hash, v4)
+  } else {
+    hash = u64(seed + PRIME64_5)
+  }
+  hash = u64(hash + BigInt(length))
+
+  // process remaining bytes
+  while (pos + 8 <= length) {
+    hash ^= round(0n, view.getBigUint64(pos, true))
+    hash = u64(rotl(hash, 27n) * PRIME64_1 + PRIME64_4)
+    pos += 8
+  }
+  if (pos + 4 <= length) {
+    hash ^= u64(BigInt(view.getUint32(pos, true)) * PRIME64_1)
+    hash = u64(rotl(hash, 23n) * PRIME64_2 + PRIME64_3)
+    pos += 4
+  }
+  while (pos < length) {
+    hash ^= u64(BigInt(input[pos]) * PRIME64_5)
+    hash = u64(rotl(hash, 11n) * PRIME64_1)
+    pos++
+  }
+
+  // avalanche
+  hash ^= hash >> 33n
+  hash = u64(hash * PRIME64_2)
+  hash ^= hash >> 29n
+  hash = u64(hash * PRIME64_3)
+  hash ^= hash >> 32n
+  return hash
+}
+
+/**
+ * @param {bigint} acc
+ * @param {bigint} lane
+ * @returns {bigint}
+ */
+function round(acc, lane) {
+  return u64(rotl(u64(acc + lane * PRIME64_2), 31n) * PRIME64_1)
+}
+
+/**
+ * @param {bigint} acc
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function mergeRound(acc, value) {
+  acc ^= round(0n, value)
+  return u64(acc * PRIME64_1 + PRIME64_4)
+}
+
+/**
+ * Rotate a 64-bit value left.
+ *
+ * @param {bigint} value
+ * @param {bigint} bits
+ * @returns {bigint}
+ */
+function rotl(value, bits) {
+  return u64(value << bits | value >> 64n - bits)
+}
+
+/**
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function u64(value) {
+  return BigInt.asUintN(64, value)
+}
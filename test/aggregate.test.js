@@ -0,0 +1,205 @@
+import { describe, expect, it, vi } from 'vitest'
+import { parquetAggregate, parquetCount } from '../src/aggregate.js'
+import { parquetMetadataAsync, parquetWrite } from '../src/index.js'
+import { asyncBufferFromFile } from '../src/node.js'
+import { parquetQuery } from '../src/query.js'
+import { asyncGroupToRows, readRowGroup } from '../src/rowgroup.js'
+import { countingBuffer } from './helpers.js'
+
+/**
+ * @import {AsyncBuffer} from '../src/types.d.ts'
+ */
+
+vi.mock('../src/rowgroup.js', { spy: true })
+
+/**
+ * @returns {AsyncBuffer}
+ */
+function salesFile() {
+  const arrayBuffer = parquetWrite({
+    columnData: [
+      { name: 'region', data: ['east', 'west', 'east', null, 'west', 'east'] },
+      { name: 'amount', data: [10, 20, null, 5, 40, 30] },
+      { name: 'units', data: [1n, 2n, 3n, 4n, 5n, 6n] },
+    ],
+    rowGroupSize: 3,
+  })
+  return {
+    byteLength: arrayBuffer.byteLength,
+    slice: (start, end) => arrayBuffer.slice(start, end),
+  }
+}
+
+describe('parquetAggregate', () => {
+  it('aggregates by group', async () => {
+    const file = salesFile()
+    const rows = await parquetAggregate({
+      file,
+      groupBy: ['region'],
+      aggregates: {
+        n: { $count: '*' },
+        amounts: { $count: 'amount' },
+        total: { $sum: 'amount' },
+        average: { $avg: 'amount' },
+        smallest: { $min: 'amount' },
+        units: { $sum: 'units' },
+      },
+    })
+    expect(rows).toEqual([
+      { region: 'east', n: 3, amounts: 2, total: 40, average: 20, smallest: 10, units: 10n },
+      { region: 'west', n: 2, amounts: 2, total: 60, average: 30, smallest: 20, units: 7n },
+      { region: null, n: 1, amounts: 1, total: 5, average: 5, smallest: 5, units: 4n },
+    ])
+  })
+
+  it('aggregates filtered rows', async () => {
+    const file = salesFile()
+    const rows = await parquetAggregate({
+      file,
+      filter: { amount: { $gte: 20 } },
+      aggregates: { n: { $count: '*' }, top: { $max: 'region' }, total: { $sum: 'amount' } },
+    })
+    expect(rows).toEqual([{ n: 3, top: 'west', total: 90 }])
+
+    const empty = await parquetAggregate({
+      file,
+      filter: { amount: { $gt: 100 } },
+      aggregates: { n: { $count: '*' }, total: { $sum: 'amount' } },
+    })
+    expect(empty).toEqual([{ n: 0, total: null }])
+  })
+
+  it('answers count, min and max from metadata', async () => {
+    const asyncBuffer = salesFile()
+    const metadata = await parquetMetadataAsync(asyncBuffer)
+    const file = countingBuffer(asyncBuffer)
+    const rows = await parquetAggregate({
+      file,
+      metadata,
+      aggregates: { n: { $count: '*' }, low: { $min: 'amount' }, high: { $max: 'units' }, first: { $min: 'region' } },
+    })
+    expect(rows).toEqual([{ n: 6, low: 5, high: 6n, first: 'east' }])
+    expect(file.fetches).toBe(0)
+  })
+
+  it('aggregates decimals exactly', async () => {
+    // values 1.00 to 24.00
+    const file = await asyncBufferFromFile('test/files/fixed_length_decimal.parquet')
+    const aggregates = { total: { $sum: 'value' }, average: { $avg: 'value' }, high: { $max: 'value' } }
+    expect(await parquetAggregate({ file, aggregates }))
+      .toEqual([{ total: 300, average: 12.5, high: 24 }])
+    expect(await parquetAggregate({ file, aggregates, decimalFormat: 'string' }))
+      .toEqual([{ total: '300.00', average: 12.5, high: '24.00' }])
+    expect(await parquetAggregate({ file, aggregates, decimalFormat: 'bigint-scaled' }))
+      .toEqual([{ total: 30000n, average: 12.5, high: 2400n }])
+  })
+
+  it('reads each row group once without building rows', async () => {
+    const file = salesFile()
+    vi.mocked(readRowGroup).mockClear()
+    vi.mocked(asyncGroupToRows).mockClear()
+    const rows = await parquetAggregate({
+      file,
+      groupBy: ['region'],
+      filter: { units: { $gt: 1n } },
+      aggregates: { total: { $sum: 'amount' } },
+    })
+    expect(rows).toEqual([{ region: 'west', total: 60 }, { region: 'east', total: 30 }, { region: null, total: 5 }])
+    expect(readRowGroup).toHaveBeenCalledTimes(2)
+    expect(asyncGroupToRows).not.toHaveBeenCalled()
+  })
+
+  it('filters on aggregated decimals in the requested format', async () => {
+    const file = await asyncBufferFromFile('test/files/fixed_length_decimal.parquet')
+    const aggregates = { n: { $count: '*' }, total: { $sum: 'value' } }
+    expect(await parquetAggregate({ file, filter: { value: { $gt: 20 } }, aggregates }))
+      .toEqual([{ n: 4, total: 90 }])
+    expect(await parquetAggregate({ file, filter: { value: { $in: ['21.00', '24.00'] } }, aggregates, decimalFormat: 'string' }))
+      .toEqual([{ n: 2, total: '45.00' }])
+  })
+
+  it('ignores NaN values', async () => {
+    const arrayBuffer = parquetWrite({
+      columnData: [
+        { name: 'key', data: ['a', 'a', 'a', 'b', 'b', 'b'] },
+        { name: 'x', data: [NaN, 3, 1, 1, NaN, 3], type: 'DOUBLE' },
+      ],
+    })
+    /** @type {AsyncBuffer} */
+    const file = { byteLength: arrayBuffer.byteLength, slice: (start, end) => arrayBuffer.slice(start, end) }
+    const rows = await parquetAggregate({
+      file,
+      groupBy: ['key'],
+      aggregates: { n: { $count: 'x' }, low: { $min: 'x' }, high: { $max: 'x' }, total: { $sum: 'x' }, average: { $avg: 'x' } },
+    })
+    expect(rows).toEqual([
+      { key: 'a', n: 2, low: 1, high: 3, total: 4, average: 2 },
+      { key: 'b', n: 2, low: 1, high: 3, total: 4, average: 2 },
+    ])
+  })
+
+  it('throws for invalid aggregates', async () => {
+    const file = salesFile()
+    // @ts-expect-error testing invalid input
+    await expect(parquetAggregate({ file, aggregates: { x: { $median: 'amount' } } }))
+      .rejects.toThrow('parquet unsupported aggregate operator: $median')
+    await expect(parquetAggregate({ file, aggregates: { x: { $sum: '*' } } }))
+      .rejects.toThrow('parquet aggregate x cannot use * with $sum')
+    await expect(parquetAggregate({ file, groupBy: ['country'], aggregates: { x: { $sum: 'price' } } }))
+      .rejects.toThrow('parquet columns not found: country, price')
+    await expect(parquetAggregate({ file, aggregates: { x: { $sum: 'region' } } }))
+      .rejects.toThrow('parquet aggregate x cannot use $sum on non-numeric column region')
+    await expect(parquetAggregate({ file, aggregates: { x: { $avg: 'region' } } }))
+      .rejects.toThrow('parquet aggregate x cannot use $avg on non-numeric column region')
+  })
+})
+
+describe('parquetCount', () => {
+  it('counts rows from metadata', async () => {
+    const asyncBuffer = salesFile()
+    const metadata = await parquetMetadataAsync(asyncBuffer)
+    const file = countingBuffer(asyncBuffer)
+    expect(await parquetCount({ file, metadata })).toEqual({ count: 6, exact: true })
+    // first row group has amounts 10, 20 and null
+    expect(await parquetCount({ file, metadata, filter: { units: { $gt: 3n } } })).toEqual({ count: 3, exact: true })
+    expect(await parquetCount({ file, metadata, filter: { amount: { $gt: 100 } } })).toEqual({ count: 0, exact: true })
+    expect(file.fetches).toBe(0)
+
+    expect(await parquetCount({ file, metadata, filter: { amount: { $gte: 20 } }, decode: false }))
+      .toEqual({ count: 6, exact: false })
+    expect(file.fetches).toBe(0)
+  })
+
+  it('does not count NaN rows from float statistics', async () => {
+    const arrayBuffer = parquetWrite({ columnData: [{ name: 'x', data: [1, NaN, 2], type: 'DOUBLE' }] })
+    /** @type {AsyncBuffer} */
+    const file = { byteLength: arrayBuffer.byteLength, slice: (start, end) => arrayBuffer.slice(start, end) }
+    const metadata = await parquetMetadataAsync(file)
+    expect(await parquetCount({ file, metadata, filter: { x: { $lt: 5 } } })).toEqual({ count: 2, exact: true })
+    expect(await parquetCount({ file, metadata, filter: { x: { $ne: 3 } } })).toEqual({ count: 3, exact: true })
+
+    // statistics without nan count do not prove there are no NaN values
+    const statistics = metadata.row_groups[0].columns[0].meta_data?.statistics
+    expect(statistics?.nan_count).toBe(1n)
+    delete statistics?.nan_count
+    expect(await parquetCount({ file, metadata, filter: { x: { $lte: 2 } }, decode: false }))
+      .toEqual({ count: 3, exact: false })
+  })
+
+  it('decodes only undecided row groups and pages', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const metadata = await parquetMetadataAsync(file)
+    for (const filter of [{ row: { $gte: 125n, $lt: 140n } }, { quality: 'good' }, { row: { $ne: 3n } }]) {
+      const rows = await parquetQuery({ file, metadata, filter })
+      expect(await parquetCount({ file, metadata, filter })).toEqual({ count: rows.length, exact: true })
+    }
+
+    file.bytes = 0
+    const filter = { row: { $gte: 125n, $lt: 140n } }
+    expect(await parquetCount({ file, metadata, filter, decode: false })).toEqual({ count: 20, exact: false })
+    const pageIndexBytes = file.bytes
+    expect(await parquetCount({ file, metadata, filter })).toEqual({ count: 15, exact: true })
+    // page index and one page of the row column
+    expect(file.bytes - 2 * pageIndexBytes).toBeLessThan(1000)
+  })
+})
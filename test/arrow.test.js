@@ -0,0 +1,394 @@
+import { tableFromIPC } from 'apache-arrow'
+import { describe, expect, it } from 'vitest'
+import { parquetReadArrow, parquetReadObjects, parquetWrite } from '../src/index.js'
+import { asyncBufferFromFile } from '../src/node.js'
+
+describe('parquetReadArrow', () => {
+  it('writes schema, record batch, and end of stream messages', async () => {
+    const file = await asyncBufferFromFile('test/files/datapage_v2.snappy.parquet')
+    const messages = readMessages(await parquetReadArrow({ file }))
+    expect(messages.map(({ headerType }) => headerType)).toEqual([1, 3])
+
+    const fields = schemaFields(messages[0])
+    expect(fields).toEqual([
+      { name: 'a', nullable: true, typeId: 5, children: [] }, // utf8
+      { name: 'b', nullable: false, typeId: 2, children: [] }, // int
+      { name: 'c', nullable: false, typeId: 3, children: [] }, // double
+      { name: 'd', nullable: false, typeId: 6, children: [] }, // bool
+      { name: 'e', nullable: true, typeId: 12, children: [ // list
+        { name: 'element', nullable: false, typeId: 2, children: [] },
+      ] },
+    ])
+
+    const batch = recordBatch(messages[1])
+    expect(batch.length).toBe(5)
+    expect(batch.nodes).toEqual([
+      [5, 1], // a
+      [5, 0], // b
+      [5, 0], // c
+      [5, 0], // d
+      [5, 2], // e
+      [8, 0], // e.element
+    ])
+    // a: validity, offsets, data
+    expect(Array.from(batch.buffer(0))).toEqual([0b10111])
+    expect(Array.from(new Int32Array(batch.buffer(1).slice().buffer))).toEqual([0, 3, 6, 9, 9, 12])
+    expect(new TextDecoder().decode(batch.buffer(2))).toBe('abcabcabcabc')
+    // b: no validity, values
+    expect(batch.buffer(3).length).toBe(0)
+    expect(Array.from(new Int32Array(batch.buffer(4).slice().buffer))).toEqual([1, 2, 3, 4, 5])
+    // d: bit packed booleans
+    expect(Array.from(batch.buffer(8))).toEqual([0b10111])
+    // e: validity, offsets, then element values
+    expect(Array.from(batch.buffer(9))).toEqual([0b11001])
+    expect(Array.from(new Int32Array(batch.buffer(10).slice().buffer))).toEqual([0, 3, 3, 3, 6, 8])
+    expect(Array.from(new Int32Array(batch.buffer(12).slice().buffer))).toEqual([1, 2, 3, 1, 2, 3, 1, 2])
+  })
+
+  it('writes one record batch per row group', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const messages = readMessages(await parquetReadArrow({ file, rowStart: 2, rowEnd: 12 }))
+    const batches = messages.slice(1).map(recordBatch)
+    expect(batches.map(({ length }) => length)).toEqual([8, 2])
+    expect(Array.from(new BigInt64Array(batches[1].buffer(1).slice().buffer))).toEqual([11n, 12n])
+  })
+
+  it('selects columns', async () => {
+    const file = await asyncBufferFromFile('test/files/datapage_v2.snappy.parquet')
+    const messages = readMessages(await parquetReadArrow({ file, columns: ['c', 'a'] }))
+    expect(schemaFields(messages[0]).map(({ name }) => name)).toEqual(['c', 'a'])
+    expect(recordBatch(messages[1]).nodes).toEqual([[5, 0], [5, 1]])
+  })
+
+  it('writes time columns in the stored unit', async () => {
+    const file = parquetWrite({
+      columnData: [
+        { name: 'ms', data: new Int32Array([45296789]) },
+        { name: 'ns', data: new BigInt64Array([3723000000004n]) },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'ms', type: 'INT32', converted_type: 'TIME_MILLIS', repetition_type: 'REQUIRED' },
+        { name: 'ns', type: 'INT64', logical_type: { type: 'TIME', isAdjustedToUTC: true, unit: 'NANOS' }, repetition_type: 'REQUIRED' },
+      ],
+    })
+    const messages = readMessages(await parquetReadArrow({ file }))
+    expect(schemaFields(messages[0]).map(({ typeId }) => typeId)).toEqual([9, 9])
+    const batch = recordBatch(messages[1])
+    expect(Array.from(new Int32Array(batch.buffer(1).slice().buffer))).toEqual([45296789])
+    expect(Array.from(new BigInt64Array(batch.buffer(3).slice().buffer))).toEqual([3723000000004n])
+  })
+
+  it('writes interval and bson columns', async () => {
+    const file = parquetWrite({
+      columnData: [
+        { name: 'interval', data: [new Uint8Array([1, 0, 0, 0, 2, 0, 0, 0, 3, 0, 0, 0])] },
+        { name: 'bson', data: [new Uint8Array([16, 0, 0, 0, 0x12, 97, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0])] },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'interval', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 12, converted_type: 'INTERVAL', repetition_type: 'REQUIRED' },
+        { name: 'bson', type: 'BYTE_ARRAY', converted_type: 'BSON', repetition_type: 'REQUIRED' },
+      ],
+    })
+    const messages = readMessages(await parquetReadArrow({ file, utf8: false }))
+    expect(schemaFields(messages[0]).map(({ typeId }) => typeId)).toEqual([11, 5])
+    const batch = recordBatch(messages[1])
+    const interval = new DataView(batch.buffer(1).slice().buffer)
+    expect([interval.getInt32(0, true), interval.getInt32(4, true), interval.getBigInt64(8, true)]).toEqual([1, 2, 3000000n])
+    expect(new TextDecoder().decode(batch.buffer(4))).toBe('{"a":1}')
+  })
+
+  it('encodes nested columns from their levels', async () => {
+    const file = await asyncBufferFromFile('test/files/nullable.impala.parquet')
+    const columns = ['id', 'int_array', 'int_array_Array', 'nested_struct.A', 'nested_struct.b', 'nested_struct.C']
+    const messages = readMessages(await parquetReadArrow({ file, columns }))
+    const rows = decodeRows(messages[0], messages[1])
+    expect(rows).toEqual(nullify(await parquetReadObjects({ file, columns })))
+    expect(rows[1].int_array_Array).toEqual([[null, 1, 2, null], [3, null, 4], [], null])
+  })
+
+  it('encodes repeated fields without list annotation', async () => {
+    const file = await asyncBufferFromFile('test/files/repeated_no_annotation.parquet')
+    const messages = readMessages(await parquetReadArrow({ file }))
+    const rows = decodeRows(messages[0], messages[1])
+    expect(rows).toEqual(nullify(await parquetReadObjects({ file })))
+    expect(rows[2]).toEqual({ id: 3, phoneNumbers: { phone: [] } })
+  })
+
+  it('selects rows of nested columns', async () => {
+    const file = await asyncBufferFromFile('test/files/nullable.impala.parquet')
+    const columns = ['int_array_Array', 'nested_struct.b']
+    const messages = readMessages(await parquetReadArrow({ file, columns, rowStart: 1, rowEnd: 3 }))
+    expect(decodeRows(messages[0], messages[1])).toEqual([
+      { int_array_Array: [[null, 1, 2, null], [3, null, 4], [], null], nested_struct: { b: [null] } },
+      { int_array_Array: [null], nested_struct: { b: null } },
+    ])
+  })
+
+  it('writes decimals as decimal128', async () => {
+    const file = await asyncBufferFromFile('test/files/fixed_length_decimal.parquet')
+    const messages = readMessages(await parquetReadArrow({ file, rowEnd: 3 }))
+    const [{ view, root }] = messages
+    const [position] = tables(view, field(view, deref(view, field(view, root, 2)), 1))
+    expect(view.getUint8(field(view, position, 2))).toBe(7) // decimal
+    const type = deref(view, field(view, position, 3))
+    expect([0, 1, 2].map(id => view.getInt32(field(view, type, id), true))).toEqual([25, 2, 128])
+    const data = new BigInt64Array(recordBatch(messages[1]).buffer(1).slice().buffer)
+    expect(Array.from(data)).toEqual([100n, 0n, 200n, 0n, 300n, 0n])
+  })
+
+  it('writes negative and wide decimals in two\'s complement', async () => {
+    // big endian unscaled -100 and 1
+    const minus100 = new Uint8Array(32).fill(0xff)
+    minus100[31] = 0x9c
+    const one = new Uint8Array(32)
+    one[31] = 1
+    const file = parquetWrite({
+      columnData: [
+        { name: 'small', data: new BigInt64Array([-150n, 225n]) },
+        { name: 'wide', data: [minus100, one] },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'small', type: 'INT64', converted_type: 'DECIMAL', precision: 10, scale: 2, repetition_type: 'REQUIRED' },
+        { name: 'wide', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 32, converted_type: 'DECIMAL', precision: 40, scale: 2, repetition_type: 'REQUIRED' },
+      ],
+    })
+    const messages = readMessages(await parquetReadArrow({ file }))
+    const batch = recordBatch(messages[1])
+    expect(Array.from(new BigInt64Array(batch.buffer(1).slice().buffer))).toEqual([-150n, -1n, 225n, 0n])
+    expect(Array.from(new BigInt64Array(batch.buffer(3).slice().buffer))).toEqual([-100n, -1n, -1n, -1n, 1n, 0n, 0n, 0n])
+  })
+
+  it('writes timestamps in the stored unit', async () => {
+    const file = parquetWrite({
+      columnData: [
+        { name: 'us', data: new BigInt64Array([1700000000123456n]) },
+        { name: 'ns', data: new BigInt64Array([1700000000123456789n]) },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'us', type: 'INT64', converted_type: 'TIMESTAMP_MICROS', repetition_type: 'REQUIRED' },
+        { name: 'ns', type: 'INT64', logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: false, unit: 'NANOS' }, repetition_type: 'REQUIRED' },
+      ],
+    })
+    const messages = readMessages(await parquetReadArrow({ file }))
+    const [{ view, root }] = messages
+    const units = tables(view, field(view, deref(view, field(view, root, 2)), 1))
+      .map(position => view.getInt16(field(view, deref(view, field(view, position, 3)), 0), true))
+    expect(units).toEqual([2, 3]) // micros, nanos
+    const batch = recordBatch(messages[1])
+    expect(Array.from(new BigInt64Array(batch.buffer(1).slice().buffer))).toEqual([1700000000123456n])
+    expect(Array.from(new BigInt64Array(batch.buffer(3).slice().buffer))).toEqual([1700000000123456789n])
+  })
+
+  it('round trips nested columns and maps through apache-arrow', async () => {
+    const file = await asyncBufferFromFile('test/files/nullable.impala.parquet')
+    const table = tableFromIPC(await parquetReadArrow({ file }))
+    expect(table.schema.fields.map(({ name, typeId }) => [name, typeId]))
+      .toEqual([['id', 2], ['int_array', 12], ['int_array_Array', 12], ['int_map', 17], ['int_Map_Array', 12], ['nested_struct', 13]])
+    expect(plain(table.toArray())).toEqual(plain(nullify(await parquetReadObjects({ file }))))
+  })
+})
+
+/**
+ * Split an arrow IPC stream into messages.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ view: DataView, root: number, headerType: number, body: Uint8Array }[]}
+ */
+function readMessages(bytes) {
+  const messages = []
+  let offset = 0
+  for (;;) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset)
+    expect(view.getUint32(0, true)).toBe(0xffffffff)
+    const metadataLength = view.getInt32(4, true)
+    if (!metadataLength) break
+    expect(metadataLength % 8).toBe(0)
+    const metadata = new DataView(bytes.buffer, bytes.byteOffset + offset + 8, metadataLength)
+    const root = metadata.getUint32(0, true)
+    const bodyLength = Number(metadata.getBigInt64(field(metadata, root, 3), true))
+    const bodyStart = offset + 8 + metadataLength
+    messages.push({
+      view: metadata,
+      root,
+      headerType: metadata.getUint8(field(metadata, root, 1)),
+      body: bytes.subarray(bodyStart, bodyStart + bodyLength),
+    })
+    offset = bodyStart + bodyLength
+  }
+  expect(offset + 8).toBe(bytes.length)
+  return messages
+}
+
+/**
+ * @param {{ view: DataView, root: number }} message
+ * @returns {any[]}
+ */
+function schemaFields({ view, root }) {
+  const schema = deref(view, field(view, root, 2))
+  return tables(view, field(view, schema, 1)).map(position => fieldInfo(view, position))
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} position
+ * @returns {any}
+ */
+function fieldInfo(view, position) {
+  const name = deref(view, field(view, position, 0))
+  return {
+    name: new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + name + 4, view.getUint32(name, true))),
+    nullable: Boolean(view.getUint8(field(view, position, 1))),
+    typeId: view.getUint8(field(view, position, 2)),
+    children: tables(view, field(view, position, 5)).map(child => fieldInfo(view, child)),
+  }
+}
+
+/**
+ * Convert arrow rows, maps and bigints to plain json values.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value, (_, v) => typeof v === 'bigint' ? Number(v) : v))
+}
+
+/**
+ * Replace undefined with null, which is how arrow represents missing values.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function nullify(value) {
+  if (value === undefined) return null
+  if (Array.isArray(value)) return value.map(nullify)
+  if (value?.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, nullify(v)]))
+  }
+  return value
+}
+
+/**
+ * Decode a record batch into rows, for the arrow types used in these tests.
+ *
+ * @param {{ view: DataView, root: number }} schema
+ * @param {{ view: DataView, root: number, body: Uint8Array }} message
+ * @returns {Record<string, any>[]}
+ */
+function decodeRows({ view, root }, message) {
+  const batch = recordBatch(message)
+  const cursor = { node: 0, buffer: 0 }
+  const columns = tables(view, field(view, deref(view, field(view, root, 2)), 1))
+    .map(position => decodeColumn(view, position, batch, cursor))
+  return Array.from({ length: batch.length }, (_, row) => Object.fromEntries(columns.map(([name, values]) => [name, values[row]])))
+}
+
+/**
+ * @param {DataView} view schema message
+ * @param {number} position field table
+ * @param {ReturnType<typeof recordBatch>} batch
+ * @param {{ node: number, buffer: number }} cursor next field node and buffer
+ * @returns {[string, any[]]} field name and values
+ */
+function decodeColumn(view, position, batch, cursor) {
+  const { name, typeId } = fieldInfo(view, position)
+  const [length, nullCount] = batch.nodes[cursor.node++]
+  const validity = batch.buffer(cursor.buffer++)
+  const children = tables(view, field(view, position, 5))
+  /** @type {any[]} */
+  let values
+  if (typeId === 12) { // list
+    const offsets = new Int32Array(batch.buffer(cursor.buffer++).slice().buffer)
+    const [, items] = decodeColumn(view, children[0], batch, cursor)
+    values = Array.from({ length }, (_, i) => items.slice(offsets[i], offsets[i + 1]))
+  } else if (typeId === 13) { // struct
+    const columns = children.map(child => decodeColumn(view, child, batch, cursor))
+    values = Array.from({ length }, (_, i) => Object.fromEntries(columns.map(([name, column]) => [name, column[i]])))
+  } else if (typeId === 5) { // utf8
+    const offsets = new Int32Array(batch.buffer(cursor.buffer++).slice().buffer)
+    const data = batch.buffer(cursor.buffer++)
+    values = Array.from({ length }, (_, i) => new TextDecoder().decode(data.subarray(offsets[i], offsets[i + 1])))
+  } else if (typeId === 2) { // int
+    const bitWidth = view.getInt32(field(view, deref(view, field(view, position, 3)), 0), true)
+    const data = batch.buffer(cursor.buffer++).slice().buffer
+    values = bitWidth === 64 ? Array.from(new BigInt64Array(data)) : Array.from(new Int32Array(data))
+  } else {
+    throw new Error(`unexpected type ${typeId}`)
+  }
+  // validity bitmap is empty if there are no nulls
+  return [name, values.map((value, i) => !nullCount || validity[i >> 3] >> (i & 7) & 1 ? value : null)]
+}
+
+/**
+ * @param {{ view: DataView, root: number, body: Uint8Array }} message
+ * @returns {{ length: number, nodes: number[][], buffer: (index: number) => Uint8Array }}
+ */
+function recordBatch({ view, root, body }) {
+  const batch = deref(view, field(view, root, 2))
+  const length = Number(view.getBigInt64(field(view, batch, 0), true))
+  const nodes = structs(view, field(view, batch, 1))
+  const buffers = structs(view, field(view, batch, 2))
+  return {
+    length,
+    nodes,
+    buffer(index) {
+      const [offset, size] = buffers[index]
+      expect(offset % 8).toBe(0)
+      return body.subarray(offset, offset + size)
+    },
+  }
+}
+
+/**
+ * Position of a table field, or 0 if absent.
+ *
+ * @param {DataView} view
+ * @param {number} table
+ * @param {number} id
+ * @returns {number}
+ */
+function field(view, table, id) {
+  const vtable = table - view.getInt32(table, true)
+  if (4 + 2 * id >= view.getUint16(vtable, true)) return 0
+  const offset = view.getUint16(vtable + 4 + 2 * id, true)
+  return offset && table + offset
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} position
+ * @returns {number}
+ */
+function deref(view, position) {
+  return position + view.getUint32(position, true)
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} position
+ * @returns {number[]}
+ */
+function tables(view, position) {
+  if (!position) return []
+  const vector = deref(view, position)
+  const length = view.getUint32(vector, true)
+  return Array.from({ length }, (_, i) => deref(view, vector + 4 + 4 * i))
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} position
+ * @returns {number[][]}
+ */
+function structs(view, position) {
+  const vector = deref(view, position)
+  const length = view.getUint32(vector, true)
+  return Array.from({ length }, (_, i) => [
+    Number(view.getBigInt64(vector + 4 + 16 * i, true)),
+    Number(view.getBigInt64(vector + 12 + 16 * i, true)),
+  ])
+}
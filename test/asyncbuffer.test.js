@@ -1,4 +1,6 @@
 import { describe, expect, it, vi } from 'vitest'
+import { readFile } from 'fs/promises'
+import { asyncBufferFromFile } from '../src/node.js'
 import { cachedAsyncBuffer } from '../src/utils.js'
 
 describe('cachedAsyncBuffer', () => {
@@ -82,3 +84,14 @@ describe('cachedAsyncBuffer', () => {
     expect(slice5).not.toBe(slice3)
   })
 })
+
+describe('asyncBufferFromFile', () => {
+  it('slices a file with an exclusive end', async () => {
+    const filename = 'test/files/page_indexed.parquet'
+    const bytes = new Uint8Array(await readFile(filename))
+    const file = await asyncBufferFromFile(filename)
+    expect(file.byteLength).toBe(bytes.length)
+    expect(new Uint8Array(await file.slice(4, 12))).toEqual(bytes.slice(4, 12))
+    expect(new Uint8Array(await file.slice(4000))).toEqual(bytes.slice(4000))
+  })
+})
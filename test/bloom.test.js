@@ -0,0 +1,227 @@
+import { describe, expect, it } from 'vitest'
+import { blockCheck } from '../src/bloom.js'
+import { byteWriter } from '../src/bytewriter.js'
+import { parquetBloomFilter, parquetMetadata, parquetMetadataAsync, parquetQuery, parquetWrite } from '../src/index.js'
+import { asyncBufferFromFile } from '../src/node.js'
+import { serializeTCompactProtocol } from '../src/thrift.js'
+import { xxhash64 } from '../src/xxhash.js'
+import { countingBuffer } from './helpers.js'
+
+const SALT = [0x47b6137b, 0x44974d91, 0x8824ad5b, 0xa2b7289d, 0x705495c7, 0x2df1424b, 0x9efc4947, 0x5c6bfb31]
+
+/**
+ * Build a split block bloom filter with header, following the parquet spec.
+ *
+ * @param {Uint8Array[]} values plain encoded values
+ * @param {number} numBytes
+ * @returns {Uint8Array}
+ */
+function bloomFilterBytes(values, numBytes) {
+  const bitset = new Uint32Array(numBytes / 4)
+  const numBlocks = BigInt(numBytes / 32)
+  for (const value of values) {
+    const hash = xxhash64(value)
+    const blockIndex = Number((hash >> 32n) * numBlocks >> 32n)
+    const key = Number(hash & 0xffffffffn)
+    for (let i = 0; i < 8; i++) {
+      bitset[blockIndex * 8 + i] |= 1 << (Math.imul(key, SALT[i]) >>> 27)
+    }
+  }
+  const writer = byteWriter()
+  serializeTCompactProtocol(writer, {
+    field_1: numBytes,
+    field_2: { field_1: {} }, // BLOCK
+    field_3: { field_1: {} }, // XXHASH
+    field_4: { field_1: {} }, // UNCOMPRESSED
+  })
+  writer.appendBytes(new Uint8Array(bitset.buffer))
+  return new Uint8Array(writer.getBuffer())
+}
+
+/**
+ * @param {bigint} value
+ * @returns {Uint8Array}
+ */
+function int64Bytes(value) {
+  const view = new DataView(new ArrayBuffer(8))
+  view.setBigInt64(0, value, true)
+  return new Uint8Array(view.buffer)
+}
+
+/**
+ * Write a parquet file with bloom filters appended for each row group.
+ *
+ * @param {boolean} withLength
+ * @returns {{ file: AsyncBuffer, metadata: FileMetaData }}
+ */
+function bloomFile(withLength) {
+  const id = Array.from({ length: 100 }, (_, i) => BigInt(i * 7))
+  const name = id.map(i => `name${i}`)
+  const parquet = new Uint8Array(parquetWrite({
+    columnData: [{ name: 'id', data: id }, { name: 'name', data: name }],
+    rowGroupSize: 50,
+  }))
+  const metadata = parquetMetadata(parquet.buffer)
+  /** @type {Uint8Array[]} */
+  const parts = [parquet]
+  let offset = parquet.byteLength
+  metadata.row_groups.forEach((rowGroup, i) => {
+    const groupIds = id.slice(i * 50, i * 50 + 50)
+    const bloom = bloomFilterBytes(groupIds.map(int64Bytes), 256)
+    const [meta_data] = rowGroup.columns.map(column => column.meta_data)
+    if (!meta_data) throw new Error('missing column metadata')
+    meta_data.bloom_filter_offset = BigInt(offset)
+    if (withLength) meta_data.bloom_filter_length = bloom.byteLength
+    parts.push(bloom)
+    offset += bloom.byteLength
+  })
+  const bytes = new Uint8Array(offset)
+  let pos = 0
+  for (const part of parts) {
+    bytes.set(part, pos)
+    pos += part.byteLength
+  }
+  const file = {
+    byteLength: bytes.byteLength,
+    /**
+     * @param {number} start
+     * @param {number} [end]
+     * @returns {ArrayBuffer}
+     */
+    slice(start, end) {
+      return bytes.buffer.slice(start, end)
+    },
+  }
+  return { file, metadata }
+}
+
+/**
+ * @import {AsyncBuffer, FileMetaData} from '../src/types.d.ts'
+ */
+
+describe('blockCheck', () => {
+  it('finds inserted hashes', () => {
+    const values = Array.from({ length: 100 }, (_, i) => new TextEncoder().encode(`value${i}`))
+    const bytes = bloomFilterBytes(values, 1024)
+    const bitset = new Uint32Array(bytes.slice(bytes.byteLength - 1024).buffer)
+    for (const value of values) {
+      expect(blockCheck(bitset, xxhash64(value))).toBe(true)
+    }
+    const missing = Array.from({ length: 100 }, (_, i) => new TextEncoder().encode(`missing${i}`))
+    const falsePositives = missing.filter(value => blockCheck(bitset, xxhash64(value)))
+    expect(falsePositives.length).toBeLessThan(10)
+  })
+})
+
+describe('parquetBloomFilter', () => {
+  it('reads bloom filters with and without length', async () => {
+    for (const withLength of [true, false]) {
+      const { file, metadata } = bloomFile(withLength)
+      const bloomFilter = await parquetBloomFilter(file, metadata, 'id', 1)
+      expect(bloomFilter?.bitset.length).toBe(64)
+      expect(bloomFilter?.mightContain(357n)).toBe(true)
+      expect(bloomFilter?.mightContain(357)).toBe(true)
+      expect(bloomFilter?.mightContain(350n)).toBe(true)
+      expect(bloomFilter?.mightContain(7n)).toBe(false)
+      expect(bloomFilter?.mightContain(358n)).toBe(false)
+      // cannot be decided
+      expect(bloomFilter?.mightContain('357')).toBe(true)
+      expect(bloomFilter?.mightContain(null)).toBe(true)
+    }
+  })
+
+  it('reads bloom filters written by duckdb', async () => {
+    // ids 0 to 693 in steps of 7, and names 'name0' to 'name693'
+    const file = await asyncBufferFromFile('test/files/duckdb_bloom_filter.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const id = await parquetBloomFilter(file, metadata, 'id', 0)
+    const name = await parquetBloomFilter(file, metadata, 'name', 0)
+    for (let i = 0; i < 100; i++) {
+      expect(id?.mightContain(BigInt(i * 7))).toBe(true)
+      expect(name?.mightContain(`name${i * 7}`)).toBe(true)
+    }
+    for (const value of [1n, 2n, 8n, 100n, 694n, 700n]) {
+      expect(id?.mightContain(value)).toBe(false)
+    }
+    for (const value of ['name1', 'name8', 'name700', 'missing']) {
+      expect(name?.mightContain(value)).toBe(false)
+    }
+  })
+
+  it('encodes uuid strings', async () => {
+    const uuid = new Uint8Array([0, 17, 34, 51, 68, 85, 102, 119, 136, 153, 170, 187, 204, 221, 238, 255])
+    const parquet = new Uint8Array(parquetWrite({
+      columnData: [{ name: 'id', data: [uuid] }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'id', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 16, logical_type: { type: 'UUID' }, repetition_type: 'REQUIRED' },
+      ],
+    }))
+    const metadata = parquetMetadata(parquet.buffer)
+    const bloom = bloomFilterBytes([uuid], 256)
+    const { meta_data } = metadata.row_groups[0].columns[0]
+    if (!meta_data) throw new Error('missing column metadata')
+    meta_data.bloom_filter_offset = BigInt(parquet.byteLength)
+    const bytes = new Uint8Array([...parquet, ...bloom])
+    const file = { byteLength: bytes.byteLength, slice: (/** @type {number} */ start, /** @type {number} */ end) => bytes.buffer.slice(start, end) }
+    const bloomFilter = await parquetBloomFilter(file, metadata, 'id', 0)
+    expect(bloomFilter?.mightContain('00112233-4455-6677-8899-aabbccddeeff')).toBe(true)
+    expect(bloomFilter?.mightContain(uuid)).toBe(true)
+    expect(bloomFilter?.mightContain('00112233-4455-6677-8899-aabbccddeefe')).toBe(false)
+    // not canonical, cannot be decided
+    expect(bloomFilter?.mightContain('00112233445566778899aabbccddeefe')).toBe(true)
+  })
+
+  it('reads bloom filters from external files', async () => {
+    const { file, metadata } = bloomFile(true)
+    metadata.row_groups[1].columns[0].file_path = 'part-0.parquet'
+    const bloomFilter = await parquetBloomFilter({ byteLength: 0, slice: () => new ArrayBuffer(0) }, metadata, 'id', 1, () => file)
+    expect(bloomFilter?.mightContain(357n)).toBe(true)
+    await expect(parquetBloomFilter(file, metadata, 'id', 1))
+      .rejects.toThrow('parquet file_path part-0.parquet requires resolveFile')
+  })
+
+  it('returns undefined for columns without bloom filter', async () => {
+    const { file, metadata } = bloomFile(true)
+    expect(await parquetBloomFilter(file, metadata, 'name', 0)).toBeUndefined()
+  })
+
+  it('throws for unknown columns and row groups', async () => {
+    const { file, metadata } = bloomFile(true)
+    await expect(parquetBloomFilter(file, metadata, 'missing', 0))
+      .rejects.toThrow('parquet column not found: missing')
+    await expect(parquetBloomFilter(file, metadata, 'id', 2))
+      .rejects.toThrow('parquet row group 2 not found')
+  })
+})
+
+describe('parquetQuery with bloom filters', () => {
+  it('skips row groups that cannot contain the value', async () => {
+    const { file: bloomBuffer, metadata } = bloomFile(true)
+    // id 14 is in the first row group, statistics cannot skip 15
+    const file = countingBuffer(bloomBuffer)
+    const rows = await parquetQuery({ file, metadata, filter: { id: { $in: [14n, 15n] } } })
+    expect(rows).toEqual([{ id: 14n, name: 'name14' }])
+    expect(file.fetches).toBe(2) // 1 bloom filter, 1 row group
+
+    const file2 = countingBuffer(bloomBuffer)
+    const rows2 = await parquetQuery({ file: file2, metadata, filter: { id: 15n } })
+    expect(rows2).toEqual([])
+    expect(file2.fetches).toBe(1) // 1 bloom filter
+
+    const file3 = countingBuffer(bloomBuffer)
+    const rows3 = await parquetQuery({ file: file3, metadata, filter: { $or: [{ id: 15n }, { name: 'name14' }] } })
+    expect(rows3).toEqual([{ id: 14n, name: 'name14' }])
+  })
+
+  it('skips row groups using bloom filters written by duckdb', async () => {
+    const asyncBuffer = await asyncBufferFromFile('test/files/duckdb_bloom_filter.parquet')
+    const metadata = await parquetMetadataAsync(asyncBuffer)
+    // statistics cannot skip values between 0 and 693
+    const file = countingBuffer(asyncBuffer)
+    expect(await parquetQuery({ file, metadata, filter: { id: 8n } })).toEqual([])
+    expect(file.fetches).toBe(1) // 1 bloom filter
+    expect(await parquetQuery({ file, metadata, filter: { name: 'name7' }, rowEnd: 2 }))
+      .toEqual([{ id: 7n, name: 'name7' }, { id: 7n, name: 'name7' }])
+  })
+})
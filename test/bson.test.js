@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest'
+import { parseBson } from '../src/bson.js'
+
+const encoder = new TextEncoder()
+
+/**
+ * Encode a BSON document from [type, name, value bytes] elements.
+ *
+ * @param {[number, string, number[]][]} elements
+ * @returns {Uint8Array}
+ */
+function documentBytes(elements) {
+  const body = elements.flatMap(([type, name, value]) => [type, ...encoder.encode(name), 0, ...value])
+  return new Uint8Array([...int32(body.length + 5), ...body, 0])
+}
+
+/**
+ * @param {number} value
+ * @returns {number[]}
+ */
+function int32(value) {
+  return Array.from(new Uint8Array(new Int32Array([value]).buffer))
+}
+
+/**
+ * @param {string} value
+ * @returns {number[]}
+ */
+function string(value) {
+  const bytes = encoder.encode(value)
+  return [...int32(bytes.length + 1), ...bytes, 0]
+}
+
+/**
+ * @param {bigint} value
+ * @returns {number[]}
+ */
+function int64(value) {
+  return Array.from(new Uint8Array(new BigInt64Array([value]).buffer))
+}
+
+describe('parseBson', () => {
+  it('decodes scalar types', () => {
+    const bytes = documentBytes([
+      [0x01, 'double', Array.from(new Uint8Array(new Float64Array([1.5]).buffer))],
+      [0x02, 'string', string('héllo')],
+      [0x08, 'true', [1]],
+      [0x08, 'false', [0]],
+      [0x0a, 'null', []],
+      [0x10, 'int32', int32(-7)],
+      [0x12, 'int64', int64(9007199254740993n)],
+      [0x09, 'date', int64(1716506900123n)],
+      [0x07, 'oid', [0x50, 0x7f, 0x1f, 0x77, 0xbc, 0xf8, 0x6c, 0xd7, 0x99, 0x43, 0x90, 0x11]],
+      [0x05, 'binary', [...int32(3), 0, 1, 2, 3]],
+      [0x11, 'timestamp', int64(5n)],
+    ])
+    expect(parseBson(bytes)).toEqual({
+      double: 1.5,
+      string: 'héllo',
+      true: true,
+      false: false,
+      null: null,
+      int32: -7,
+      int64: 9007199254740993n,
+      date: new Date('2024-05-23T23:28:20.123Z'),
+      oid: '507f1f77bcf86cd799439011',
+      binary: new Uint8Array([1, 2, 3]),
+      timestamp: 5n,
+    })
+  })
+
+  it('decodes nested documents and arrays', () => {
+    const inner = documentBytes([[0x02, 'b', string('c')]])
+    const array = documentBytes([[0x10, '0', int32(1)], [0x10, '1', int32(2)]])
+    const bytes = documentBytes([
+      [0x03, 'doc', Array.from(inner)],
+      [0x04, 'list', Array.from(array)],
+    ])
+    expect(parseBson(bytes)).toEqual({ doc: { b: 'c' }, list: [1, 2] })
+  })
+
+  it('decodes regular expressions and special types', () => {
+    const bytes = documentBytes([
+      [0x0b, 'regex', [...encoder.encode('^a.c'), 0, ...encoder.encode('imx'), 0]],
+      [0x0d, 'code', string('x => x')],
+      [0xff, 'min', []],
+      [0x7f, 'max', []],
+    ])
+    expect(parseBson(bytes)).toEqual({ regex: /^a.c/im, code: 'x => x', min: { $minKey: 1 }, max: { $maxKey: 1 } })
+  })
+
+  it('decodes decimal128 as exact strings', () => {
+    /**
+     * @param {bigint} coefficient
+     * @param {number} exponent
+     * @param {boolean} [negative]
+     * @returns {number[]}
+     */
+    function decimal128(coefficient, exponent, negative) {
+      const high = BigInt(exponent + 6176) << 49n | coefficient >> 64n | (negative ? 1n << 63n : 0n)
+      return [...int64(BigInt.asIntN(64, coefficient)), ...int64(BigInt.asIntN(64, high))]
+    }
+    const bytes = documentBytes([
+      [0x13, 'price', decimal128(12345678901234567890123456789n, -10)],
+      [0x13, 'small', decimal128(5n, -3, true)],
+      [0x13, 'large', decimal128(12n, 3)],
+      [0x13, 'integer', decimal128(42n, 0)],
+    ])
+    expect(parseBson(bytes)).toEqual({
+      price: '1234567890123456789.0123456789',
+      small: '-0.005',
+      large: '12E+3',
+      integer: '42',
+    })
+  })
+
+  it('throws on invalid documents', () => {
+    expect(() => parseBson(new Uint8Array([5, 0, 0, 0, 1])))
+      .toThrow('bson document missing terminator')
+    expect(() => parseBson(new Uint8Array([9, 0, 0, 0, 0])))
+      .toThrow('bson invalid document length 9')
+    expect(() => parseBson(documentBytes([[0x42, 'x', []]])))
+      .toThrow('bson unsupported element type 66')
+  })
+})
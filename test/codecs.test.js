@@ -0,0 +1,185 @@
+import fs from 'fs'
+import { compressors as referenceCompressors } from 'hyparquet-compressors'
+import { brotliCompressSync, constants, gzipSync } from 'zlib'
+import { describe, expect, it } from 'vitest'
+import { brotliUncompress } from '../src/codecs/brotli.js'
+import { gzipUncompress } from '../src/codecs/gzip.js'
+import { codec } from '../src/codecs/codec.js'
+import { compressors } from '../src/codecs/index.js'
+import { lz4RawUncompress, lz4Uncompress } from '../src/codecs/lz4.js'
+import { zstdUncompress } from '../src/codecs/zstd.js'
+import { parquetMetadataAsync, parquetReadObjects } from '../src/index.js'
+import { asyncBufferFromFile } from '../src/node.js'
+
+const text = 'hyparquet hyparquet hyparquet parquet hyperparam'
+const encoder = new TextEncoder()
+
+/**
+ * Text, repetitive integers, and noise, to exercise different block types.
+ *
+ * @returns {Uint8Array[]}
+ */
+function testInputs() {
+  const rows = Array.from({ length: 500 }, (_, i) => `row ${i} of the table has the value ${i * 7919 % 1000}\n`)
+  const ints = new Int32Array(2000).map((_, i) => i % 100 - 50)
+  const noise = new Uint8Array(10000).map((_, i) => i * 2654435761 >>> 24 ^ i)
+  return [new Uint8Array(0), encoder.encode(text), encoder.encode(rows.join('')), new Uint8Array(ints.buffer), noise]
+}
+
+describe('gzipUncompress', () => {
+  it('decompresses gzip at every level', () => {
+    for (const input of testInputs()) {
+      for (const level of [0, 1, 6, 9]) {
+        const output = new Uint8Array(input.length)
+        gzipUncompress(gzipSync(input, { level }), output)
+        expect(output).toEqual(input)
+      }
+    }
+  })
+
+  it('decompresses fixed huffman blocks', () => {
+    const input = encoder.encode(text)
+    const output = new Uint8Array(input.length)
+    gzipUncompress(gzipSync(input, { strategy: constants.Z_FIXED }), output)
+    expect(output).toEqual(input)
+  })
+
+  it('decompresses concatenated gzip members', () => {
+    const first = encoder.encode('hyparquet ')
+    const second = encoder.encode('hyperparam')
+    const compressed = new Uint8Array([...gzipSync(first), ...gzipSync(second)])
+    const output = new Uint8Array(first.length + second.length)
+    gzipUncompress(compressed, output)
+    expect(new TextDecoder().decode(output)).toBe('hyparquet hyperparam')
+  })
+
+  it('throws on invalid input', () => {
+    const compressed = gzipSync(encoder.encode(text))
+    expect(() => gzipUncompress(compressed.slice(1), new Uint8Array(text.length)))
+      .toThrow('gzip invalid header')
+    expect(() => gzipUncompress(compressed, new Uint8Array(text.length + 1)))
+      .toThrow(`gzip decompressed ${text.length} bytes, expected ${text.length + 1}`)
+  })
+})
+
+describe('brotliUncompress', () => {
+  it('decompresses brotli at every quality', () => {
+    for (const input of testInputs()) {
+      for (const quality of [0, 1, 5, 9, 11]) {
+        const output = new Uint8Array(input.length)
+        brotliUncompress(brotliCompressSync(input, { params: { [constants.BROTLI_PARAM_QUALITY]: quality } }), output)
+        expect(output).toEqual(input)
+      }
+    }
+  })
+
+  it('decompresses static dictionary words', () => {
+    const input = encoder.encode('The Quick brown fox jumps over the lazy dog. INFORMATION about the government of the world')
+    const compressed = brotliCompressSync(input, { params: { [constants.BROTLI_PARAM_QUALITY]: 11 } })
+    expect(compressed.length).toBeLessThan(input.length)
+    const output = new Uint8Array(input.length)
+    brotliUncompress(compressed, output)
+    expect(new TextDecoder().decode(output)).toBe(new TextDecoder().decode(input))
+  })
+
+  it('throws on output length mismatch', () => {
+    const compressed = brotliCompressSync(encoder.encode(text))
+    expect(() => brotliUncompress(compressed, new Uint8Array(text.length - 1)))
+      .toThrow('brotli output overflow')
+  })
+})
+
+describe('zstdUncompress', () => {
+  // zstd -19
+  const compressed = new Uint8Array([
+    40, 181, 47, 253, 4, 104, 213, 0, 0, 136, 104, 121, 112, 97, 114, 113, 117, 101, 116, 32, 101, 114,
+    112, 97, 114, 97, 109, 2, 0, 53, 13, 80, 186, 32, 1, 32, 116, 250, 102,
+  ])
+
+  it('decompresses a zstd frame', () => {
+    const output = new Uint8Array(text.length)
+    zstdUncompress(compressed, output)
+    expect(new TextDecoder().decode(output)).toBe(text)
+  })
+
+  it('skips skippable frames', () => {
+    const skippable = [0x50, 0x2a, 0x4d, 0x18, 3, 0, 0, 0, 1, 2, 3]
+    const output = new Uint8Array(text.length * 2)
+    zstdUncompress(new Uint8Array([...skippable, ...compressed, ...compressed]), output)
+    expect(new TextDecoder().decode(output)).toBe(text + text)
+  })
+
+  it('throws on invalid input', () => {
+    expect(() => zstdUncompress(compressed.slice(1), new Uint8Array(text.length)))
+      .toThrow('zstd invalid magic number')
+    expect(() => zstdUncompress(compressed, new Uint8Array(text.length + 1)))
+      .toThrow(`zstd decompressed ${text.length} bytes, expected ${text.length + 1}`)
+  })
+})
+
+describe('lz4Uncompress', () => {
+  // lz4 block
+  const block = [
+    175, 104, 121, 112, 97, 114, 113, 117, 101, 116, 32, 10, 0, 1, 7, 28, 0, 112, 101, 114, 112, 97, 114, 97, 109,
+  ]
+
+  it('decompresses raw lz4 blocks', () => {
+    const output = new Uint8Array(text.length)
+    lz4RawUncompress(new Uint8Array(block), output)
+    expect(new TextDecoder().decode(output)).toBe(text)
+  })
+
+  it('decompresses hadoop framed lz4', () => {
+    const framed = [0, 0, 0, text.length, 0, 0, 0, block.length, ...block]
+    const output = new Uint8Array(text.length * 2)
+    lz4Uncompress(new Uint8Array([...framed, ...framed]), output)
+    expect(new TextDecoder().decode(output)).toBe(text + text)
+  })
+
+  it('falls back to raw lz4 blocks', () => {
+    const output = new Uint8Array(text.length)
+    lz4Uncompress(new Uint8Array(block), output)
+    expect(new TextDecoder().decode(output)).toBe(text)
+  })
+
+  it('throws on invalid offset', () => {
+    expect(() => lz4RawUncompress(new Uint8Array([0x10, 104, 9, 0]), new Uint8Array(8)))
+      .toThrow('lz4 invalid offset 9')
+  })
+})
+
+describe('compressors', () => {
+  it.for([
+    'brotli_compressed.parquet',
+    'byte_stream_split.zstd.parquet',
+    'byte_stream_split_extended.gzip.parquet',
+    'hadoop_lz4_compressed.parquet',
+    'lz4_raw_compressed.parquet',
+  ])('reads %s', async filename => {
+    const file = await asyncBufferFromFile(`test/files/${filename}`)
+    await expect(parquetReadObjects({ file })).rejects.toThrow('parquet unsupported compression codec')
+    const rows = await parquetReadObjects({ file, compressors })
+    expect(rows.length).toBeGreaterThan(0)
+  })
+
+  it('reads every compressed test file like hyparquet-compressors', async () => {
+    const filenames = fs.readdirSync('test/files').filter(f => f.endsWith('.parquet'))
+    const compressed = []
+    for (const filename of filenames) {
+      const file = await asyncBufferFromFile(`test/files/${filename}`)
+      const metadata = await parquetMetadataAsync(file)
+      const codecs = metadata.row_groups.flatMap(({ columns }) => columns.map(({ meta_data }) => meta_data?.codec))
+      if (codecs.every(codec => codec === 'UNCOMPRESSED' || codec === 'SNAPPY')) continue
+      compressed.push(filename)
+      const expected = await parquetReadObjects({ file, metadata, compressors: referenceCompressors })
+      expect(await parquetReadObjects({ file, metadata, compressors })).toEqual(expected)
+    }
+    expect(compressed.length).toBeGreaterThan(5)
+  })
+
+  it('wraps a single codec', () => {
+    const input = encoder.encode(text)
+    const output = codec(gzipUncompress)(gzipSync(input), input.length)
+    expect(output).toEqual(input)
+  })
+})
@@ -1,9 +1,14 @@
 import { describe, expect, it } from 'vitest'
-import { readColumn } from '../src/column.js'
+import { readColumn, readColumnAsync } from '../src/column.js'
 import { parquetMetadata } from '../src/index.js'
 import { asyncBufferFromFile } from '../src/node.js'
 import { getColumnRange } from '../src/plan.js'
 import { getSchemaPath } from '../src/schema.js'
+import { countingBuffer } from './helpers.js'
+
+/**
+ * @import {DecodedArray} from '../src/types.d.ts'
+ */
 
 const values = [null, 1, -2, NaN, 0, -1, -0, 2]
 
@@ -72,3 +77,50 @@ describe('readColumn', () => {
     expect(columnData[0]).toBeInstanceOf(Int32Array)
   })
 })
+
+describe('readColumnAsync', () => {
+  /**
+   * Read a column page by page, and all at once for comparison.
+   *
+   * @param {number} selectEnd
+   * @returns {Promise<{ result: DecodedArray[], expected: DecodedArray[], fetches: number }>}
+   */
+  async function readQualityColumn(selectEnd) {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const arrayBuffer = await file.slice(0)
+    file.fetches = 0
+    const metadata = parquetMetadata(arrayBuffer)
+    const column = metadata.row_groups[0].columns[1]
+    if (!column.meta_data) throw new Error('No column metadata')
+    const range = getColumnRange(column.meta_data)
+    const schemaPath = getSchemaPath(metadata.schema, column.meta_data.path_in_schema)
+    const columnDecoder = {
+      columnName: column.meta_data.path_in_schema.join('.'),
+      type: column.meta_data.type,
+      element: schemaPath[schemaPath.length - 1].element,
+      schemaPath,
+      codec: column.meta_data.codec,
+    }
+    const rowGroupSelect = { groupStart: 0, selectStart: 0, selectEnd, groupRows: 100 }
+    const reader = { view: new DataView(arrayBuffer.slice(range.startByte, range.endByte)), offset: 0 }
+    const expected = readColumn(reader, rowGroupSelect, columnDecoder)
+    // small slices to force reading page by page
+    const result = await readColumnAsync(file, range, rowGroupSelect, columnDecoder, undefined, 16)
+    return { result, expected, fetches: file.fetches }
+  }
+
+  it('reads a column chunk in bounded slices', async () => {
+    const { result, expected, fetches } = await readQualityColumn(Infinity)
+    expect(result).toEqual(expected)
+    expect(result.flat().length).toBe(100)
+    expect(fetches).toBeGreaterThan(2)
+  })
+
+  it('stops fetching after selectEnd', async () => {
+    const all = await readQualityColumn(Infinity)
+    const { result, expected, fetches } = await readQualityColumn(10)
+    expect(result).toEqual(expected)
+    expect(result.flat().length).toBe(10)
+    expect(fetches).toBeLessThan(all.fetches)
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest'
-import { convert, parseDecimal, parseFloat16 } from '../src/convert.js'
+import { convert, formatDecimal, parseDecimal, parseDecimalBigInt, parseFloat16 } from '../src/convert.js'
 
 /**
  * @import {ColumnDecoder, SchemaElement} from '../src/types.js'
@@ -78,6 +78,48 @@ describe('convert function', () => {
     expect(convert(data, { element })).toEqual([2015])
   })
 
+  it('converts DECIMAL to exact strings', () => {
+    /** @type {SchemaElement} */
+    const element = { name, converted_type: 'DECIMAL', scale: 10, precision: 38 }
+    const bytes = new Uint8Array(16).fill(0x7f, 0, 1).fill(0xff, 1) // 2^127 - 1
+    const data = [bytes, new Uint8Array([255, 255, 255, 255]), new Uint8Array([18, 83, 137, 151, 156, 0])]
+    expect(convert(data, { element, decimalFormat: 'string' })).toEqual([
+      '17014118346046923173168730371.5884105727',
+      '-0.0000000001',
+      '2015.0000000000',
+    ])
+  })
+
+  it('converts int32 and int64 DECIMAL to exact strings', () => {
+    /** @type {SchemaElement} */
+    const element = { name, converted_type: 'DECIMAL', scale: 2 }
+    expect(convert(new Int32Array([12345, -5, 0]), { element, decimalFormat: 'string' }))
+      .toEqual(['123.45', '-0.05', '0.00'])
+    expect(convert(new BigInt64Array([9007199254740993n, -100n]), { element, decimalFormat: 'string' }))
+      .toEqual(['90071992547409.93', '-1.00'])
+    expect(convert([7], { element: { name, converted_type: 'DECIMAL' }, decimalFormat: 'string' }))
+      .toEqual(['7'])
+  })
+
+  it('converts DECIMAL to scaled bigints', () => {
+    /** @type {SchemaElement} */
+    const element = { name, converted_type: 'DECIMAL', scale: 2 }
+    expect(convert(new Int32Array([12345, -5]), { element, decimalFormat: 'bigint-scaled' }))
+      .toEqual([12345n, -5n])
+    expect(convert(new BigInt64Array([9007199254740993n]), { element, decimalFormat: 'bigint-scaled' }))
+      .toEqual([9007199254740993n])
+    expect(convert([new Uint8Array([255, 0])], { element, decimalFormat: 'bigint-scaled' }))
+      .toEqual([-256n])
+  })
+
+  it('throws for unknown decimalFormat', () => {
+    /** @type {SchemaElement} */
+    const element = { name, converted_type: 'DECIMAL' }
+    // @ts-expect-error testing invalid input
+    expect(() => convert([1], { element, decimalFormat: 'float' }))
+      .toThrow('parquet unsupported decimalFormat: float')
+  })
+
   it('converts epoch time to DATE', () => {
     const data = [1, 2] // days since epoch
     /** @type {SchemaElement} */
@@ -143,20 +185,115 @@ describe('convert function', () => {
     ])
   })
 
-  it('throws error for BSON conversion', () => {
-    const data = [{}]
+  it('converts timestamps to raw bigints', () => {
+    const data = new BigInt64Array([1716506900123456789n])
+    /** @type {SchemaElement} */
+    const element = { name, logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: true, unit: 'NANOS' } }
+    expect(convert(data, { element, timestampFormat: 'bigint' })).toBe(data)
+    // INT96 as epoch nanoseconds
+    const int96 = [45284764452596988585705472n + 123456789n]
+    expect(convert(int96, { element: { name, type: 'INT96' }, timestampFormat: 'bigint' }))
+      .toEqual([1235865600123456789n])
+  })
+
+  it('converts timestamps to iso strings with full precision', () => {
+    /** @type {SchemaElement} */
+    const nanos = { name, logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: true, unit: 'NANOS' } }
+    expect(convert([1716506900123456789n, -1n], { element: nanos, timestampFormat: 'iso-string' }))
+      .toEqual(['2024-05-23T23:28:20.123456789Z', '1969-12-31T23:59:59.999999999Z'])
+    /** @type {SchemaElement} */
+    const local = { name, logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: false, unit: 'MICROS' } }
+    expect(convert([1716506900000001n], { element: local, timestampFormat: 'iso-string' }))
+      .toEqual(['2024-05-23T23:28:20.000001'])
     /** @type {SchemaElement} */
-    const element = { name, converted_type: 'BSON' }
-    expect(() => convert(data, { element }))
-      .toThrow('parquet bson not supported')
+    const millis = { name, converted_type: 'TIMESTAMP_MILLIS' }
+    expect(convert([1716506900007n], { element: millis, timestampFormat: 'iso-string' }))
+      .toEqual(['2024-05-23T23:28:20.007Z'])
+    const int96 = [45284764452596988585705472n + 5n]
+    expect(convert(int96, { element: { name, type: 'INT96' }, timestampFormat: 'iso-string' }))
+      .toEqual(['2009-03-01T00:00:00.000000005Z'])
   })
 
-  it('throws error for INTERVAL conversion', () => {
-    const data = [{}]
+  it('converts timestamps to temporal objects', () => {
+    /** @type {any} */
+    const global = globalThis
+    global.Temporal = {
+      Instant: { fromEpochNanoseconds: (/** @type {bigint} */ nanos) => ({ instant: nanos }) },
+      PlainDateTime: { from: (/** @type {string} */ iso) => ({ plain: iso }) },
+    }
+    try {
+      /** @type {SchemaElement} */
+      const utc = { name, logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: true, unit: 'MICROS' } }
+      expect(convert([1716506900000001n], { element: utc, timestampFormat: 'temporal' }))
+        .toEqual([{ instant: 1716506900000001000n }])
+      /** @type {SchemaElement} */
+      const local = { name, logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: false, unit: 'MILLIS' } }
+      expect(convert([1716506900001n], { element: local, timestampFormat: 'temporal' }))
+        .toEqual([{ plain: '2024-05-23T23:28:20.001' }])
+    } finally {
+      delete global.Temporal
+    }
+    expect(() => convert([1n], { element: { name, type: 'INT96' }, timestampFormat: 'temporal' }))
+      .toThrow('parquet timestampFormat temporal requires Temporal')
+  })
+
+  it('throws for unknown timestampFormat', () => {
     /** @type {SchemaElement} */
-    const element = { name, converted_type: 'INTERVAL' }
-    expect(() => convert(data, { element }))
-      .toThrow('parquet interval not supported')
+    const element = { name, converted_type: 'TIMESTAMP_MILLIS' }
+    // @ts-expect-error testing invalid input
+    expect(() => convert([1n], { element, timestampFormat: 'unix' }))
+      .toThrow('parquet unsupported timestampFormat: unix')
+  })
+
+  it('converts TIME to strings', () => {
+    /** @type {SchemaElement} */
+    const millis = { name, converted_type: 'TIME_MILLIS' }
+    expect(convert(new Int32Array([0, 45296789]), { element: millis }))
+      .toEqual(['00:00:00.000000000', '12:34:56.789000000'])
+    /** @type {SchemaElement} */
+    const micros = { name, converted_type: 'TIME_MICROS' }
+    expect(convert(new BigInt64Array([86399999999n]), { element: micros }))
+      .toEqual(['23:59:59.999999000'])
+    /** @type {SchemaElement} */
+    const nanos = { name, logical_type: { type: 'TIME', isAdjustedToUTC: false, unit: 'NANOS' } }
+    expect(convert(new BigInt64Array([3723000000004n]), { element: nanos, timeFormat: 'string' }))
+      .toEqual(['01:02:03.000000004'])
+  })
+
+  it('converts TIME to objects', () => {
+    /** @type {SchemaElement} */
+    const element = { name, logical_type: { type: 'TIME', isAdjustedToUTC: true, unit: 'MICROS' } }
+    expect(convert(new BigInt64Array([45296000001n]), { element, timeFormat: 'object' }))
+      .toEqual([{ hours: 12, minutes: 34, seconds: 56, nanos: 1000 }])
+    // @ts-expect-error testing invalid input
+    expect(() => convert([1n], { element, timeFormat: 'bigint' }))
+      .toThrow('parquet unsupported timeFormat: bigint')
+  })
+
+  it('converts UUID to canonical strings', () => {
+    const data = [new Uint8Array([0, 17, 34, 51, 68, 85, 102, 119, 136, 153, 170, 187, 204, 221, 238, 255])]
+    /** @type {SchemaElement} */
+    const element = { name, type: 'FIXED_LEN_BYTE_ARRAY', type_length: 16, logical_type: { type: 'UUID' } }
+    expect(convert(data, { element })).toEqual(['00112233-4455-6677-8899-aabbccddeeff'])
+    expect(convert(data, { element, uuidFormat: 'bytes' })).toBe(data)
+    // @ts-expect-error testing invalid input
+    expect(() => convert(data, { element, uuidFormat: 'hex' }))
+      .toThrow('parquet unsupported uuidFormat: hex')
+  })
+
+  it('converts BSON documents', () => {
+    // { a: 1 }
+    const data = [new Uint8Array([12, 0, 0, 0, 0x10, 97, 0, 1, 0, 0, 0, 0])]
+    /** @type {SchemaElement} */
+    const element = { name, type: 'BYTE_ARRAY', converted_type: 'BSON' }
+    expect(convert(data, { element })).toEqual([{ a: 1 }])
+  })
+
+  it('converts INTERVAL to months, days, and milliseconds', () => {
+    const data = [new Uint8Array([1, 0, 0, 0, 2, 0, 0, 0, 3, 1, 0, 0])]
+    /** @type {SchemaElement} */
+    const element = { name, type: 'FIXED_LEN_BYTE_ARRAY', type_length: 12, converted_type: 'INTERVAL' }
+    expect(convert(data, { element })).toEqual([{ months: 1, days: 2, milliseconds: 259 }])
   })
 })
 
@@ -217,3 +354,21 @@ describe('parseDecimal', () => {
     expect(result).toBe(-1)
   })
 })
+
+describe('parseDecimalBigInt', () => {
+  it('parses signed big-endian bytes', () => {
+    expect(parseDecimalBigInt(new Uint8Array())).toBe(0n)
+    expect(parseDecimalBigInt(new Uint8Array([1, 2, 3]))).toBe(66051n)
+    expect(parseDecimalBigInt(new Uint8Array([255, 255, 255, 255]))).toBe(-1n)
+    expect(parseDecimalBigInt(new Uint8Array([128, 0, 0, 0, 0, 0, 0, 0, 0]))).toBe(-(2n ** 71n))
+  })
+})
+
+describe('formatDecimal', () => {
+  it('pads fraction digits', () => {
+    expect(formatDecimal(5n, 3)).toBe('0.005')
+    expect(formatDecimal(-1234n, 2)).toBe('-12.34')
+    expect(formatDecimal(0n, 1)).toBe('0.0')
+    expect(formatDecimal(42n, 0)).toBe('42')
+  })
+})
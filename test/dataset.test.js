@@ -0,0 +1,195 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, expect, it } from 'vitest'
+import { bindFilter, parsePartitions } from '../src/dataset.js'
+import { parquetDataset, parquetWrite } from '../src/index.js'
+import { asyncBuffersFromDirectory } from '../src/node.js'
+import { countingBuffer } from './helpers.js'
+
+/**
+ * @import {AsyncBuffer} from '../src/types.d.ts'
+ */
+
+describe('parsePartitions', () => {
+  it('parses hive partition directories', () => {
+    expect(parsePartitions('year=2024/month=05/part-0.parquet')).toEqual({ year: 2024, month: 5 })
+    expect(parsePartitions('data/region=us%20east/part-0.parquet')).toEqual({ region: 'us east' })
+    expect(parsePartitions('region=__HIVE_DEFAULT_PARTITION__/part-0.parquet')).toEqual({ region: null })
+    expect(parsePartitions('part-0.parquet')).toEqual({})
+  })
+})
+
+describe('bindFilter', () => {
+  it('resolves conditions on known values', () => {
+    const values = { year: 2024 }
+    expect(bindFilter({ year: 2024 }, values)).toBe(true)
+    expect(bindFilter({ year: { $lt: 2024 } }, values)).toBe(false)
+    expect(bindFilter({ year: 2024, id: 1 }, values)).toEqual({ id: 1 })
+    expect(bindFilter({ $or: [{ year: 2023 }, { id: 1 }] }, values)).toEqual({ $or: [{ id: 1 }] })
+    expect(bindFilter({ $or: [{ year: 2024 }, { id: 1 }] }, values)).toBe(true)
+    expect(bindFilter({ $and: [{ year: 2023 }, { id: 1 }] }, values)).toBe(false)
+    expect(bindFilter({ $not: { year: 2023 } }, values)).toBe(true)
+    expect(bindFilter({ $not: { id: 1 } }, values)).toEqual({ $not: { id: 1 } })
+  })
+})
+
+describe('parquetDataset', () => {
+  it('merges columns and adds partition columns', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    expect(dataset.files.map(({ path }) => path)).toEqual([
+      'year=2023/part-0.parquet',
+      'year=2024/part-0.parquet',
+    ])
+    expect(dataset.columns).toEqual(['id', 'name', 'score', 'year'])
+  })
+
+  it('reads rows across files', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    /** @type {any[]} */
+    let rows = []
+    await dataset.read({ rowStart: 1, rowEnd: 4, onComplete(result) { rows = result } })
+    expect(rows).toEqual([
+      { id: 2, name: 'b', score: null, year: 2023 },
+      { id: 3, name: 'c', score: 0.5, year: 2024 },
+      { id: 4, name: 'd', score: 1.5, year: 2024 },
+    ])
+  })
+
+  it('reads rows as arrays', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    /** @type {any[]} */
+    let rows = []
+    await dataset.read({ columns: ['year', 'id'], rowFormat: 'array', onComplete(result) { rows = result } })
+    expect(rows).toEqual([[2023, 1], [2023, 2], [2024, 3], [2024, 4]])
+  })
+
+  it('emits chunks with dataset row indexes', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    /** @type {any[]} */
+    const chunks = []
+    await dataset.read({ columns: ['id', 'year'], onChunk(chunk) { chunks.push(chunk) } })
+    expect(chunks).toContainEqual({ columnName: 'year', columnData: [2024, 2024], rowStart: 2, rowEnd: 4 })
+    expect(chunks).toContainEqual({ columnName: 'id', columnData: new Int32Array([3, 4]), rowStart: 2, rowEnd: 4 })
+  })
+
+  it('prunes files by partition value', async () => {
+    const files = testFiles()
+    const counted = countingBuffer(wrapBuffer(files['year=2023/part-0.parquet']))
+    files['year=2023/part-0.parquet'] = counted
+    const dataset = await parquetDataset({ files })
+    counted.fetches = 0
+    const rows = await dataset.query({ filter: { year: 2024, id: { $gt: 3 } } })
+    expect(rows).toEqual([{ id: 4, name: 'd', score: 1.5, year: 2024 }])
+    expect(counted.fetches).toBe(0)
+  })
+
+  it('prunes files by row group statistics', async () => {
+    const files = testFiles()
+    const counted = countingBuffer(wrapBuffer(files['year=2024/part-0.parquet']))
+    files['year=2024/part-0.parquet'] = counted
+    const dataset = await parquetDataset({ files })
+    counted.fetches = 0
+    const rows = await dataset.query({ filter: { id: { $lt: 2 } } })
+    expect(rows).toEqual([{ id: 1, name: 'a', score: null, year: 2023 }])
+    expect(counted.fetches).toBe(0)
+  })
+
+  it('filters on columns missing from some files', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    expect(await dataset.query({ filter: { score: { $eq: null } } })).toEqual([
+      { id: 1, name: 'a', score: null, year: 2023 },
+      { id: 2, name: 'b', score: null, year: 2023 },
+    ])
+  })
+
+  it('filters on columns that are not selected', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    const filter = { id: { $gt: 1 } }
+    expect(await dataset.query({ columns: ['name'], filter })).toEqual([{ name: 'b' }, { name: 'c' }, { name: 'd' }])
+    expect(await dataset.query({ columns: ['name'], filter, orderBy: 'name' }))
+      .toEqual([{ name: 'b' }, { name: 'c' }, { name: 'd' }])
+    expect(await dataset.query({ columns: ['year'], filter: { id: 2 } })).toEqual([{ year: 2023 }])
+  })
+
+  it('filters and sorts a projection of partition columns only', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    expect(await dataset.query({ columns: ['year'], filter: { id: { $gt: 2 } } })).toEqual([{ year: 2024 }, { year: 2024 }])
+    expect(await dataset.query({ columns: ['year'], filter: { $or: [{ year: 2023 }, { name: 'd' }] } }))
+      .toEqual([{ year: 2023 }, { year: 2023 }, { year: 2024 }])
+    expect(await dataset.query({ columns: ['year'], filter: { year: 2024 }, orderBy: 'id', rowStart: 1 })).toEqual([{ year: 2024 }])
+    // a column missing from every file is null, like in other projections
+    expect(await dataset.query({ columns: ['year'], filter: { other: 1 } })).toEqual([])
+    expect(await dataset.query({ columns: ['id'], filter: { other: 1 } })).toEqual([])
+  })
+
+  it('queries with orderBy across files', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    const rows = await dataset.query({ columns: ['name'], orderBy: 'id', filter: { $not: { name: 'c' } }, rowStart: 1, rowEnd: 3 })
+    expect(rows).toEqual([{ name: 'b' }, { name: 'd' }])
+  })
+
+  it('queries with multiple sort columns across files', async () => {
+    const dataset = await parquetDataset({ files: testFiles() })
+    const rows = await dataset.query({
+      columns: ['id'],
+      orderBy: [{ column: 'score', direction: 'desc', nulls: 'first' }, { column: 'id', direction: 'desc' }],
+    })
+    expect(rows).toEqual([{ id: 2 }, { id: 1 }, { id: 4 }, { id: 3 }])
+  })
+
+  it('throws for conflicting column types', async () => {
+    const files = testFiles()
+    files['year=2025/part-0.parquet'] = parquetWrite({ columnData: [{ name: 'id', data: ['x'] }] })
+    await expect(parquetDataset({ files }))
+      .rejects.toThrow('parquet dataset column id in year=2025/part-0.parquet has a conflicting type')
+  })
+})
+
+describe('asyncBuffersFromDirectory', () => {
+  it('lists parquet files in a directory', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'hyparquet-'))
+    try {
+      for (const [path, file] of Object.entries(testFiles())) {
+        await mkdir(join(directory, path, '..'), { recursive: true })
+        await writeFile(join(directory, path), new Uint8Array(await file.slice(0)))
+      }
+      await writeFile(join(directory, '_SUCCESS'), '')
+      const files = await asyncBuffersFromDirectory(directory)
+      expect(Object.keys(files).sort()).toEqual(['year=2023/part-0.parquet', 'year=2024/part-0.parquet'])
+      const dataset = await parquetDataset({ files })
+      expect(await dataset.query({ columns: ['id'] })).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }])
+    } finally {
+      await rm(directory, { recursive: true })
+    }
+  })
+})
+
+/**
+ * Wrap an ArrayBuffer as an AsyncBuffer object.
+ *
+ * @param {AsyncBuffer} buffer
+ * @returns {AsyncBuffer}
+ */
+function wrapBuffer(buffer) {
+  return { byteLength: buffer.byteLength, slice: (start, end) => buffer.slice(start, end) }
+}
+
+/**
+ * Two partitions, where the second file has an extra column.
+ *
+ * @returns {Record<string, AsyncBuffer>}
+ */
+function testFiles() {
+  return {
+    'year=2024/part-0.parquet': parquetWrite({ columnData: [
+      { name: 'id', data: [3, 4] },
+      { name: 'name', data: ['c', 'd'] },
+      { name: 'score', data: [0.5, 1.5] },
+    ] }),
+    'year=2023/part-0.parquet': parquetWrite({ columnData: [
+      { name: 'id', data: [1, 2] },
+      { name: 'name', data: ['a', 'b'] },
+    ] }),
+  }
+}
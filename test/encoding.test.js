@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest'
-import { bitWidth, readRleBitPackedHybrid } from '../src/encoding.js'
+import { byteWriter } from '../src/bytewriter.js'
+import { bitWidth, readRleBitPackedHybrid, writeRleBitPackedHybrid } from '../src/encoding.js'
 
 describe('readRle', () => {
   it('reads RLE values with explicit length', () => {
@@ -137,6 +138,38 @@ describe('readBitPacked', () => {
   })
 })
 
+describe('writeRleBitPackedHybrid', () => {
+  it('writes long runs as RLE', () => {
+    const writer = byteWriter()
+    writeRleBitPackedHybrid(writer, [5, 5, 5, 5, 5, 5, 5, 5, 5, 5], 3)
+    expect(Array.from(new Uint8Array(writer.getBuffer()))).toEqual([0b00010100, 5])
+  })
+
+  it('writes short runs bit-packed', () => {
+    const writer = byteWriter()
+    writeRleBitPackedHybrid(writer, [1, 0, 1, 1], 1)
+    // one group of 8 values padded with zeroes
+    expect(Array.from(new Uint8Array(writer.getBuffer()))).toEqual([0b00000011, 0b00001101])
+  })
+
+  it('round trips mixed runs and bit widths', () => {
+    for (const width of [1, 2, 5, 8, 13, 20]) {
+      const max = (1 << width) - 1
+      const values = []
+      for (let i = 0; i < 300; i++) {
+        values.push(i % 50 < 20 ? max : i * 7919 % (max + 1))
+      }
+      const writer = byteWriter()
+      writeRleBitPackedHybrid(writer, values, width)
+      const reader = { view: new DataView(writer.getBuffer()), offset: 0 }
+      const output = new Array(values.length)
+      readRleBitPackedHybrid(reader, width, writer.offset, output)
+      expect(output).toEqual(values)
+      expect(reader.offset).toBe(writer.offset)
+    }
+  })
+})
+
 describe('bitWidth', () => {
   it('calculates bit widths', () => {
     expect(bitWidth(0)).toBe(0)
@@ -0,0 +1,280 @@
+import { describe, expect, it } from 'vitest'
+import { canSkipRowGroup, matchQuery, pageMatches, pageRowRanges, rowGroupAllMatch, statisticsAllMatch, statisticsMayMatch, validateFilter } from '../src/filter.js'
+import { parquetAggregate, parquetCount, parquetDataset, parquetMetadata, parquetMetadataAsync, parquetQuery, parquetWrite } from '../src/index.js'
+import { asyncBufferFromFile } from '../src/node.js'
+
+/**
+ * @import {ColumnStats} from '../src/types.d.ts'
+ */
+
+describe('matchQuery', () => {
+  it('matches values and operators', () => {
+    expect(matchQuery({ id: 1 }, { id: 1 })).toBe(true)
+    expect(matchQuery({ id: 1 }, { id: 2 })).toBe(false)
+    expect(matchQuery({ id: 1 }, { id: { $eq: 1 } })).toBe(true)
+    expect(matchQuery({ id: 1 }, { id: { $eq: 2 } })).toBe(false)
+    expect(matchQuery({ id: 1 }, { id: { $gte: 1, $lt: 2 } })).toBe(true)
+    expect(matchQuery({ id: 1 }, { $or: [{ id: 0 }, { id: { $in: [1] } }] })).toBe(true)
+  })
+
+  it('matches string operators', () => {
+    const record = { name: 'Hyparquet', score: null }
+    expect(matchQuery(record, { name: { $startsWith: 'Hyp' } })).toBe(true)
+    expect(matchQuery(record, { name: { $startsWith: 'hyp' } })).toBe(false)
+    expect(matchQuery(record, { name: { $startsWith: 'hyp', $ignoreCase: true } })).toBe(true)
+    expect(matchQuery(record, { name: { $contains: 'par' } })).toBe(true)
+    expect(matchQuery(record, { name: { $contains: 'PAR', $ignoreCase: true } })).toBe(true)
+    expect(matchQuery(record, { name: { $regex: '^hy.*t$' } })).toBe(false)
+    expect(matchQuery(record, { name: { $regex: '^hy.*t$', $ignoreCase: true } })).toBe(true)
+    expect(matchQuery(record, { name: { $regex: /quet$/g } })).toBe(true)
+    expect(matchQuery(record, { score: { $startsWith: '' } })).toBe(false)
+    expect(() => matchQuery(record, { name: { $regex: 5 } })).toThrow('parquet $regex expects a string or RegExp')
+  })
+
+  it('matches null checks and ranges', () => {
+    const record = { id: 5, score: null }
+    expect(matchQuery(record, { id: { $exists: true }, score: { $isNull: true } })).toBe(true)
+    expect(matchQuery(record, { score: { $exists: true } })).toBe(false)
+    expect(matchQuery(record, { missing: { $exists: false } })).toBe(true)
+    expect(matchQuery(record, { id: { $between: [5, 10] } })).toBe(true)
+    expect(matchQuery(record, { id: { $between: [6, 10] } })).toBe(false)
+    expect(() => matchQuery(record, { id: { $between: 5 } })).toThrow('parquet $between expects [low, high]')
+  })
+
+  it('throws for unknown operators', () => {
+    expect(() => matchQuery({ id: 1 }, { id: { $like: 'a%' } })).toThrow('parquet unsupported filter operator: $like')
+    expect(() => statisticsMayMatch({ id: { $like: 'a%' } }, () => ({ min: 0, max: 1, nullCount: 0n, valueCount: 2n })))
+      .toThrow('parquet unsupported filter operator: $like')
+  })
+})
+
+describe('validateFilter', () => {
+  it('accepts known operators', () => {
+    validateFilter({ id: 1, name: { $startsWith: 'a', $ignoreCase: true }, tags: ['a'], x: null })
+    validateFilter({ $and: [{ id: { $gt: 1 } }, { $or: [{ id: { $not: { $in: [2, 3] } } }] }] })
+  })
+
+  it('throws for unknown operators anywhere in the filter', () => {
+    const message = 'parquet unsupported filter operator: $bogus'
+    expect(() => validateFilter({ id: { $gt: 1 }, x: { $bogus: 1 } })).toThrow(message)
+    expect(() => validateFilter({ $and: [{ id: { $gt: 1 } }, { id: { $bogus: 1 } }] })).toThrow(message)
+    expect(() => validateFilter({ $or: [{ id: 1 }, { $not: { id: { $bogus: 1 } } }] })).toThrow(message)
+    expect(() => validateFilter({ id: { $not: { $bogus: 1 } } })).toThrow(message)
+  })
+
+  it('throws before statistics skip every row group', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const message = 'parquet unsupported filter operator: $bogus'
+    for (const filter of [
+      { numbers: { $gt: 1e12 }, x: { $bogus: 1 } },
+      { $and: [{ numbers: { $gt: 1e12 } }, { numbers: { $bogus: 1 } }] },
+    ]) {
+      await expect(parquetQuery({ file, filter })).rejects.toThrow(message)
+      await expect(parquetQuery({ file, filter, orderBy: 'numbers' })).rejects.toThrow(message)
+      await expect(parquetCount({ file, filter })).rejects.toThrow(message)
+      await expect(parquetAggregate({ file, filter, aggregates: { n: { $count: '*' } } })).rejects.toThrow(message)
+      const dataset = await parquetDataset({ files: { 'part-0.parquet': file } })
+      await expect(dataset.query({ filter })).rejects.toThrow(message)
+    }
+  })
+})
+
+describe('statisticsMayMatch', () => {
+  /**
+   * @param {string} field
+   * @returns {ColumnStats | undefined}
+   */
+  function getStats(field) {
+    if (field === 'id') return { min: 10, max: 20, nullCount: 0n, valueCount: 100n }
+  }
+
+  it('decides comparisons from min and max', () => {
+    expect(statisticsMayMatch({ id: { $gt: 20 } }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $gt: 19 } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $gte: 20 } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $lt: 10 } }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $lte: 10 } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $gt: 15, $lt: 100 } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $gt: 5n } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $gt: 25n } }, getStats)).toBe(false)
+  })
+
+  it('decides equality from min and max', () => {
+    expect(statisticsMayMatch({ id: 15 }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: 25 }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $eq: 5 } }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $in: [1, 2, 30] } }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $in: [1, 12] } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ id: { $ne: 15 } }, getStats)).toBe(true)
+  })
+
+  it('handles $and, $or and unknown fields', () => {
+    expect(statisticsMayMatch({ $and: [{ id: 15 }, { id: 25 }] }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ $or: [{ id: 5 }, { id: 25 }] }, getStats)).toBe(false)
+    expect(statisticsMayMatch({ $or: [{ id: 5 }, { id: 15 }] }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ $not: { id: 15 } }, getStats)).toBe(true)
+    expect(statisticsMayMatch({ other: 25 }, getStats)).toBe(true)
+  })
+
+  it('handles null values like matchQuery', () => {
+    const allNullStats = { nullCount: 10n, valueCount: 10n }
+    expect(statisticsMayMatch({ id: 1 }, () => allNullStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $ne: 1 } }, () => allNullStats)).toBe(true)
+    // null > -1 is true in javascript
+    expect(statisticsMayMatch({ id: { $gt: -1 } }, () => allNullStats)).toBe(true)
+
+    const constantStats = { min: 5, max: 5, nullCount: 0n, valueCount: 10n }
+    expect(statisticsMayMatch({ id: { $ne: 5 } }, () => constantStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $nin: [5] } }, () => constantStats)).toBe(false)
+    const constantWithNullsStats = { min: 5, max: 5, nullCount: 1n, valueCount: 10n }
+    expect(statisticsMayMatch({ id: { $ne: 5 } }, () => constantWithNullsStats)).toBe(true)
+  })
+
+  it('does not prune $ne and $nin on float columns that may hold NaN', () => {
+    const floatStats = { min: 1, max: 1, nullCount: 0n, valueCount: 10n, float: true }
+    expect(statisticsMayMatch({ x: { $ne: 1 } }, () => floatStats)).toBe(true)
+    expect(statisticsMayMatch({ x: { $nin: [1] } }, () => floatStats)).toBe(true)
+    expect(statisticsMayMatch({ x: { $ne: 1 } }, () => ({ ...floatStats, nanCount: 2n }))).toBe(true)
+    expect(statisticsMayMatch({ x: { $ne: 1 } }, () => ({ ...floatStats, nanCount: 0n }))).toBe(false)
+    expect(statisticsMayMatch({ x: { $nin: [1] } }, () => ({ ...floatStats, nanCount: 0n }))).toBe(false)
+  })
+
+  it('does not compare values of different types', () => {
+    const stringsStats = { min: 'b', max: 'c', nullCount: 0n, valueCount: 10n }
+    expect(statisticsMayMatch({ id: 'a' }, () => stringsStats)).toBe(false)
+    expect(statisticsMayMatch({ id: 1 }, () => stringsStats)).toBe(true)
+    expect(statisticsMayMatch({ id: '\u{1F600}' }, () => stringsStats)).toBe(true)
+    const datesStats = { min: new Date(1000), max: new Date(2000), nullCount: 0n, valueCount: 10n }
+    expect(statisticsMayMatch({ id: { $gt: new Date(3000) } }, () => datesStats)).toBe(false)
+    expect(statisticsMayMatch({ id: { $gt: 3000 } }, () => datesStats)).toBe(true)
+  })
+})
+
+describe('string statistics', () => {
+  const stats = { min: 'apple', max: 'banana', nullCount: 0n, valueCount: 10n }
+
+  it('prunes $startsWith with min and max', () => {
+    expect(statisticsMayMatch({ name: { $startsWith: 'app' } }, () => stats)).toBe(true)
+    expect(statisticsMayMatch({ name: { $startsWith: 'b' } }, () => stats)).toBe(true)
+    expect(statisticsMayMatch({ name: { $startsWith: 'ap' } }, () => ({ ...stats, min: 'apricot' }))).toBe(true)
+    expect(statisticsMayMatch({ name: { $startsWith: 'apz' } }, () => stats)).toBe(true)
+    expect(statisticsMayMatch({ name: { $startsWith: 'aa' } }, () => stats)).toBe(false)
+    expect(statisticsMayMatch({ name: { $startsWith: 'bananas' } }, () => stats)).toBe(false)
+    expect(statisticsMayMatch({ name: { $startsWith: 'c' } }, () => stats)).toBe(false)
+    expect(statisticsMayMatch({ name: { $startsWith: 'C', $ignoreCase: true } }, () => stats)).toBe(true)
+    expect(statisticsMayMatch({ name: { $contains: 'z' } }, () => stats)).toBe(true)
+  })
+
+  it('decides $between, $exists and $isNull', () => {
+    expect(statisticsMayMatch({ name: { $between: ['c', 'd'] } }, () => stats)).toBe(false)
+    expect(statisticsMayMatch({ name: { $between: ['b', 'c'] } }, () => stats)).toBe(true)
+    expect(statisticsMayMatch({ name: { $isNull: true } }, () => stats)).toBe(false)
+    expect(statisticsMayMatch({ name: { $exists: true } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ name: { $between: ['a', 'c'] } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ name: { $exists: true } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ name: { $startsWith: 'ba' } }, () => ({ ...stats, min: 'bad' }))).toBe(true)
+    expect(statisticsAllMatch({ name: { $contains: 'a' } }, () => stats)).toBe(false)
+  })
+})
+
+describe('statisticsAllMatch', () => {
+  const stats = { min: 5, max: 9, nullCount: 0n, valueCount: 10n }
+
+  it('decides when every row matches', () => {
+    expect(statisticsAllMatch({ id: { $gte: 5 } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ id: { $gt: 5 } }, () => stats)).toBe(false)
+    expect(statisticsAllMatch({ id: { $lt: 10, $gt: 4 } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ id: { $ne: 4 } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ id: { $nin: [1, 7] } }, () => stats)).toBe(false)
+    expect(statisticsAllMatch({ id: { $not: { $lt: 5 } } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ $not: { id: 12 } }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ $or: [{ id: 1 }, { id: { $lte: 9 } }] }, () => stats)).toBe(true)
+    expect(statisticsAllMatch({ id: { $gte: 5 } }, () => undefined)).toBe(false)
+    // min and max of float columns exclude NaN values
+    expect(statisticsAllMatch({ id: { $lt: 10 } }, () => ({ ...stats, float: true }))).toBe(false)
+    expect(statisticsAllMatch({ id: { $lt: 10 } }, () => ({ ...stats, float: true, nanCount: 1n }))).toBe(false)
+    expect(statisticsAllMatch({ id: { $lt: 10 } }, () => ({ ...stats, float: true, nanCount: 0n }))).toBe(true)
+
+    const constantStats = { min: 5, max: 5, nullCount: 0n, valueCount: 10n }
+    expect(statisticsAllMatch({ id: 5 }, () => constantStats)).toBe(true)
+    expect(statisticsAllMatch({ id: { $in: [4, 5] } }, () => constantStats)).toBe(true)
+    expect(statisticsAllMatch({ id: 5n }, () => constantStats)).toBe(false)
+  })
+
+  it('requires null rows to match', () => {
+    const withNulls = { ...stats, nullCount: 1n }
+    expect(statisticsAllMatch({ id: { $gte: 5 } }, () => withNulls)).toBe(false)
+    expect(statisticsAllMatch({ id: { $ne: 4 } }, () => withNulls)).toBe(true)
+    expect(statisticsAllMatch({ id: { $gte: 5 } }, () => ({ ...stats, nullCount: undefined }))).toBe(false)
+    const allNullStats = { nullCount: 10n, valueCount: 10n }
+    expect(statisticsAllMatch({ id: null }, () => allNullStats)).toBe(true)
+    expect(statisticsAllMatch({ id: 1 }, () => allNullStats)).toBe(false)
+  })
+})
+
+describe('canSkipRowGroup', () => {
+  const file = parquetWrite({
+    columnData: [
+      { name: 'id', data: Array.from({ length: 30 }, (_, i) => i) },
+      { name: 'name', data: Array.from({ length: 30 }, (_, i) => i < 10 ? null : `name${i}`) },
+    ],
+    rowGroupSize: 10,
+  })
+  const metadata = parquetMetadata(file)
+  const [first, second] = metadata.row_groups
+
+  it('skips row groups using column statistics', () => {
+    expect(canSkipRowGroup({ file, metadata }, first, { id: { $gt: 9 } })).toBe(true)
+    expect(canSkipRowGroup({ file, metadata }, second, { id: { $gt: 9 } })).toBe(false)
+    expect(canSkipRowGroup({ file, metadata }, first, { name: 'name15' })).toBe(true)
+    expect(canSkipRowGroup({ file, metadata }, second, { name: 'name15' })).toBe(false)
+    expect(canSkipRowGroup({ file, metadata }, second, { name: { $startsWith: 'name2' } })).toBe(true)
+    expect(canSkipRowGroup({ file, metadata }, second, { name: { $startsWith: 'name1' } })).toBe(false)
+  })
+
+  it('ignores columns that are not read', () => {
+    expect(canSkipRowGroup({ file, metadata, columns: ['name'] }, first, { id: { $gt: 9 } })).toBe(false)
+  })
+
+  it('finds row groups where every row matches', () => {
+    expect(rowGroupAllMatch({ file, metadata }, second, { id: { $gt: 9 } })).toBe(true)
+    expect(rowGroupAllMatch({ file, metadata }, first, { id: { $gt: 5 } })).toBe(false)
+    expect(rowGroupAllMatch({ file, metadata }, first, { name: null })).toBe(true)
+  })
+})
+
+describe('pageRowRanges', () => {
+  it('finds pages that may match the filter', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const [first, second] = metadata.row_groups
+    expect(await pageRowRanges({ file, metadata }, second, { row: { $gte: 125, $lt: 140 } }))
+      .toEqual([[20, 40]])
+    expect(await pageRowRanges({ file, metadata }, second, { quality: 'good' }))
+      .toEqual([[0, 10], [20, 30], [40, 50], [60, 80], [90, 100]])
+    expect(await pageRowRanges({ file, metadata }, second, {
+      $or: [{ row: { $lt: 105 } }, { row: { $gt: 195 } }],
+    })).toEqual([[0, 10], [90, 100]])
+    expect(await pageRowRanges({ file, metadata }, first, { row: 500 })).toEqual([])
+  })
+
+  it('finds pages where every row matches', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const [, second] = metadata.row_groups
+    const pages = await pageMatches({ file, metadata }, second, { row: { $gte: 125n, $lt: 140n } })
+    expect(pages.filter(({ match }) => match !== 'none')).toEqual([
+      { rowStart: 20, rowEnd: 30, match: 'some' },
+      { rowStart: 30, rowEnd: 40, match: 'all' },
+    ])
+  })
+
+  it('returns the whole group without a usable column index', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const [first] = metadata.row_groups
+    expect(await pageRowRanges({ file, metadata }, first, { other: 1 })).toEqual([[0, 100]])
+    expect(await pageRowRanges({ file, metadata, columns: ['quality'] }, first, { row: 500 }))
+      .toEqual([[0, 100]])
+  })
+})
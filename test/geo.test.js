@@ -0,0 +1,246 @@
+import { describe, expect, it } from 'vitest'
+import { geometryBbox, parseWkb } from '../src/geo.js'
+import { parquetGeoMetadata, parquetMetadata, parquetQuery, parquetReadObjects, parquetWrite } from '../src/index.js'
+import { countingBuffer } from './helpers.js'
+
+/**
+ * @import {AsyncBuffer, SchemaElement} from '../src/types.js'
+ */
+
+/**
+ * Encode little-endian WKB from a geometry type code and its body.
+ *
+ * @param {number} code
+ * @param {number[]} body
+ * @returns {number[]}
+ */
+function wkb(code, body) {
+  return [1, ...uint32(code), ...body]
+}
+
+/**
+ * @param {number} value
+ * @returns {number[]}
+ */
+function uint32(value) {
+  return Array.from(new Uint8Array(new Uint32Array([value]).buffer))
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function float64(values) {
+  return Array.from(new Uint8Array(new Float64Array(values).buffer))
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @returns {Uint8Array}
+ */
+function point(x, y) {
+  return new Uint8Array(wkb(1, float64([x, y])))
+}
+
+/**
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {AsyncBuffer}
+ */
+function asyncBuffer(arrayBuffer) {
+  return { byteLength: arrayBuffer.byteLength, slice: (start, end) => arrayBuffer.slice(start, end) }
+}
+
+describe('parseWkb', () => {
+  it('decodes simple geometries', () => {
+    expect(parseWkb(point(1, 2))).toEqual({ type: 'Point', coordinates: [1, 2] })
+    expect(parseWkb(new Uint8Array(wkb(2, [...uint32(2), ...float64([0, 0, 3, 4])]))))
+      .toEqual({ type: 'LineString', coordinates: [[0, 0], [3, 4]] })
+    const ring = [...uint32(4), ...float64([0, 0, 1, 0, 1, 1, 0, 0])]
+    expect(parseWkb(new Uint8Array(wkb(3, [...uint32(1), ...ring]))))
+      .toEqual({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] })
+  })
+
+  it('decodes multi geometries and collections', () => {
+    const points = [...point(1, 2), ...point(3, 4)]
+    expect(parseWkb(new Uint8Array(wkb(4, [...uint32(2), ...points]))))
+      .toEqual({ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] })
+    const polygon = wkb(3, [...uint32(1), ...uint32(3), ...float64([0, 0, 1, 0, 0, 0])])
+    expect(parseWkb(new Uint8Array(wkb(6, [...uint32(1), ...polygon]))))
+      .toEqual({ type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [0, 0]]]] })
+    expect(parseWkb(new Uint8Array(wkb(7, [...uint32(2), ...point(1, 2), ...polygon]))))
+      .toEqual({
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Point', coordinates: [1, 2] },
+          { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] },
+        ],
+      })
+  })
+
+  it('decodes z, m, big-endian, and extended wkb', () => {
+    expect(parseWkb(new Uint8Array(wkb(1001, float64([1, 2, 3]))))).toEqual({ type: 'Point', coordinates: [1, 2, 3] })
+    expect(parseWkb(new Uint8Array(wkb(2001, float64([1, 2, 3]))))).toEqual({ type: 'Point', coordinates: [1, 2] })
+    expect(parseWkb(new Uint8Array(wkb(3001, float64([1, 2, 3, 4]))))).toEqual({ type: 'Point', coordinates: [1, 2, 3] })
+    // big-endian point(1, 2)
+    const bigEndian = new Uint8Array(21)
+    const view = new DataView(bigEndian.buffer)
+    view.setUint32(1, 1)
+    view.setFloat64(5, 1)
+    view.setFloat64(13, 2)
+    expect(parseWkb(bigEndian)).toEqual({ type: 'Point', coordinates: [1, 2] })
+    // ewkb point z with srid 4326
+    expect(parseWkb(new Uint8Array(wkb(0xa0000001, [...uint32(4326), ...float64([1, 2, 3])]))))
+      .toEqual({ type: 'Point', coordinates: [1, 2, 3] })
+    expect(parseWkb(new Uint8Array(wkb(1, float64([NaN, NaN]))))).toEqual({ type: 'Point', coordinates: [] })
+  })
+
+  it('throws on unsupported geometry types', () => {
+    expect(() => parseWkb(new Uint8Array(wkb(17, [])))).toThrow('wkb unsupported geometry type 17')
+  })
+})
+
+describe('geometryBbox', () => {
+  it('computes bounding boxes', () => {
+    expect(geometryBbox({ type: 'Point', coordinates: [1, 2] })).toEqual([1, 2, 1, 2])
+    expect(geometryBbox({ type: 'Polygon', coordinates: [[[0, 5], [3, -1], [-2, 0], [0, 5]]] })).toEqual([-2, -1, 3, 5])
+    expect(geometryBbox({
+      type: 'GeometryCollection',
+      geometries: [{ type: 'Point', coordinates: [1, 2] }, { type: 'LineString', coordinates: [[4, 0], [5, 1]] }],
+    })).toEqual([1, 0, 5, 2])
+    expect(geometryBbox({ type: 'Point', coordinates: [] })).toBeUndefined()
+  })
+})
+
+describe('geometry columns', () => {
+  const geom = [point(1, 2), point(10, 20), null, point(-5, 0)]
+
+  it('reads GEOMETRY columns as GeoJSON', async () => {
+    const file = parquetWrite({
+      columnData: [{ name: 'geom', data: geom }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'geom', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL', logical_type: { type: 'GEOMETRY', crs: 'OGC:CRS83' } },
+      ],
+    })
+    const metadata = parquetMetadata(file)
+    expect(metadata.schema[1].logical_type).toEqual({ type: 'GEOMETRY', crs: 'OGC:CRS83' })
+    const rows = await parquetReadObjects({ file })
+    expect(rows).toEqual([
+      { geom: { type: 'Point', coordinates: [1, 2] } },
+      { geom: { type: 'Point', coordinates: [10, 20] } },
+      { geom: null },
+      { geom: { type: 'Point', coordinates: [-5, 0] } },
+    ])
+    const wkbRows = await parquetReadObjects({ file, geometryFormat: 'wkb' })
+    expect(wkbRows[0].geom).toEqual(point(1, 2))
+  })
+
+  it('reads GEOGRAPHY logical types', () => {
+    const file = parquetWrite({
+      columnData: [{ name: 'geog', data: geom }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'geog', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL', logical_type: { type: 'GEOGRAPHY', algorithm: 'KARNEY' } },
+      ],
+    })
+    expect(parquetMetadata(file).schema[1].logical_type).toEqual({ type: 'GEOGRAPHY', algorithm: 'KARNEY' })
+  })
+
+  it('reads GeoParquet WKB columns', async () => {
+    const geo = {
+      version: '1.1.0',
+      primary_column: 'geometry',
+      columns: { geometry: { encoding: 'WKB', geometry_types: ['Point'] } },
+    }
+    const file = parquetWrite({
+      columnData: [{ name: 'geometry', data: geom, type: 'BYTE_ARRAY' }],
+      kvMetadata: [{ key: 'geo', value: JSON.stringify(geo) }],
+    })
+    const metadata = parquetMetadata(file)
+    expect(parquetGeoMetadata(metadata)).toEqual(geo)
+    const rows = await parquetReadObjects({ file, columns: ['geometry'] })
+    expect(rows[1]).toEqual({ geometry: { type: 'Point', coordinates: [10, 20] } })
+  })
+
+  it('returns undefined for files without GeoParquet metadata', () => {
+    const file = parquetWrite({ columnData: [{ name: 'id', data: [1] }] })
+    expect(parquetGeoMetadata(parquetMetadata(file))).toBeUndefined()
+  })
+
+  it('filters rows by bounding box', async () => {
+    const file = asyncBuffer(parquetWrite({
+      columnData: [{ name: 'id', data: [1, 2, 3, 4] }, { name: 'geom', data: geom }],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'id', type: 'INT32', repetition_type: 'REQUIRED' },
+        { name: 'geom', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL', logical_type: { type: 'GEOMETRY' } },
+      ],
+    }))
+    const rows = await parquetQuery({ file, filter: { geom: { $bbox: [0, 0, 5, 5] } } })
+    expect(rows.map(row => row.id)).toEqual([1])
+    const wkbRows = await parquetQuery({ file, filter: { geom: { $bbox: [-10, -10, 0, 0] } }, geometryFormat: 'wkb' })
+    expect(wkbRows.map(row => row.id)).toEqual([4])
+    await expect(parquetQuery({ file, filter: { geom: { $bbox: [0, 0, 5] } } }))
+      .rejects.toThrow('parquet $bbox expects [xmin, ymin, xmax, ymax]')
+  })
+
+  it('skips row groups using geospatial statistics', async () => {
+    /** @type {SchemaElement[]} */
+    const schema = [
+      { name: 'root', num_children: 1 },
+      { name: 'geom', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL', logical_type: { type: 'GEOMETRY' } },
+    ]
+    const arrayBuffer = parquetWrite({ columnData: [{ name: 'geom', data: geom }], schema, rowGroupSize: 2 })
+    const metadata = parquetMetadata(arrayBuffer)
+    const [first, second] = metadata.row_groups.map(({ columns }) => columns[0].meta_data)
+    if (!first || !second) throw new Error('missing column metadata')
+    first.geospatial_statistics = { bbox: { xmin: 1, xmax: 10, ymin: 2, ymax: 20 } }
+    // wraps the antimeridian
+    second.geospatial_statistics = { bbox: { xmin: 170, xmax: -5, ymin: 0, ymax: 0 } }
+
+    const file = countingBuffer(asyncBuffer(arrayBuffer))
+    const rows = await parquetQuery({ file, metadata, filter: { geom: { $bbox: [9, 19, 11, 21] } } })
+    expect(rows).toEqual([{ geom: { type: 'Point', coordinates: [10, 20] } }])
+    expect(file.fetches).toBe(1) // 1 row group
+
+    const file2 = countingBuffer(asyncBuffer(arrayBuffer))
+    const rows2 = await parquetQuery({ file: file2, metadata, filter: { geom: { $bbox: [-6, -1, -4, 1] } } })
+    expect(rows2).toEqual([{ geom: { type: 'Point', coordinates: [-5, 0] } }])
+    expect(file2.fetches).toBe(1) // 1 row group
+
+    const file3 = countingBuffer(asyncBuffer(arrayBuffer))
+    const rows3 = await parquetQuery({ file: file3, metadata, filter: { geom: { $bbox: [50, 50, 60, 60] } } })
+    expect(rows3).toEqual([])
+    expect(file3.fetches).toBe(0)
+  })
+
+  it('skips row groups using GeoParquet bbox covering columns', async () => {
+    const points = [[1, 2], [10, 20], [-5, 0], [-6, 1]]
+    const geo = {
+      version: '1.1.0',
+      primary_column: 'geometry',
+      columns: {
+        geometry: {
+          encoding: 'WKB',
+          geometry_types: ['Point'],
+          covering: { bbox: { xmin: ['xmin'], ymin: ['ymin'], xmax: ['xmax'], ymax: ['ymax'] } },
+        },
+      },
+    }
+    const file = countingBuffer(asyncBuffer(parquetWrite({
+      columnData: [
+        { name: 'geometry', data: points.map(([x, y]) => point(x, y)), type: 'BYTE_ARRAY' },
+        { name: 'xmin', data: points.map(([x]) => x), type: 'DOUBLE' },
+        { name: 'ymin', data: points.map(([, y]) => y), type: 'DOUBLE' },
+        { name: 'xmax', data: points.map(([x]) => x), type: 'DOUBLE' },
+        { name: 'ymax', data: points.map(([, y]) => y), type: 'DOUBLE' },
+      ],
+      kvMetadata: [{ key: 'geo', value: JSON.stringify(geo) }],
+      rowGroupSize: 2,
+    })))
+    const rows = await parquetQuery({ file, columns: ['geometry'], filter: { geometry: { $bbox: [-7, 0.5, -5.5, 2] } } })
+    expect(rows).toEqual([{ geometry: { type: 'Point', coordinates: [-6, 1] } }])
+    expect(file.fetches).toBe(2) // 1 metadata, 1 row group
+  })
+})
@@ -0,0 +1,139 @@
+import { describe, expect, it } from 'vitest'
+import { codec } from '../src/codecs/codec.js'
+import { gzipUncompress } from '../src/codecs/gzip.js'
+import { compressors } from '../src/codecs/index.js'
+import { parquetMetadataAsync, parquetRead, parquetReadObjects } from '../src/index.js'
+import { asyncBufferFromFile, createNodeWorker } from '../src/node.js'
+import { workerPool } from '../src/parallel.js'
+import { parquetReadAsync } from '../src/read.js'
+
+/**
+ * @import {ColumnData, DecodedArray, ParquetReadOptions, WorkerPool} from '../src/types.js'
+ */
+
+describe('parquetRead parallel', () => {
+  const parallel = { workers: 2, createWorker: createNodeWorker }
+
+  it.for([
+    'rowgroups.parquet',
+    'datapage_v2.snappy.parquet',
+    'struct_strings.parquet',
+    'continued_page.parquet',
+  ])('matches single-threaded read of %s', async filename => {
+    const file = await asyncBufferFromFile(`test/files/${filename}`)
+    const expected = await parquetReadObjects({ file })
+    const rows = await parquetReadObjects({ file, parallel })
+    expect(rows).toEqual(expected)
+  })
+
+  it('matches single-threaded read of a row range', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const expected = await parquetReadObjects({ file, rowStart: 50, rowEnd: 120 })
+    const rows = await parquetReadObjects({ file, rowStart: 50, rowEnd: 120, parallel })
+    expect(rows).toEqual(expected)
+  })
+
+  it('replays pages to onPage', async () => {
+    const file = await asyncBufferFromFile('test/files/datapage_v2.snappy.parquet')
+    /** @type {ColumnData[]} */
+    const expected = []
+    await parquetRead({ file, onPage: page => expected.push(page) })
+    /** @type {ColumnData[]} */
+    const pages = []
+    await parquetRead({ file, parallel, onPage: page => pages.push(page) })
+    // columns may finish in any order
+    pages.sort((a, b) => a.columnName.localeCompare(b.columnName))
+    expected.sort((a, b) => a.columnName.localeCompare(b.columnName))
+    expect(pages).toEqual(expected)
+  })
+
+  it('starts at most the requested number of workers', async () => {
+    const file = await asyncBufferFromFile('test/files/nullable.impala.parquet')
+    let started = 0
+    function createWorker() {
+      started++
+      return createNodeWorker()
+    }
+    await parquetReadObjects({ file, parallel: { workers: 2, createWorker } })
+    expect(started).toBeGreaterThan(0)
+    expect(started).toBeLessThanOrEqual(2)
+  })
+
+  it('decodes built-in codecs in workers', async () => {
+    const file = await asyncBufferFromFile('test/files/byte_stream_split.zstd.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const expected = await readColumns({ file, metadata, compressors })
+    const { pool, calls } = countingPool()
+    try {
+      expect(await readColumns({ file, metadata, compressors }, pool)).toEqual(expected)
+      expect(calls.length).toBe(metadata.row_groups[0].columns.length)
+      expect(calls.every(codec => codec === 'ZSTD')).toBe(true)
+    } finally {
+      pool.terminate()
+    }
+  })
+
+  it('decodes custom compressors on the main thread', async () => {
+    const file = await asyncBufferFromFile('test/files/byte_stream_split_extended.gzip.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const custom = { GZIP: codec(gzipUncompress) }
+    const expected = await readColumns({ file, metadata, compressors })
+    const { pool, calls } = countingPool()
+    try {
+      expect(await readColumns({ file, metadata, compressors: custom }, pool)).toEqual(expected)
+      expect(calls).toEqual([])
+      expect(await readColumns({ file, metadata, compressors }, pool)).toEqual(expected)
+      expect(calls.length).toBeGreaterThan(0)
+    } finally {
+      pool.terminate()
+    }
+    const rows = await parquetReadObjects({ file, compressors: custom, parallel })
+    expect(rows).toEqual(await parquetReadObjects({ file, compressors }))
+  })
+
+  it('throws for codecs without compressors like a single-threaded read', async () => {
+    const file = await asyncBufferFromFile('test/files/byte_stream_split_extended.gzip.parquet')
+    await expect(parquetReadObjects({ file }))
+      .rejects.toThrow('parquet unsupported compression codec: GZIP')
+    await expect(parquetReadObjects({ file, parallel }))
+      .rejects.toThrow('parquet unsupported compression codec: GZIP')
+  })
+
+  it('throws without a worker implementation', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    await expect(parquetReadObjects({ file, parallel: { workers: 2 } }))
+      .rejects.toThrow('parquet parallel requires Worker')
+    await expect(parquetReadObjects({ file, parallel: { workers: 0, createWorker: createNodeWorker } }))
+      .rejects.toThrow('parquet parallel workers must be at least 1, got 0')
+  })
+})
+
+/**
+ * Worker pool that records the codec of each column chunk it decodes.
+ *
+ * @returns {{ pool: WorkerPool, calls: string[] }}
+ */
+function countingPool() {
+  const pool = workerPool({ workers: 2, createWorker: createNodeWorker })
+  /** @type {string[]} */
+  const calls = []
+  return {
+    pool: {
+      readColumn(buffer, rowGroupSelect, columnDecoder, onPage) {
+        calls.push(columnDecoder.codec)
+        return pool.readColumn(buffer, rowGroupSelect, columnDecoder, onPage)
+      },
+      terminate: pool.terminate,
+    },
+    calls,
+  }
+}
+
+/**
+ * @param {ParquetReadOptions} options
+ * @param {WorkerPool} [pool]
+ * @returns {Promise<DecodedArray[][]>} column chunks of every row group
+ */
+function readColumns(options, pool) {
+  return Promise.all(parquetReadAsync(options, pool).flatMap(({ asyncColumns }) => asyncColumns.map(({ data }) => data)))
+}
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest'
-import { readPlain } from '../src/plain.js'
+import { byteWriter } from '../src/bytewriter.js'
+import { readPlain, writePlain } from '../src/plain.js'
 
 describe('readPlain', () => {
   it('returns empty array for count 0', () => {
@@ -148,3 +149,44 @@ describe('readPlain', () => {
       .toThrow(`parquet unhandled type: ${invalidType}`)
   })
 })
+
+describe('writePlain', () => {
+  /**
+   * @import {DecodedArray, ParquetType} from '../src/types.d.ts'
+   * @param {DecodedArray} values
+   * @param {ParquetType} type
+   * @param {number} [fixedLength]
+   * @returns {DecodedArray}
+   */
+  function roundTrip(values, type, fixedLength) {
+    const writer = byteWriter()
+    writePlain(writer, values, type, fixedLength)
+    const reader = { view: new DataView(writer.getBuffer()), offset: 0 }
+    const result = readPlain(reader, type, values.length, fixedLength)
+    expect(reader.offset).toBe(writer.offset)
+    return result
+  }
+
+  it('writes values that readPlain can read back', () => {
+    expect(roundTrip([true, false, true, true, false, false, true, false, true], 'BOOLEAN'))
+      .toEqual([true, false, true, true, false, false, true, false, true])
+    expect(roundTrip([1, -2, 2147483647], 'INT32')).toEqual(new Int32Array([1, -2, 2147483647]))
+    expect(roundTrip([1n, -2n, 9007199254740993n], 'INT64')).toEqual(new BigInt64Array([1n, -2n, 9007199254740993n]))
+    expect(roundTrip([1.5, -2.25], 'FLOAT')).toEqual(new Float32Array([1.5, -2.25]))
+    expect(roundTrip([0.1, -Infinity], 'DOUBLE')).toEqual(new Float64Array([0.1, -Infinity]))
+    expect(roundTrip([new Uint8Array([1, 2, 3]), new Uint8Array([])], 'BYTE_ARRAY'))
+      .toEqual([new Uint8Array([1, 2, 3]), new Uint8Array([])])
+    expect(roundTrip([new Uint8Array([4, 5]), new Uint8Array([6, 7])], 'FIXED_LEN_BYTE_ARRAY', 2))
+      .toEqual([new Uint8Array([4, 5]), new Uint8Array([6, 7])])
+  })
+
+  it('throws for wrong fixed length', () => {
+    expect(() => writePlain(byteWriter(), [new Uint8Array([1])], 'FIXED_LEN_BYTE_ARRAY', 2))
+      .toThrow('parquet expected fixed length 2, got 1')
+  })
+
+  it('throws for unhandled types', () => {
+    expect(() => writePlain(byteWriter(), [1n], 'INT96'))
+      .toThrow('parquet unhandled type: INT96')
+  })
+})
@@ -36,4 +36,40 @@ describe('parquetPlan', () => {
       ],
     })
   })
+
+  it('plans to fetch offset indexes for a partial row group', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const plan = parquetPlan({ file, metadata, rowStart: 150, rowEnd: 160, pageIndex: true })
+    expect(plan).toMatchObject({
+      rowStart: 150,
+      rowEnd: 160,
+      fetches: [
+        { startByte: 3158, endByte: 3330 },
+      ],
+      groups: [
+        {
+          groupRows: 100,
+          groupStart: 100,
+          selectStart: 50,
+          selectEnd: 60,
+          pageIndexed: true,
+        },
+      ],
+    })
+  })
+
+  it('does not prefetch column chunks in external files', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    metadata.row_groups[0].columns[1].file_path = 'part-0.parquet'
+    const plan = parquetPlan({ file, metadata, rowEnd: 100, resolveFile: () => file })
+    expect(plan.fetches).toEqual([{ startByte: 4, endByte: 832 }])
+    expect(plan.groups[0].ranges).toEqual([
+      { startByte: 4, endByte: 832 },
+      { startByte: 832, endByte: 1166, filePath: 'part-0.parquet' },
+    ])
+    expect(() => parquetPlan({ file, metadata }))
+      .toThrow('parquet file_path part-0.parquet requires resolveFile')
+  })
 })
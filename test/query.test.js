@@ -1,8 +1,13 @@
 import { describe, expect, it } from 'vitest'
-import { parquetQuery } from '../src/query.js'
+import { parquetMetadataAsync, parquetWrite } from '../src/index.js'
+import { compare, compareRows, parquetQuery } from '../src/query.js'
 import { asyncBufferFromFile } from '../src/node.js'
 import { countingBuffer } from './helpers.js'
 
+/**
+ * @import {AsyncBuffer} from '../src/types.d.ts'
+ */
+
 describe('parquetQuery', () => {
   it('throws error for undefined file', async () => {
     // @ts-expect-error testing invalid input
@@ -210,4 +215,240 @@ describe('parquetQuery', () => {
     expect(file.fetches).toBe(2) // 1 metadata, 1 row group
     expect(file.bytes).toBe(5261)
   })
+
+  it('skips row groups using statistics', async () => {
+    const id = Array.from({ length: 1000 }, (_, i) => i)
+    const arrayBuffer = parquetWrite({ columnData: [{ name: 'id', data: id }], rowGroupSize: 100 })
+    /** @type {AsyncBuffer} */
+    const asyncBuffer = {
+      byteLength: arrayBuffer.byteLength,
+      slice: (start, end) => arrayBuffer.slice(start, end),
+    }
+    const file = countingBuffer(asyncBuffer)
+    const rows = await parquetQuery({ file, filter: { id: { $gte: 850, $lt: 852 } } })
+    expect(rows).toEqual([{ id: 850 }, { id: 851 }])
+    expect(file.fetches).toBe(2) // 1 metadata, 1 row group
+
+    const file2 = countingBuffer(asyncBuffer)
+    const rows2 = await parquetQuery({ file: file2, filter: { id: { $in: [5, 995] } }, orderBy: 'id' })
+    expect(rows2).toEqual([{ id: 5 }, { id: 995 }])
+    expect(file2.fetches).toBe(3) // 1 metadata, 2 row groups
+
+    const file3 = countingBuffer(asyncBuffer)
+    const rows3 = await parquetQuery({ file: file3, filter: { id: 2000 } })
+    expect(rows3).toEqual([])
+    expect(file3.fetches).toBe(1) // metadata only
+  })
+
+  it('does not skip NaN rows of float columns for $ne', async () => {
+    const arrayBuffer = parquetWrite({ columnData: [{ name: 'x', data: [1, NaN, 1], type: 'DOUBLE' }] })
+    const file = { byteLength: arrayBuffer.byteLength, slice: (/** @type {number} */ start, /** @type {number} */ end) => arrayBuffer.slice(start, end) }
+    const metadata = await parquetMetadataAsync(file)
+    const { statistics } = metadata.row_groups[0].columns[0].meta_data ?? {}
+    expect(statistics).toMatchObject({ min_value: 1, max_value: 1, nan_count: 1n })
+    expect(await parquetQuery({ file, metadata, filter: { x: { $ne: 1 } } })).toEqual([{ x: NaN }])
+
+    // nan count is unknown for other writers
+    delete statistics?.nan_count
+    expect(await parquetQuery({ file, metadata, filter: { x: { $nin: [1] } } })).toEqual([{ x: NaN }])
+  })
+
+  it('filters on columns that are not selected', async () => {
+    const arrayBuffer = parquetWrite({
+      columnData: [
+        { name: 'a', data: [1, 2, 3, 4] },
+        { name: 'b', data: [10, 20, 30, 20] },
+      ],
+      rowGroupSize: 2,
+    })
+    const file = { byteLength: arrayBuffer.byteLength, slice: (/** @type {number} */ start, /** @type {number} */ end) => arrayBuffer.slice(start, end) }
+    const columns = ['a']
+    const filter = { b: 20 }
+    expect(await parquetQuery({ file, columns, filter })).toEqual([{ a: 2 }, { a: 4 }])
+    expect(await parquetQuery({ file, columns, filter, rowEnd: 1 })).toEqual([{ a: 2 }])
+    expect(await parquetQuery({ file, columns, filter, orderBy: 'a' })).toEqual([{ a: 2 }, { a: 4 }])
+    expect(await parquetQuery({ file, columns, filter, orderBy: [{ column: 'a', direction: 'desc' }] }))
+      .toEqual([{ a: 4 }, { a: 2 }])
+  })
+
+  it('reads only filter and orderBy columns until the top rows are known', async () => {
+    const score = Array.from({ length: 1000 }, (_, i) => i * 7 % 100)
+    const name = score.map((_, i) => `row ${i}`.padEnd(100, '.'))
+    const arrayBuffer = parquetWrite({
+      columnData: [{ name: 'score', data: score }, { name: 'name', data: name }],
+      rowGroupSize: 100,
+    })
+    /** @type {AsyncBuffer} */
+    const asyncBuffer = {
+      byteLength: arrayBuffer.byteLength,
+      slice: (start, end) => arrayBuffer.slice(start, end),
+    }
+    const metadata = await parquetMetadataAsync(asyncBuffer)
+    const filter = { score: { $gt: 90 } }
+    const fullFile = countingBuffer(asyncBuffer)
+    await parquetQuery({ file: fullFile, metadata, filter })
+
+    const file = countingBuffer(asyncBuffer)
+    const rows = await parquetQuery({ file, metadata, filter, orderBy: 'score', rowStart: 1, rowEnd: 4 })
+    // ties keep file order
+    expect(rows).toEqual([
+      { score: 91, name: 'row 113'.padEnd(100, '.') },
+      { score: 91, name: 'row 213'.padEnd(100, '.') },
+      { score: 91, name: 'row 313'.padEnd(100, '.') },
+    ])
+    expect(file.fetches).toBe(13) // 10 score chunks, 3 winning row groups
+    expect(file.bytes).toBeLessThan(fullFile.bytes)
+
+    // scanned rows are returned directly when they cover the selected columns
+    const rows2 = await parquetQuery({ file, metadata, columns: ['score'], filter: { name: 'row 5'.padEnd(100, '.') }, orderBy: 'score' })
+    expect(rows2).toEqual([{ score: 35 }])
+  })
+
+  it('sorts by multiple columns with direction and nulls', async () => {
+    const arrayBuffer = parquetWrite({
+      columnData: [
+        { name: 'country', data: ['us', 'fr', null, 'us', 'fr', 'us'] },
+        { name: 'revenue', data: [5, null, 3, null, 7, 9] },
+      ],
+    })
+    /** @type {AsyncBuffer} */
+    const file = {
+      byteLength: arrayBuffer.byteLength,
+      slice: (start, end) => arrayBuffer.slice(start, end),
+    }
+    /** @type {import('../src/types.d.ts').ParquetSortColumn[]} */
+    const orderBy = [{ column: 'country' }, { column: 'revenue', direction: 'desc', nulls: 'last' }]
+    const rows = await parquetQuery({ file, orderBy })
+    expect(rows.map(({ country, revenue }) => [country, revenue])).toEqual([
+      ['fr', 7], ['fr', null], ['us', 9], ['us', 5], ['us', null], [null, 3],
+    ])
+    const filtered = await parquetQuery({ file, orderBy, filter: { revenue: { $ne: 7 } }, rowEnd: 3 })
+    expect(filtered).toEqual([
+      { country: 'fr', revenue: null },
+      { country: 'us', revenue: 9 },
+      { country: 'us', revenue: 5 },
+    ])
+    const nullsFirst = await parquetQuery({ file, orderBy: [{ column: 'revenue', nulls: 'first' }], rowEnd: 3 })
+    expect(nullsFirst.map(({ revenue }) => revenue)).toEqual([null, null, 3])
+
+    // @ts-expect-error testing invalid input
+    await expect(parquetQuery({ file, orderBy: [{ column: 'revenue', direction: 'up' }] }))
+      .rejects.toThrow('parquet orderBy invalid direction: up')
+  })
+
+  it('sorts NaN after all numbers', async () => {
+    const file = await asyncBufferFromFile('test/files/float16_nonzeros_and_nans.parquet')
+    const sorted = [-2, -1, 0, -0, 1, 2, NaN, null]
+    const rows = await parquetQuery({ file, orderBy: 'x' })
+    expect(rows.map(({ x }) => x)).toEqual(sorted)
+    // top rows of a filtered query are sorted the same way
+    const filtered = await parquetQuery({ file, orderBy: 'x', filter: { x: { $ne: 5 } } })
+    expect(filtered.map(({ x }) => x)).toEqual(sorted)
+    const desc = await parquetQuery({ file, orderBy: [{ column: 'x', direction: 'desc' }], filter: { x: { $ne: 5 } }, rowEnd: 3 })
+    expect(desc.map(({ x }) => x)).toEqual([NaN, 2, 1])
+  })
+
+  it('skips sorting when row groups are already sorted', async () => {
+    const id = Array.from({ length: 1000 }, (_, i) => i)
+    const arrayBuffer = parquetWrite({ columnData: [{ name: 'id', data: id }], rowGroupSize: 100 })
+    /** @type {AsyncBuffer} */
+    const asyncBuffer = {
+      byteLength: arrayBuffer.byteLength,
+      slice: (start, end) => arrayBuffer.slice(start, end),
+    }
+    const metadata = await parquetMetadataAsync(asyncBuffer)
+    for (const group of metadata.row_groups) {
+      group.sorting_columns = [{ column_idx: 0, descending: false, nulls_first: false }]
+    }
+    const file = countingBuffer(asyncBuffer)
+    const rows = await parquetQuery({ file, metadata, orderBy: 'id', rowStart: 100, rowEnd: 103 })
+    expect(rows).toEqual([{ __index__: 100, id: 100 }, { __index__: 101, id: 101 }, { __index__: 102, id: 102 }])
+    expect(file.fetches).toBe(1) // second row group only
+
+    // same rows as sorting a file without sorting_columns
+    const unsorted = await parquetQuery({ file: asyncBuffer, orderBy: 'id', rowStart: 100, rowEnd: 103 })
+    expect(unsorted).toEqual(rows)
+
+    // sorting_columns that do not match the request are still sorted
+    const desc = await parquetQuery({ file, metadata, orderBy: [{ column: 'id', direction: 'desc' }], rowEnd: 2 })
+    expect(desc).toEqual([{ __index__: 999, id: 999 }, { __index__: 998, id: 998 }])
+  })
+
+  it('compares dates, bigints, strings and bytes', () => {
+    expect(compare(new Date(1000), new Date(2000))).toBe(-1)
+    expect(compare(2n, 1)).toBe(1)
+    expect(compare('\uffff', '\u{1f600}')).toBeLessThan(0) // code point order
+    expect(compare(new Uint8Array([1, 200]), new Uint8Array([1, 3]))).toBeGreaterThan(0)
+    expect(compare(new Uint8Array([1]), new Uint8Array([1, 0]))).toBeLessThan(0)
+    expect(compare(null, 1)).toBe(1)
+    expect(compare(NaN, Infinity)).toBe(1)
+    expect(compare(NaN, null)).toBe(-1)
+    expect(compare(NaN, NaN)).toBe(0)
+    const rows = [{ a: 1, b: null }, { a: 1, b: 'x' }, { a: undefined, b: 'y' }, { a: 0, b: 'z' }]
+    expect(rows.sort(compareRows([{ column: 'a', direction: 'desc', nulls: 'first' }, { column: 'b', direction: 'asc', nulls: 'first' }])))
+      .toEqual([{ a: undefined, b: 'y' }, { a: 1, b: null }, { a: 1, b: 'x' }, { a: 0, b: 'z' }])
+  })
+
+  it('filters uuid columns by string', async () => {
+    const id = Array.from({ length: 4 }, (_, i) => new Uint8Array(16).fill(i * 16))
+    const arrayBuffer = parquetWrite({
+      columnData: [{ name: 'id', data: id }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'id', type: 'FIXED_LEN_BYTE_ARRAY', type_length: 16, logical_type: { type: 'UUID' }, repetition_type: 'REQUIRED' },
+      ],
+      rowGroupSize: 2,
+    })
+    /** @type {AsyncBuffer} */
+    const asyncBuffer = {
+      byteLength: arrayBuffer.byteLength,
+      slice: (start, end) => arrayBuffer.slice(start, end),
+    }
+    const rows = await parquetQuery({ file: asyncBuffer, filter: { id: '20202020-2020-2020-2020-202020202020' } })
+    expect(rows).toEqual([{ id: '20202020-2020-2020-2020-202020202020' }])
+  })
+
+  it('skips pages using the column index', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const rows = await parquetQuery({ file, filter: { row: { $gte: 150, $lt: 153 } }, pageIndex: true })
+    expect(rows).toEqual([
+      { row: 150n, quality: 'bad' },
+      { row: 151n, quality: 'bad' },
+      { row: 152n, quality: 'bad' },
+    ])
+    // metadata, page index, offset indexes, 2 dictionaries, 2 data pages
+    expect(file.fetches).toBe(7)
+    expect(file.bytes).toBe(5389)
+  })
+
+  it('does not read page indexes when row group statistics decide the filter', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const rows = await parquetQuery({ file, filter: { row: { $gte: 100 } }, pageIndex: true })
+    expect(rows.length).toBe(100)
+    expect(file.fetches).toBe(2) // 1 metadata, 1 row group
+  })
+
+  it('skips pages in external files', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    metadata.row_groups = metadata.row_groups.map(rowGroup => ({
+      ...rowGroup,
+      columns: rowGroup.columns.map(column => ({ ...column, file_path: 'part-0.parquet' })),
+    }))
+    const external = countingBuffer(file)
+    const rows = await parquetQuery({
+      file: { byteLength: 0, slice: () => new ArrayBuffer(0) },
+      metadata,
+      filter: { row: { $gte: 150, $lt: 153 } },
+      pageIndex: true,
+      resolveFile: () => external,
+    })
+    expect(rows).toEqual([
+      { row: 150n, quality: 'bad' },
+      { row: 151n, quality: 'bad' },
+      { row: 152n, quality: 'bad' },
+    ])
+    // page index, 2 offset indexes, 2 dictionaries, 2 data pages
+    expect(external.fetches).toBe(7)
+  })
 })
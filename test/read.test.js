@@ -1,10 +1,19 @@
 import { describe, expect, it, vi } from 'vitest'
+import { readColumnAsync } from '../src/column.js'
 import { convertWithDictionary } from '../src/convert.js'
-import { parquetMetadataAsync, parquetRead, parquetReadObjects } from '../src/index.js'
+import { parquetMetadataAsync, parquetRead, parquetReadObjects, parquetReadStream, parquetRowIterator } from '../src/index.js'
 import { asyncBufferFromFile } from '../src/node.js'
+import { parquetReadAsync, parquetReadColumn } from '../src/read.js'
+import { flatten } from '../src/utils.js'
 import { countingBuffer } from './helpers.js'
 
+/**
+ * @import {AsyncBuffer, FileMetaData} from '../src/types.d.ts'
+ */
+
+vi.mock('../src/column.js', { spy: true })
 vi.mock('../src/convert.js', { spy: true })
+vi.mock('../src/utils.js', { spy: true })
 
 describe('parquetRead', () => {
   it('throws error for undefined file', async () => {
@@ -157,6 +166,33 @@ describe('parquetRead', () => {
     })
   })
 
+  it('reads nested columns by path', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/nullable.impala.parquet'))
+    const all = await parquetReadObjects({ file })
+    const fullBytes = file.bytes
+    file.bytes = 0
+    const rows = await parquetReadObjects({ file, columns: ['nested_struct.A', 'nested_struct.C.d.list.element.list.element.F'] })
+    expect(file.bytes).toBeLessThan(fullBytes)
+    expect(rows).toEqual(all.map(({ nested_struct }) => ({
+      nested_struct: nested_struct && {
+        A: nested_struct.A,
+        C: nested_struct.C && {
+          d: nested_struct.C.d?.map((/** @type {any[]} */ list) => list?.map(item => item && { F: item.F })),
+        },
+      },
+    })))
+
+    // maps are read whole, and rows follow the requested column order
+    const arrays = await parquetReadObjects({ file, columns: ['int_map.map.value', 'id'], rowFormat: 'array' })
+    expect(arrays).toEqual(all.map(({ id, int_map }) => [int_map, id]))
+  })
+
+  it('throws for nested paths that do not exist', async () => {
+    const file = await asyncBufferFromFile('test/files/nullable.impala.parquet')
+    await expect(parquetReadObjects({ file, columns: ['id.missing'] }))
+      .rejects.toThrow('parquet columns not found: id.missing')
+  })
+
   it('read objects and return a promise', async () => {
     const file = await asyncBufferFromFile('test/files/datapage_v2.snappy.parquet')
     const rows = await parquetReadObjects({ file })
@@ -169,6 +205,15 @@ describe('parquetRead', () => {
     ])
   })
 
+  it('reads decimals as exact strings', async () => {
+    const file = await asyncBufferFromFile('test/files/decimal-column.parquet')
+    const rows = await parquetReadObjects({ file, rowEnd: 2, decimalFormat: 'string' })
+    expect(rows).toEqual([
+      { mid: 40n, value: '2015.0000000000' },
+      { mid: 74n, value: '2015.0000000000' },
+    ])
+  })
+
   it('skips converting unnecessary pages', async () => {
     const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
     const metadata = await parquetMetadataAsync(file)
@@ -183,6 +228,80 @@ describe('parquetRead', () => {
     expect(convertWithDictionary).toHaveBeenCalledTimes(4)
   })
 
+  it('reads only pages overlapping the selected rows', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const metadata = await parquetMetadataAsync(file)
+    const rows = await parquetReadObjects({ file, metadata, rowStart: 155, rowEnd: 162, pageIndex: true })
+    expect(rows).toEqual([
+      { row: 155n, quality: 'bad' },
+      { row: 156n, quality: 'bad' },
+      { row: 157n, quality: 'bad' },
+      { row: 158n, quality: 'bad' },
+      { row: 159n, quality: 'bad' },
+      { row: 160n, quality: 'bad' },
+      { row: 161n, quality: 'bad' },
+    ])
+    // metadata, offset indexes, and a dictionary and 2 data pages per column
+    expect(file.fetches).toBe(6)
+    expect(file.bytes).toBe(4099 + 172 + 432 + 82 + 31 + 59)
+  })
+
+  it('emits chunks from the first page read', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    /** @type {import('../src/types.js').ColumnData[]} */
+    const chunks = []
+    await parquetRead({ file, columns: ['row'], rowStart: 155, rowEnd: 162, pageIndex: true, onChunk: chunk => chunks.push(chunk) })
+    expect(chunks).toEqual([{
+      columnName: 'row',
+      columnData: Array.from({ length: 12 }, (_, i) => BigInt(150 + i)),
+      rowStart: 150,
+      rowEnd: 162,
+    }])
+
+    // data of async columns starts at the row group
+    const metadata = await parquetMetadataAsync(file)
+    const [{ asyncColumns }] = parquetReadAsync({ file, metadata, columns: ['row'], rowStart: 155, rowEnd: 162, pageIndex: true })
+    const data = await asyncColumns[0].data
+    expect(data.flatMap(chunk => Array.from(chunk)).slice(55, 62)).toEqual([155n, 156n, 157n, 158n, 159n, 160n, 161n])
+  })
+
+  it('does not copy rows skipped using the offset index', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    vi.mocked(flatten).mockClear()
+    const rows = await parquetReadObjects({ file, rowStart: 155, rowEnd: 162, pageIndex: true })
+    expect(rows.map(row => row.row)).toEqual([155n, 156n, 157n, 158n, 159n, 160n, 161n])
+    const column = await parquetReadColumn({ file, columns: ['row'], rowStart: 155, rowEnd: 162, pageIndex: true })
+    expect(Array.from(column)).toEqual([155n, 156n, 157n, 158n, 159n, 160n, 161n])
+    // pages start at row 150, the second half of the row group at 100
+    const lengths = vi.mocked(flatten).mock.calls.map(([chunks]) => chunks?.reduce((sum, chunk) => sum + chunk.length, 0) ?? 0)
+    expect(lengths.length).toBeGreaterThan(0)
+    expect(Math.max(...lengths)).toBeLessThanOrEqual(50)
+  })
+
+  it.for([
+    'page_indexed.parquet',
+    'rowgroups.parquet',
+    'datapage_v2.snappy.parquet',
+    'struct_strings.parquet',
+  ])('streams column chunks page by page like reading them whole from %s', async filename => {
+    const file = await asyncBufferFromFile(`test/files/${filename}`)
+    const metadata = await parquetMetadataAsync(file)
+    const numRows = Number(metadata.num_rows)
+    for (const [rowStart, rowEnd] of [[0, numRows], [1, numRows - 1], [numRows - 2, numRows]]) {
+      const expected = await parquetReadObjects({ file, metadata, rowStart, rowEnd })
+      vi.mocked(readColumnAsync).mockClear()
+      const rows = await parquetReadObjects({ file, metadata, rowStart, rowEnd, streamingSize: 0 })
+      expect(rows).toEqual(expected)
+      expect(readColumnAsync).toHaveBeenCalled()
+    }
+  })
+
+  it('reads a single column in a row range', async () => {
+    const file = await asyncBufferFromFile('test/files/page_indexed.parquet')
+    const column = await parquetReadColumn({ file, columns: ['row'], rowStart: 98, rowEnd: 123 })
+    expect(Array.from(column)).toEqual(Array.from({ length: 25 }, (_, i) => BigInt(98 + i)))
+  })
+
   it('reads individual pages', async () => {
     const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
     /** @type {import('../src/types.js').ColumnData[]} */
@@ -254,3 +373,148 @@ describe('parquetRead', () => {
     expect(file.bytes).toBe(6421)
   })
 })
+
+describe('parquetRowIterator', () => {
+  it('yields rows one row group at a time', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const rows = []
+    for await (const row of parquetRowIterator({ file })) {
+      rows.push(row)
+    }
+    expect(rows).toEqual(await parquetReadObjects({ file }))
+    expect(rows.length).toBe(15)
+  })
+
+  it('yields rows in range as arrays', async () => {
+    const file = await asyncBufferFromFile('test/files/datapage_v2.snappy.parquet')
+    const rows = []
+    for await (const row of parquetRowIterator({ file, columns: ['c', 'b'], rowStart: 1, rowEnd: 3, rowFormat: 'array' })) {
+      rows.push(row)
+    }
+    expect(rows).toEqual([[3, 2], [4, 3]])
+  })
+
+  it('stops fetching when iteration stops', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/rowgroups.parquet'))
+    const metadata = await parquetMetadataAsync(file)
+    expect(metadata.row_groups.length).toBeGreaterThan(1)
+    file.fetches = 0
+    for await (const row of parquetRowIterator({ file, metadata })) {
+      expect(row).toEqual({ numbers: 1n })
+      break
+    }
+    expect(file.fetches).toBe(1) // first row group only
+  })
+})
+
+describe('parquetReadStream', () => {
+  it('streams a batch of rows per row group', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const metadata = await parquetMetadataAsync(file)
+    const batches = []
+    const reader = parquetReadStream({ file, rowEnd: 14 }).getReader()
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+      batches.push(value)
+    }
+    expect(batches.length).toBe(metadata.row_groups.length)
+    expect(batches.flat()).toEqual(await parquetReadObjects({ file, rowEnd: 14 }))
+  })
+
+  it('reads the next row group only when pulled', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/rowgroups.parquet'))
+    const metadata = await parquetMetadataAsync(file)
+    file.fetches = 0
+    const reader = parquetReadStream({ file, metadata }).getReader()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(file.fetches).toBe(0)
+    const { value } = await reader.read()
+    expect(value?.[0]).toEqual({ numbers: 1n })
+    expect(file.fetches).toBe(1)
+    await reader.cancel()
+    expect(file.fetches).toBe(1)
+  })
+})
+
+describe('resolveFile', () => {
+  it('reads column chunks from external files', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const metadata = externalMetadata(await parquetMetadataAsync(file), 'part-0.parquet')
+    /** @type {string[]} */
+    const resolved = []
+    const rows = await parquetReadObjects({
+      file: emptyFile,
+      metadata,
+      resolveFile(filePath) {
+        resolved.push(filePath)
+        return file
+      },
+    })
+    expect(rows).toEqual(await parquetReadObjects({ file }))
+    expect(resolved).toEqual(['part-0.parquet'])
+  })
+
+  it('reads overlapping pages from external files', async () => {
+    const file = countingBuffer(await asyncBufferFromFile('test/files/page_indexed.parquet'))
+    const metadata = externalMetadata(await parquetMetadataAsync(file), 'part-0.parquet')
+    file.fetches = 0
+    const rows = await parquetReadObjects({
+      file: emptyFile,
+      metadata,
+      rowStart: 150,
+      rowEnd: 152,
+      pageIndex: true,
+      resolveFile: () => Promise.resolve(file),
+    })
+    expect(rows).toEqual([{ row: 150n, quality: 'bad' }, { row: 151n, quality: 'bad' }])
+    // 2 offset indexes, 2 dictionaries, 2 data pages
+    expect(file.fetches).toBe(6)
+  })
+
+  it('retries files that failed to resolve', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const metadata = externalMetadata(await parquetMetadataAsync(file), 'part-0.parquet')
+    let attempts = 0
+    /** @type {(filePath: string) => Promise<AsyncBuffer>} */
+    function resolveFile() {
+      return attempts++ ? Promise.resolve(file) : Promise.reject(new Error('network error'))
+    }
+    await expect(parquetReadObjects({ file: emptyFile, metadata, rowEnd: 1, resolveFile })).rejects.toThrow('network error')
+    expect(await parquetReadObjects({ file: emptyFile, metadata, rowEnd: 1, resolveFile })).toEqual([{ numbers: 1n }])
+    expect(attempts).toBe(2)
+  })
+
+  it('throws for file_path without resolveFile', async () => {
+    const file = await asyncBufferFromFile('test/files/rowgroups.parquet')
+    const metadata = externalMetadata(await parquetMetadataAsync(file), 'part-0.parquet')
+    await expect(parquetReadObjects({ file: emptyFile, metadata }))
+      .rejects.toThrow('parquet file_path part-0.parquet requires resolveFile')
+  })
+})
+
+/** @type {AsyncBuffer} */
+const emptyFile = {
+  byteLength: 0,
+  slice() {
+    throw new Error('unexpected read from metadata file')
+  },
+}
+
+/**
+ * Copy metadata with every column chunk stored in another file,
+ * like a _metadata summary file.
+ *
+ * @param {FileMetaData} metadata
+ * @param {string} filePath
+ * @returns {FileMetaData}
+ */
+function externalMetadata(metadata, filePath) {
+  return {
+    ...metadata,
+    row_groups: metadata.row_groups.map(rowGroup => ({
+      ...rowGroup,
+      columns: rowGroup.columns.map(column => ({ ...column, file_path: filePath })),
+    })),
+  }
+}
@@ -1,6 +1,6 @@
 import fs from 'fs'
 import { describe, expect, it } from 'vitest'
-import { snappyUncompress } from '../src/snappy.js'
+import { snappyCompress, snappyUncompress } from '../src/snappy.js'
 
 describe('snappy uncompress', () => {
   it('decompresses valid input correctly', () => {
@@ -71,3 +71,22 @@ describe('snappy uncompress', () => {
       .toThrow('premature end of input')
   })
 })
+
+describe('snappy compress', () => {
+  it('compresses data that snappyUncompress can read back', () => {
+    const text = new TextEncoder().encode('hyparquet '.repeat(1000))
+    const random = Uint8Array.from({ length: 100000 }, (_, i) => i * 2654435761 >>> 24)
+    const blocks = Uint8Array.from({ length: 200000 }, (_, i) => i % 3000 < 1000 ? i % 251 : 7)
+    for (const input of [new Uint8Array([]), new Uint8Array([1, 2, 3]), text, random, blocks]) {
+      const compressed = snappyCompress(input)
+      const output = new Uint8Array(input.length)
+      snappyUncompress(compressed, output)
+      expect(output).toEqual(input)
+    }
+  })
+
+  it('compresses repetitive data', () => {
+    const input = new TextEncoder().encode('hyparquet '.repeat(1000))
+    expect(snappyCompress(input).length).toBeLessThan(600)
+  })
+})
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest'
-import { deserializeTCompactProtocol, readVarInt } from '../src/thrift.js'
+import { byteWriter } from '../src/bytewriter.js'
+import { deserializeTCompactProtocol, readVarInt, serializeTCompactProtocol } from '../src/thrift.js'
 import { reader } from './helpers.js'
 
 describe('deserializeTCompactProtocol function', () => {
@@ -95,6 +96,77 @@ describe('deserializeTCompactProtocol function', () => {
 
 })
 
+describe('serializeTCompactProtocol', () => {
+  it('round trips basic types', () => {
+    const data = {
+      field_1: true,
+      field_2: false,
+      field_3: -2147483648,
+      field_4: 9223372036854775807n,
+      field_5: -123456789012n,
+      field_6: 123.456,
+      field_7: 'Hello, Thrift!',
+      field_8: new Uint8Array([1, 2, 3]),
+      field_9: [1, -2, 3],
+      field_10: [true, false, true],
+      field_11: { field_1: 7, field_3: { field_2: -1 } },
+      field_12: Array.from({ length: 20 }, (_, i) => i),
+    }
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, data)
+    const result = deserializeTCompactProtocol({ view: new DataView(writer.getBuffer()), offset: 0 })
+    expect(result).toEqual({
+      ...data,
+      field_7: new TextEncoder().encode('Hello, Thrift!'),
+    })
+  })
+
+  it('round trips integers that do not fit in i32 as i64', () => {
+    const data = {
+      field_1: 3000000000,
+      field_2: -2147483649,
+      field_3: 2147483647,
+      field_4: [1, 5000000000],
+    }
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, data)
+    const result = deserializeTCompactProtocol({ view: new DataView(writer.getBuffer()), offset: 0 })
+    expect(result).toEqual({
+      field_1: 3000000000n,
+      field_2: -2147483649n,
+      field_3: 2147483647,
+      field_4: [1n, 5000000000n],
+    })
+  })
+
+  it('writes long form field ids', () => {
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, { field_1: 1, field_20: 2 })
+    expect(Array.from(new Uint8Array(writer.getBuffer()))).toEqual([0x15, 2, 0x05, 40, 4, 0])
+  })
+
+  it('reads long form field ids', () => {
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, { field_1: 1, field_20: { field_17: 2 } })
+    const result = deserializeTCompactProtocol({ view: new DataView(writer.getBuffer()), offset: 0 })
+    expect(result).toEqual({ field_1: 1, field_20: { field_17: 2 } })
+  })
+
+  it('writes Int8Array values as i8', () => {
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, { field_1: new Int8Array([-8]) })
+    expect(Array.from(new Uint8Array(writer.getBuffer()))).toEqual([0x13, 0xf8, 0])
+    const result = deserializeTCompactProtocol({ view: new DataView(writer.getBuffer()), offset: 0 })
+    expect(result).toEqual({ field_1: -8 })
+  })
+
+  it('skips undefined fields and sorts by field id', () => {
+    const writer = byteWriter()
+    serializeTCompactProtocol(writer, { field_2: 1, field_1: undefined, field_3: 2 })
+    expect(Array.from(new Uint8Array(writer.getBuffer()))).toEqual([0x25, 2, 0x15, 4, 0])
+  })
+})
+
 describe('readVarInt', () => {
   it('read single-byte varint', () => {
     expect(readVarInt(reader([0x01]))).toBe(1)
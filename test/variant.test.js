@@ -0,0 +1,192 @@
+import { describe, expect, it } from 'vitest'
+import { assembleLists, assembleNested } from '../src/assemble.js'
+import { getSchemaPath } from '../src/schema.js'
+import { parseVariant, shreddedVariant } from '../src/variant.js'
+
+/**
+ * @import {SchemaElement} from '../src/types.js'
+ */
+
+const encoder = new TextEncoder()
+
+// dictionary of field names a, b, c
+const metadata = new Uint8Array([0x01, 3, 0, 1, 2, 3, ...encoder.encode('abc')])
+
+/**
+ * @param {number} type primitive type id
+ * @param {number[]} [bytes]
+ * @returns {Uint8Array}
+ */
+function primitive(type, bytes = []) {
+  return new Uint8Array([type << 2, ...bytes])
+}
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function shortString(value) {
+  const bytes = encoder.encode(value)
+  return new Uint8Array([bytes.length << 2 | 1, ...bytes])
+}
+
+/**
+ * @param {ArrayBufferView} array
+ * @returns {number[]}
+ */
+function littleEndian(array) {
+  return Array.from(new Uint8Array(array.buffer))
+}
+
+describe('parseVariant', () => {
+  it('decodes primitives', () => {
+    expect(parseVariant(metadata, primitive(0))).toBe(null)
+    expect(parseVariant(metadata, primitive(1))).toBe(true)
+    expect(parseVariant(metadata, primitive(2))).toBe(false)
+    expect(parseVariant(metadata, primitive(3, [0xfe]))).toBe(-2)
+    expect(parseVariant(metadata, primitive(4, littleEndian(new Int16Array([-300]))))).toBe(-300)
+    expect(parseVariant(metadata, primitive(5, littleEndian(new Int32Array([70000]))))).toBe(70000)
+    expect(parseVariant(metadata, primitive(6, littleEndian(new BigInt64Array([2n ** 60n]))))).toBe(2n ** 60n)
+    expect(parseVariant(metadata, primitive(7, littleEndian(new Float64Array([1.5]))))).toBe(1.5)
+    expect(parseVariant(metadata, primitive(14, littleEndian(new Float32Array([0.25]))))).toBe(0.25)
+    expect(parseVariant(metadata, primitive(8, [2, ...littleEndian(new Int32Array([-1234]))]))).toBe(-12.34)
+    expect(parseVariant(metadata, primitive(9, [1, ...littleEndian(new BigInt64Array([15n]))]))).toBe(1.5)
+    expect(parseVariant(metadata, primitive(10, [0, ...littleEndian(new BigInt64Array([-7n, -1n]))]))).toBe(-7)
+    expect(parseVariant(metadata, primitive(11, littleEndian(new Int32Array([19000])))))
+      .toEqual(new Date('2022-01-08T00:00:00Z'))
+    expect(parseVariant(metadata, primitive(12, littleEndian(new BigInt64Array([1700000000123456n])))))
+      .toEqual(new Date('2023-11-14T22:13:20.123Z'))
+    expect(parseVariant(metadata, primitive(19, littleEndian(new BigInt64Array([1700000000123456789n])))))
+      .toEqual(new Date('2023-11-14T22:13:20.123Z'))
+    expect(parseVariant(metadata, primitive(17, littleEndian(new BigInt64Array([45296000001n])))))
+      .toBe('12:34:56.000001000')
+    expect(parseVariant(metadata, primitive(15, [...littleEndian(new Int32Array([2])), 7, 8])))
+      .toEqual(new Uint8Array([7, 8]))
+    expect(parseVariant(metadata, primitive(16, [...littleEndian(new Int32Array([5])), ...encoder.encode('héll')])))
+      .toBe('héll')
+    expect(parseVariant(metadata, primitive(20, [0, 17, 34, 51, 68, 85, 102, 119, 136, 153, 170, 187, 204, 221, 238, 255])))
+      .toBe('00112233-4455-6677-8899-aabbccddeeff')
+    expect(parseVariant(metadata, shortString('hi'))).toBe('hi')
+  })
+
+  it('decodes decimals exactly with decimalFormat', () => {
+    // 2^70 + 1 with scale 3
+    const decimal16 = primitive(10, [3, ...littleEndian(new BigInt64Array([1n, 64n]))])
+    expect(parseVariant(metadata, decimal16, { decimalFormat: 'string' })).toBe('1180591620717411303.425')
+    expect(parseVariant(metadata, decimal16, { decimalFormat: 'bigint-scaled' })).toBe(2n ** 70n + 1n)
+    const decimal8 = primitive(9, [2, ...littleEndian(new BigInt64Array([-9007199254740993n]))])
+    expect(parseVariant(metadata, decimal8, { decimalFormat: 'string' })).toBe('-90071992547409.93')
+    expect(parseVariant(metadata, primitive(8, [2, ...littleEndian(new Int32Array([-1234]))]), { decimalFormat: 'string' }))
+      .toBe('-12.34')
+  })
+
+  it('decodes timestamps, times and uuids with read formats', () => {
+    const micros = primitive(12, littleEndian(new BigInt64Array([1700000000123456n])))
+    const localNanos = primitive(19, littleEndian(new BigInt64Array([1700000000123456789n])))
+    expect(parseVariant(metadata, micros, { timestampFormat: 'bigint' })).toBe(1700000000123456n)
+    expect(parseVariant(metadata, micros, { timestampFormat: 'iso-string' })).toBe('2023-11-14T22:13:20.123456Z')
+    expect(parseVariant(metadata, localNanos, { timestampFormat: 'iso-string' })).toBe('2023-11-14T22:13:20.123456789')
+    expect(parseVariant(metadata, primitive(17, littleEndian(new BigInt64Array([45296000001n]))), { timeFormat: 'object' }))
+      .toEqual({ hours: 12, minutes: 34, seconds: 56, nanos: 1000 })
+    const uuid = [0, 17, 34, 51, 68, 85, 102, 119, 136, 153, 170, 187, 204, 221, 238, 255]
+    expect(parseVariant(metadata, primitive(20, uuid), { uuidFormat: 'bytes' })).toEqual(new Uint8Array(uuid))
+  })
+
+  it('decodes objects and arrays', () => {
+    // { a: [true, null], c: 'hi' }
+    const array = [0x03, 2, 0, 1, 2, ...primitive(1), ...primitive(0)]
+    const object = new Uint8Array([0x02, 2, 0, 2, 0, array.length, array.length + 3, ...array, ...shortString('hi')])
+    expect(parseVariant(metadata, object)).toEqual({ a: [true, null], c: 'hi' })
+  })
+
+  it('throws on invalid variants', () => {
+    expect(() => parseVariant(new Uint8Array([0x02, 0, 0]), primitive(0)))
+      .toThrow('variant unsupported metadata version 2')
+    expect(() => parseVariant(metadata, primitive(30)))
+      .toThrow('variant unsupported primitive type 30')
+    expect(() => parseVariant(metadata, new Uint8Array([0x02, 1, 5, 0, 1, ...primitive(0)])))
+      .toThrow('variant invalid field id 5')
+  })
+})
+
+describe('shreddedVariant', () => {
+  /** @type {SchemaElement[]} */
+  const schema = [
+    { name: 'root', num_children: 1 },
+    { name: 'v', repetition_type: 'OPTIONAL', num_children: 3, logical_type: { type: 'VARIANT', specificationVersion: 1 } },
+    { name: 'metadata', type: 'BYTE_ARRAY', repetition_type: 'REQUIRED' },
+    { name: 'value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL' },
+    { name: 'typed_value', repetition_type: 'OPTIONAL', num_children: 2 },
+    { name: 'a', repetition_type: 'REQUIRED', num_children: 2 },
+    { name: 'value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL' },
+    { name: 'typed_value', type: 'INT32', repetition_type: 'OPTIONAL' },
+    { name: 'b', repetition_type: 'REQUIRED', num_children: 1 },
+    { name: 'value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL' },
+  ]
+
+  it('merges shredded object fields', () => {
+    // rows: fully shredded, partially shredded, not an object, null
+    /** @type {[string[], number[], any[]][]} */
+    const columns = [
+      [['v', 'metadata'], [1, 1, 1, 0], [metadata, metadata, metadata]],
+      [['v', 'value'], [1, 2, 2, 0], [new Uint8Array([0x02, 1, 2, 0, 1, ...primitive(1)]), shortString('x')]],
+      [['v', 'typed_value', 'a', 'value'], [2, 2, 1, 0], []],
+      [['v', 'typed_value', 'a', 'typed_value'], [3, 2, 1, 0], [1]],
+      [['v', 'typed_value', 'b', 'value'], [3, 3, 1, 0], [shortString('hi'), primitive(3, [5])]],
+    ]
+    const subcolumnData = new Map()
+    for (const [path, definitionLevels, values] of columns) {
+      const schemaPath = getSchemaPath(schema, path)
+      subcolumnData.set(path.join('.'), assembleLists([], definitionLevels, [0, 0, 0, 0], values, schemaPath))
+    }
+    const variant = getSchemaPath(schema, ['v'])[1]
+    assembleNested(subcolumnData, variant)
+    expect(subcolumnData.get('v')).toEqual([{ a: 1, b: 'hi' }, { c: true, b: 5 }, 'x', undefined])
+  })
+
+  it('applies read formats to assembled variants', () => {
+    /** @type {[string[], number[], any[]][]} */
+    const columns = [
+      [['v', 'metadata'], [1], [metadata]],
+      [['v', 'value'], [2], [new Uint8Array([0x02, 1, 0, 0, 10, ...primitive(9, [2, ...littleEndian(new BigInt64Array([150n]))])])]],
+      [['v', 'typed_value', 'a', 'value'], [1], []],
+      [['v', 'typed_value', 'a', 'typed_value'], [1], []],
+      [['v', 'typed_value', 'b', 'value'], [1], []],
+    ]
+    const subcolumnData = new Map()
+    for (const [path, definitionLevels, values] of columns) {
+      const schemaPath = getSchemaPath(schema, path)
+      subcolumnData.set(path.join('.'), assembleLists([], definitionLevels, [0], values, schemaPath))
+    }
+    const variant = getSchemaPath(schema, ['v'])[1]
+    assembleNested(subcolumnData, variant, 0, { decimalFormat: 'string' })
+    expect(subcolumnData.get('v')).toEqual([{ a: '1.50' }])
+  })
+
+  it('merges shredded arrays', () => {
+    /** @type {SchemaElement[]} */
+    const listSchema = [
+      { name: 'root', num_children: 1 },
+      { name: 'v', repetition_type: 'REQUIRED', num_children: 3, logical_type: { type: 'VARIANT' } },
+      { name: 'metadata', type: 'BYTE_ARRAY', repetition_type: 'REQUIRED' },
+      { name: 'value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL' },
+      { name: 'typed_value', repetition_type: 'OPTIONAL', num_children: 1, converted_type: 'LIST', logical_type: { type: 'LIST' } },
+      { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+      { name: 'element', repetition_type: 'REQUIRED', num_children: 2 },
+      { name: 'value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL' },
+      { name: 'typed_value', type: 'BYTE_ARRAY', repetition_type: 'OPTIONAL', logical_type: { type: 'STRING' } },
+    ]
+    const variant = getSchemaPath(listSchema, ['v'])[1]
+    const row = {
+      metadata,
+      value: undefined,
+      typed_value: [
+        { value: undefined, typed_value: 'a' },
+        { value: primitive(3, [5]), typed_value: undefined },
+        { value: primitive(0), typed_value: undefined },
+      ],
+    }
+    expect(shreddedVariant(variant, row)).toEqual(['a', 5, null])
+    expect(shreddedVariant(variant, { metadata, value: undefined, typed_value: undefined })).toBe(null)
+  })
+})
@@ -0,0 +1,151 @@
+import { describe, expect, it } from 'vitest'
+import { parquetMetadata, parquetReadObjects, parquetWrite } from '../src/index.js'
+import { deserializeTCompactProtocol } from '../src/thrift.js'
+
+describe('parquetWrite', () => {
+  it('writes a file that parquetRead can read back', async () => {
+    const columnData = [
+      { name: 'bool', data: [true, false, true, null] },
+      { name: 'int', data: [0, 127, -2147483648, 2147483647] },
+      { name: 'bigint', data: [0n, 127n, 9223372036854775807n, -1n] },
+      { name: 'float', data: [0, 0.5, -1e300, null] },
+      { name: 'string', data: ['a', 'bb', null, 'ccc'] },
+      { name: 'date', data: [new Date(0), new Date(1700000000000), null, new Date(-1000)] },
+      { name: 'json', data: [{ a: 1 }, [1, 2], null, 'x'] },
+      { name: 'bytes', data: [new Uint8Array([1, 2]), new Uint8Array([]), null, new Uint8Array([3])] },
+    ]
+    const file = parquetWrite({ columnData })
+    const rows = await parquetReadObjects({ file, utf8: false })
+    expect(rows).toEqual([
+      { bool: true, int: 0, bigint: 0n, float: 0, string: 'a', date: new Date(0), json: { a: 1 }, bytes: new Uint8Array([1, 2]) },
+      { bool: false, int: 127, bigint: 127n, float: 0.5, string: 'bb', date: new Date(1700000000000), json: [1, 2], bytes: new Uint8Array([]) },
+      { bool: true, int: -2147483648, bigint: 9223372036854775807n, float: -1e300, string: null, date: null, json: null, bytes: null },
+      { bool: null, int: 2147483647, bigint: -1n, float: null, string: 'ccc', date: new Date(-1000), json: 'x', bytes: new Uint8Array([3]) },
+    ])
+  })
+
+  it('writes typed arrays', async () => {
+    const columnData = [
+      { name: 'int32', data: new Int32Array([1, -2, 3]) },
+      { name: 'uint32', data: new Uint32Array([1, 2, 4294967295]) },
+      { name: 'int64', data: new BigInt64Array([1n, -2n, 3n]) },
+      { name: 'float', data: new Float32Array([1.5, 2.5, 3.5]) },
+      { name: 'double', data: new Float64Array([0.1, 0.2, 0.3]) },
+    ]
+    const file = parquetWrite({ columnData, codec: 'UNCOMPRESSED' })
+    const rows = await parquetReadObjects({ file })
+    expect(rows).toEqual([
+      { int32: 1, uint32: 1, int64: 1n, float: 1.5, double: 0.1 },
+      { int32: -2, uint32: 2, int64: -2n, float: 2.5, double: 0.2 },
+      { int32: 3, uint32: 4294967295, int64: 3n, float: 3.5, double: 0.3 },
+    ])
+  })
+
+  it('writes multiple row groups with dictionary encoding and statistics', async () => {
+    const category = Array.from({ length: 250 }, (_, i) => ['red', 'green', 'blue'][i % 3])
+    const id = Array.from({ length: 250 }, (_, i) => i)
+    const file = parquetWrite({
+      columnData: [{ name: 'id', data: id }, { name: 'category', data: category }],
+      rowGroupSize: 100,
+      kvMetadata: [{ key: 'source', value: 'test' }],
+    })
+    const metadata = parquetMetadata(file)
+    expect(metadata.num_rows).toBe(250n)
+    expect(metadata.key_value_metadata).toEqual([{ key: 'source', value: 'test' }])
+    expect(metadata.row_groups.map(group => group.num_rows)).toEqual([100n, 100n, 50n])
+    const [idChunk, categoryChunk] = metadata.row_groups[1].columns
+    expect(idChunk.meta_data?.encodings).toEqual(['PLAIN', 'RLE'])
+    expect(idChunk.meta_data?.statistics).toEqual({ min_value: 100, max_value: 199, null_count: 0n })
+    expect(categoryChunk.meta_data?.encodings).toEqual(['PLAIN', 'RLE', 'RLE_DICTIONARY'])
+    expect(categoryChunk.meta_data?.statistics).toEqual({ min_value: 'blue', max_value: 'red', null_count: 0n })
+
+    const rows = await parquetReadObjects({ file, rowStart: 95, rowEnd: 105 })
+    expect(rows).toEqual(id.slice(95, 105).map(i => ({ id: i, category: category[i] })))
+  })
+
+  it('writes dictionary indexes of a constant column with bit width 1', async () => {
+    const file = parquetWrite({ columnData: [{ name: 'constant', data: ['x', 'x', 'x', 'x'] }], codec: 'UNCOMPRESSED' })
+    const metadata = parquetMetadata(file)
+    const [{ meta_data }] = metadata.row_groups[0].columns
+    expect(meta_data?.encodings).toContain('RLE_DICTIONARY')
+
+    // required column: the data page header is followed by the bit width
+    const reader = { view: new DataView(file), offset: Number(meta_data?.data_page_offset) }
+    deserializeTCompactProtocol(reader)
+    expect(reader.view.getUint8(reader.offset)).toBe(1)
+
+    expect(await parquetReadObjects({ file })).toEqual(Array(4).fill({ constant: 'x' }))
+  })
+
+  it('orders string and json statistics by their encoded bytes', () => {
+    const file = parquetWrite({
+      columnData: [
+        { name: 'string', data: ['\uFFFF', '\u{1F600}', 'a'] },
+        { name: 'json', data: [9, 10, 100] },
+      ],
+      schema: [
+        { name: 'root', num_children: 2 },
+        { name: 'string', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'REQUIRED' },
+        { name: 'json', type: 'BYTE_ARRAY', converted_type: 'JSON', repetition_type: 'REQUIRED' },
+      ],
+    })
+    const [string, json] = parquetMetadata(file).row_groups[0].columns
+    // utf-8 bytes sort in code point order
+    expect(string.meta_data?.statistics).toEqual({ min_value: 'a', max_value: '\u{1F600}', null_count: 0n })
+    expect(json.meta_data?.statistics).toEqual({ min_value: '10', max_value: '9', null_count: 0n })
+  })
+
+  it('writes integer logical types', async () => {
+    const file = parquetWrite({
+      columnData: [{ name: 'small', data: [-128, 127] }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        {
+          name: 'small',
+          type: 'INT32',
+          converted_type: 'INT_8',
+          logical_type: { type: 'INTEGER', bitWidth: 8, isSigned: true },
+          repetition_type: 'REQUIRED',
+        },
+      ],
+    })
+    const metadata = parquetMetadata(file)
+    expect(metadata.schema[1].logical_type).toEqual({ type: 'INTEGER', bitWidth: 8, isSigned: true })
+    expect(await parquetReadObjects({ file })).toEqual([{ small: -128 }, { small: 127 }])
+  })
+
+  it('writes an explicit schema', async () => {
+    const file = parquetWrite({
+      columnData: [{ name: 'day', data: [new Date('2024-01-02'), new Date('1999-12-31')] }],
+      schema: [
+        { name: 'root', num_children: 1 },
+        { name: 'day', type: 'INT32', converted_type: 'DATE', repetition_type: 'REQUIRED' },
+      ],
+    })
+    const metadata = parquetMetadata(file)
+    expect(metadata.schema[1]).toMatchObject({ name: 'day', type: 'INT32', converted_type: 'DATE' })
+    const rows = await parquetReadObjects({ file })
+    expect(rows).toEqual([{ day: new Date('2024-01-02') }, { day: new Date('1999-12-31') }])
+  })
+
+  it('writes an empty file', async () => {
+    const file = parquetWrite({ columnData: [{ name: 'id', data: [] }] })
+    expect(parquetMetadata(file).num_rows).toBe(0n)
+    expect(await parquetReadObjects({ file })).toEqual([])
+  })
+
+  it('throws for invalid input', () => {
+    expect(() => parquetWrite({ columnData: [{ name: 'a', data: [1] }], codec: 'ZSTD' }))
+      .toThrow('parquet unsupported compression codec: ZSTD')
+    expect(() => parquetWrite({ columnData: [{ name: 'a', data: [1] }, { name: 'b', data: [1, 2] }] }))
+      .toThrow('parquet column b length 2 does not match 1')
+    expect(() => parquetWrite({
+      columnData: [{ name: 'a', data: [1, null] }],
+      schema: [{ name: 'root', num_children: 1 }, { name: 'a', type: 'INT32', repetition_type: 'REQUIRED' }],
+    })).toThrow('parquet required column a has null values')
+    expect(() => parquetWrite({
+      columnData: [{ name: 'a', data: [1] }],
+      schema: [{ name: 'root', num_children: 1 }, { name: 'a', num_children: 1 }, { name: 'b', type: 'INT32' }],
+    })).toThrow('parquet schema must have one flat element per column')
+  })
+})
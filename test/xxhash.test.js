@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest'
+import { xxhash64 } from '../src/xxhash.js'
+
+describe('xxhash64', () => {
+  const encoder = new TextEncoder()
+
+  it('hashes short inputs', () => {
+    expect(xxhash64(new Uint8Array(0))).toBe(0xef46db3751d8e999n)
+    expect(xxhash64(encoder.encode('a'))).toBe(0xd24ec4f1a98c6e5bn)
+    expect(xxhash64(encoder.encode('abc'))).toBe(0x44bc2cf5ad770999n)
+  })
+
+  it('hashes inputs longer than 32 bytes', () => {
+    expect(xxhash64(encoder.encode('Nobody inspects the spammish repetition'))).toBe(0xfbcea83c8a378bf1n)
+  })
+
+  it('hashes a subarray', () => {
+    const bytes = encoder.encode('xxabcxx').subarray(2, 5)
+    expect(xxhash64(bytes)).toBe(0x44bc2cf5ad770999n)
+  })
+})